@@ -0,0 +1,348 @@
+// 精度レポートを生成するモジュール
+// ジオリファレンス結果（RMSE・制御点ごとの残差・変換パラメータ・制御点一覧）をJSONと単独で閲覧できるHTMLにまとめる
+import { Logger } from './utils.js';
+import { RESIDUAL_CLASSES, UNVERIFIED_RESIDUAL_COLOR } from './constants.js';
+
+const REPORT_VERSION = '1.0';
+
+// 制御点の状態の表示名（Georeferencing.getAccuracySummaryのstatus）
+const STATUS_LABELS = {
+    used: '使用',
+    rejected: '除外（外れ値）',
+    disabled: '無効',
+    unused: '未使用（変換後に追加）'
+};
+
+const PLOT_WIDTH = 640;          // 残差図の幅（ピクセル）
+const PLOT_ARROW_RATIO = 0.1;    // 最大の残差の矢印を残差図の幅の何割で描くか
+
+export class AccuracyReport {
+    constructor() {
+        this.logger = new Logger('AccuracyReport');
+    }
+
+    /**
+     * 精度レポートのデータを生成
+     * @param {Object} summary - Georeferencing.getAccuracySummaryの結果
+     * @param {Object} image - { imageFileName, imageWidth, imageHeight }
+     * @returns {Object} 精度レポート（JSON出力用）
+     */
+    createReport(summary, image) {
+        const accuracy = summary.accuracy;
+        const toResidual = residual => ({
+            pointId: residual.pointId,
+            imageX: this.round(residual.imageX, 2),
+            imageY: this.round(residual.imageY, 2),
+            lat: this.round(residual.gpsPoint.lat, 8),
+            lng: this.round(residual.gpsPoint.lng, 8),
+            transformedLat: residual.transformedPoint ? this.round(residual.transformedPoint.lat, 8) : null,
+            transformedLng: residual.transformedPoint ? this.round(residual.transformedPoint.lng, 8) : null,
+            dx: this.round(residual.dx, 3),
+            dy: this.round(residual.dy, 3),
+            error: this.round(residual.error, 3)
+        });
+
+        const report = {
+            type: 'GeoReferencerAccuracyReport',
+            version: REPORT_VERSION,
+            createdAt: new Date().toISOString(),
+            image: {
+                fileName: image.imageFileName,
+                width: image.imageWidth,
+                height: image.imageHeight
+            },
+            transformation: {
+                model: summary.model,
+                modelLabel: summary.modelLabel,
+                crs: 'EPSG:3857',
+                // 画像座標(x, y)→Web Mercator: X = a·x + b·y + c, Y = d·x + e·y + f（多項式・TPSの場合は近似値）
+                affine: summary.affineParameters,
+                modelParameters: summary.modelParameters
+            },
+            accuracy: {
+                rmse: this.round(accuracy.rmse, 3),
+                meanError: this.round(accuracy.meanError, 3),
+                maxError: this.round(accuracy.maxError, 3),
+                minError: this.round(accuracy.minError, 3),
+                usedCount: summary.usedCount,
+                unverifiedCount: accuracy.unverifiedCount || 0,
+                rejectedCount: summary.rejectedPoints.length,
+                outlierThresholdMeters: summary.outlierThresholdMeters
+            },
+            residuals: accuracy.residuals.map(toResidual),
+            rejectedPoints: summary.rejectedPoints.map(toResidual),
+            controlPoints: summary.controlPoints.map(point => ({
+                id: point.id,
+                manual: point.manual,
+                status: point.status,
+                gpsPointId: point.gpsPointId,
+                imageX: this.round(point.imageX, 2),
+                imageY: this.round(point.imageY, 2),
+                lat: this.round(point.lat, 8),
+                lng: this.round(point.lng, 8),
+                error: point.residual ? this.round(point.residual.error, 3) : null
+            }))
+        };
+
+        this.logger.info(`精度レポート生成: 使用${report.accuracy.usedCount}点, RMSE ${report.accuracy.rmse}m`);
+        return report;
+    }
+
+    /**
+     * 精度レポートのHTMLを生成（外部ファイルに依存しない単独のHTML）
+     * @param {Object} report - createReportの結果
+     * @returns {string} HTML
+     */
+    createHtml(report) {
+        const { image, transformation, accuracy } = report;
+        const summaryRows = [
+            ['画像ファイル', `${image.fileName}（${image.width} × ${image.height} px）`],
+            ['変換モデル', transformation.modelLabel],
+            ['座標系', transformation.crs],
+            ['RMSE', this.formatMeters(accuracy.rmse)],
+            ['平均誤差', this.formatMeters(accuracy.meanError)],
+            ['最大誤差', this.formatMeters(accuracy.maxError)],
+            ['最小誤差', this.formatMeters(accuracy.minError)],
+            ['使用した制御点', `${accuracy.usedCount}点`],
+            ...(accuracy.unverifiedCount > 0 ? [['残差を検証できない制御点', `${accuracy.unverifiedCount}点（誤差の集計から除外）`]] : []),
+            ['除外した制御点', `${accuracy.rejectedCount}点（しきい値 ${accuracy.outlierThresholdMeters > 0 ? accuracy.outlierThresholdMeters + 'm' : 'なし'}）`],
+            ['作成日時', new Date(report.createdAt).toLocaleString('ja-JP')]
+        ];
+
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="ja">',
+            '<head>',
+            '<meta charset="UTF-8">',
+            `<title>精度レポート - ${this.escapeHtml(image.fileName)}</title>`,
+            '<style>',
+            'body { font-family: sans-serif; margin: 24px; color: #333; }',
+            'h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 28px; border-bottom: 1px solid #ccc; }',
+            'table { border-collapse: collapse; font-size: 13px; }',
+            'th, td { border: 1px solid #ccc; padding: 4px 8px; } th { background: #f5f5f5; text-align: left; }',
+            'td.number { text-align: right; font-family: monospace; }',
+            '.note { font-size: 12px; color: #666; }',
+            '.legend span { display: inline-block; margin-right: 16px; }',
+            '.legend i { display: inline-block; width: 12px; height: 12px; margin-right: 4px; vertical-align: middle; }',
+            '</style>',
+            '</head>',
+            '<body>',
+            '<h1>ジオリファレンス精度レポート</h1>',
+            this.createTable(['項目', '値'], summaryRows),
+            '<h2>残差図</h2>',
+            this.createResidualPlot(report),
+            '<h2>制御点ごとの残差</h2>',
+            this.createResidualTable(report),
+            '<h2>変換パラメータ</h2>',
+            this.createParameterSection(transformation),
+            '<h2>制御点一覧</h2>',
+            this.createControlPointTable(report.controlPoints),
+            '</body>',
+            '</html>'
+        ].join('\n');
+    }
+
+    // 画像上の制御点の位置に残差の向き・大きさを矢印で描いた図（SVG）
+    createResidualPlot(report) {
+        const { image, transformation } = report;
+        const { a, b, d, e } = transformation.affine;
+        const determinant = a * e - b * d;
+        const entries = [
+            ...report.residuals.map(residual => ({ residual, rejected: false })),
+            ...report.rejectedPoints.map(residual => ({ residual, rejected: true }))
+        ];
+
+        // 地上の残差(m)をWeb Mercatorの変位に戻し、アフィン変換の逆行列で画像上の変位(px)に換算
+        // 残差を検証できない点は変位なし
+        const vectors = entries.map(({ residual, rejected }) => {
+            if (residual.error === null) {
+                return { residual, rejected, px: 0, py: 0 };
+            }
+            const groundScale = Math.cos(residual.lat * Math.PI / 180);
+            const mx = residual.dx / groundScale;
+            const my = residual.dy / groundScale;
+            return {
+                residual,
+                rejected,
+                px: determinant !== 0 ? (e * mx - b * my) / determinant : 0,
+                py: determinant !== 0 ? (a * my - d * mx) / determinant : 0
+            };
+        });
+
+        const maxLength = Math.max(0, ...vectors.map(vector => Math.hypot(vector.px, vector.py)));
+        const exaggeration = this.getPlotExaggeration(image.width * PLOT_ARROW_RATIO / (maxLength || 1));
+        const strokeWidth = image.width / PLOT_WIDTH * 2;
+        const radius = strokeWidth * 2;
+
+        const markers = RESIDUAL_CLASSES.map((item, index) =>
+            `<marker id="arrow${index}" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="5" markerHeight="5" orient="auto">` +
+            `<path d="M0,0 L10,5 L0,10 z" fill="${item.color}"/></marker>`
+        );
+        const shapes = vectors.map(({ residual, rejected, px, py }) => {
+            if (residual.error === null) {
+                const title = `<title>${this.escapeHtml(residual.pointId)}: 検証不可</title>`;
+                return `<circle cx="${residual.imageX}" cy="${residual.imageY}" r="${radius}" fill="${UNVERIFIED_RESIDUAL_COLOR}">${title}</circle>`;
+            }
+            const classIndex = RESIDUAL_CLASSES.findIndex(item => residual.error < item.max);
+            const color = RESIDUAL_CLASSES[classIndex].color;
+            const title = `<title>${this.escapeHtml(residual.pointId)}: ${residual.error.toFixed(2)} m${rejected ? '（除外）' : ''}</title>`;
+            const point = `<circle cx="${residual.imageX}" cy="${residual.imageY}" r="${radius}" fill="${color}">${title}</circle>`;
+            if (px === 0 && py === 0) {
+                return point;
+            }
+            return point +
+                `<line x1="${residual.imageX}" y1="${residual.imageY}" ` +
+                `x2="${this.round(residual.imageX + px * exaggeration, 2)}" y2="${this.round(residual.imageY + py * exaggeration, 2)}" ` +
+                `stroke="${color}" stroke-width="${strokeWidth}"${rejected ? ` stroke-dasharray="${strokeWidth * 3} ${strokeWidth * 2}"` : ''} ` +
+                `marker-end="url(#arrow${classIndex})">${title}</line>`;
+        });
+        const legend = RESIDUAL_CLASSES.map(item =>
+            `<span><i style="background: ${item.color}"></i>${this.escapeHtml(item.label)}</span>`
+        );
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${PLOT_WIDTH}" viewBox="0 0 ${image.width} ${image.height}" ` +
+                `style="border: 1px solid #999; background: #fafafa; max-width: 100%; height: auto;">`,
+            `<defs>${markers.join('')}</defs>`,
+            ...shapes,
+            '</svg>',
+            `<p class="legend">${legend.join('')}</p>`,
+            `<p class="note">画像座標上の制御点の位置から、変換後の位置のずれの向きに矢印を描いています（残差を${exaggeration}倍に拡大、破線は外れ値として除外した点）。</p>`
+        ].join('\n');
+    }
+
+    // 最大の矢印が目標の倍率に収まる切りのよい倍率（1, 2, 5 × 10^n、1倍未満にはしない）
+    getPlotExaggeration(target) {
+        if (target <= 1) {
+            return 1;
+        }
+        const base = Math.pow(10, Math.floor(Math.log10(target)));
+        return [5, 2, 1].map(step => step * base).find(value => value <= target);
+    }
+
+    createResidualTable(report) {
+        const rows = [
+            ...report.residuals.map(residual => [residual, '使用']),
+            ...report.rejectedPoints.map(residual => [residual, STATUS_LABELS.rejected])
+        ].map(([residual, label]) => residual.error === null ? [
+            residual.pointId,
+            label,
+            { value: '' },
+            { value: '' },
+            { value: '検証不可', color: UNVERIFIED_RESIDUAL_COLOR }
+        ] : [
+            residual.pointId,
+            label,
+            { value: residual.dx.toFixed(3) },
+            { value: residual.dy.toFixed(3) },
+            { value: residual.error.toFixed(3), color: RESIDUAL_CLASSES.find(item => residual.error < item.max).color }
+        ]);
+
+        return this.createTable(['ポイントID', '状態', '東西 dx (m)', '南北 dy (m)', '誤差 (m)'], rows) +
+            '\n<p class="note">dx・dyは変換後の位置からポイントGPSの位置を引いた地上距離（東・北が正）です。</p>';
+    }
+
+    createParameterSection(transformation) {
+        const affine = transformation.affine;
+        const affineRows = ['a', 'b', 'c', 'd', 'e', 'f'].map(key => [key, { value: this.formatNumber(affine[key]) }]);
+        const sections = [
+            `<p>画像座標(x, y)→Web Mercator(X, Y): X = a·x + b·y + c, Y = d·x + e·y + f${transformation.model === 'affine' ? '' : '（近似値）'}</p>`,
+            this.createTable(['係数', '値'], affineRows)
+        ];
+
+        const parameters = transformation.modelParameters;
+        if (parameters && parameters.model === 'polynomial') {
+            const labels = this.createPolynomialTermLabels(parameters.order);
+            const rows = labels.map((label, index) => [
+                label,
+                { value: this.formatNumber(parameters.xCoefficients[index]) },
+                { value: this.formatNumber(parameters.yCoefficients[index]) }
+            ]);
+            const { offsetX, offsetY, scale } = parameters.normalization;
+            sections.push(
+                `<p>${parameters.order}次多項式: u = (x − ${this.formatNumber(offsetX)}) / ${this.formatNumber(scale)}, ` +
+                `v = (y − ${this.formatNumber(offsetY)}) / ${this.formatNumber(scale)}</p>`,
+                this.createTable(['項', 'X係数', 'Y係数'], rows)
+            );
+        } else if (parameters && parameters.model === 'tps') {
+            sections.push(
+                `<p>薄板スプライン: 節点${parameters.nodes.length}点（全パラメータはJSON形式の精度レポートに出力されます）。</p>`,
+                '<p class="note">薄板スプラインは制御点を厳密に通るため、残差はその点を除いた制御点で計算した変換との差（Leave-one-out）です。' +
+                    '残りの制御点が3点未満で変換を計算できない点は「検証不可」とし、RMSE等の集計から除いています。</p>'
+            );
+        }
+
+        return sections.join('\n');
+    }
+
+    // 多項式の項の表示名（MathUtils.polynomialTermsと同じ順序）
+    createPolynomialTermLabels(order) {
+        const power = (name, exponent) => exponent === 0 ? '' : exponent === 1 ? name : `${name}^${exponent}`;
+        const labels = [];
+        for (let degree = 0; degree <= order; degree++) {
+            for (let yPower = 0; yPower <= degree; yPower++) {
+                labels.push(degree === 0 ? '1' : power('u', degree - yPower) + power('v', yPower));
+            }
+        }
+        return labels;
+    }
+
+    createControlPointTable(controlPoints) {
+        const rows = controlPoints.map(point => [
+            point.id,
+            point.manual ? '手動' : '自動',
+            STATUS_LABELS[point.status],
+            point.gpsPointId || '',
+            { value: point.imageX.toFixed(2) },
+            { value: point.imageY.toFixed(2) },
+            { value: point.lat.toFixed(8) },
+            { value: point.lng.toFixed(8) },
+            { value: point.error === null ? '' : point.error.toFixed(3) }
+        ]);
+        return this.createTable(['ID', '種別', '状態', 'ポイントGPS', '画像X', '画像Y', '緯度', '経度', '誤差 (m)'], rows);
+    }
+
+    // 表を生成（セルは文字列、または数値として右寄せする {value, color}）
+    createTable(headers, rows) {
+        const headerHtml = headers.map(header => `<th>${this.escapeHtml(header)}</th>`).join('');
+        const rowHtml = rows.map(row => '<tr>' + row.map(cell => {
+            if (cell !== null && typeof cell === 'object') {
+                const style = cell.color ? ` style="color: ${cell.color}; font-weight: bold;"` : '';
+                return `<td class="number"${style}>${this.escapeHtml(cell.value)}</td>`;
+            }
+            return `<td>${this.escapeHtml(cell)}</td>`;
+        }).join('') + '</tr>');
+
+        return ['<table>', `<tr>${headerHtml}</tr>`, ...rowHtml, '</table>'].join('\n');
+    }
+
+    formatMeters(value) {
+        if (value === null) {
+            return '検証不可';
+        }
+        return `${value.toFixed(3)} m`;
+    }
+
+    formatNumber(value) {
+        return Math.abs(value) >= 1e6 || (value !== 0 && Math.abs(value) < 1e-3)
+            ? value.toExponential(8)
+            : String(this.round(value, 8));
+    }
+
+    round(value, digits) {
+        if (value === null) {
+            return null;
+        }
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
\ No newline at end of file
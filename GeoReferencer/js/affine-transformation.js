@@ -1,6 +1,7 @@
-// アフィン変換計算専用モジュール
+// アフィン変換・多項式変換・薄板スプライン変換の計算モジュール
 import { Logger } from './utils.js';
 import { mathUtils } from './math-utils.js';
+import { TRANSFORMATION_MODELS } from './constants.js';
 
 export class AffineTransformation {
     constructor() {
@@ -47,7 +48,99 @@ export class AffineTransformation {
     }
 
     /**
-     * 画像座標をGPS座標に変換（アフィン変換使用）
+     * 変換モデルを指定して変換パラメータを計算
+     * アフィン以外のモデルでも、画像表示・スケール計算用にアフィン近似（transformation）を併せて保持する
+     * @param {Array} controlPoints - 制御点配列
+     * @param {string} model - 変換モデル（TRANSFORMATION_MODELSのキー）
+     * @returns {Object|null} 変換結果
+     */
+    calculateTransformation(controlPoints, model = 'affine') {
+        try {
+            const modelInfo = TRANSFORMATION_MODELS[model];
+            if (!modelInfo) {
+                this.logger.error(`未対応の変換モデルです: ${model}`);
+                return null;
+            }
+
+            if (controlPoints.length < modelInfo.minPoints) {
+                this.logger.error(`${modelInfo.label}には最低${modelInfo.minPoints}つのポイントが必要です`);
+                return null;
+            }
+
+            const affineResult = this.calculatePreciseTransformation(controlPoints);
+            if (!affineResult || model === 'affine') {
+                return affineResult ? { ...affineResult, model: 'affine' } : null;
+            }
+
+            const modelParameters = model === 'tps' ?
+                mathUtils.calculateThinPlateSplineTransformation(controlPoints) :
+                mathUtils.calculatePolynomialTransformation(controlPoints, modelInfo.order);
+
+            if (!modelParameters) {
+                this.logger.error(`${modelInfo.label}の計算に失敗`);
+                return null;
+            }
+
+            return {
+                ...affineResult,
+                model: model,
+                modelParameters: modelParameters,
+                accuracy: model === 'tps' ?
+                    mathUtils.calculateThinPlateSplineAccuracy(controlPoints) :
+                    mathUtils.calculateTransformationAccuracy(controlPoints, modelParameters)
+            };
+
+        } catch (error) {
+            this.logger.error('変換パラメータ計算エラー', error);
+            return null;
+        }
+    }
+
+    /**
+     * 残差が閾値を超える制御点を反復的に除外（外れ値検出）
+     * 全点で変換を計算し、最大残差の点が閾値を超えていれば除外して再計算する。
+     * TPSは制御点を厳密に通り外れ値も通ってしまうため、検出にはアフィン変換を使用する
+     * @param {Array} controlPoints - 制御点配列
+     * @param {string} model - 変換モデル（TRANSFORMATION_MODELSのキー）
+     * @param {number} thresholdMeters - 除外する残差の閾値（メートル、0以下で無効）
+     * @returns {{inliers: Array, outliers: Array}} 採用点と除外点（除外点にはresidualErrorを付与）
+     */
+    rejectOutliers(controlPoints, model, thresholdMeters) {
+        const inliers = [...controlPoints];
+        const outliers = [];
+
+        if (!thresholdMeters || thresholdMeters <= 0) {
+            return { inliers, outliers };
+        }
+
+        const detectionModel = model === 'tps' ? 'affine' : model;
+        const minPoints = TRANSFORMATION_MODELS[detectionModel].minPoints;
+
+        // 最低点数を下回らない範囲で1点ずつ除外
+        while (inliers.length > minPoints) {
+            const result = this.calculateTransformation(inliers, detectionModel);
+            if (!result) break;
+
+            const residuals = result.accuracy.residuals;
+            let worstIndex = 0;
+            residuals.forEach((residual, index) => {
+                if (residual.error > residuals[worstIndex].error) {
+                    worstIndex = index;
+                }
+            });
+
+            if (residuals[worstIndex].error <= thresholdMeters) break;
+
+            const [rejected] = inliers.splice(worstIndex, 1);
+            outliers.push({ ...rejected, residualError: residuals[worstIndex].error });
+            this.logger.warn(`外れ値として除外: ${rejected.pointJsonId} (残差 ${residuals[worstIndex].error.toFixed(2)}m)`);
+        }
+
+        return { inliers, outliers };
+    }
+
+    /**
+     * 画像座標をGPS座標に変換（計算済みの変換モデルを使用）
      * @param {number} imageX
      * @param {number} imageY
      * @param {Object} transformation
@@ -56,7 +149,7 @@ export class AffineTransformation {
     transformImageCoordsToGps(imageX, imageY, transformation) {
         try {
             if (transformation.type === 'precise') {
-                return mathUtils.applyAffineTransform(imageX, imageY, transformation);
+                return mathUtils.applyTransformation(imageX, imageY, transformation);
             } else {
                 this.logger.error('精密版以外の変換はサポートされていません');
                 return null;
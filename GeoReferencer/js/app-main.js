@@ -7,7 +7,13 @@ import { RouteSpotHandler } from './route-spot-handler.js';
 import { CoordinateDisplay } from './coordinate-display.js';
 import { UIHandlers } from './ui-handlers.js';
 import { FileHandler } from './file-handler.js';
-import { CONFIG, EVENTS, DEFAULTS } from './constants.js';
+import { KmlExporter } from './kml-exporter.js';
+import { RasterExporter } from './raster-exporter.js';
+import { TileExporter } from './tile-exporter.js';
+import { ResidualVectorLayer } from './residual-vector-layer.js';
+import { AccuracyReport } from './accuracy-report.js';
+import { ControlPointEditor } from './control-point-editor.js';
+import { CONFIG, EVENTS, DEFAULTS, TRANSFORMATION_MODELS } from './constants.js';
 import { Logger, errorHandler } from './utils.js';
 
 class GeoReferencerApp {
@@ -21,6 +27,10 @@ class GeoReferencerApp {
         this.coordinateDisplay = null;
         this.uiHandlers = null;
         this.fileHandler = null;
+        this.kmlExporter = null;
+        this.rasterExporter = null;
+        this.tileExporter = null;
+        this.controlPointEditor = null;
         this.pointJsonData = null;
         this.imageCoordinateMarkers = [];
 
@@ -69,6 +79,15 @@ class GeoReferencerApp {
             this.coordinateDisplay = new CoordinateDisplay(this.mapCore, this.imageOverlay);
             this.uiHandlers = new UIHandlers();
             this.fileHandler = new FileHandler();
+            this.kmlExporter = new KmlExporter();
+            this.rasterExporter = new RasterExporter();
+            this.tileExporter = new TileExporter();
+            this.residualVectorLayer = new ResidualVectorLayer(this.mapCore.getMap());
+            this.accuracyReport = new AccuracyReport();
+            this.controlPointEditor = new ControlPointEditor(
+                this.mapCore, this.imageOverlay, this.gpsData, this.georeferencing,
+                () => this.handleControlPointsChanged()
+            );
 
             // CoordinateDisplayインスタンスをGeoreferencingに注入
             this.georeferencing.setCoordinateDisplay(this.coordinateDisplay);
@@ -178,6 +197,43 @@ class GeoReferencerApp {
                 });
             }
 
+            // 変換モデル選択
+            const transformationModelSelect = document.getElementById('transformationModelSelect');
+            if (transformationModelSelect) {
+                this.uiHandlers.populateTransformationModels(TRANSFORMATION_MODELS, this.georeferencing.getTransformationModel());
+                transformationModelSelect.addEventListener('change', (event) => {
+                    this.georeferencing.setTransformationModel(event.target.value);
+                });
+            }
+
+            // 外れ値除外の閾値
+            const outlierThresholdInput = document.getElementById('outlierThresholdInput');
+            if (outlierThresholdInput) {
+                outlierThresholdInput.value = this.georeferencing.getOutlierThreshold();
+                outlierThresholdInput.addEventListener('change', (event) => {
+                    this.georeferencing.setOutlierThreshold(event.target.value);
+                    event.target.value = this.georeferencing.getOutlierThreshold();
+                });
+            }
+
+            // 残差ベクトルの表示切り替え・拡大倍率
+            const showResidualVectors = document.getElementById('showResidualVectors');
+            if (showResidualVectors) {
+                this.residualVectorLayer.setVisible(showResidualVectors.checked);
+                showResidualVectors.addEventListener('change', (event) => {
+                    this.residualVectorLayer.setVisible(event.target.checked);
+                });
+            }
+
+            const residualVectorScale = document.getElementById('residualVectorScale');
+            if (residualVectorScale) {
+                this.uiHandlers.populateResidualVectorOptions(DEFAULTS.RESIDUAL_VECTOR_SCALES, DEFAULTS.RESIDUAL_VECTOR_DEFAULT_SCALE);
+                residualVectorScale.addEventListener('change', (event) => {
+                    this.residualVectorLayer.setScale(Number(event.target.value));
+                });
+            }
+            this.uiHandlers.renderResidualLegend();
+
             // 画像の重ね合わせボタン
             const matchPointsBtn = document.getElementById('matchPointsBtn');
             if (matchPointsBtn) {
@@ -186,6 +242,22 @@ class GeoReferencerApp {
                 });
             }
 
+            // 制御点の手動追加ボタン
+            const pickControlPointBtn = document.getElementById('pickControlPointBtn');
+            if (pickControlPointBtn) {
+                pickControlPointBtn.addEventListener('click', () => {
+                    try {
+                        if (this.controlPointEditor.isPicking()) {
+                            this.controlPointEditor.stopPicking();
+                        } else {
+                            this.controlPointEditor.startPicking();
+                        }
+                    } catch (error) {
+                        errorHandler.handle(error, error.message, '制御点の追加');
+                    }
+                });
+            }
+
             // GeoJSON出力ボタン
             const exportGeoJsonBtn = document.getElementById('exportGeoJsonBtn');
             if (exportGeoJsonBtn) {
@@ -194,6 +266,66 @@ class GeoReferencerApp {
                 });
             }
 
+            // KML・KMZ出力ボタン
+            const exportKmlBtn = document.getElementById('exportKmlBtn');
+            if (exportKmlBtn) {
+                exportKmlBtn.addEventListener('click', () => {
+                    this.handleExportKml(false);
+                });
+            }
+
+            const exportKmzBtn = document.getElementById('exportKmzBtn');
+            if (exportKmzBtn) {
+                exportKmzBtn.addEventListener('click', () => {
+                    this.handleExportKml(true);
+                });
+            }
+
+            // 画像出力ボタン（PNG＋ワールドファイル・GeoTIFF）
+            const exportWorldFileBtn = document.getElementById('exportWorldFileBtn');
+            if (exportWorldFileBtn) {
+                exportWorldFileBtn.addEventListener('click', () => {
+                    this.handleExportRaster(false);
+                });
+            }
+
+            const exportGeoTiffBtn = document.getElementById('exportGeoTiffBtn');
+            if (exportGeoTiffBtn) {
+                exportGeoTiffBtn.addEventListener('click', () => {
+                    this.handleExportRaster(true);
+                });
+            }
+
+            // 精度レポート出力ボタン（HTML・JSON）
+            const exportReportHtmlBtn = document.getElementById('exportReportHtmlBtn');
+            if (exportReportHtmlBtn) {
+                exportReportHtmlBtn.addEventListener('click', () => {
+                    this.handleExportAccuracyReport(true);
+                });
+            }
+
+            const exportReportJsonBtn = document.getElementById('exportReportJsonBtn');
+            if (exportReportJsonBtn) {
+                exportReportJsonBtn.addEventListener('click', () => {
+                    this.handleExportAccuracyReport(false);
+                });
+            }
+
+            // タイル出力ボタン（XYZタイルのZIP・MBTiles）
+            const exportTilesBtn = document.getElementById('exportTilesBtn');
+            if (exportTilesBtn) {
+                exportTilesBtn.addEventListener('click', () => {
+                    this.handleExportTiles();
+                });
+            }
+
+            const cancelTilesBtn = document.getElementById('cancelTilesBtn');
+            if (cancelTilesBtn) {
+                cancelTilesBtn.addEventListener('click', () => {
+                    this.tileExporter.cancel();
+                });
+            }
+
             
         } catch (error) {
             this.logger.error('イベントハンドラー設定エラー', error);
@@ -228,6 +360,7 @@ class GeoReferencerApp {
             
             // GPS ポイント数を更新
             this.uiHandlers.updateGpsPointCount(this.gpsData);
+            this.controlPointEditor.refresh();
 
             this.logger.info(`GPS Excelファイル読み込み完了: ${validatedData.length}ポイント`);
 
@@ -253,6 +386,11 @@ class GeoReferencerApp {
             if (this.imageOverlay) {
                 await this.imageOverlay.loadImage(file);
 
+                // 手動で追加した制御点の画像座標・変換結果・残差は前の画像のもの
+                this.georeferencing.clearTransformation();
+                this.controlPointEditor.clearPairs();
+                this.clearMatchResults();
+
                 // 成功メッセージを表示
                 this.showMessage(`PNG画像ファイルを読み込みました:\n${file.name}`);
             }
@@ -295,6 +433,7 @@ class GeoReferencerApp {
             
             // ポイント座標数を更新
             this.uiHandlers.updatePointCoordCount(this.pointJsonData);
+            this.controlPointEditor.refresh();
             
             this.logger.info('ポイント(座標)JSON読み込み完了', data);
             
@@ -399,6 +538,7 @@ class GeoReferencerApp {
             // UIを更新
             if (this.pointJsonData) {
                 this.uiHandlers.updatePointCoordCount(this.pointJsonData);
+                this.controlPointEditor.refresh();
             }
             this.uiHandlers.updateRouteSpotCount(this.routeSpotHandler);
 
@@ -422,7 +562,9 @@ class GeoReferencerApp {
                 throw new Error('PNG画像が読み込まれていません。');
             }
 
-            if (!this.gpsData || !this.gpsData.getPoints() || this.gpsData.getPoints().length === 0) {
+            // 手動で追加した制御点があればポイントGPSなしでも実行できる
+            const hasGpsPoints = this.gpsData && this.gpsData.getPoints() && this.gpsData.getPoints().length > 0;
+            if (!hasGpsPoints && this.georeferencing.manualControlPairs.length === 0) {
                 throw new Error('GPS座標データが読み込まれていません。');
             }
 
@@ -435,18 +577,77 @@ class GeoReferencerApp {
             
             // 結果を表示
             this.uiHandlers.updateMatchResults(result);
+            this.updateResidualVectors(result);
+            this.controlPointEditor.refresh();
 
             this.logger.info('画像重ね合わせ処理完了', result);
 
-            // 成功メッセージを表示
-            this.showMessage(`${result.matchedCount}個のポイントにてジオリファレンスを行いました`);
+            // 成功メッセージを表示（外れ値を除外した場合は警告として表示）
+            const modelLabel = TRANSFORMATION_MODELS[result.model].label;
+            if (result.rejectedPoints.length > 0) {
+                const rejectedIds = result.rejectedPoints.map(point => point.pointId).join(', ');
+                this.showMessage(`${result.usedCount}個のポイントにてジオリファレンスを行いました（${modelLabel}）\n残差が大きいため除外: ${rejectedIds}`, 'warning');
+            } else {
+                this.showMessage(`${result.usedCount}個のポイントにてジオリファレンスを行いました（${modelLabel}）`);
+            }
             
         } catch (error) {
             this.logger.error('画像重ね合わせエラー', error);
+            if (!this.georeferencing.currentTransformation) {
+                this.clearMatchResults();
+            }
             errorHandler.handle(error, error.message, '画像重ね合わせ');
         }
     }
 
+    // 制御点の追加・編集・有効切り替え後に変換を再計算
+    async handleControlPointsChanged() {
+        try {
+            if (!this.imageOverlay || !this.imageOverlay.currentImage.src) {
+                return;
+            }
+
+            const modelInfo = TRANSFORMATION_MODELS[this.georeferencing.getTransformationModel()];
+            const count = this.georeferencing.getEnabledControlPairCount();
+            if (count < modelInfo.minPoints) {
+                // 残っている変換結果は無効にした制御点を含むため破棄する
+                this.georeferencing.clearTransformation();
+                this.clearMatchResults();
+                this.controlPointEditor.refresh();
+                this.showMessage(`${modelInfo.label}には制御点があと${modelInfo.minPoints - count}点必要です`, 'warning');
+                return;
+            }
+
+            const result = await this.georeferencing.performGeoreferencingCalculations();
+            this.uiHandlers.updateMatchResults(result);
+            this.updateResidualVectors(result);
+
+            this.logger.info('制御点の変更により再計算', result);
+
+        } catch (error) {
+            this.logger.error('制御点の再計算エラー', error);
+            if (!this.georeferencing.currentTransformation) {
+                this.clearMatchResults();
+                this.controlPointEditor.refresh();
+            }
+            errorHandler.handle(error, error.message, '制御点の再計算');
+        }
+    }
+
+    // 一致結果・精度・残差の表示を未変換の状態に戻す
+    clearMatchResults() {
+        this.residualVectorLayer.clear();
+        this.uiHandlers.updateMatchResults({ matchedCount: 0, unmatchedPoints: [], rejectedPoints: [], accuracy: null });
+    }
+
+    // 変換に使用した制御点と除外した制御点の残差を地図に矢印で表示
+    updateResidualVectors(result) {
+        this.residualVectorLayer.setResiduals(
+            result.accuracy ? result.accuracy.residuals : [],
+            result.rejectedPoints
+        );
+    }
+
     async handleExportGeoJson() {
         try {
             this.logger.info('GeoJSON出力処理開始');
@@ -484,6 +685,284 @@ class GeoReferencerApp {
         }
     }
 
+    /**
+     * ジオリファレンス済みデータをKMLまたはKMZ形式で出力
+     * @param {boolean} asKmz - trueの場合は画像を同梱したKMZで出力
+     */
+    async handleExportKml(asKmz) {
+        const formatName = asKmz ? 'KMZ' : 'KML';
+
+        try {
+            this.logger.info(`${formatName}出力処理開始`);
+
+            if (!this.georeferencing) {
+                throw new Error('ジオリファレンス機能が初期化されていません。');
+            }
+
+            // GeoJSON出力と同じフィーチャーを収集
+            const geoJsonData = await this.collectGeoreferencedData();
+
+            if (!geoJsonData.features || geoJsonData.features.length === 0) {
+                throw new Error('出力対象のデータがありません。ジオリファレンスを実行してください。');
+            }
+
+            const fileName = this.getGeoJsonFileName();
+            let blob;
+            let fileType;
+
+            if (asKmz) {
+                // ジオリファレンス済みの場合のみ画像をGroundOverlayとして同梱
+                const overlayCorners = this.georeferencing.getImageCornerLatLngs();
+                const imageSrc = this.imageOverlay ? this.imageOverlay.currentImage.src : '';
+
+                blob = this.kmlExporter.createKmz(geoJsonData, {
+                    documentName: fileName,
+                    overlayCorners: overlayCorners,
+                    imageBytes: overlayCorners && imageSrc ? this.fileHandler.dataUrlToBytes(imageSrc) : null
+                });
+                fileType = { extension: '.kmz', description: 'KMZ Files', mimeType: 'application/vnd.google-earth.kmz' };
+            } else {
+                const kmlText = this.kmlExporter.createKml(geoJsonData, { documentName: fileName });
+                blob = new Blob([kmlText], { type: 'application/vnd.google-earth.kml+xml' });
+                fileType = { extension: '.kml', description: 'KML Files', mimeType: 'application/vnd.google-earth.kml+xml' };
+            }
+
+            const result = await this.fileHandler.saveBlobWithUserChoice(blob, fileName, fileType);
+
+            if (result.success) {
+                this.logger.info(`${formatName}保存成功: ${result.filename}`);
+                this.showMessage(`GPSデータを${formatName}形式にて出力しました:\n${result.filename}`);
+            } else if (result.error !== 'キャンセル') {
+                throw new Error(result.error);
+            }
+
+            this.logger.info(`${formatName}出力完了: ${geoJsonData.features.length}件`);
+
+        } catch (error) {
+            this.logger.error(`${formatName}出力エラー`, error);
+            errorHandler.handle(error, error.message, `${formatName}出力`);
+        }
+    }
+
+    /**
+     * ジオリファレンス済み画像をPNG＋ワールドファイル（ZIP）またはGeoTIFF形式で出力
+     * @param {boolean} asGeoTiff - trueの場合はGeoTIFFで出力
+     */
+    async handleExportRaster(asGeoTiff) {
+        const formatName = asGeoTiff ? 'GeoTIFF' : 'PNG＋ワールドファイル';
+
+        try {
+            this.logger.info(`${formatName}出力処理開始`);
+
+            const raster = this.imageOverlay ? this.imageOverlay.createGeoreferencedRaster() : null;
+            if (!raster) {
+                throw new Error('出力する画像がありません。ジオリファレンスを実行してください。');
+            }
+
+            const fileName = `${this.currentPngFileName || 'image'}-georef`;
+            let blob;
+            let fileType;
+
+            if (asGeoTiff) {
+                blob = this.rasterExporter.createGeoTiff(raster.canvas, raster.transform);
+                fileType = { extension: '.tif', description: 'GeoTIFF Files', mimeType: 'image/tiff' };
+            } else {
+                // アフィン変換の場合は読み込んだPNGをそのまま同梱
+                const pngBytes = raster.resampled ?
+                    await this.rasterExporter.canvasToPngBytes(raster.canvas) :
+                    this.fileHandler.dataUrlToBytes(this.imageOverlay.currentImage.src);
+                blob = this.rasterExporter.createWorldFilePackage(fileName, pngBytes, raster.transform);
+                fileType = { extension: '.zip', description: 'ZIP Files', mimeType: 'application/zip' };
+            }
+
+            const result = await this.fileHandler.saveBlobWithUserChoice(blob, fileName, fileType);
+
+            if (result.success) {
+                this.logger.info(`${formatName}保存成功: ${result.filename}`);
+                // 多項式・TPS変換は画像を描き直しているため、その旨を併せて表示
+                const note = raster.resampled ? '\n（変換モデルに合わせて画像を東西・南北方向に描き直しました）' : '';
+                this.showMessage(`画像を${formatName}形式にて出力しました:\n${result.filename}${note}`);
+            } else if (result.error !== 'キャンセル') {
+                throw new Error(result.error);
+            }
+
+        } catch (error) {
+            this.logger.error(`${formatName}出力エラー`, error);
+            errorHandler.handle(error, error.message, `${formatName}出力`);
+        }
+    }
+
+    /**
+     * 精度レポート（RMSE・制御点ごとの残差・変換パラメータ・制御点一覧）をHTMLまたはJSON形式で出力
+     * @param {boolean} asHtml - trueの場合はHTMLで出力
+     */
+    async handleExportAccuracyReport(asHtml) {
+        const formatName = asHtml ? 'HTML' : 'JSON';
+
+        try {
+            this.logger.info(`精度レポート(${formatName})出力処理開始`);
+
+            const summary = this.georeferencing ? this.georeferencing.getAccuracySummary() : null;
+            if (!summary) {
+                throw new Error('精度レポートを作成できません。ジオリファレンスを実行してください。');
+            }
+
+            const image = this.imageOverlay.currentImage;
+            const report = this.accuracyReport.createReport(summary, {
+                imageFileName: this.currentPngFileName || 'image',
+                imageWidth: image.naturalWidth || image.width,
+                imageHeight: image.naturalHeight || image.height
+            });
+
+            const fileName = `${this.currentPngFileName || 'image'}-accuracy`;
+            let blob;
+            let fileType;
+
+            if (asHtml) {
+                blob = new Blob([this.accuracyReport.createHtml(report)], { type: 'text/html' });
+                fileType = { extension: '.html', description: 'HTML Files', mimeType: 'text/html' };
+            } else {
+                blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+                fileType = { extension: '.json', description: 'JSON Files', mimeType: 'application/json' };
+            }
+
+            const result = await this.fileHandler.saveBlobWithUserChoice(blob, fileName, fileType);
+
+            if (result.success) {
+                this.logger.info(`精度レポート(${formatName})保存成功: ${result.filename}`);
+                this.showMessage(`精度レポートを${formatName}形式にて出力しました:\n${result.filename}`);
+            } else if (result.error !== 'キャンセル') {
+                throw new Error(result.error);
+            }
+
+        } catch (error) {
+            this.logger.error(`精度レポート(${formatName})出力エラー`, error);
+            errorHandler.handle(error, error.message, `精度レポート(${formatName})出力`);
+        }
+    }
+
+    // ジオリファレンス済み画像をXYZタイルに変換してZIPまたはMBTiles形式で出力
+    async handleExportTiles() {
+        if (this.tileExporter.isRunning()) {
+            return;
+        }
+
+        try {
+            this.logger.info('タイル出力処理開始');
+
+            const mesh = this.imageOverlay ? this.imageOverlay.getTransformedMesh() : null;
+            if (!mesh) {
+                throw new Error('タイルを作成する画像がありません。ジオリファレンスを実行してください。');
+            }
+
+            const { minZoom, maxZoom } = this.getTileZoomRange(mesh);
+            const maxTileCount = this.tileExporter.countTiles(mesh, minZoom, maxZoom);
+            if (maxTileCount > CONFIG.TILE_EXPORT_MAX_TILES) {
+                throw new Error(`作成するタイルが多すぎます（ズーム${minZoom}～${maxZoom}で最大${maxTileCount}枚、上限${CONFIG.TILE_EXPORT_MAX_TILES}枚）。ズーム範囲を狭めてください。`);
+            }
+
+            const formatSelect = document.getElementById('tileFormat');
+            const format = formatSelect && formatSelect.value === 'mbtiles' ? 'mbtiles' : 'zip';
+            const formatName = format === 'mbtiles' ? 'MBTiles' : 'ZIP';
+            const fileName = `${this.currentPngFileName || 'image'}-tiles`;
+
+            this.setTileExportRunning(true);
+            this.updateTileExportStatus(`タイル作成中（ズーム${minZoom}～${maxZoom}）`, 0, maxTileCount);
+
+            const result = await this.tileExporter.createTiles(
+                this.imageOverlay.currentImage,
+                mesh,
+                { minZoom, maxZoom, format, name: this.currentPngFileName || 'image' },
+                (done, total) => this.updateTileExportStatus(`タイル作成中（ズーム${minZoom}～${maxZoom}）`, done, total)
+            );
+
+            if (!result) {
+                this.updateTileExportStatus('タイルの作成を中止しました');
+                return;
+            }
+
+            const fileType = format === 'mbtiles' ?
+                { extension: '.mbtiles', description: 'MBTiles Files', mimeType: 'application/x-sqlite3' } :
+                { extension: '.zip', description: 'ZIP Files', mimeType: 'application/zip' };
+            const saveResult = await this.fileHandler.saveBlobWithUserChoice(result.blob, fileName, fileType);
+
+            this.updateTileExportStatus('');
+            if (saveResult.success) {
+                this.logger.info(`タイル保存成功: ${saveResult.filename}`);
+                this.showMessage(`タイルを${formatName}形式にて出力しました（ズーム${minZoom}～${maxZoom}、${result.tileCount}枚）:\n${saveResult.filename}`);
+            } else if (saveResult.error !== 'キャンセル') {
+                throw new Error(saveResult.error);
+            }
+
+        } catch (error) {
+            this.logger.error('タイル出力エラー', error);
+            this.updateTileExportStatus('');
+            errorHandler.handle(error, error.message, 'タイル出力');
+        } finally {
+            this.setTileExportRunning(false);
+        }
+    }
+
+    /**
+     * タイル出力のズーム範囲（空欄の場合は元画像の解像度から決める）
+     * @param {Object} mesh - ImageOverlay.getTransformedMeshの結果
+     * @returns {{minZoom: number, maxZoom: number}} ズーム範囲
+     */
+    getTileZoomRange(mesh) {
+        const readZoom = (id, label) => {
+            const input = document.getElementById(id);
+            const text = input ? input.value.trim() : '';
+            if (text === '') {
+                return null;
+            }
+
+            const zoom = Number(text);
+            if (!Number.isInteger(zoom) || zoom < 0 || zoom > CONFIG.TILE_EXPORT_MAX_ZOOM) {
+                throw new Error(`${label}は0～${CONFIG.TILE_EXPORT_MAX_ZOOM}の整数で入力してください。`);
+            }
+            return zoom;
+        };
+
+        const recommended = this.tileExporter.getRecommendedZoomRange(mesh);
+        const inputMaxZoom = readZoom('tileMaxZoom', '最大ズーム');
+        const inputMinZoom = readZoom('tileMinZoom', '最小ズーム');
+        const maxZoom = inputMaxZoom !== null ? inputMaxZoom : recommended.maxZoom;
+        const minZoom = inputMinZoom !== null ? inputMinZoom :
+            Math.max(0, maxZoom - CONFIG.TILE_EXPORT_DEFAULT_ZOOM_LEVELS + 1);
+
+        if (minZoom > maxZoom) {
+            throw new Error('最小ズームは最大ズーム以下にしてください。');
+        }
+        return { minZoom, maxZoom };
+    }
+
+    setTileExportRunning(running) {
+        const exportTilesBtn = document.getElementById('exportTilesBtn');
+        const cancelTilesBtn = document.getElementById('cancelTilesBtn');
+        const progress = document.getElementById('tileExportProgress');
+
+        if (exportTilesBtn) exportTilesBtn.disabled = running;
+        if (cancelTilesBtn) cancelTilesBtn.disabled = !running;
+        if (progress) progress.hidden = !running;
+    }
+
+    // タイル作成の進捗を表示（totalを省略した場合はメッセージのみ）
+    updateTileExportStatus(message, done, total) {
+        const status = document.getElementById('tileExportStatus');
+        const progress = document.getElementById('tileExportProgress');
+
+        if (total) {
+            if (progress) {
+                progress.max = total;
+                progress.value = done;
+            }
+            message = `${message} ${done} / ${total}`;
+        }
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
     async collectGeoreferencedData() {
         try {
             const features = [];
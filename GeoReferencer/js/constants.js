@@ -19,7 +19,27 @@ export const CONFIG = {
     
     // アフィン変換設定
     AFFINE_TRANSFORMATION_MODE: 'auto', // 'simple', 'precise', 'auto'
+
+    // 変換モデル設定（既定値）
+    DEFAULT_TRANSFORMATION_MODEL: 'affine',
+
+    // 外れ値除外設定（残差がこの値を超える制御点を除外、0で無効）
+    // 既定では無効とし、利用者が閾値を入力した場合のみ除外する
+    OUTLIER_THRESHOLD_METERS: 0, // m
     
+    // KML/KMZ出力設定
+    KML_OVERLAY_IMAGE_PATH: 'files/overlay.png', // KMZ内のオーバーレイ画像パス
+    KML_OVERLAY_OPACITY: 0.5,                    // GroundOverlayの不透明度（0〜1）
+
+    // 画像出力（ワールドファイル・GeoTIFF）設定
+    RASTER_EXPORT_MAX_SIZE: 8192, // 多項式・TPS変換で描き直す画像の幅・高さの上限（ピクセル）
+
+    // タイル出力（XYZ・MBTiles）設定
+    TILE_EXPORT_TILE_SIZE: 256,           // タイルの幅・高さ（ピクセル）
+    TILE_EXPORT_MAX_ZOOM: 22,             // 指定できる最大ズームレベル
+    TILE_EXPORT_DEFAULT_ZOOM_LEVELS: 4,   // ズーム範囲を指定しない場合に出力する段数
+    TILE_EXPORT_MAX_TILES: 20000,         // 一度に作成できるタイル数の上限
+
     // UI設定
     MESSAGE_BOX_Z_INDEX: 10000,
     OVERLAY_CONTROLS_Z_INDEX: 1000,
@@ -59,12 +79,49 @@ export const DEFAULTS = {
     // 画像オーバーレイ設定
     IMAGE_OVERLAY_DEFAULT_SCALE: 0.8,
     IMAGE_OVERLAY_DEFAULT_OPACITY: 50,
+    IMAGE_OVERLAY_MESH_DIVISIONS: 16, // 多項式・TPS変換で画像を描画する格子の分割数
+
+    // 残差ベクトル表示設定（残差は数m程度のため、矢印の長さを拡大して表示）
+    RESIDUAL_VECTOR_SCALES: [1, 10, 50, 100],
+    RESIDUAL_VECTOR_DEFAULT_SCALE: 10,
     
     // UI設定
     CONTROL_PANEL_WIDTH: 320,
     ANIMATION_DURATION: 200
 };
 
+// ジオリファレンス変換モデル（minPointsは計算に必要な最低制御点数）
+export const TRANSFORMATION_MODELS = {
+    affine: { label: 'アフィン変換', minPoints: 3 },
+    polynomial2: { label: '2次多項式', minPoints: 6, order: 2 },
+    polynomial3: { label: '3次多項式', minPoints: 10, order: 3 },
+    tps: { label: '薄板スプライン(TPS)', minPoints: 3 }
+};
+
+// フィーチャー種別ごとのマーカースタイル（地図表示・KML出力で共通）
+export const MARKER_STYLES = {
+    // ポイントGPS: 緑、円形
+    'ポイントGPS': { color: '#008000', shape: 'circle', size: 16 },
+    // ポイント(画像内座標): 赤、円形
+    'pointJSON': { color: '#ff0000', shape: 'circle', size: 12 },
+    // ルート中間点: 橙色、菱形
+    'route_waypoint': { color: '#ffa500', shape: 'diamond', size: 8 },
+    // スポット: 青、正方形
+    'spot': { color: '#0000ff', shape: 'square', size: 12 },
+    // 手動で追加した制御点: 紫、円形（画像上の点は塗りつぶし、地図上の点は輪郭のみ）
+    'controlPoint': { color: '#800080', shape: 'circle', size: 12 }
+};
+
+// 残差の大きさによる色分け（maxメートル未満の区分の色を使用）
+export const RESIDUAL_CLASSES = [
+    { max: 5, color: '#28a745', label: '5m未満' },
+    { max: 15, color: '#fd7e14', label: '5～15m' },
+    { max: Infinity, color: '#dc3545', label: '15m以上' }
+];
+
+// 残差を検証できない制御点の表示色（TPSで残りの制御点が不足する場合など）
+export const UNVERIFIED_RESIDUAL_COLOR = '#6c757d';
+
 // イベント名
 export const EVENTS = {
     DOM_CONTENT_LOADED: 'DOMContentLoaded',
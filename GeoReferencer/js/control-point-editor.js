@@ -0,0 +1,300 @@
+// 制御点の手動追加・編集を管理するモジュール
+// 画像上の地物→対応する地図上の位置（またはポイントGPS）の順にクリックして制御点の組を作成する
+import { Logger } from './utils.js';
+import { mathUtils } from './math-utils.js';
+
+export class ControlPointEditor {
+    /**
+     * @param {MapCore} mapCore
+     * @param {ImageOverlay} imageOverlay
+     * @param {GPSData} gpsData
+     * @param {Georeferencing} georeferencing
+     * @param {Function} onChange - 制御点が変わったときに呼ぶ関数（変換の再計算用）
+     */
+    constructor(mapCore, imageOverlay, gpsData, georeferencing, onChange) {
+        this.logger = new Logger('ControlPointEditor');
+        this.map = mapCore.getMap();
+        this.imageOverlay = imageOverlay;
+        this.gpsData = gpsData;
+        this.georeferencing = georeferencing;
+        this.onChange = onChange;
+
+        this.pickStep = null; // null: 選択していない、'image': 画像上の点を選択中、'map': 地図上の点を選択中
+        this.pendingImagePoint = null;
+        this.pendingMarker = null;
+        this.pairMarkers = new Map(); // 組のID → { imageMarker, mapMarker }
+
+        this.onMapClick = (event) => this.handleMapClick(event);
+        this.onKeyDown = (event) => {
+            if (event.key === 'Escape') {
+                this.stopPicking();
+            }
+        };
+
+        // 変換の再計算で画像が動いたら、画像上の点のマーカーも動かす
+        this.imageOverlay.addImageUpdateCallback(() => this.updateMarkerPositions());
+    }
+
+    isPicking() {
+        return this.pickStep !== null;
+    }
+
+    // 制御点の追加を開始（画像上の点→地図上の点の順に選択）
+    startPicking() {
+        if (!this.imageOverlay.currentImage.src) {
+            throw new Error('PNG画像が読み込まれていません。');
+        }
+
+        this.pickStep = 'image';
+        this.map.on('click', this.onMapClick);
+        document.addEventListener('keydown', this.onKeyDown);
+        this.map.getContainer().classList.add('control-point-picking');
+        this.updatePickStatus();
+    }
+
+    stopPicking() {
+        if (!this.isPicking()) {
+            return;
+        }
+
+        this.pickStep = null;
+        this.pendingImagePoint = null;
+        if (this.pendingMarker) {
+            this.map.removeLayer(this.pendingMarker);
+            this.pendingMarker = null;
+        }
+        this.setGpsMarkerPicking(false);
+        this.map.off('click', this.onMapClick);
+        document.removeEventListener('keydown', this.onKeyDown);
+        this.map.getContainer().classList.remove('control-point-picking');
+        this.updatePickStatus();
+    }
+
+    handleMapClick(event) {
+        if (this.pickStep === 'image') {
+            const imagePoint = this.imageOverlay.latLngToImagePoint(event.latlng);
+            if (!imagePoint) {
+                this.setPickStatus('画像の範囲内をクリックしてください');
+                return;
+            }
+
+            this.pendingImagePoint = imagePoint;
+            this.pendingMarker = mathUtils.createCustomMarker(event.latlng, 'control-point-image').addTo(this.map);
+            this.pickStep = 'map';
+            this.setGpsMarkerPicking(true);
+            this.updatePickStatus();
+        } else if (this.pickStep === 'map') {
+            this.completePair({ lat: event.latlng.lat, lng: event.latlng.lng });
+        }
+    }
+
+    // 地図上の点の選択中は、ポイントGPSのマーカーをクリックするとその座標を使う
+    setGpsMarkerPicking(enabled) {
+        this.gpsData.gpsMarkers.forEach(item => {
+            if (enabled) {
+                item.pickHandler = () => {
+                    item.marker.closePopup();
+                    this.completePair({ lat: item.data.lat, lng: item.data.lng, pointId: item.data.pointId });
+                };
+                item.marker.on('click', item.pickHandler);
+            } else if (item.pickHandler) {
+                item.marker.off('click', item.pickHandler);
+                delete item.pickHandler;
+            }
+        });
+    }
+
+    completePair(gpsPoint) {
+        const imagePoint = this.pendingImagePoint;
+        this.stopPicking();
+
+        const pair = this.georeferencing.addManualControlPair(
+            Math.round(imagePoint.x * 10) / 10,
+            Math.round(imagePoint.y * 10) / 10,
+            gpsPoint
+        );
+        this.logger.info(`制御点を追加: ${pair.pointJsonId}`, pair);
+        this.notifyChange();
+    }
+
+    updatePickStatus() {
+        const pickBtn = document.getElementById('pickControlPointBtn');
+        if (pickBtn) {
+            pickBtn.textContent = this.isPicking() ? '追加をやめる' : '制御点を追加';
+            pickBtn.classList.toggle('active', this.isPicking());
+        }
+
+        switch (this.pickStep) {
+            case 'image':
+                this.setPickStatus('① 画像上の地物をクリックしてください（Escでキャンセル）');
+                break;
+            case 'map':
+                this.setPickStatus('② 地図上の対応する位置、またはポイントGPSをクリックしてください');
+                break;
+            default:
+                this.setPickStatus('');
+        }
+    }
+
+    setPickStatus(message) {
+        const status = document.getElementById('controlPointStatus');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    // 手動で追加した組をすべて削除（別の画像を読み込んだとき）
+    clearPairs() {
+        this.stopPicking();
+        this.georeferencing.clearManualControlPairs();
+        this.refresh();
+    }
+
+    // 制御点の変更を一覧表・マーカーに反映して変換を再計算
+    notifyChange() {
+        this.refresh();
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    refresh() {
+        this.renderTable();
+        this.updateMarkers();
+    }
+
+    // 手動で追加した組のマーカー（画像上の点と地図上の点）を表示
+    updateMarkers() {
+        const pairs = this.georeferencing.manualControlPairs;
+        const ids = new Set(pairs.map(pair => pair.pointJsonId));
+
+        this.pairMarkers.forEach((markers, id) => {
+            if (!ids.has(id)) {
+                this.map.removeLayer(markers.imageMarker);
+                this.map.removeLayer(markers.mapMarker);
+                this.pairMarkers.delete(id);
+            }
+        });
+
+        pairs.forEach(pair => {
+            const id = pair.pointJsonId;
+            if (!this.pairMarkers.has(id)) {
+                const mapMarker = mathUtils.createCustomMarker([pair.gpsPoint.lat, pair.gpsPoint.lng], 'control-point-map').addTo(this.map);
+                const imageMarker = mathUtils.createCustomMarker([pair.gpsPoint.lat, pair.gpsPoint.lng], 'control-point-image').addTo(this.map);
+                mapMarker.bindTooltip(`${id}（地図）`);
+                imageMarker.bindTooltip(`${id}（画像）`);
+                this.pairMarkers.set(id, { imageMarker, mapMarker });
+            }
+        });
+
+        this.updateMarkerPositions();
+    }
+
+    updateMarkerPositions() {
+        this.georeferencing.manualControlPairs.forEach(pair => {
+            const markers = this.pairMarkers.get(pair.pointJsonId);
+            if (!markers) return;
+
+            markers.mapMarker.setLatLng([pair.gpsPoint.lat, pair.gpsPoint.lng]);
+            const imageLatLng = this.imageOverlay.imageToLatLng(pair.pointJson.imageX, pair.pointJson.imageY);
+            if (imageLatLng) {
+                markers.imageMarker.setLatLng(imageLatLng);
+            }
+
+            const enabled = !this.georeferencing.disabledControlPointIds.has(pair.pointJsonId);
+            markers.imageMarker.setStyle({ opacity: enabled ? 1 : 0.4, fillOpacity: enabled ? 1 : 0.4 });
+            markers.mapMarker.setStyle({ opacity: enabled ? 1 : 0.4 });
+        });
+    }
+
+    // 制御点の一覧表（IDが一致したポイントは有効・無効の切り替えのみ、手動の組は座標の編集と削除も可能）
+    renderTable() {
+        const tableBody = document.getElementById('controlPointTableBody');
+        if (!tableBody) return;
+
+        tableBody.innerHTML = '';
+        const items = this.georeferencing.listControlPairs();
+
+        const emptyMessage = document.getElementById('controlPointEmpty');
+        if (emptyMessage) {
+            emptyMessage.style.display = items.length === 0 ? 'block' : 'none';
+        }
+
+        items.forEach(({ pair, manual, enabled }) => {
+            const row = document.createElement('tr');
+            row.classList.toggle('disabled', !enabled);
+
+            const enabledCell = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = enabled;
+            checkbox.title = '変換に使用する';
+            checkbox.addEventListener('change', () => {
+                this.georeferencing.setControlPairEnabled(pair.pointJsonId, checkbox.checked);
+                this.notifyChange();
+            });
+            enabledCell.appendChild(checkbox);
+
+            const idCell = document.createElement('td');
+            idCell.textContent = pair.pointJsonId;
+            idCell.title = manual ? '手動で追加' : 'IDが一致したポイント';
+
+            const imageCell = this.createCoordinateCell(pair, manual, [
+                { key: 'imageX', value: pair.pointJson.imageX, digits: 1, title: '画像X(px)' },
+                { key: 'imageY', value: pair.pointJson.imageY, digits: 1, title: '画像Y(px)' }
+            ]);
+            const gpsCell = this.createCoordinateCell(pair, manual, [
+                { key: 'lat', value: pair.gpsPoint.lat, digits: 6, title: '緯度' },
+                { key: 'lng', value: pair.gpsPoint.lng, digits: 6, title: '経度' }
+            ]);
+
+            const deleteCell = document.createElement('td');
+            if (manual) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.textContent = '×';
+                deleteBtn.title = '制御点を削除';
+                deleteBtn.addEventListener('click', () => {
+                    this.georeferencing.removeManualControlPair(pair.pointJsonId);
+                    this.notifyChange();
+                });
+                deleteCell.appendChild(deleteBtn);
+            }
+
+            row.append(enabledCell, idCell, imageCell, gpsCell, deleteCell);
+            tableBody.appendChild(row);
+        });
+    }
+
+    createCoordinateCell(pair, editable, fields) {
+        const cell = document.createElement('td');
+
+        fields.forEach(field => {
+            if (!editable) {
+                const value = document.createElement('div');
+                value.textContent = Number(field.value).toFixed(field.digits);
+                value.title = field.title;
+                cell.appendChild(value);
+                return;
+            }
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = Math.pow(10, -field.digits);
+            input.value = Number(field.value).toFixed(field.digits);
+            input.title = field.title;
+            input.addEventListener('change', () => {
+                try {
+                    this.georeferencing.updateManualControlPair(pair.pointJsonId, { [field.key]: input.value });
+                    this.notifyChange();
+                } catch (error) {
+                    this.logger.warn('制御点の編集エラー', error);
+                    this.setPickStatus(error.message);
+                    this.renderTable();
+                }
+            });
+            cell.appendChild(input);
+        });
+
+        return cell;
+    }
+}
\ No newline at end of file
@@ -145,6 +145,109 @@ export class FileHandler {
         }
     }
 
+    /**
+     * Blobデータをファイルとしてダウンロード（従来方式）
+     * @param {Blob} blob - 出力データ
+     * @param {string} filename - 拡張子付きファイル名
+     */
+    downloadBlob(blob, filename) {
+        try {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = filename;
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            // メモリリークを防ぐためURLを解放
+            URL.revokeObjectURL(link.href);
+
+        } catch (error) {
+            throw new Error('ファイルダウンロードエラー: ' + error.message);
+        }
+    }
+
+    /**
+     * ユーザーが場所を指定してBlobデータを保存（KML・KMZなどGeoJSON以外の出力用）
+     * @param {Blob} blob - 出力データ
+     * @param {string} defaultFilename - デフォルトファイル名
+     * @param {Object} fileType - ファイル種別
+     * @param {string} fileType.extension - 拡張子（例: '.kml'）
+     * @param {string} fileType.description - ファイル種別の説明
+     * @param {string} fileType.mimeType - MIMEタイプ
+     * @returns {Promise<{success: boolean, filename?: string, error?: string}>} 保存結果
+     */
+    async saveBlobWithUserChoice(blob, defaultFilename, fileType) {
+        const suggestedName = defaultFilename.endsWith(fileType.extension) ?
+            defaultFilename : defaultFilename + fileType.extension;
+
+        try {
+            // File System Access APIが利用可能かチェック
+            if ('showSaveFilePicker' in window) {
+                const savePickerOptions = {
+                    suggestedName: suggestedName,
+                    types: [{
+                        description: fileType.description,
+                        accept: {
+                            [fileType.mimeType]: [fileType.extension]
+                        }
+                    }]
+                };
+
+                // 前回保存したフォルダから開始
+                if (this.lastUsedDirectory) {
+                    savePickerOptions.startIn = this.lastUsedDirectory;
+                }
+
+                const fileHandle = await window.showSaveFilePicker(savePickerOptions);
+                const writable = await fileHandle.createWritable();
+                await writable.write(blob);
+                await writable.close();
+
+                // 成功時にディレクトリを記録
+                try {
+                    this.lastUsedDirectory = await fileHandle.getParent();
+                } catch (error) {
+                    // ディレクトリ取得に失敗しても処理続行
+                }
+
+                return { success: true, filename: fileHandle.name };
+            } else {
+                // File System Access APIが使用できない場合は従来のダウンロード方式
+                this.downloadBlob(blob, suggestedName);
+                return { success: true, filename: suggestedName };
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return { success: false, error: 'キャンセル' };
+            }
+
+            // エラー時は従来のダウンロード方式にフォールバック
+            try {
+                this.downloadBlob(blob, suggestedName);
+                return { success: true, filename: suggestedName };
+            } catch (downloadError) {
+                return { success: false, error: error.message };
+            }
+        }
+    }
+
+    /**
+     * データURLをバイト列に変換
+     * @param {string} dataUrl - data:～;base64,形式の文字列
+     * @returns {Uint8Array} バイト列
+     */
+    dataUrlToBytes(dataUrl) {
+        const base64 = dataUrl.substring(dataUrl.indexOf(',') + 1);
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
     /**
      * ディレクトリハンドルを設定
      * @param {FileSystemDirectoryHandle} directoryHandle - ディレクトリハンドル
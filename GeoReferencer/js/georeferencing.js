@@ -1,6 +1,6 @@
 // ジオリファレンシング（画像重ね合わせ）機能を管理するモジュール
 import { Logger, errorHandler } from './utils.js';
-import { CONFIG } from './constants.js';
+import { CONFIG, TRANSFORMATION_MODELS } from './constants.js';
 import { mathUtils } from './math-utils.js';
 import { AffineTransformation } from './affine-transformation.js';
 
@@ -12,8 +12,14 @@ export class Georeferencing {
         this.gpsData = gpsData;
         this.pointJsonData = null;
         this.currentTransformation = null;
+        this.transformationModel = CONFIG.DEFAULT_TRANSFORMATION_MODEL;
+        this.outlierThresholdMeters = CONFIG.OUTLIER_THRESHOLD_METERS;
+        this.rejectedPoints = []; // 外れ値として除外した制御点の残差
         this.imageCoordinateMarkers = [];
         this.imageUpdateCallbackRegistered = false;
+        this.manualControlPairs = []; // 画像と地図をクリックして追加した制御点の組
+        this.manualControlPairCount = 0;
+        this.disabledControlPointIds = new Set(); // 変換に使用しない制御点のID
 
         // 分離されたモジュールのインスタンス化
         this.affineTransformation = new AffineTransformation();
@@ -66,16 +72,52 @@ export class Georeferencing {
         }
     }
 
-    async performGeoreferencingCalculations() {
+    // 変換モデルを設定（TRANSFORMATION_MODELSのキー）
+    setTransformationModel(model) {
+        if (!TRANSFORMATION_MODELS[model]) {
+            this.logger.warn(`未対応の変換モデルです: ${model}`);
+            return;
+        }
+        this.transformationModel = model;
+    }
+
+    getTransformationModel() {
+        return this.transformationModel;
+    }
+
+    // 外れ値除外の閾値（メートル）を設定（0以下で除外しない）
+    setOutlierThreshold(meters) {
+        const value = parseFloat(meters);
+        this.outlierThresholdMeters = isFinite(value) && value > 0 ? value : 0;
+    }
+
+    getOutlierThreshold() {
+        return this.outlierThresholdMeters;
+    }
+
+    async performGeoreferencingCalculations(model = this.transformationModel) {
         try {
+            const modelInfo = TRANSFORMATION_MODELS[model];
+            if (!modelInfo) {
+                throw new Error(`未対応の変換モデルです: ${model}`);
+            }
+
             const gpsPoints = this.gpsData.getPoints();
             const matchResult = this.matchPointJsonWithGPS(gpsPoints);
+            const controlPairs = this.getEnabledControlPairs(matchResult.matchedPairs);
 
-            if (matchResult.matchedPairs.length >= 3) {
-                await this.performAutomaticGeoreferencing(matchResult.matchedPairs);
+            let rejectedPairs = [];
+            if (controlPairs.length >= modelInfo.minPoints) {
+                // 残差が閾値を超える制御点（ID誤り等）を除外してから最終的な変換を計算
+                const { inliers, outliers } = this.affineTransformation.rejectOutliers(
+                    controlPairs, model, this.outlierThresholdMeters
+                );
+                rejectedPairs = outliers;
+                await this.performAutomaticGeoreferencing(inliers, model);
+                this.rejectedPoints = this.createRejectedPointList(rejectedPairs);
             } else {
-                this.logger.error(`精密版ジオリファレンシングには最低3つのポイントが必要です。現在: ${matchResult.matchedPairs.length}ポイント`);
-                throw new Error(`精密版ジオリファレンシングには最低3つのポイントが必要です。現在: ${matchResult.matchedPairs.length}ポイント`);
+                this.logger.error(`${modelInfo.label}には最低${modelInfo.minPoints}つのポイントが必要です。現在: ${controlPairs.length}ポイント`);
+                throw new Error(`${modelInfo.label}には最低${modelInfo.minPoints}つのポイントが必要です。現在: ${controlPairs.length}ポイント`);
             }
 
             // 画像更新時のコールバックを登録（重複登録を防ぐ）
@@ -93,21 +135,106 @@ export class Georeferencing {
                 totalPoints: gpsPoints.length,
                 totalPointJsons: matchResult.totalPointJsons,
                 matchedPairs: matchResult.matchedPairs,
+                manualCount: this.manualControlPairs.length,
+                model: model,
+                usedCount: this.currentTransformation ? this.currentTransformation.usedPoints : 0,
+                rejectedPoints: this.rejectedPoints,
+                accuracy: this.currentTransformation ? this.currentTransformation.accuracy : null,
                 georeferenceCompleted: true
             };
             
         } catch (error) {
             this.logger.error('ジオリファレンス計算エラー', error);
+            // 失敗した場合は以前の変換結果を残さない（古い変換での表示・出力を防ぐ）
+            this.clearTransformation();
             throw error;
         }
     }
 
-    async performAutomaticGeoreferencing(matchedPairs) {
+    // 除外した制御点の一覧を作成（残差は最終的な変換に対する値）
+    createRejectedPointList(rejectedPairs) {
+        if (rejectedPairs.length === 0 || !this.currentTransformation) {
+            return [];
+        }
+
+        const parameters = this.currentTransformation.modelParameters || this.currentTransformation.transformation;
+        return mathUtils.calculateTransformationAccuracy(rejectedPairs, parameters).residuals;
+    }
+
+    /**
+     * 計算済みの変換結果と除外点を破棄（別の画像を読み込んだ場合・再計算に失敗した場合など）
+     * 画像の表示も変換前の配置に戻す
+     */
+    clearTransformation() {
+        this.currentTransformation = null;
+        this.rejectedPoints = [];
+
+        if (this.imageOverlay) {
+            this.imageOverlay.clearTransformation();
+            this.imageOverlay.updateImageDisplay();
+        }
+    }
+
+    /**
+     * 精度レポート用の変換結果
+     * @returns {Object|null} 変換モデル・パラメータ・精度・除外点・制御点の一覧（未変換の場合はnull）
+     */
+    getAccuracySummary() {
+        if (!this.currentTransformation) {
+            return null;
+        }
+
+        const transformation = this.currentTransformation;
+        const model = transformation.model || 'affine';
+        const usedIds = new Set(transformation.controlPoints.map(pair => pair.pointJsonId));
+        const rejectedIds = new Set(this.rejectedPoints.map(point => point.pointId));
+        const residuals = new Map([...transformation.accuracy.residuals, ...this.rejectedPoints]
+            .map(residual => [residual.pointId, residual]));
+
+        // 状態: used（変換に使用）、rejected（外れ値として除外）、disabled（無効）、unused（変換の計算後に追加）
+        const controlPoints = this.listControlPairs().map(({ pair, manual, enabled }) => {
+            const id = pair.pointJsonId;
+            let status = 'unused';
+            if (!enabled) {
+                status = 'disabled';
+            } else if (usedIds.has(id)) {
+                status = 'used';
+            } else if (rejectedIds.has(id)) {
+                status = 'rejected';
+            }
+
+            return {
+                id,
+                manual,
+                status,
+                gpsPointId: pair.gpsPoint.pointId || null,
+                imageX: pair.pointJson.imageX,
+                imageY: pair.pointJson.imageY,
+                lat: pair.gpsPoint.lat,
+                lng: pair.gpsPoint.lng,
+                residual: status === 'used' || status === 'rejected' ? residuals.get(id) || null : null
+            };
+        });
+
+        return {
+            model,
+            modelLabel: TRANSFORMATION_MODELS[model].label,
+            outlierThresholdMeters: this.outlierThresholdMeters,
+            usedCount: transformation.usedPoints,
+            affineParameters: transformation.transformation,
+            modelParameters: transformation.modelParameters || null,
+            accuracy: transformation.accuracy,
+            rejectedPoints: this.rejectedPoints,
+            controlPoints
+        };
+    }
+
+    async performAutomaticGeoreferencing(matchedPairs, model = this.transformationModel) {
         try {
-            // 一致するポイント数をすべて使用（精密版のみ）
+            // 一致するポイント数をすべて使用
             const controlPoints = matchedPairs;
             
-            const transformation = this.affineTransformation.calculatePreciseTransformation(controlPoints);
+            const transformation = this.affineTransformation.calculateTransformation(controlPoints, model);
             
             if (transformation) {
                 await this.applyTransformationToImage(transformation, controlPoints);
@@ -115,7 +242,7 @@ export class Georeferencing {
                 // 変換適用後に手動でルート・スポット同期を実行
                 this.syncRouteSpotPositions();
             } else {
-                this.logger.warn('変換パラメータの計算に失敗しました');
+                throw new Error(`${TRANSFORMATION_MODELS[model].label}の変換パラメータを計算できませんでした。制御点の配置を確認するか、別の変換モデルを選択してください。`);
             }
 
         } catch (error) {
@@ -133,13 +260,13 @@ export class Georeferencing {
             if (transformation.type === 'precise') {
                 await this.applyPreciseTransformation(transformation);
             } else {
-                this.logger.error('精密版以外の変換はサポートされていません');
-                return;
+                throw new Error('精密版以外の変換はサポートされていません');
             }
 
 
         } catch (error) {
             this.logger.error('画像変換適用エラー', error);
+            throw error;
         }
     }
 
@@ -147,50 +274,14 @@ export class Georeferencing {
         try {
             this.currentTransformation = transformation;
 
-            const imageWidth = this.imageOverlay.currentImage.naturalWidth || this.imageOverlay.currentImage.width;
-            const imageHeight = this.imageOverlay.currentImage.naturalHeight || this.imageOverlay.currentImage.height;
+            // 回転・せん断や高次の歪みを含めて、変換結果のとおりに画像を表示
+            this.imageOverlay.setTransformation(transformation);
 
-            // 画像の4隅の座標をアフィン変換でGPS座標に変換
-            const corners = [
-                { x: 0, y: 0 },                    // 左上
-                { x: imageWidth, y: 0 },           // 右上
-                { x: imageWidth, y: imageHeight }, // 右下
-                { x: 0, y: imageHeight }           // 左下
-            ];
-
-            const transformedCorners = corners.map(corner => {
-                const webMercatorX = transformation.transformation.a * corner.x +
-                                   transformation.transformation.b * corner.y +
-                                   transformation.transformation.c;
-                const webMercatorY = transformation.transformation.d * corner.x +
-                                   transformation.transformation.e * corner.y +
-                                   transformation.transformation.f;
-                
-                return {
-                    lat: mathUtils.webMercatorYToLat(webMercatorY),
-                    lng: mathUtils.webMercatorXToLon(webMercatorX)
-                };
-            });
-
-            // 変換後の境界を計算
-            const lats = transformedCorners.map(c => c.lat);
-            const lngs = transformedCorners.map(c => c.lng);
-            const minLat = Math.min(...lats);
-            const maxLat = Math.max(...lats);
-            const minLng = Math.min(...lngs);
-            const maxLng = Math.max(...lngs);
-
-            // 画像の中心位置を計算
-            const centerLat = (minLat + maxLat) / 2;
-            const centerLng = (minLng + maxLng) / 2;
-
-            // スケール計算（制御点ベース）
-            const scale = this.calculateScaleFromTransformation(transformation);
-
-            this.logger.info(`アフィン変換適用: 中心位置=(${centerLat.toFixed(6)}, ${centerLng.toFixed(6)}), スケール=${scale.toFixed(6)}`);
-
-            // アフィン変換結果による画像位置・スケール設定
-            this.imageOverlay.setTransformedPosition(centerLat, centerLng, scale);
+            const bounds = this.imageOverlay.getBounds();
+            if (bounds) {
+                const center = bounds.getCenter();
+                this.logger.info(`変換適用: 中心位置=(${center.lat.toFixed(6)}, ${center.lng.toFixed(6)})`);
+            }
 
             await this.updatePointJsonMarkersAfterTransformation();
 
@@ -200,72 +291,6 @@ export class Georeferencing {
         }
     }
 
-    calculateScaleFromTransformation(transformation) {
-        try {
-            // アフィン変換行列から直接スケールを計算
-            const t = transformation.transformation;
-
-            // アフィン変換行列の変形スケールを計算
-            // スケールは回転を考慮したベクトルの長さで計算
-            const scaleX = Math.sqrt(t.a * t.a + t.d * t.d);
-            const scaleY = Math.sqrt(t.b * t.b + t.e * t.e);
-
-            // 平均スケールを使用（等方的スケーリングと仮定）
-            const averageScale = (scaleX + scaleY) / 2;
-
-            // 制御点から実際のスケールを計算して検証
-            if (transformation.controlPoints && transformation.controlPoints.length >= 2) {
-                const point1 = transformation.controlPoints[0];
-                const point2 = transformation.controlPoints[1];
-                
-                // 画像座標での距離
-                const imageDistance = Math.sqrt(
-                    Math.pow(point2.pointJson.imageX - point1.pointJson.imageX, 2) +
-                    Math.pow(point2.pointJson.imageY - point1.pointJson.imageY, 2)
-                );
-                
-                // GPS座標での距離（メートル）
-                const gpsDistance = mathUtils.calculateGpsDistance(
-                    point1.gpsPoint.lat, point1.gpsPoint.lng,
-                    point2.gpsPoint.lat, point2.gpsPoint.lng
-                );
-                
-                if (imageDistance > 0 && gpsDistance > 0) {
-                    // 実際のスケール（メートル/ピクセル）
-                    const actualScale = gpsDistance / imageDistance;
-                    
-                    // 現在のズームレベルでの地図解像度で正規化
-                    const centerPos = this.mapCore.getMap().getCenter();
-                    const currentZoom = this.mapCore.getMap().getZoom();
-                    const metersPerPixelAtCenter = mathUtils.calculateMetersPerPixel(centerPos.lat, currentZoom);
-                    
-                    // 実際のスケールをLeafletのスケールに変換
-                    const leafletScale = actualScale / metersPerPixelAtCenter;
-                    
-                    this.logger.info(`スケール計算: 画像距離=${imageDistance.toFixed(2)}px, GPS距離=${gpsDistance.toFixed(2)}m, 実際スケール=${actualScale.toFixed(6)}m/px, Leafletスケール=${leafletScale.toFixed(6)}`);
-                    
-                    return leafletScale;
-                }
-            }
-
-            // フォールバック: アフィン変換行列から計算
-            const centerPos = this.mapCore.getMap().getCenter();
-            const currentZoom = this.mapCore.getMap().getZoom();
-            const metersPerPixelAtCenter = mathUtils.calculateMetersPerPixel(centerPos.lat, currentZoom);
-            const leafletScale = averageScale / metersPerPixelAtCenter;
-
-            this.logger.info(`フォールバックスケール計算: 平均スケール=${averageScale.toFixed(6)}, Leafletスケール=${leafletScale.toFixed(6)}`);
-
-            return leafletScale;
-
-        } catch (error) {
-            this.logger.error('スケール計算エラー', error);
-            return this.imageOverlay.getDefaultScale();
-        }
-    }
-
-
-
     matchPointJsonWithGPS(gpsPoints) {
         try {
             const matchedPairs = [];
@@ -330,6 +355,103 @@ export class Georeferencing {
         }
     }
 
+    /**
+     * 変換に使用する制御点（IDが一致したポイントと手動で追加した組のうち、無効にしていないもの）
+     * @param {Array} matchedPairs - matchPointJsonWithGPSで一致した組
+     * @returns {Array} 制御点配列
+     */
+    getEnabledControlPairs(matchedPairs) {
+        return [...matchedPairs, ...this.manualControlPairs]
+            .filter(pair => !this.disabledControlPointIds.has(pair.pointJsonId));
+    }
+
+    /**
+     * 制御点の一覧（一覧表の表示用）
+     * @returns {Array<{pair: Object, manual: boolean, enabled: boolean}>}
+     */
+    listControlPairs() {
+        const matchedPairs = this.matchPointJsonWithGPS(this.gpsData.getPoints()).matchedPairs;
+        return [
+            ...matchedPairs.map(pair => ({ pair, manual: false })),
+            ...this.manualControlPairs.map(pair => ({ pair, manual: true }))
+        ].map(item => ({ ...item, enabled: !this.disabledControlPointIds.has(item.pair.pointJsonId) }));
+    }
+
+    // 変換に使用する制御点の数
+    getEnabledControlPairCount() {
+        const matchedPairs = this.matchPointJsonWithGPS(this.gpsData.getPoints()).matchedPairs;
+        return this.getEnabledControlPairs(matchedPairs).length;
+    }
+
+    /**
+     * 手動で制御点の組を追加
+     * @param {number} imageX - 画像上のX座標（ピクセル）
+     * @param {number} imageY - 画像上のY座標（ピクセル）
+     * @param {Object} gpsPoint - 地図上の位置 { lat, lng, pointId }（ポイントGPSを選んだ場合のみpointId）
+     * @returns {Object} 追加した組
+     */
+    addManualControlPair(imageX, imageY, gpsPoint) {
+        this.manualControlPairCount++;
+        const id = `manual${String(this.manualControlPairCount).padStart(2, '0')}`;
+        const pair = {
+            pointJsonId: id,
+            pointJson: { id, imageX, imageY },
+            gpsPoint: { pointId: gpsPoint.pointId || id, lat: gpsPoint.lat, lng: gpsPoint.lng },
+            manual: true
+        };
+        this.manualControlPairs.push(pair);
+        return pair;
+    }
+
+    /**
+     * 手動で追加した組の座標を変更
+     * @param {string} id - 組のID
+     * @param {Object} values - 変更する値 { imageX, imageY, lat, lng }（省略した値は変更しない）
+     */
+    updateManualControlPair(id, values) {
+        const pair = this.manualControlPairs.find(p => p.pointJsonId === id);
+        if (!pair) {
+            throw new Error(`制御点が見つかりません: ${id}`);
+        }
+
+        ['imageX', 'imageY', 'lat', 'lng'].forEach(key => {
+            if (values[key] === undefined) return;
+            const value = parseFloat(values[key]);
+            if (!isFinite(value)) {
+                throw new Error(`${id}: 数値を入力してください`);
+            }
+            if ((key === 'lat' && Math.abs(value) > 90) || (key === 'lng' && Math.abs(value) > 180)) {
+                throw new Error(`${id}: 緯度・経度の範囲外です`);
+            }
+
+            if (key === 'imageX' || key === 'imageY') {
+                pair.pointJson[key] = value;
+            } else {
+                pair.gpsPoint[key] = value;
+            }
+        });
+    }
+
+    removeManualControlPair(id) {
+        this.manualControlPairs = this.manualControlPairs.filter(p => p.pointJsonId !== id);
+        this.disabledControlPointIds.delete(id);
+    }
+
+    clearManualControlPairs() {
+        this.manualControlPairs.forEach(pair => this.disabledControlPointIds.delete(pair.pointJsonId));
+        this.manualControlPairs = [];
+        this.manualControlPairCount = 0;
+    }
+
+    // 制御点を変換に使用するかを切り替え（IDが一致したポイント・手動の組の両方）
+    setControlPairEnabled(id, enabled) {
+        if (enabled) {
+            this.disabledControlPointIds.delete(id);
+        } else {
+            this.disabledControlPointIds.add(id);
+        }
+    }
+
     async updatePointJsonMarkersAfterTransformation() {
         try {
             if (!this.currentTransformation || !this.imageCoordinateMarkers || this.imageCoordinateMarkers.length === 0) {
@@ -382,10 +504,7 @@ export class Georeferencing {
         try {
             
             if (transformation.type === 'precise') {
-                const result = mathUtils.applyAffineTransform(imageX, imageY, transformation);
-                if (result) {
-                }
-                return result;
+                return mathUtils.applyTransformation(imageX, imageY, transformation);
             } else {
                 this.logger.error('精密版以外の変換はサポートされていません');
                 return null;
@@ -397,6 +516,37 @@ export class Georeferencing {
         }
     }
 
+    /**
+     * ジオリファレンス済み画像の4隅のGPS座標を取得
+     * @returns {Array<{lat: number, lng: number}>|null} 左上・右上・右下・左下（未変換時はnull）
+     */
+    getImageCornerLatLngs() {
+        if (!this.currentTransformation || !this.imageOverlay.currentImage.src) {
+            return null;
+        }
+
+        const imageWidth = this.imageOverlay.currentImage.naturalWidth || this.imageOverlay.currentImage.width;
+        const imageHeight = this.imageOverlay.currentImage.naturalHeight || this.imageOverlay.currentImage.height;
+
+        const corners = [
+            { x: 0, y: 0 },                    // 左上
+            { x: imageWidth, y: 0 },           // 右上
+            { x: imageWidth, y: imageHeight }, // 右下
+            { x: 0, y: imageHeight }           // 左下
+        ];
+
+        const latLngs = [];
+        for (const corner of corners) {
+            const result = this.transformImageCoordsToGps(corner.x, corner.y, this.currentTransformation);
+            if (!result) {
+                return null;
+            }
+            latLngs.push({ lat: result[0], lng: result[1] });
+        }
+
+        return latLngs;
+    }
+
     createUpdatedPopupContent(pointInfo, transformedCoords) {
         try {
             return pointInfo.name || 'ポイント';
@@ -0,0 +1,148 @@
+// GeoTIFF作成モジュール
+// 外部ライブラリを使わず、無圧縮のRGBA画像にModelTransformationTagとGeoKeyを埋め込んだGeoTIFFを生成する
+// 座標系はWeb Mercator（EPSG:3857）
+
+// TIFFのデータ型（型番号とバイト数）
+const TIFF_TYPES = {
+    SHORT: { id: 3, size: 2 },
+    LONG: { id: 4, size: 4 },
+    RATIONAL: { id: 5, size: 8 },
+    DOUBLE: { id: 12, size: 8 }
+};
+
+// TIFFタグ番号
+const TAGS = {
+    IMAGE_WIDTH: 256,
+    IMAGE_LENGTH: 257,
+    BITS_PER_SAMPLE: 258,
+    COMPRESSION: 259,
+    PHOTOMETRIC_INTERPRETATION: 262,
+    STRIP_OFFSETS: 273,
+    SAMPLES_PER_PIXEL: 277,
+    ROWS_PER_STRIP: 278,
+    STRIP_BYTE_COUNTS: 279,
+    X_RESOLUTION: 282,
+    Y_RESOLUTION: 283,
+    PLANAR_CONFIGURATION: 284,
+    RESOLUTION_UNIT: 296,
+    EXTRA_SAMPLES: 338,
+    MODEL_TRANSFORMATION: 34264,
+    GEO_KEY_DIRECTORY: 34735
+};
+
+// GeoKey（GeoTIFF仕様 6.2）
+const GEO_KEYS = {
+    GT_MODEL_TYPE: 1024,      // 1: 投影座標系
+    GT_RASTER_TYPE: 1025,     // 1: PixelIsArea（画素の左上隅が画像座標の整数位置）
+    PROJECTED_CS_TYPE: 3072   // EPSGコード
+};
+
+const WEB_MERCATOR_EPSG = 3857;
+
+export class GeoTiffWriter {
+    /**
+     * GeoTIFFを生成
+     * @param {ImageData|{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA画素（アルファは非乗算）
+     * @param {{a: number, b: number, c: number, d: number, e: number, f: number}} transform -
+     *     画像座標(x, y)→Web Mercator(X, Y)のアフィン変換（X = a*x + b*y + c, Y = d*x + e*y + f）
+     * @returns {Blob} GeoTIFFデータ
+     */
+    generate(imageData, transform) {
+        const { width, height, data } = imageData;
+        const pixelBytes = width * height * 4;
+
+        const entries = [
+            { tag: TAGS.IMAGE_WIDTH, type: TIFF_TYPES.LONG, values: [width] },
+            { tag: TAGS.IMAGE_LENGTH, type: TIFF_TYPES.LONG, values: [height] },
+            { tag: TAGS.BITS_PER_SAMPLE, type: TIFF_TYPES.SHORT, values: [8, 8, 8, 8] },
+            { tag: TAGS.COMPRESSION, type: TIFF_TYPES.SHORT, values: [1] },               // 無圧縮
+            { tag: TAGS.PHOTOMETRIC_INTERPRETATION, type: TIFF_TYPES.SHORT, values: [2] }, // RGB
+            { tag: TAGS.STRIP_OFFSETS, type: TIFF_TYPES.LONG, values: [0] },              // 画素データの位置（後で設定）
+            { tag: TAGS.SAMPLES_PER_PIXEL, type: TIFF_TYPES.SHORT, values: [4] },
+            { tag: TAGS.ROWS_PER_STRIP, type: TIFF_TYPES.LONG, values: [height] },
+            { tag: TAGS.STRIP_BYTE_COUNTS, type: TIFF_TYPES.LONG, values: [pixelBytes] },
+            { tag: TAGS.X_RESOLUTION, type: TIFF_TYPES.RATIONAL, values: [72, 1] },
+            { tag: TAGS.Y_RESOLUTION, type: TIFF_TYPES.RATIONAL, values: [72, 1] },
+            { tag: TAGS.PLANAR_CONFIGURATION, type: TIFF_TYPES.SHORT, values: [1] },
+            { tag: TAGS.RESOLUTION_UNIT, type: TIFF_TYPES.SHORT, values: [2] },
+            { tag: TAGS.EXTRA_SAMPLES, type: TIFF_TYPES.SHORT, values: [2] },             // 非乗算アルファ
+            {
+                tag: TAGS.MODEL_TRANSFORMATION,
+                type: TIFF_TYPES.DOUBLE,
+                values: [
+                    transform.a, transform.b, 0, transform.c,
+                    transform.d, transform.e, 0, transform.f,
+                    0, 0, 0, 0,
+                    0, 0, 0, 1
+                ]
+            },
+            {
+                tag: TAGS.GEO_KEY_DIRECTORY,
+                type: TIFF_TYPES.SHORT,
+                values: [
+                    1, 1, 0, 3, // バージョン1.1.0、キー数3
+                    GEO_KEYS.GT_MODEL_TYPE, 0, 1, 1,
+                    GEO_KEYS.GT_RASTER_TYPE, 0, 1, 1,
+                    GEO_KEYS.PROJECTED_CS_TYPE, 0, 1, WEB_MERCATOR_EPSG
+                ]
+            }
+        ];
+
+        // ファイル構成: ヘッダー(8) → IFD → 4バイトに収まらない値 → 画素データ
+        const ifdOffset = 8;
+        const ifdSize = 2 + entries.length * 12 + 4;
+        let dataOffset = ifdOffset + ifdSize;
+        entries.forEach(entry => {
+            const byteLength = entry.type.size * entry.values.length / (entry.type === TIFF_TYPES.RATIONAL ? 2 : 1);
+            entry.byteLength = byteLength;
+            if (byteLength > 4) {
+                entry.offset = dataOffset;
+                dataOffset += byteLength + (byteLength % 2); // 値は偶数バイト境界に配置
+            }
+        });
+        const pixelOffset = dataOffset;
+        entries.find(entry => entry.tag === TAGS.STRIP_OFFSETS).values[0] = pixelOffset;
+
+        const header = new DataView(new ArrayBuffer(pixelOffset));
+        header.setUint8(0, 0x49); // 'II'（リトルエンディアン）
+        header.setUint8(1, 0x49);
+        header.setUint16(2, 42, true);
+        header.setUint32(4, ifdOffset, true);
+
+        header.setUint16(ifdOffset, entries.length, true);
+        entries.forEach((entry, index) => {
+            const position = ifdOffset + 2 + index * 12;
+            const count = entry.type === TIFF_TYPES.RATIONAL ? entry.values.length / 2 : entry.values.length;
+            header.setUint16(position, entry.tag, true);
+            header.setUint16(position + 2, entry.type.id, true);
+            header.setUint32(position + 4, count, true);
+
+            if (entry.offset !== undefined) {
+                header.setUint32(position + 8, entry.offset, true);
+                this.writeValues(header, entry.offset, entry);
+            } else {
+                this.writeValues(header, position + 8, entry);
+            }
+        });
+        header.setUint32(ifdOffset + 2 + entries.length * 12, 0, true); // 次のIFDなし
+
+        return new Blob([header, new Uint8Array(data.buffer, data.byteOffset, pixelBytes)], { type: 'image/tiff' });
+    }
+
+    writeValues(view, offset, entry) {
+        entry.values.forEach((value, index) => {
+            switch (entry.type) {
+                case TIFF_TYPES.SHORT:
+                    view.setUint16(offset + index * 2, value, true);
+                    break;
+                case TIFF_TYPES.LONG:
+                case TIFF_TYPES.RATIONAL:
+                    view.setUint32(offset + index * 4, value, true);
+                    break;
+                case TIFF_TYPES.DOUBLE:
+                    view.setFloat64(offset + index * 8, value, true);
+                    break;
+            }
+        });
+    }
+}
\ No newline at end of file
@@ -1,5 +1,7 @@
 // 画像オーバーレイ機能を管理するモジュール
-import { DEFAULTS } from './constants.js';
+import { CONFIG, DEFAULTS } from './constants.js';
+import { mathUtils } from './math-utils.js';
+import { TransformedImageLayer } from './transformed-image-layer.js';
 
 export class ImageOverlay {
     constructor(mapCore) {
@@ -11,7 +13,7 @@ export class ImageOverlay {
         this.centerMarker = null;
         this.isMovingImage = false;
         this.imageUpdateCallbacks = [];
-        this.transformedCenter = null; // アフィン変換結果の中心位置
+        this.transformedLayer = null; // ジオリファレンス結果の変換を適用した画像レイヤー
         
         // 内部scale管理（初期値はconstantsから取得）
         this.currentScale = this.getDefaultScale();
@@ -68,11 +70,18 @@ export class ImageOverlay {
             return;
         }
 
+        // ジオリファレンス済みの場合は変換結果の位置のまま描き直す
+        if (this.transformedLayer) {
+            this.transformedLayer.redraw();
+            this.notifyImageUpdate();
+            return;
+        }
+
         // 内部管理のscale値を使用
         const scale = this.getCurrentScale();
 
-        // 画像の中心位置：アフィン変換結果があればそれを使用、なければ地図中心を使用
-        const centerPos = this.transformedCenter || this.map.getCenter();
+        // 画像の中心位置は地図中心
+        const centerPos = this.map.getCenter();
         
         // naturalWidth/naturalHeightを使用して正確なピクセル数を取得
         const imageWidth = this.currentImage.naturalWidth || this.currentImage.width;
@@ -91,19 +100,8 @@ export class ImageOverlay {
             return;
         }
         
-        // スケールがアフィン変換から計算された場合は、そのまま使用
-        // そうでない場合は、従来の計算方法を使用
-        let scaledImageWidthMeters, scaledImageHeightMeters;
-        
-        if (this.transformedCenter) {
-            // アフィン変換結果の場合：スケールは既に正規化済み
-            scaledImageWidthMeters = imageWidth * scale * metersPerPixel;
-            scaledImageHeightMeters = imageHeight * scale * metersPerPixel;
-        } else {
-            // 通常の場合：従来の計算
-            scaledImageWidthMeters = imageWidth * scale * metersPerPixel;
-            scaledImageHeightMeters = imageHeight * scale * metersPerPixel;
-        }
+        const scaledImageWidthMeters = imageWidth * scale * metersPerPixel;
+        const scaledImageHeightMeters = imageHeight * scale * metersPerPixel;
         
         // 地球半径と緯度による補正
         const earthRadius = 6378137;
@@ -175,6 +173,8 @@ export class ImageOverlay {
                     if (this.imageOverlay) {
                         this.map.removeLayer(this.imageOverlay);
                     }
+                    // 前の画像の変換結果は新しい画像には適用しない
+                    this.clearTransformation();
                     
                     this.imageOverlay = L.imageOverlay(e.target.result, this.getInitialBounds(), {
                         opacity: this.getDisplayOpacity(),
@@ -213,67 +213,65 @@ export class ImageOverlay {
         this.imageUpdateCallbacks.push(callback);
     }
 
-    // アフィン変換結果による画像位置・スケール設定
-    setTransformedPosition(centerLat, centerLng, scale) {
-        this.transformedCenter = { lat: centerLat, lng: centerLng };
-        this.setCurrentScale(scale);
-        
-        // アフィン変換結果の場合は、直接境界を設定
-        if (this.imageOverlay && this.currentImage.src) {
-            const imageWidth = this.currentImage.naturalWidth || this.currentImage.width;
-            const imageHeight = this.currentImage.naturalHeight || this.currentImage.height;
-            
-            if (imageWidth && imageHeight) {
-                // より正確なメートル/ピクセル変換
-                const metersPerPixel = 156543.03392 * Math.cos(centerLat * Math.PI / 180) / Math.pow(2, this.map.getZoom());
-                
-                if (isFinite(metersPerPixel) && metersPerPixel > 0) {
-                    const scaledImageWidthMeters = imageWidth * scale * metersPerPixel;
-                    const scaledImageHeightMeters = imageHeight * scale * metersPerPixel;
-                    
-                    // 地球半径と緯度による補正
-                    const earthRadius = 6378137;
-                    const cosLat = Math.cos(centerLat * Math.PI / 180);
-                    
-                    const latOffset = (scaledImageHeightMeters / 2) / earthRadius * (180 / Math.PI);
-                    const lngOffset = (scaledImageWidthMeters / 2) / (earthRadius * cosLat) * (180 / Math.PI);
-                    
-                    if (isFinite(latOffset) && isFinite(lngOffset)) {
-                        const southWest = [centerLat - latOffset, centerLng - lngOffset];
-                        const northEast = [centerLat + latOffset, centerLng + lngOffset];
-                        
-                        if (isFinite(southWest[0]) && isFinite(southWest[1]) && 
-                            isFinite(northEast[0]) && isFinite(northEast[1])) {
-                            
-                            const bounds = L.latLngBounds(southWest, northEast);
-                            this.imageOverlay.setBounds(bounds);
-                            
-                            // 画像レイヤーが地図に追加されていない場合は再追加
-                            if (!this.map.hasLayer(this.imageOverlay)) {
-                                this.imageOverlay.addTo(this.map);
-                            }
-                            
-                            // 強制的に画像レイヤーを再描画
-                            if (this.imageOverlay._image && typeof this.imageOverlay._reset === 'function') {
-                                this.imageOverlay._reset();
-                            }
-                            
-                            // 短時間後に地図の強制更新
-                            setTimeout(() => {
-                                this.map.invalidateSize();
-                            }, 50);
-                            
-                            // 画像更新をコールバックに通知
-                            this.notifyImageUpdate();
-                            return;
-                        }
-                    }
-                }
-            }
+    /**
+     * ジオリファレンス結果の変換（回転・せん断・高次の歪みを含む）を適用して画像を表示
+     * 南北・東西に沿った矩形しか扱えないL.imageOverlayは隠し、変換後の範囲だけを保持する
+     * @param {Object} transformation - calculateTransformationの結果
+     */
+    setTransformation(transformation) {
+        if (!this.imageOverlay || !this.currentImage.src) {
+            return;
+        }
+
+        if (!this.transformedLayer) {
+            this.transformedLayer = new TransformedImageLayer(this.map, this.currentImage, {
+                opacity: this.getDisplayOpacity()
+            });
+        }
+        this.transformedLayer.setTransformation(transformation);
+        this.transformedLayer.addTo();
+
+        // 画像座標とGPS座標の簡易換算（getBounds）は変換後の範囲を使用
+        this.imageOverlay.setBounds(this.transformedLayer.getBounds());
+        if (this.map.hasLayer(this.imageOverlay)) {
+            this.map.removeLayer(this.imageOverlay);
+        }
+
+        this.notifyImageUpdate();
+    }
+
+    /**
+     * 出力用のジオリファレンス済み画像
+     * アフィン変換は元の画像をそのまま使い、多項式・TPS変換はWeb Mercatorの東西・南北に沿って描き直す
+     * @returns {{canvas: HTMLCanvasElement, transform: Object, resampled: boolean}|null}
+     *     画像、画像座標→Web Mercatorのアフィン変換、描き直したかどうか（未変換時はnull）
+     */
+    createGeoreferencedRaster() {
+        if (!this.transformedLayer) {
+            return null;
+        }
+
+        const transformation = this.transformedLayer.transformation;
+        if (transformation.modelParameters) {
+            const result = this.transformedLayer.renderToCanvas(CONFIG.RASTER_EXPORT_MAX_SIZE);
+            return result ? { ...result, resampled: true } : null;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.currentImage.naturalWidth || this.currentImage.width;
+        canvas.height = this.currentImage.naturalHeight || this.currentImage.height;
+        canvas.getContext('2d').drawImage(this.currentImage, 0, 0);
+
+        const { a, b, c, d, e, f } = transformation.transformation;
+        return { canvas, transform: { a, b, c, d, e, f }, resampled: false };
+    }
+
+    // 変換の適用を解除（次の表示更新から地図中心・スケールによる配置に戻る）
+    clearTransformation() {
+        if (this.transformedLayer) {
+            this.transformedLayer.remove();
+            this.transformedLayer = null;
         }
-        
-        // フォールバック: 通常の更新処理
-        this.updateImageDisplay();
     }
 
     // 画像更新時のコールバックを実行
@@ -287,7 +285,69 @@ export class ImageOverlay {
     }
 
 
+    /**
+     * 変換後の画像の格子点のWeb Mercator座標（タイル作成用）
+     * @returns {Object|null} TransformedImageLayer.getMercatorMeshの結果（未変換の場合はnull）
+     */
+    getTransformedMesh() {
+        return this.transformedLayer ? this.transformedLayer.getMercatorMesh() : null;
+    }
+
+    /**
+     * 画像座標を地図上の位置に変換（変換済みの場合は変換結果、未変換の場合は表示中の範囲から換算）
+     * @returns {L.LatLng|null} 地図上の位置
+     */
+    imageToLatLng(imageX, imageY) {
+        if (!this.imageOverlay || !this.currentImage.src) {
+            return null;
+        }
+
+        if (this.transformedLayer) {
+            const result = mathUtils.applyTransformation(imageX, imageY, this.transformedLayer.transformation);
+            return result ? L.latLng(result[0], result[1]) : null;
+        }
+
+        const imageWidth = this.currentImage.naturalWidth || this.currentImage.width;
+        const imageHeight = this.currentImage.naturalHeight || this.currentImage.height;
+        const result = mathUtils.convertImageCoordsToGps(imageX, imageY, this.imageOverlay.getBounds(), imageWidth, imageHeight);
+        return result ? L.latLng(result[0], result[1]) : null;
+    }
+
+    /**
+     * 地図上の位置を画像座標に変換
+     * @param {L.LatLng} latLng - 地図上の位置
+     * @returns {{x: number, y: number}|null} 画像座標（画像の範囲外はnull）
+     */
+    latLngToImagePoint(latLng) {
+        if (!this.imageOverlay || !this.currentImage.src) {
+            return null;
+        }
+
+        if (this.transformedLayer) {
+            return this.transformedLayer.latLngToImagePoint(latLng);
+        }
+
+        const bounds = this.imageOverlay.getBounds();
+        if (!bounds.contains(latLng)) {
+            return null;
+        }
+
+        const imageWidth = this.currentImage.naturalWidth || this.currentImage.width;
+        const imageHeight = this.currentImage.naturalHeight || this.currentImage.height;
+        const southWest = bounds.getSouthWest();
+        const northEast = bounds.getNorthEast();
+        return {
+            x: (latLng.lng - southWest.lng) / (northEast.lng - southWest.lng) * imageWidth,
+            y: (northEast.lat - latLng.lat) / (northEast.lat - southWest.lat) * imageHeight
+        };
+    }
+
     getBounds() {
+        // 変換済みの場合は変換後の画像を囲む範囲
+        if (this.transformedLayer) {
+            return this.transformedLayer.getBounds();
+        }
+
         // Leafletのimageoverlayインスタンスから現在の境界を取得
         if (this.imageOverlay && typeof this.imageOverlay.getBounds === 'function') {
             return this.imageOverlay.getBounds();
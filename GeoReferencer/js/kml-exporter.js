@@ -0,0 +1,194 @@
+// KML/KMZ出力機能を管理するモジュール
+// GeoJSON出力と同じフィーチャー（ポイントGPS・ルート中間点・スポット）をKMLのPlacemarkとして出力し、
+// KMZではジオリファレンス済み画像をGroundOverlay(gx:LatLonQuad)として同梱する
+import { Logger } from './utils.js';
+import { CONFIG, MARKER_STYLES } from './constants.js';
+import { ZipWriter } from './zip-writer.js';
+
+// フィーチャー種別ごとのフォルダ名とアイコン
+const FEATURE_FOLDERS = [
+    { type: 'ポイントGPS', folderName: 'ポイントGPS' },
+    { type: 'route_waypoint', folderName: 'ルート中間点' },
+    { type: 'spot', folderName: 'スポット' }
+];
+
+const SHAPE_ICONS = {
+    circle: 'http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png',
+    diamond: 'http://maps.google.com/mapfiles/kml/shapes/open-diamond.png',
+    square: 'http://maps.google.com/mapfiles/kml/shapes/placemark_square.png'
+};
+
+export class KmlExporter {
+    constructor() {
+        this.logger = new Logger('KmlExporter');
+    }
+
+    /**
+     * GeoJSON FeatureCollectionからKML文書を生成
+     * @param {Object} geoJsonData - collectGeoreferencedDataの結果
+     * @param {Object} options - 出力オプション
+     * @param {string} options.documentName - KMLのDocument名
+     * @param {Array<{lat: number, lng: number}>} [options.overlayCorners] - 画像4隅（左上・右上・右下・左下）
+     * @param {string} [options.overlayHref] - GroundOverlayの画像パス
+     * @returns {string} KML文字列
+     */
+    createKml(geoJsonData, options = {}) {
+        const documentName = options.documentName || 'GeoReferencer';
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+            '<Document>',
+            `  <name>${this.escapeXml(documentName)}</name>`
+        ];
+
+        // マーカー色に合わせたスタイル定義
+        for (const { type } of FEATURE_FOLDERS) {
+            lines.push(...this.createStyleLines(type));
+        }
+
+        // ジオリファレンス済み画像
+        if (options.overlayCorners && options.overlayHref) {
+            lines.push(...this.createGroundOverlayLines(documentName, options.overlayHref, options.overlayCorners));
+        }
+
+        // フィーチャー種別ごとにフォルダへ格納
+        const features = (geoJsonData && geoJsonData.features) || [];
+        for (const { type, folderName } of FEATURE_FOLDERS) {
+            const folderFeatures = features.filter(feature => feature.properties && feature.properties.type === type);
+            if (folderFeatures.length === 0) {
+                continue;
+            }
+
+            lines.push('  <Folder>');
+            lines.push(`    <name>${this.escapeXml(folderName)}</name>`);
+            folderFeatures.forEach(feature => {
+                lines.push(...this.createPlacemarkLines(feature));
+            });
+            lines.push('  </Folder>');
+        }
+
+        lines.push('</Document>');
+        lines.push('</kml>');
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * KMZ（doc.kml + オーバーレイ画像のZIP）を生成
+     * @param {Object} geoJsonData - collectGeoreferencedDataの結果
+     * @param {Object} options - 出力オプション
+     * @param {string} options.documentName - KMLのDocument名
+     * @param {Uint8Array} [options.imageBytes] - オーバーレイ画像(PNG)のバイト列
+     * @param {Array<{lat: number, lng: number}>} [options.overlayCorners] - 画像4隅（左上・右上・右下・左下）
+     * @returns {Blob} KMZデータ
+     */
+    createKmz(geoJsonData, options = {}) {
+        const zipWriter = new ZipWriter();
+        const hasOverlay = options.imageBytes && options.overlayCorners;
+
+        const kmlText = this.createKml(geoJsonData, {
+            documentName: options.documentName,
+            overlayCorners: hasOverlay ? options.overlayCorners : null,
+            overlayHref: hasOverlay ? CONFIG.KML_OVERLAY_IMAGE_PATH : null
+        });
+
+        // KMZでは先頭のdoc.kmlがメイン文書として扱われる
+        zipWriter.addFile('doc.kml', kmlText);
+        if (hasOverlay) {
+            zipWriter.addFile(CONFIG.KML_OVERLAY_IMAGE_PATH, options.imageBytes);
+        } else {
+            this.logger.warn('オーバーレイ画像がないため、KMZにはPlacemarkのみ出力します');
+        }
+
+        return zipWriter.generate('application/vnd.google-earth.kmz');
+    }
+
+    createStyleLines(type) {
+        const style = MARKER_STYLES[type];
+        return [
+            `  <Style id="${this.getStyleId(type)}">`,
+            '    <IconStyle>',
+            `      <color>${this.toKmlColor(style.color)}</color>`,
+            `      <scale>${(style.size / 16).toFixed(2)}</scale>`,
+            `      <Icon><href>${SHAPE_ICONS[style.shape]}</href></Icon>`,
+            '    </IconStyle>',
+            '  </Style>'
+        ];
+    }
+
+    createGroundOverlayLines(name, href, corners) {
+        // gx:LatLonQuadは左下から反時計回り（左下・右下・右上・左上）で指定する
+        const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+        const coordinates = [bottomLeft, bottomRight, topRight, topLeft]
+            .map(corner => `${corner.lng},${corner.lat}`)
+            .join(' ');
+        const opacity = Math.round(CONFIG.KML_OVERLAY_OPACITY * 255).toString(16).padStart(2, '0');
+
+        return [
+            '  <GroundOverlay>',
+            `    <name>${this.escapeXml(name)}</name>`,
+            `    <color>${opacity}ffffff</color>`,
+            `    <Icon><href>${this.escapeXml(href)}</href></Icon>`,
+            '    <gx:LatLonQuad>',
+            `      <coordinates>${coordinates}</coordinates>`,
+            '    </gx:LatLonQuad>',
+            '  </GroundOverlay>'
+        ];
+    }
+
+    createPlacemarkLines(feature) {
+        const properties = feature.properties;
+        // ポイントGPSはポイントIDで識別するため、IDを名前として使用
+        const name = properties.type === 'ポイントGPS' ? properties.id : properties.name;
+        const coordinates = feature.geometry.coordinates.join(',');
+
+        const lines = [
+            '    <Placemark>',
+            `      <name>${this.escapeXml(name || '')}</name>`
+        ];
+        if (properties.description) {
+            lines.push(`      <description>${this.escapeXml(properties.description)}</description>`);
+        }
+        lines.push(`      <styleUrl>#${this.getStyleId(properties.type)}</styleUrl>`);
+
+        // GeoJSONのpropertiesをそのままExtendedDataとして保持
+        lines.push('      <ExtendedData>');
+        Object.entries(properties).forEach(([key, value]) => {
+            if (value === undefined || value === null) return;
+            lines.push(`        <Data name="${this.escapeXml(key)}"><value>${this.escapeXml(value)}</value></Data>`);
+        });
+        lines.push('      </ExtendedData>');
+
+        lines.push(`      <Point><coordinates>${coordinates}</coordinates></Point>`);
+        lines.push('    </Placemark>');
+        return lines;
+    }
+
+    getStyleId(type) {
+        switch (type) {
+            case 'ポイントGPS': return 'style-gps-point';
+            case 'route_waypoint': return 'style-route-waypoint';
+            case 'spot': return 'style-spot';
+            default: return 'style-default';
+        }
+    }
+
+    /**
+     * #rrggbb形式の色をKMLのaabbggrr形式に変換
+     * @param {string} hexColor - #rrggbb形式の色
+     * @returns {string} aabbggrr形式の色
+     */
+    toKmlColor(hexColor) {
+        const hex = hexColor.replace('#', '');
+        return `ff${hex.substring(4, 6)}${hex.substring(2, 4)}${hex.substring(0, 2)}`;
+    }
+
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
\ No newline at end of file
@@ -1,6 +1,7 @@
 // 統合された数学・座標変換ユーティリティモジュール
 // 座標変換、行列計算、アフィン変換、マーカー作成を統一管理
 import { Logger } from './utils.js';
+import { MARKER_STYLES } from './constants.js';
 
 export class MathUtils {
     constructor() {
@@ -103,6 +104,74 @@ export class MathUtils {
         }
     }
 
+    // 変換モデル（アフィン・多項式・TPS）で画像座標をGPS座標に変換
+    applyTransformation(imageX, imageY, transformation) {
+        try {
+            if (!transformation || !transformation.transformation) {
+                this.logger.error('変換パラメータが不正です');
+                return null;
+            }
+
+            // アフィン以外のモデルはモデル固有のパラメータで変換
+            const modelParameters = transformation.modelParameters || transformation.transformation;
+            const mercator = this.evaluateTransformation(modelParameters, imageX, imageY);
+            if (!mercator) {
+                return null;
+            }
+
+            return [this.webMercatorYToLat(mercator.y), this.webMercatorXToLon(mercator.x)];
+
+        } catch (error) {
+            this.logger.error('座標変換エラー', error);
+            return null;
+        }
+    }
+
+    // 変換パラメータで画像座標をWeb Mercator座標に変換
+    // model未指定のパラメータ（{a, b, c, d, e, f}）はアフィン変換として扱う
+    evaluateTransformation(parameters, imageX, imageY) {
+        switch (parameters.model) {
+            case 'polynomial': {
+                const terms = this.polynomialTerms(
+                    (imageX - parameters.normalization.offsetX) / parameters.normalization.scale,
+                    (imageY - parameters.normalization.offsetY) / parameters.normalization.scale,
+                    parameters.order
+                );
+                return {
+                    x: terms.reduce((sum, term, i) => sum + term * parameters.xCoefficients[i], 0),
+                    y: terms.reduce((sum, term, i) => sum + term * parameters.yCoefficients[i], 0)
+                };
+            }
+
+            case 'tps': {
+                const nx = (imageX - parameters.normalization.offsetX) / parameters.normalization.scale;
+                const ny = (imageY - parameters.normalization.offsetY) / parameters.normalization.scale;
+                const n = parameters.nodes.length;
+                const wx = parameters.xWeights;
+                const wy = parameters.yWeights;
+
+                // アフィン部分
+                let x = wx[n] + wx[n + 1] * nx + wx[n + 2] * ny;
+                let y = wy[n] + wy[n + 1] * nx + wy[n + 2] * ny;
+
+                // 放射基底関数部分
+                parameters.nodes.forEach((node, i) => {
+                    const u = this.thinPlateKernel(Math.hypot(nx - node.x, ny - node.y));
+                    x += wx[i] * u;
+                    y += wy[i] * u;
+                });
+
+                return { x, y };
+            }
+
+            default:
+                return {
+                    x: parameters.a * imageX + parameters.b * imageY + parameters.c,
+                    y: parameters.d * imageX + parameters.e * imageY + parameters.f
+                };
+        }
+    }
+
     // ==========================================
     // 行列計算関数
     // ==========================================
@@ -212,9 +281,9 @@ export class MathUtils {
             case 'pointJSON':
             case 'georeference-point':
                 return L.circleMarker(latLng, {
-                    radius: 6,
-                    color: '#ff0000',
-                    fillColor: '#ff0000',
+                    radius: MARKER_STYLES.pointJSON.size / 2,
+                    color: MARKER_STYLES.pointJSON.color,
+                    fillColor: MARKER_STYLES.pointJSON.color,
                     fillOpacity: 1,
                     weight: 0,
                     pane: 'pointJsonMarkers'
@@ -223,7 +292,7 @@ export class MathUtils {
             case 'wayPoint':
                 const diamondIcon = L.divIcon({
                     className: 'diamond-marker',
-                    html: '<div style="width: 8px; height: 8px; background-color: #ffa500; transform: rotate(45deg);"></div>',
+                    html: `<div style="width: 8px; height: 8px; background-color: ${MARKER_STYLES.route_waypoint.color}; transform: rotate(45deg);"></div>`,
                     iconSize: [8, 8],
                     iconAnchor: [4, 4]
                 });
@@ -235,7 +304,7 @@ export class MathUtils {
             case 'spot':
                 const squareIcon = L.divIcon({
                     className: 'square-marker',
-                    html: '<div style="width: 12px; height: 12px; background-color: #0000ff;"></div>',
+                    html: `<div style="width: 12px; height: 12px; background-color: ${MARKER_STYLES.spot.color};"></div>`,
                     iconSize: [12, 12],
                     iconAnchor: [6, 6]
                 });
@@ -247,7 +316,7 @@ export class MathUtils {
             case 'gps-point':
                 const greenCircleIcon = L.divIcon({
                     className: 'gps-green-circle-marker',
-                    html: '<div style="width: 16px; height: 16px; background-color: #008000; border-radius: 50%;"></div>',
+                    html: `<div style="width: 16px; height: 16px; background-color: ${MARKER_STYLES['ポイントGPS'].color}; border-radius: 50%;"></div>`,
                     iconSize: [16, 16],
                     iconAnchor: [8, 8]
                 });
@@ -256,6 +325,20 @@ export class MathUtils {
                     pane: 'gpsMarkers'
                 });
 
+            case 'control-point-image':
+            case 'control-point-map': {
+                const style = MARKER_STYLES.controlPoint;
+                const isImagePoint = markerType === 'control-point-image';
+                return L.circleMarker(latLng, {
+                    radius: style.size / 2,
+                    color: style.color,
+                    fillColor: style.color,
+                    fillOpacity: isImagePoint ? 1 : 0,
+                    weight: isImagePoint ? 0 : 3,
+                    pane: isImagePoint ? 'pointJsonMarkers' : 'gpsMarkers'
+                });
+            }
+
             default:
                 return L.circleMarker(latLng, {
                     radius: 6,
@@ -354,48 +437,226 @@ export class MathUtils {
         }
     }
 
-    // 変換精度を計算
-    calculateTransformationAccuracy(controlPoints, transformation) {
+    // ==========================================
+    // 多項式・薄板スプライン変換関数
+    // ==========================================
+
+    // 画像座標の正規化パラメータを計算（高次項の桁あふれ・悪条件化を防ぐ）
+    calculateNormalization(controlPoints) {
+        const xs = controlPoints.map(p => p.pointJson.imageX);
+        const ys = controlPoints.map(p => p.pointJson.imageY);
+        const offsetX = xs.reduce((sum, v) => sum + v, 0) / xs.length;
+        const offsetY = ys.reduce((sum, v) => sum + v, 0) / ys.length;
+        const scale = Math.max(
+            ...xs.map(x => Math.abs(x - offsetX)),
+            ...ys.map(y => Math.abs(y - offsetY))
+        ) || 1;
+
+        return { offsetX, offsetY, scale };
+    }
+
+    // 多項式の項を生成（次数順: 1, x, y, x², xy, y², x³, x²y, xy², y³ ...）
+    polynomialTerms(x, y, order) {
+        const terms = [];
+        for (let degree = 0; degree <= order; degree++) {
+            for (let yPower = 0; yPower <= degree; yPower++) {
+                terms.push(Math.pow(x, degree - yPower) * Math.pow(y, yPower));
+            }
+        }
+        return terms;
+    }
+
+    // 最小二乗法で多項式変換パラメータを計算
+    calculatePolynomialTransformation(controlPoints, order) {
         try {
-            const errors = [];
-            
-            for (const point of controlPoints) {
-                const imageX = point.pointJson.imageX;
-                const imageY = point.pointJson.imageY;
-                
-                // 変換後座標を計算
-                const transformedX = transformation.a * imageX + transformation.b * imageY + transformation.c;
-                const transformedY = transformation.d * imageX + transformation.e * imageY + transformation.f;
-                
-                // 実際のGPS座標（Web Mercator）
-                const actualX = this.lonToWebMercatorX(point.gpsPoint.lng);
-                const actualY = this.latToWebMercatorY(point.gpsPoint.lat);
-                
-                // 誤差計算（メートル単位）
-                const errorDistance = Math.sqrt(
-                    Math.pow(transformedX - actualX, 2) + 
-                    Math.pow(transformedY - actualY, 2)
-                );
-                
-                errors.push(errorDistance);
+            const normalization = this.calculateNormalization(controlPoints);
+
+            // X・Yそれぞれ独立した最小二乗問題として解く
+            const A = controlPoints.map(p => this.polynomialTerms(
+                (p.pointJson.imageX - normalization.offsetX) / normalization.scale,
+                (p.pointJson.imageY - normalization.offsetY) / normalization.scale,
+                order
+            ));
+            const Bx = controlPoints.map(p => this.lonToWebMercatorX(p.gpsPoint.lng));
+            const By = controlPoints.map(p => this.latToWebMercatorY(p.gpsPoint.lat));
+
+            const At = this.transpose(A);
+            const AtA = this.multiply(At, A);
+            const xCoefficients = this.gaussJordan(AtA, this.multiplyVector(At, Bx));
+            const yCoefficients = this.gaussJordan(AtA, this.multiplyVector(At, By));
+
+            if (!xCoefficients || !yCoefficients) {
+                return null;
             }
-            
-            const meanError = errors.reduce((sum, err) => sum + err, 0) / errors.length;
-            const maxError = Math.max(...errors);
-            const minError = Math.min(...errors);
-            
+
+            return {
+                model: 'polynomial',
+                order,
+                normalization,
+                xCoefficients,
+                yCoefficients
+            };
+
+        } catch (error) {
+            this.logger.error('多項式変換パラメータ計算エラー', error);
+            return null;
+        }
+    }
+
+    // 薄板スプラインの基底関数 U(r) = r² log r
+    thinPlateKernel(r) {
+        return r > 0 ? r * r * Math.log(r) : 0;
+    }
+
+    // 薄板スプライン（TPS）変換パラメータを計算（制御点を厳密に通る補間）
+    calculateThinPlateSplineTransformation(controlPoints) {
+        try {
+            const n = controlPoints.length;
+            const normalization = this.calculateNormalization(controlPoints);
+            const nodes = controlPoints.map(p => ({
+                x: (p.pointJson.imageX - normalization.offsetX) / normalization.scale,
+                y: (p.pointJson.imageY - normalization.offsetY) / normalization.scale
+            }));
+
+            // [K P; Pᵀ 0] の連立方程式を構築
+            const size = n + 3;
+            const L = new Array(size).fill(0).map(() => new Array(size).fill(0));
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    L[i][j] = this.thinPlateKernel(Math.hypot(nodes[i].x - nodes[j].x, nodes[i].y - nodes[j].y));
+                }
+                L[i][n] = L[n][i] = 1;
+                L[i][n + 1] = L[n + 1][i] = nodes[i].x;
+                L[i][n + 2] = L[n + 2][i] = nodes[i].y;
+            }
+
+            const Bx = [...controlPoints.map(p => this.lonToWebMercatorX(p.gpsPoint.lng)), 0, 0, 0];
+            const By = [...controlPoints.map(p => this.latToWebMercatorY(p.gpsPoint.lat)), 0, 0, 0];
+
+            const xWeights = this.gaussJordan(L, Bx);
+            const yWeights = this.gaussJordan(L, By);
+
+            if (!xWeights || !yWeights) {
+                return null;
+            }
+
             return {
-                meanError,
-                maxError,
-                minError,
-                errors
+                model: 'tps',
+                normalization,
+                nodes,
+                xWeights,
+                yWeights
             };
+
+        } catch (error) {
+            this.logger.error('薄板スプライン変換パラメータ計算エラー', error);
+            return null;
+        }
+    }
+
+    // 変換精度を計算（transformationは変換パラメータ、アフィンの場合は {a, b, c, d, e, f}）
+    calculateTransformationAccuracy(controlPoints, transformation) {
+        try {
+            const residuals = controlPoints.map(point => this.calculateResidual(
+                point,
+                this.evaluateTransformation(transformation, point.pointJson.imageX, point.pointJson.imageY)
+            ));
+            return this.summarizeResiduals(residuals);
             
         } catch (error) {
             this.logger.error('精度計算エラー', error);
-            return { meanError: 0, maxError: 0, minError: 0, errors: [] };
+            return this.summarizeResiduals([]);
+        }
+    }
+
+    // 薄板スプライン変換の精度を計算（leave-one-out）
+    // TPSは制御点を厳密に通り残差が常に0になるため、各制御点を除いた残りの点で変換を計算し、除いた点での誤差を残差とする
+    // 残りの点で変換を計算できない点（制御点が3点のみの場合など）は検証できないため、誤差をnullとしてRMSE等の集計から除く
+    calculateThinPlateSplineAccuracy(controlPoints) {
+        try {
+            const residuals = controlPoints.map((point, index) => {
+                const others = controlPoints.filter((_, i) => i !== index);
+                const parameters = others.length >= 3 ? this.calculateThinPlateSplineTransformation(others) : null;
+                if (!parameters) {
+                    return this.createUnverifiedResidual(point);
+                }
+                return this.calculateResidual(
+                    point,
+                    this.evaluateTransformation(parameters, point.pointJson.imageX, point.pointJson.imageY)
+                );
+            });
+            return this.summarizeResiduals(residuals);
+
+        } catch (error) {
+            this.logger.error('薄板スプライン精度計算エラー', error);
+            return this.summarizeResiduals([]);
         }
     }
+
+    // 制御点の残差（transformedは画像上の点を変換したWeb Mercator座標）
+    calculateResidual(point, transformed) {
+        // 実際のGPS座標（Web Mercator）
+        const actualX = this.lonToWebMercatorX(point.gpsPoint.lng);
+        const actualY = this.latToWebMercatorY(point.gpsPoint.lat);
+        
+        // 誤差計算（メートル単位：Web Mercatorの縮尺を緯度で補正）
+        const groundScale = Math.cos(point.gpsPoint.lat * Math.PI / 180);
+        const dx = (transformed.x - actualX) * groundScale;
+        const dy = (transformed.y - actualY) * groundScale;
+        
+        return {
+            pointId: point.pointJsonId,
+            imageX: point.pointJson.imageX,
+            imageY: point.pointJson.imageY,
+            gpsPoint: { lat: point.gpsPoint.lat, lng: point.gpsPoint.lng },
+            // 画像上の点を変換した位置（残差ベクトルの終点）
+            transformedPoint: {
+                lat: this.webMercatorYToLat(transformed.y),
+                lng: this.webMercatorXToLon(transformed.x)
+            },
+            dx,
+            dy,
+            error: Math.sqrt(dx * dx + dy * dy)
+        };
+    }
+
+    // 残差を検証できない制御点（誤差・変換後の位置はnull）
+    createUnverifiedResidual(point) {
+        return {
+            pointId: point.pointJsonId,
+            imageX: point.pointJson.imageX,
+            imageY: point.pointJson.imageY,
+            gpsPoint: { lat: point.gpsPoint.lat, lng: point.gpsPoint.lng },
+            transformedPoint: null,
+            dx: null,
+            dy: null,
+            error: null
+        };
+    }
+
+    // 残差から平均・最大・最小誤差とRMSEを集計（検証できない点は除き、その数をunverifiedCountに記録）
+    // 検証できる点がない場合、誤差の集計値はnull
+    summarizeResiduals(residuals) {
+        if (residuals.length === 0) {
+            return { meanError: 0, maxError: 0, minError: 0, rmse: 0, errors: [], residuals: [], unverifiedCount: 0 };
+        }
+
+        const errors = residuals.filter(residual => residual.error !== null).map(residual => residual.error);
+        const unverifiedCount = residuals.length - errors.length;
+        if (errors.length === 0) {
+            return { meanError: null, maxError: null, minError: null, rmse: null, errors, residuals, unverifiedCount };
+        }
+
+        return {
+            meanError: errors.reduce((sum, err) => sum + err, 0) / errors.length,
+            maxError: Math.max(...errors),
+            minError: Math.min(...errors),
+            rmse: Math.sqrt(errors.reduce((sum, err) => sum + err * err, 0) / errors.length),
+            errors,
+            residuals,
+            unverifiedCount
+        };
+    }
 }
 
 // シングルトンインスタンスをエクスポート
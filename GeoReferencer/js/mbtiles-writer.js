@@ -0,0 +1,426 @@
+// MBTiles作成モジュール
+// 外部ライブラリを使わず、SQLiteのデータベースファイル形式を直接組み立てて
+// metadata・tilesテーブルを持つMBTiles（MBTiles 1.3）を生成する
+// タイル作成ワーカーから使用するため、DOMに依存するモジュールは読み込まない
+
+const PAGE_SIZE = 4096;
+const DATABASE_HEADER_SIZE = 100;
+const MBTILES_APPLICATION_ID = 0x4D504258; // 'MPBX'
+const SQLITE_VERSION_NUMBER = 3045000;
+const INDEX_PAGE_MARGIN = 64; // インデックスのページ末尾に残す余裕（レコード1件分以上）
+
+// B-treeのページ種別
+const PAGE_TYPES = {
+    INDEX_INTERIOR: 0x02,
+    TABLE_INTERIOR: 0x05,
+    INDEX_LEAF: 0x0A,
+    TABLE_LEAF: 0x0D
+};
+
+// sqlite_schemaに登録するテーブル・インデックス
+const SCHEMA = [
+    { type: 'table', name: 'metadata', tableName: 'metadata', sql: 'CREATE TABLE metadata (name text, value text)' },
+    { type: 'table', name: 'tiles', tableName: 'tiles', sql: 'CREATE TABLE tiles (zoom_level integer, tile_column integer, tile_row integer, tile_data blob)' },
+    { type: 'index', name: 'tile_index', tableName: 'tiles', sql: 'CREATE UNIQUE INDEX tile_index ON tiles (zoom_level, tile_column, tile_row)' }
+];
+
+export class MbtilesWriter {
+    constructor() {
+        this.metadataRows = [];
+        this.tileRows = [];
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * metadataテーブルに行を追加
+     * @param {string} name - 項目名（name, format, bounds等）
+     * @param {string|number} value - 値（文字列で格納）
+     */
+    addMetadata(name, value) {
+        this.metadataRows.push([name, String(value)]);
+    }
+
+    /**
+     * タイルを追加
+     * MBTilesの行番号はTMS形式（南が0）のため、XYZ形式の行番号を反転して格納する
+     * @param {number} zoom - ズームレベル
+     * @param {number} x - 列番号
+     * @param {number} y - XYZ形式の行番号（北が0）
+     * @param {Uint8Array} data - タイル画像
+     */
+    addTile(zoom, x, y, data) {
+        this.tileRows.push([zoom, x, Math.pow(2, zoom) - 1 - y, data]);
+    }
+
+    /**
+     * 登録済みタイル数を取得
+     * @returns {number} タイル数
+     */
+    getTileCount() {
+        return this.tileRows.length;
+    }
+
+    /**
+     * MBTiles（SQLiteデータベース）を生成
+     * @returns {Blob} データベースファイル
+     */
+    generate() {
+        // ページ1はデータベースヘッダーとsqlite_schemaテーブルのため、各テーブルはページ2以降に配置
+        const pages = [null];
+        const rootPages = [
+            this.writeTable(pages, this.metadataRows),
+            this.writeTable(pages, this.tileRows),
+            this.writeIndex(pages, this.createTileIndexRecords())
+        ];
+
+        const schemaCells = SCHEMA.map((entry, index) => this.createLeafCell(
+            index + 1,
+            this.encodeRecord([entry.type, entry.name, entry.tableName, rootPages[index], entry.sql]),
+            pages
+        ));
+        const firstPage = this.createPage(PAGE_TYPES.TABLE_LEAF, schemaCells, 0, DATABASE_HEADER_SIZE);
+        this.writeDatabaseHeader(firstPage, pages.length);
+        pages[0] = firstPage;
+
+        return new Blob(pages, { type: 'application/x-sqlite3' });
+    }
+
+    /**
+     * テーブルのB-treeを作成してページを追加
+     * 葉ページに行を順に詰め、ページが2つ以上になった場合は内部ページを積み上げる
+     * @param {Array<Uint8Array>} pages - ページの配列（ページ番号は添字+1）
+     * @param {Array<Array>} rows - 行の配列（rowidは1からの連番）
+     * @returns {number} ルートページの番号
+     */
+    writeTable(pages, rows) {
+        let children = [];
+        let cells = [];
+        let usedBytes = 8;
+
+        const addLeafPage = () => {
+            pages.push(this.createPage(PAGE_TYPES.TABLE_LEAF, cells.map(cell => cell.bytes)));
+            children.push({ pageNumber: pages.length, maxRowid: cells.length > 0 ? cells[cells.length - 1].rowid : 0 });
+            cells = [];
+            usedBytes = 8;
+        };
+
+        rows.forEach((row, index) => {
+            const rowid = index + 1;
+            const bytes = this.createLeafCell(rowid, this.encodeRecord(row), pages);
+            if (cells.length > 0 && usedBytes + bytes.length + 2 > PAGE_SIZE) {
+                addLeafPage();
+            }
+            cells.push({ rowid, bytes });
+            usedBytes += bytes.length + 2;
+        });
+        if (cells.length > 0 || children.length === 0) {
+            addLeafPage();
+        }
+
+        // 内部ページ: 最後の子は右端ポインター、それ以外は（子ページ番号, 子の最大rowid）のセル
+        while (children.length > 1) {
+            const parents = [];
+            let group = [];
+            usedBytes = 12;
+
+            const addInteriorPage = () => {
+                const rightChild = group[group.length - 1];
+                const interiorCells = group.slice(0, -1).map(child => this.createInteriorCell(child.pageNumber, child.maxRowid));
+                pages.push(this.createPage(PAGE_TYPES.TABLE_INTERIOR, interiorCells, rightChild.pageNumber));
+                parents.push({ pageNumber: pages.length, maxRowid: rightChild.maxRowid });
+                group = [];
+                usedBytes = 12;
+            };
+
+            children.forEach(child => {
+                const cellSize = 4 + MbtilesWriter.varint(child.maxRowid).length + 2;
+                if (group.length > 0 && usedBytes + cellSize > PAGE_SIZE) {
+                    addInteriorPage();
+                }
+                group.push(child);
+                usedBytes += cellSize;
+            });
+            addInteriorPage();
+
+            children = parents;
+        }
+
+        return children[0].pageNumber;
+    }
+
+    // タイル検索用インデックスのレコード（zoom_level, tile_column, tile_row, rowid）を並び順に作成
+    createTileIndexRecords() {
+        return this.tileRows
+            .map(([zoom, column, row], index) => [zoom, column, row, index + 1])
+            .sort((a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2])
+            .map(values => this.encodeRecord(values));
+    }
+
+    /**
+     * インデックスのB-treeを作成してページを追加
+     * インデックスでは内部ページのセルもレコードを1件持つため、ページの境目のレコードを1つ上の階層へ移す
+     * 最後のページが空にならないよう、各ページは末尾に余裕を残して詰める
+     * @param {Array<Uint8Array>} pages - ページの配列
+     * @param {Array<Uint8Array>} records - 並び順のレコード（数十バイト程度）
+     * @returns {number} ルートページの番号
+     */
+    writeIndex(pages, records) {
+        const fillLimit = PAGE_SIZE - INDEX_PAGE_MARGIN;
+        let children = [];
+        let separators = [];
+        let cells = [];
+        let usedBytes = 8;
+
+        records.forEach((record, index) => {
+            const cell = Uint8Array.from([...MbtilesWriter.varint(record.length), ...record]);
+            const isLast = index === records.length - 1;
+            if (cells.length > 0 && !isLast && usedBytes + cell.length + 2 > fillLimit) {
+                pages.push(this.createPage(PAGE_TYPES.INDEX_LEAF, cells));
+                children.push(pages.length);
+                separators.push(record);
+                cells = [];
+                usedBytes = 8;
+                return;
+            }
+            cells.push(cell);
+            usedBytes += cell.length + 2;
+        });
+        pages.push(this.createPage(PAGE_TYPES.INDEX_LEAF, cells));
+        children.push(pages.length);
+
+        // 内部ページ: （子ページ番号, その子の右側の境目のレコード）のセルを詰め、ページの最後の子は右端ポインターにする
+        while (children.length > 1) {
+            const parents = [];
+            const parentSeparators = [];
+            cells = [];
+            usedBytes = 12;
+
+            children.forEach((child, index) => {
+                if (index === children.length - 1) {
+                    pages.push(this.createPage(PAGE_TYPES.INDEX_INTERIOR, cells, child));
+                    parents.push(pages.length);
+                    return;
+                }
+
+                const record = separators[index];
+                const cell = Uint8Array.from([0, 0, 0, 0, ...MbtilesWriter.varint(record.length), ...record]);
+                new DataView(cell.buffer).setUint32(0, child);
+                const isLastCell = index === children.length - 2;
+                if (cells.length > 0 && !isLastCell && usedBytes + cell.length + 2 > fillLimit) {
+                    // この子をページの右端にし、境目のレコードは上の階層へ移す
+                    pages.push(this.createPage(PAGE_TYPES.INDEX_INTERIOR, cells, child));
+                    parents.push(pages.length);
+                    parentSeparators.push(record);
+                    cells = [];
+                    usedBytes = 12;
+                    return;
+                }
+                cells.push(cell);
+                usedBytes += cell.length + 2;
+            });
+
+            children = parents;
+            separators = parentSeparators;
+        }
+
+        return children[0];
+    }
+
+    /**
+     * B-treeページを作成
+     * @param {number} type - ページ種別
+     * @param {Array<Uint8Array>} cells - セル（キーの順）
+     * @param {number} rightPointer - 内部ページの右端の子ページ番号
+     * @param {number} headerOffset - ページヘッダーの位置（ページ1はデータベースヘッダーの後）
+     * @returns {Uint8Array} ページ
+     */
+    createPage(type, cells, rightPointer = 0, headerOffset = 0) {
+        const page = new Uint8Array(PAGE_SIZE);
+        const view = new DataView(page.buffer);
+        const isLeaf = type === PAGE_TYPES.TABLE_LEAF || type === PAGE_TYPES.INDEX_LEAF;
+        const headerSize = isLeaf ? 8 : 12;
+        const pointerStart = headerOffset + headerSize;
+
+        // セルはページの末尾から詰め、先頭側のセルポインター配列から参照する
+        let contentStart = PAGE_SIZE;
+        cells.forEach((cell, index) => {
+            contentStart -= cell.length;
+            page.set(cell, contentStart);
+            view.setUint16(pointerStart + index * 2, contentStart);
+        });
+        if (pointerStart + cells.length * 2 > contentStart) {
+            throw new Error('MBTilesのページに収まらないデータがあります');
+        }
+
+        view.setUint8(headerOffset, type);
+        view.setUint16(headerOffset + 1, 0);            // 空き領域なし
+        view.setUint16(headerOffset + 3, cells.length);
+        view.setUint16(headerOffset + 5, contentStart);
+        view.setUint8(headerOffset + 7, 0);             // 断片化したバイト数
+        if (!isLeaf) {
+            view.setUint32(headerOffset + 8, rightPointer);
+        }
+        return page;
+    }
+
+    /**
+     * 葉ページのセル（ペイロード長・rowid・ペイロード）を作成
+     * ページに収まらない部分はオーバーフローページに格納してページを追加する
+     * @param {number} rowid - 行番号
+     * @param {Uint8Array} payload - レコード
+     * @param {Array<Uint8Array>} pages - ページの配列
+     * @returns {Uint8Array} セル
+     */
+    createLeafCell(rowid, payload, pages) {
+        // ページ内に置くバイト数（SQLiteのファイル形式の規定による）
+        const maxLocal = PAGE_SIZE - 35;
+        let localSize = payload.length;
+        if (payload.length > maxLocal) {
+            const minLocal = Math.floor((PAGE_SIZE - 12) * 32 / 255) - 23;
+            const size = minLocal + (payload.length - minLocal) % (PAGE_SIZE - 4);
+            localSize = size <= maxLocal ? size : minLocal;
+        }
+
+        const header = [...MbtilesWriter.varint(payload.length), ...MbtilesWriter.varint(rowid)];
+        const hasOverflow = localSize < payload.length;
+        const cell = new Uint8Array(header.length + localSize + (hasOverflow ? 4 : 0));
+        cell.set(header);
+        cell.set(payload.subarray(0, localSize), header.length);
+        if (hasOverflow) {
+            const firstOverflowPage = this.writeOverflowPages(pages, payload.subarray(localSize));
+            new DataView(cell.buffer).setUint32(header.length + localSize, firstOverflowPage);
+        }
+        return cell;
+    }
+
+    // オーバーフローページ（先頭4バイトが次のページ番号、最後のページは0）を連続して追加
+    writeOverflowPages(pages, data) {
+        const chunkSize = PAGE_SIZE - 4;
+        const firstPageNumber = pages.length + 1;
+
+        for (let offset = 0; offset < data.length; offset += chunkSize) {
+            const page = new Uint8Array(PAGE_SIZE);
+            const isLast = offset + chunkSize >= data.length;
+            new DataView(page.buffer).setUint32(0, isLast ? 0 : pages.length + 2);
+            page.set(data.subarray(offset, offset + chunkSize), 4);
+            pages.push(page);
+        }
+        return firstPageNumber;
+    }
+
+    // 内部ページのセル（左の子ページ番号・キー）を作成
+    createInteriorCell(childPageNumber, key) {
+        const keyBytes = MbtilesWriter.varint(key);
+        const cell = new Uint8Array(4 + keyBytes.length);
+        new DataView(cell.buffer).setUint32(0, childPageNumber);
+        cell.set(keyBytes, 4);
+        return cell;
+    }
+
+    /**
+     * 行の値をSQLiteのレコード形式に変換
+     * @param {Array<string|number|Uint8Array|null>} values - 列の値（整数は32ビット以内）
+     * @returns {Uint8Array} レコード
+     */
+    encodeRecord(values) {
+        const serialTypes = [];
+        const bodies = [];
+
+        values.forEach(value => {
+            if (value === null || value === undefined) {
+                serialTypes.push(0);
+                bodies.push(new Uint8Array(0));
+            } else if (typeof value === 'number') {
+                const { serialType, bytes } = this.encodeInteger(value);
+                serialTypes.push(serialType);
+                bodies.push(bytes);
+            } else if (typeof value === 'string') {
+                const bytes = this.encoder.encode(value);
+                serialTypes.push(bytes.length * 2 + 13);
+                bodies.push(bytes);
+            } else {
+                serialTypes.push(value.length * 2 + 12);
+                bodies.push(value);
+            }
+        });
+
+        const typeBytes = serialTypes.flatMap(serialType => MbtilesWriter.varint(serialType));
+        // ヘッダー長は自身のvarintを含む
+        let headerSize = typeBytes.length + 1;
+        if (MbtilesWriter.varint(headerSize).length > 1) {
+            headerSize += 1;
+        }
+
+        const header = [...MbtilesWriter.varint(headerSize), ...typeBytes];
+        const record = new Uint8Array(header.length + bodies.reduce((sum, body) => sum + body.length, 0));
+        record.set(header);
+        let offset = header.length;
+        bodies.forEach(body => {
+            record.set(body, offset);
+            offset += body.length;
+        });
+        return record;
+    }
+
+    encodeInteger(value) {
+        if (!Number.isInteger(value) || value < -0x80000000 || value > 0x7FFFFFFF) {
+            throw new Error(`MBTilesに格納できない整数です: ${value}`);
+        }
+        if (value === 0 || value === 1) {
+            return { serialType: value === 0 ? 8 : 9, bytes: new Uint8Array(0) };
+        }
+
+        const sizes = [[1, 1], [2, 2], [3, 3], [4, 4]]; // [シリアル型, バイト数]
+        const [serialType, size] = sizes.find(([, byteLength]) => {
+            const limit = Math.pow(2, byteLength * 8 - 1);
+            return value >= -limit && value < limit;
+        });
+        const bytes = new Uint8Array(size);
+        let remaining = value;
+        for (let i = size - 1; i >= 0; i--) {
+            bytes[i] = remaining & 0xFF;
+            remaining >>= 8;
+        }
+        return { serialType, bytes };
+    }
+
+    // データベースヘッダー（ページ1の先頭100バイト）を書き込む
+    writeDatabaseHeader(page, pageCount) {
+        const view = new DataView(page.buffer);
+        page.set(this.encoder.encode('SQLite format 3\0'), 0);
+        view.setUint16(16, PAGE_SIZE);
+        view.setUint8(18, 1);                  // 書き込みバージョン（ロールバックジャーナル）
+        view.setUint8(19, 1);                  // 読み込みバージョン
+        view.setUint8(20, 0);                  // ページ末尾の予約領域
+        view.setUint8(21, 64);                 // ペイロード割合の最大値
+        view.setUint8(22, 32);                 // ペイロード割合の最小値
+        view.setUint8(23, 32);                 // 葉ページのペイロード割合
+        view.setUint32(24, 1);                 // 変更カウンター
+        view.setUint32(28, pageCount);         // ページ数
+        view.setUint32(40, 1);                 // スキーマのバージョン
+        view.setUint32(44, 4);                 // スキーマ形式
+        view.setUint32(56, 1);                 // 文字コード（UTF-8）
+        view.setUint32(68, MBTILES_APPLICATION_ID);
+        view.setUint32(92, 1);                 // ページ数が有効な変更カウンター
+        view.setUint32(96, SQLITE_VERSION_NUMBER);
+    }
+
+    /**
+     * SQLite形式の可変長整数（上位ビットから7ビットずつ、続きがあるバイトは最上位ビットが1）
+     * @param {number} value - 0以上2^56未満の整数
+     * @returns {Array<number>} バイト列
+     */
+    static varint(value) {
+        const bytes = [];
+        let remaining = value;
+        do {
+            bytes.unshift(remaining % 128);
+            remaining = Math.floor(remaining / 128);
+        } while (remaining > 0);
+
+        for (let i = 0; i < bytes.length - 1; i++) {
+            bytes[i] |= 0x80;
+        }
+        return bytes;
+    }
+}
\ No newline at end of file
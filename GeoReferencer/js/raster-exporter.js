@@ -0,0 +1,74 @@
+// ジオリファレンス済み画像の出力機能を管理するモジュール
+// PNG＋ワールドファイル(.pgw)＋投影法ファイル(.prj)のZIPと、GeoTIFFを出力する（座標系はWeb Mercator）
+import { Logger } from './utils.js';
+import { ZipWriter } from './zip-writer.js';
+import { GeoTiffWriter } from './geotiff-writer.js';
+
+// Web Mercator（EPSG:3857）のESRI形式WKT（QGIS・ArcGISで.prjとして読み込める形式）
+const WEB_MERCATOR_PRJ = 'PROJCS["WGS_1984_Web_Mercator_Auxiliary_Sphere",' +
+    'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+    'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],' +
+    'PROJECTION["Mercator_Auxiliary_Sphere"],PARAMETER["False_Easting",0.0],PARAMETER["False_Northing",0.0],' +
+    'PARAMETER["Central_Meridian",0.0],PARAMETER["Standard_Parallel_1",0.0],PARAMETER["Auxiliary_Sphere_Type",0.0],' +
+    'UNIT["Meter",1.0]]';
+
+export class RasterExporter {
+    constructor() {
+        this.logger = new Logger('RasterExporter');
+        this.geoTiffWriter = new GeoTiffWriter();
+    }
+
+    /**
+     * ワールドファイルの内容を生成
+     * ワールドファイルは左上の画素の「中心」の座標を記録するため、画素の半分だけずらす
+     * @param {{a: number, b: number, c: number, d: number, e: number, f: number}} transform - 画像座標→Web Mercatorのアフィン変換
+     * @returns {string} ワールドファイル（A, D, B, E, C, Fの6行）
+     */
+    createWorldFile(transform) {
+        const { a, b, c, d, e, f } = transform;
+        const values = [a, d, b, e, a * 0.5 + b * 0.5 + c, d * 0.5 + e * 0.5 + f];
+        return values.map(value => value.toFixed(10)).join('\r\n') + '\r\n';
+    }
+
+    createPrj() {
+        return WEB_MERCATOR_PRJ;
+    }
+
+    /**
+     * PNG・ワールドファイル・投影法ファイルをまとめたZIPを生成
+     * @param {string} baseName - 各ファイルの名前（拡張子なし）
+     * @param {Uint8Array} pngBytes - PNG画像
+     * @param {Object} transform - 画像座標→Web Mercatorのアフィン変換
+     * @returns {Blob} ZIPデータ
+     */
+    createWorldFilePackage(baseName, pngBytes, transform) {
+        const zipWriter = new ZipWriter();
+        zipWriter.addFile(`${baseName}.png`, pngBytes);
+        zipWriter.addFile(`${baseName}.pgw`, this.createWorldFile(transform));
+        zipWriter.addFile(`${baseName}.prj`, this.createPrj());
+        return zipWriter.generate('application/zip');
+    }
+
+    /**
+     * canvasの画像からGeoTIFFを生成
+     * @param {HTMLCanvasElement} canvas - 出力する画像
+     * @param {Object} transform - 画像座標→Web Mercatorのアフィン変換
+     * @returns {Blob} GeoTIFFデータ
+     */
+    createGeoTiff(canvas, transform) {
+        const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        return this.geoTiffWriter.generate(imageData, transform);
+    }
+
+    /**
+     * canvasの画像をPNGのバイト列に変換
+     * @param {HTMLCanvasElement} canvas
+     * @returns {Promise<Uint8Array>} PNG画像
+     */
+    async canvasToPngBytes(canvas) {
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(result => result ? resolve(result) : reject(new Error('PNG画像の作成に失敗しました')), 'image/png');
+        });
+        return new Uint8Array(await blob.arrayBuffer());
+    }
+}
\ No newline at end of file
@@ -0,0 +1,103 @@
+// 残差ベクトルを地図に表示するレイヤー
+// 制御点のポイントGPSの位置から、画像上の点を変換した位置へ向かう矢印を残差の大きさで色分けして描画する
+// 残差は地図の縮尺に比べて小さいため、矢印の長さは倍率を掛けて表示する
+import { DEFAULTS, RESIDUAL_CLASSES, UNVERIFIED_RESIDUAL_COLOR } from './constants.js';
+import { mathUtils } from './math-utils.js';
+
+const ARROW_HEAD_RATIO = 0.3;                 // 矢印の長さに対する矢じりの長さ
+const ARROW_HEAD_ANGLE = 25 * Math.PI / 180;  // 矢じりの開き角
+
+export class ResidualVectorLayer {
+    /**
+     * @param {L.Map} map - 表示先の地図
+     */
+    constructor(map) {
+        this.map = map;
+        this.layerGroup = L.layerGroup();
+        this.scale = DEFAULTS.RESIDUAL_VECTOR_DEFAULT_SCALE;
+        this.visible = true;
+        this.residuals = [];
+        this.rejectedPoints = [];
+    }
+
+    /**
+     * 残差を設定して描画
+     * @param {Array} residuals - 変換に使用した制御点の残差（calculateTransformationAccuracyのresiduals）
+     * @param {Array} rejectedPoints - 外れ値として除外した制御点の残差（破線で表示）
+     */
+    setResiduals(residuals, rejectedPoints = []) {
+        this.residuals = residuals || [];
+        this.rejectedPoints = rejectedPoints || [];
+        this.redraw();
+    }
+
+    clear() {
+        this.setResiduals([], []);
+    }
+
+    setScale(scale) {
+        this.scale = scale;
+        this.redraw();
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.redraw();
+    }
+
+    redraw() {
+        this.layerGroup.clearLayers();
+
+        if (!this.visible) {
+            this.layerGroup.remove();
+            return;
+        }
+        if (!this.map.hasLayer(this.layerGroup)) {
+            this.layerGroup.addTo(this.map);
+        }
+
+        this.residuals.forEach(residual => this.createArrow(residual, false).addTo(this.layerGroup));
+        this.rejectedPoints.forEach(residual => this.createArrow(residual, true).addTo(this.layerGroup));
+    }
+
+    // 残差1件分の矢印（始点はポイントGPS、終点は変換後の位置を倍率分延ばした位置）
+    createArrow(residual, rejected) {
+        if (residual.error === null) {
+            // 残差を検証できない点は位置のみ表示
+            return L.circleMarker([residual.gpsPoint.lat, residual.gpsPoint.lng], {
+                radius: 3, color: UNVERIFIED_RESIDUAL_COLOR, weight: 2, fillOpacity: 1
+            }).bindTooltip(`${residual.pointId}: 検証不可`);
+        }
+
+        const color = RESIDUAL_CLASSES.find(item => residual.error < item.max).color;
+        const label = `${residual.pointId}: ${residual.error.toFixed(2)} m${rejected ? '（除外）' : ''}`;
+
+        const startX = mathUtils.lonToWebMercatorX(residual.gpsPoint.lng);
+        const startY = mathUtils.latToWebMercatorY(residual.gpsPoint.lat);
+        const endX = startX + (mathUtils.lonToWebMercatorX(residual.transformedPoint.lng) - startX) * this.scale;
+        const endY = startY + (mathUtils.latToWebMercatorY(residual.transformedPoint.lat) - startY) * this.scale;
+        const toLatLng = (x, y) => [mathUtils.webMercatorYToLat(y), mathUtils.webMercatorXToLon(x)];
+
+        const length = Math.hypot(endX - startX, endY - startY);
+        if (length === 0) {
+            // 残差がない点は位置のみ表示
+            return L.circleMarker(toLatLng(startX, startY), { radius: 3, color, weight: 2, fillOpacity: 1 })
+                .bindTooltip(label);
+        }
+
+        const angle = Math.atan2(endY - startY, endX - startX);
+        const headLength = length * ARROW_HEAD_RATIO;
+        const head = [angle + ARROW_HEAD_ANGLE, angle - ARROW_HEAD_ANGLE].map(headAngle => toLatLng(
+            endX - headLength * Math.cos(headAngle),
+            endY - headLength * Math.sin(headAngle)
+        ));
+        const end = toLatLng(endX, endY);
+
+        return L.polyline([[toLatLng(startX, startY), end], [head[0], end, head[1]]], {
+            color,
+            weight: 3,
+            opacity: 0.9,
+            dashArray: rejected ? '6 4' : null
+        }).bindTooltip(label);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,110 @@
+// XYZタイル出力機能を管理するモジュール
+// ジオリファレンス済み画像をWeb Mercatorのz/x/yタイルに描き直し、ZIP（{z}/{x}/{y}.png）またはMBTilesで出力する
+// 描き直しはタイル作成ワーカー（tile-worker.js）で実行し、進捗を通知する
+import { Logger } from './utils.js';
+import { CONFIG } from './constants.js';
+import { TileRenderer } from './tile-renderer.js';
+
+export class TileExporter {
+    constructor() {
+        this.logger = new Logger('TileExporter');
+        this.worker = null;
+        this.finishCurrent = null;
+    }
+
+    isRunning() {
+        return this.worker !== null;
+    }
+
+    /**
+     * 推奨のズーム範囲（最大ズームは元画像の解像度に最も近いズーム）
+     * @param {Object} mesh - ImageOverlay.getTransformedMeshの結果
+     * @returns {{minZoom: number, maxZoom: number}} ズーム範囲
+     */
+    getRecommendedZoomRange(mesh) {
+        const renderer = new TileRenderer(mesh, CONFIG.TILE_EXPORT_TILE_SIZE);
+        const maxZoom = Math.min(CONFIG.TILE_EXPORT_MAX_ZOOM, renderer.getNativeZoom());
+        return {
+            minZoom: Math.max(0, maxZoom - CONFIG.TILE_EXPORT_DEFAULT_ZOOM_LEVELS + 1),
+            maxZoom: maxZoom
+        };
+    }
+
+    /**
+     * ズーム範囲で作成するタイル数（透明なタイルも含む上限値）
+     * @returns {number} タイル数
+     */
+    countTiles(mesh, minZoom, maxZoom) {
+        return new TileRenderer(mesh, CONFIG.TILE_EXPORT_TILE_SIZE).countTiles(minZoom, maxZoom);
+    }
+
+    /**
+     * タイルを作成
+     * @param {HTMLImageElement} image - ジオリファレンス済みの画像
+     * @param {Object} mesh - ImageOverlay.getTransformedMeshの結果
+     * @param {Object} options - { minZoom, maxZoom, format: 'zip'|'mbtiles', name }
+     * @param {Function} onProgress - 進捗の通知先 (done, total) => void
+     * @returns {Promise<{blob: Blob, tileCount: number}|null>} 作成結果（中止した場合はnull）
+     */
+    async createTiles(image, mesh, options, onProgress) {
+        if (this.isRunning()) {
+            throw new Error('タイルを作成中です。');
+        }
+
+        const bitmap = await createImageBitmap(image);
+        this.logger.info(`タイル作成開始: ズーム${options.minZoom}～${options.maxZoom} (${options.format})`);
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(new URL('./tile-worker.js', import.meta.url), { type: 'module' });
+            this.worker = worker;
+
+            const finish = (callback) => {
+                worker.terminate();
+                this.worker = null;
+                this.finishCurrent = null;
+                callback();
+            };
+            this.finishCurrent = () => finish(() => resolve(null));
+
+            worker.addEventListener('message', (event) => {
+                const message = event.data;
+                switch (message.type) {
+                    case 'progress':
+                        if (onProgress) {
+                            onProgress(message.done, message.total);
+                        }
+                        break;
+                    case 'complete':
+                        this.logger.info(`タイル作成完了: ${message.tileCount}枚`);
+                        finish(() => resolve({ blob: message.blob, tileCount: message.tileCount }));
+                        break;
+                    case 'error':
+                        finish(() => reject(new Error(message.message)));
+                        break;
+                }
+            });
+            worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                finish(() => reject(new Error(event.message || 'タイル作成処理でエラーが発生しました。')));
+            });
+
+            worker.postMessage({
+                image: bitmap,
+                mesh: mesh,
+                minZoom: options.minZoom,
+                maxZoom: options.maxZoom,
+                format: options.format,
+                name: options.name,
+                tileSize: CONFIG.TILE_EXPORT_TILE_SIZE
+            }, [bitmap]);
+        });
+    }
+
+    // 作成中のタイルを破棄して中止
+    cancel() {
+        if (this.finishCurrent) {
+            this.logger.info('タイル作成を中止');
+            this.finishCurrent();
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,286 @@
+// タイル描画モジュール
+// ジオリファレンス結果の変換で画像をWeb Mercatorのz/x/yタイル（XYZ形式）に描き直す
+// 画面表示と同じ格子の三角形ごとのアフィン近似を逆にたどり、タイルの各画素に対応する画像の位置を求める
+// タイル作成ワーカーから使用するため、DOMに依存するモジュール（utils.js・math-utils.js）は読み込まない
+
+// Web Mercatorの最大値（格子点の座標と揃えるため、math-utils.jsのWEB_MERCATOR_MAXと同じ値）
+const WEB_MERCATOR_MAX = 20037508.34;
+
+export class TileRenderer {
+    /**
+     * @param {{divisions: number, imageWidth: number, imageHeight: number, points: Array<Array<{x: number, y: number}>>}} mesh -
+     *     画像上の格子点のWeb Mercator座標（TransformedImageLayer.getMercatorMeshの結果）
+     * @param {number} tileSize - タイルの幅・高さ（ピクセル）
+     */
+    constructor(mesh, tileSize = 256) {
+        this.mesh = mesh;
+        this.tileSize = tileSize;
+        this.triangles = this.createTriangles(mesh);
+        this.bounds = {
+            minX: Math.min(...this.triangles.map(triangle => triangle.minX)),
+            maxX: Math.max(...this.triangles.map(triangle => triangle.maxX)),
+            minY: Math.min(...this.triangles.map(triangle => triangle.minY)),
+            maxY: Math.max(...this.triangles.map(triangle => triangle.maxY))
+        };
+        this.levels = null; // 元画像と縮小画像（縮小画像は必要になったときに作成）
+    }
+
+    // 格子を2つずつの三角形に分け、Web Mercator→画像座標の変換に必要な値を求める
+    createTriangles(mesh) {
+        const { divisions, imageWidth, imageHeight, points } = mesh;
+        const cellWidth = imageWidth / divisions;
+        const cellHeight = imageHeight / divisions;
+        const triangles = [];
+
+        for (let row = 0; row < divisions; row++) {
+            for (let col = 0; col < divisions; col++) {
+                const x = col * cellWidth;
+                const y = row * cellHeight;
+                const candidates = [
+                    [points[row][col], points[row][col + 1], points[row + 1][col], x, y, cellWidth, cellHeight],
+                    [points[row + 1][col + 1], points[row + 1][col], points[row][col + 1], x + cellWidth, y + cellHeight, -cellWidth, -cellHeight]
+                ];
+
+                for (const [origin, alongX, alongY, imageX, imageY, dx, dy] of candidates) {
+                    const ux = alongX.x - origin.x;
+                    const uy = alongX.y - origin.y;
+                    const vx = alongY.x - origin.x;
+                    const vy = alongY.y - origin.y;
+                    const determinant = ux * vy - uy * vx;
+                    if (determinant === 0) {
+                        continue;
+                    }
+
+                    triangles.push({
+                        origin, ux, uy, vx, vy, determinant, imageX, imageY, dx, dy,
+                        minX: Math.min(origin.x, alongX.x, alongY.x),
+                        maxX: Math.max(origin.x, alongX.x, alongY.x),
+                        minY: Math.min(origin.y, alongX.y, alongY.y),
+                        maxY: Math.max(origin.y, alongX.y, alongY.y),
+                        // Web Mercatorの1mあたりの画像の画素数
+                        scale: Math.sqrt(Math.abs(dx * dy / determinant))
+                    });
+                }
+            }
+        }
+
+        return triangles;
+    }
+
+    /**
+     * 元画像の画素を設定
+     * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA画素（アルファは非乗算）
+     */
+    setSource(imageData) {
+        this.levels = [imageData];
+    }
+
+    /**
+     * 元画像の解像度に最も近いズームレベル
+     * @returns {number} ズームレベル
+     */
+    getNativeZoom() {
+        const area = this.triangles.reduce((sum, triangle) => sum + Math.abs(triangle.determinant) / 2, 0);
+        const scale = Math.sqrt(this.mesh.imageWidth * this.mesh.imageHeight / area);
+        return Math.max(0, Math.round(Math.log2(2 * WEB_MERCATOR_MAX * scale / this.tileSize)));
+    }
+
+    /**
+     * 画像を含むタイルの範囲
+     * @param {number} zoom - ズームレベル
+     * @returns {{minX: number, maxX: number, minY: number, maxY: number}} タイルの列・行番号の範囲
+     */
+    getTileRange(zoom) {
+        const count = Math.pow(2, zoom);
+        const tileSpan = 2 * WEB_MERCATOR_MAX / count;
+        const clamp = value => Math.min(count - 1, Math.max(0, Math.floor(value)));
+
+        return {
+            minX: clamp((this.bounds.minX + WEB_MERCATOR_MAX) / tileSpan),
+            maxX: clamp((this.bounds.maxX + WEB_MERCATOR_MAX) / tileSpan),
+            minY: clamp((WEB_MERCATOR_MAX - this.bounds.maxY) / tileSpan),
+            maxY: clamp((WEB_MERCATOR_MAX - this.bounds.minY) / tileSpan)
+        };
+    }
+
+    /**
+     * ズーム範囲で作成するタイル数（画像の範囲を囲むタイルの数で、透明なタイルも含む）
+     * @returns {number} タイル数
+     */
+    countTiles(minZoom, maxZoom) {
+        let count = 0;
+        for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+            const range = this.getTileRange(zoom);
+            count += (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+        }
+        return count;
+    }
+
+    /**
+     * 画像を囲む範囲の緯度経度
+     * @returns {{west: number, south: number, east: number, north: number}} 範囲
+     */
+    getLatLngBounds() {
+        const toLon = x => x * 180 / WEB_MERCATOR_MAX;
+        const toLat = y => 180 / Math.PI * (2 * Math.atan(Math.exp(y * Math.PI / WEB_MERCATOR_MAX)) - Math.PI / 2);
+        return {
+            west: toLon(this.bounds.minX),
+            south: toLat(this.bounds.minY),
+            east: toLon(this.bounds.maxX),
+            north: toLat(this.bounds.maxY)
+        };
+    }
+
+    /**
+     * タイルを描画
+     * @param {number} zoom - ズームレベル
+     * @param {number} tileX - 列番号
+     * @param {number} tileY - 行番号（北が0）
+     * @returns {Uint8ClampedArray|null} タイルのRGBA画素（画像が含まれない場合はnull）
+     */
+    renderTile(zoom, tileX, tileY) {
+        const size = this.tileSize;
+        const resolution = 2 * WEB_MERCATOR_MAX / (size * Math.pow(2, zoom)); // 1画素あたりのm
+        const left = -WEB_MERCATOR_MAX + tileX * size * resolution;
+        const top = WEB_MERCATOR_MAX - tileY * size * resolution;
+        const right = left + size * resolution;
+        const bottom = top - size * resolution;
+
+        const output = new Uint8ClampedArray(size * size * 4);
+        const tolerance = 1e-9;
+        let hasPixels = false;
+
+        for (const triangle of this.triangles) {
+            if (triangle.maxX < left || triangle.minX > right || triangle.maxY < bottom || triangle.minY > top) {
+                continue;
+            }
+
+            // 縮小して描画する場合は、元画像の画素が間引かれないよう縮小画像から読み取る
+            const level = this.getLevel(Math.floor(Math.log2(Math.max(1, resolution * triangle.scale))));
+
+            // 三角形を囲む範囲の画素（画素の中心で判定）
+            const colStart = Math.max(0, Math.ceil((triangle.minX - left) / resolution - 0.5));
+            const colEnd = Math.min(size - 1, Math.floor((triangle.maxX - left) / resolution - 0.5));
+            const rowStart = Math.max(0, Math.ceil((top - triangle.maxY) / resolution - 0.5));
+            const rowEnd = Math.min(size - 1, Math.floor((top - triangle.minY) / resolution - 0.5));
+
+            for (let row = rowStart; row <= rowEnd; row++) {
+                const py = top - (row + 0.5) * resolution - triangle.origin.y;
+                for (let col = colStart; col <= colEnd; col++) {
+                    const offset = (row * size + col) * 4;
+                    if (output[offset + 3] !== 0) {
+                        continue; // 隣接する三角形で描画済み
+                    }
+
+                    const px = left + (col + 0.5) * resolution - triangle.origin.x;
+                    const s = (px * triangle.vy - py * triangle.vx) / triangle.determinant;
+                    const t = (triangle.ux * py - triangle.uy * px) / triangle.determinant;
+                    if (s < -tolerance || t < -tolerance || s + t > 1 + tolerance) {
+                        continue;
+                    }
+
+                    const imageX = triangle.imageX + s * triangle.dx;
+                    const imageY = triangle.imageY + t * triangle.dy;
+                    if (this.sample(level, imageX, imageY, output, offset)) {
+                        hasPixels = true;
+                    }
+                }
+            }
+        }
+
+        return hasPixels ? output : null;
+    }
+
+    /**
+     * 画像座標の色を双線形補間で読み取る（透明な画素の色が混ざらないようアルファで重み付け）
+     * @returns {boolean} 不透明度が0より大きい場合true
+     */
+    sample(level, imageX, imageY, output, offset) {
+        const { width, height, data } = level;
+        const fx = imageX * width / this.mesh.imageWidth - 0.5;
+        const fy = imageY * height / this.mesh.imageHeight - 0.5;
+        const x0 = Math.floor(fx);
+        const y0 = Math.floor(fy);
+        const wx = fx - x0;
+        const wy = fy - y0;
+
+        let red = 0;
+        let green = 0;
+        let blue = 0;
+        let alpha = 0;
+        for (let corner = 0; corner < 4; corner++) {
+            const cx = Math.min(width - 1, Math.max(0, x0 + (corner & 1)));
+            const cy = Math.min(height - 1, Math.max(0, y0 + (corner >> 1)));
+            const weight = ((corner & 1) ? wx : 1 - wx) * ((corner >> 1) ? wy : 1 - wy);
+            const index = (cy * width + cx) * 4;
+            const weightedAlpha = data[index + 3] * weight;
+            red += data[index] * weightedAlpha;
+            green += data[index + 1] * weightedAlpha;
+            blue += data[index + 2] * weightedAlpha;
+            alpha += weightedAlpha;
+        }
+
+        if (alpha <= 0) {
+            return false;
+        }
+        output[offset] = red / alpha;
+        output[offset + 1] = green / alpha;
+        output[offset + 2] = blue / alpha;
+        output[offset + 3] = alpha;
+        return output[offset + 3] > 0;
+    }
+
+    // 縮小画像（1段ごとに幅・高さを半分にした画像）を取得
+    getLevel(index) {
+        while (this.levels.length <= index) {
+            const previous = this.levels[this.levels.length - 1];
+            if (previous.width === 1 && previous.height === 1) {
+                break;
+            }
+            this.levels.push(this.createHalfLevel(previous));
+        }
+        return this.levels[Math.min(index, this.levels.length - 1)];
+    }
+
+    createHalfLevel(level) {
+        const width = Math.ceil(level.width / 2);
+        const height = Math.ceil(level.height / 2);
+        const data = new Uint8ClampedArray(width * height * 4);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let red = 0;
+                let green = 0;
+                let blue = 0;
+                let alpha = 0;
+                let count = 0;
+                for (let dy = 0; dy < 2; dy++) {
+                    for (let dx = 0; dx < 2; dx++) {
+                        const sx = x * 2 + dx;
+                        const sy = y * 2 + dy;
+                        if (sx >= level.width || sy >= level.height) {
+                            continue;
+                        }
+                        const index = (sy * level.width + sx) * 4;
+                        const pixelAlpha = level.data[index + 3];
+                        red += level.data[index] * pixelAlpha;
+                        green += level.data[index + 1] * pixelAlpha;
+                        blue += level.data[index + 2] * pixelAlpha;
+                        alpha += pixelAlpha;
+                        count++;
+                    }
+                }
+
+                const offset = (y * width + x) * 4;
+                if (alpha > 0) {
+                    data[offset] = red / alpha;
+                    data[offset + 1] = green / alpha;
+                    data[offset + 2] = blue / alpha;
+                    data[offset + 3] = alpha / count;
+                }
+            }
+        }
+
+        return { width, height, data };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,98 @@
+// タイル作成ワーカー
+// 画像の描き直し・PNG化・ZIP/MBTilesへの格納は時間がかかるため、地図の操作を妨げないよう別スレッドで実行する
+// メッセージ: 受信 { image, mesh, minZoom, maxZoom, format, name, tileSize }
+//             送信 { type: 'progress', done, total } / { type: 'complete', blob, tileCount } / { type: 'error', message }
+import { TileRenderer } from './tile-renderer.js';
+import { ZipWriter } from './zip-writer.js';
+import { MbtilesWriter } from './mbtiles-writer.js';
+
+self.addEventListener('message', async (event) => {
+    try {
+        const result = await createTileArchive(event.data);
+        self.postMessage({ type: 'complete', ...result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
+
+async function createTileArchive({ image, mesh, minZoom, maxZoom, format, name, tileSize }) {
+    const renderer = new TileRenderer(mesh, tileSize);
+    renderer.setSource(readImagePixels(image));
+
+    const canvas = new OffscreenCanvas(tileSize, tileSize);
+    const context = canvas.getContext('2d');
+    const writer = format === 'mbtiles' ? new MbtilesWriter() : new ZipWriter();
+    const total = renderer.countTiles(minZoom, maxZoom);
+    let done = 0;
+    let tileCount = 0;
+
+    for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+        const range = renderer.getTileRange(zoom);
+        for (let x = range.minX; x <= range.maxX; x++) {
+            for (let y = range.minY; y <= range.maxY; y++) {
+                const pixels = renderer.renderTile(zoom, x, y);
+                // 画像が含まれない透明なタイルは出力しない
+                if (pixels) {
+                    context.putImageData(new ImageData(pixels, tileSize, tileSize), 0, 0);
+                    const blob = await canvas.convertToBlob({ type: 'image/png' });
+                    const bytes = new Uint8Array(await blob.arrayBuffer());
+                    if (format === 'mbtiles') {
+                        writer.addTile(zoom, x, y, bytes);
+                    } else {
+                        writer.addFile(`${zoom}/${x}/${y}.png`, bytes);
+                    }
+                    tileCount++;
+                }
+
+                done++;
+                self.postMessage({ type: 'progress', done, total });
+            }
+        }
+    }
+
+    if (tileCount === 0) {
+        throw new Error('画像を含むタイルがありませんでした。');
+    }
+
+    const metadata = createMetadata(renderer, name, minZoom, maxZoom);
+    if (format === 'mbtiles') {
+        // 範囲・中心はカンマ区切りの文字列で格納
+        Object.entries(metadata).forEach(([key, value]) => {
+            writer.addMetadata(key, Array.isArray(value) ? value.join(',') : value);
+        });
+        return { blob: writer.generate(), tileCount };
+    }
+
+    writer.addFile('metadata.json', JSON.stringify({
+        ...metadata,
+        scheme: 'xyz',
+        tiles: ['{z}/{x}/{y}.png']
+    }, null, 2));
+    return { blob: writer.generate('application/zip'), tileCount };
+}
+
+// ImageBitmapの画素を読み取る（読み取り後は解放する）
+function readImagePixels(image) {
+    const canvas = new OffscreenCanvas(image.width, image.height);
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+    image.close();
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// タイルセットの情報（MBTilesのmetadataテーブルの項目、ZIPではmetadata.jsonとして格納）
+function createMetadata(renderer, name, minZoom, maxZoom) {
+    const { west, south, east, north } = renderer.getLatLngBounds();
+    const round = value => Math.round(value * 1e6) / 1e6;
+    return {
+        name: name,
+        format: 'png',
+        type: 'overlay',
+        version: '1.0',
+        description: 'GeoReferencerでジオリファレンスした画像のタイル',
+        minzoom: minZoom,
+        maxzoom: maxZoom,
+        bounds: [west, south, east, north].map(round),
+        center: [round((west + east) / 2), round((south + north) / 2), minZoom]
+    };
+}
\ No newline at end of file
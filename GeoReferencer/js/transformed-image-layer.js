@@ -0,0 +1,348 @@
+// ジオリファレンス結果の変換（アフィン・多項式・TPS）をそのまま適用して画像を描画するレイヤー
+// L.imageOverlayは南北・東西に沿った矩形にしか配置できないため、回転・せん断・歪みをcanvasに描画する
+import { DEFAULTS } from './constants.js';
+import { mathUtils } from './math-utils.js';
+
+export class TransformedImageLayer {
+    /**
+     * @param {L.Map} map - 表示先の地図
+     * @param {HTMLImageElement} image - 描画する画像
+     * @param {Object} options - { opacity: 0～1 }
+     */
+    constructor(map, image, options = {}) {
+        this.map = map;
+        this.image = image;
+        this.opacity = options.opacity !== undefined ? options.opacity : 1;
+        this.transformation = null;
+        this.meshLatLngs = null; // 画像上の格子点を変換したGPS座標（行ごとの配列）
+        this.meshDivisions = 1;
+        this.canvas = null;
+        this.isAdded = false;
+
+        this.onZoomStart = () => this.hideCanvas();
+        this.onViewChanged = () => this.redraw();
+    }
+
+    /**
+     * 変換を設定して格子点のGPS座標を計算
+     * アフィン変換は地図上でも平行四辺形になるため4隅のみ、それ以外は格子に分割して区分的に近似する
+     * @param {Object} transformation - calculateTransformationの結果
+     */
+    setTransformation(transformation) {
+        this.transformation = transformation;
+        this.meshDivisions = transformation.modelParameters ? DEFAULTS.IMAGE_OVERLAY_MESH_DIVISIONS : 1;
+
+        const { width, height } = this.getImageSize();
+        this.meshLatLngs = [];
+        for (let row = 0; row <= this.meshDivisions; row++) {
+            const latLngs = [];
+            for (let col = 0; col <= this.meshDivisions; col++) {
+                const result = mathUtils.applyTransformation(
+                    width * col / this.meshDivisions,
+                    height * row / this.meshDivisions,
+                    transformation
+                );
+                if (!result) {
+                    this.meshLatLngs = null;
+                    throw new Error('画像の格子点を変換できませんでした');
+                }
+                latLngs.push(L.latLng(result[0], result[1]));
+            }
+            this.meshLatLngs.push(latLngs);
+        }
+
+        this.redraw();
+    }
+
+    getImageSize() {
+        return {
+            width: this.image.naturalWidth || this.image.width,
+            height: this.image.naturalHeight || this.image.height
+        };
+    }
+
+    /**
+     * 地図上の位置を画像座標に変換（表示と同じ格子の区分的アフィン近似を逆にたどる）
+     * @param {L.LatLng} latLng - 地図上の位置
+     * @returns {{x: number, y: number}|null} 画像座標（画像の範囲外はnull）
+     */
+    latLngToImagePoint(latLng) {
+        if (!this.meshLatLngs) {
+            return null;
+        }
+
+        const target = {
+            x: mathUtils.lonToWebMercatorX(latLng.lng),
+            y: mathUtils.latToWebMercatorY(latLng.lat)
+        };
+        const mesh = this.getMercatorMesh().points;
+        const { width, height } = this.getImageSize();
+        const cellWidth = width / this.meshDivisions;
+        const cellHeight = height / this.meshDivisions;
+
+        for (let row = 0; row < this.meshDivisions; row++) {
+            for (let col = 0; col < this.meshDivisions; col++) {
+                const x = col * cellWidth;
+                const y = row * cellHeight;
+                const triangles = [
+                    [mesh[row][col], mesh[row][col + 1], mesh[row + 1][col], x, y, cellWidth, cellHeight],
+                    [mesh[row + 1][col + 1], mesh[row + 1][col], mesh[row][col + 1], x + cellWidth, y + cellHeight, -cellWidth, -cellHeight]
+                ];
+
+                for (const [origin, alongX, alongY, imageX, imageY, dx, dy] of triangles) {
+                    // originからの2辺を基底とした係数（s, t）を求める
+                    const ux = alongX.x - origin.x;
+                    const uy = alongX.y - origin.y;
+                    const vx = alongY.x - origin.x;
+                    const vy = alongY.y - origin.y;
+                    const determinant = ux * vy - uy * vx;
+                    if (determinant === 0) {
+                        continue;
+                    }
+
+                    const px = target.x - origin.x;
+                    const py = target.y - origin.y;
+                    const s = (px * vy - py * vx) / determinant;
+                    const t = (ux * py - uy * px) / determinant;
+                    const tolerance = 1e-9;
+                    if (s >= -tolerance && t >= -tolerance && s + t <= 1 + tolerance) {
+                        return { x: imageX + s * dx, y: imageY + t * dy };
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 格子点のWeb Mercator座標（タイル作成・画像出力用）
+     * @returns {{divisions: number, imageWidth: number, imageHeight: number, points: Array<Array<{x: number, y: number}>>}|null}
+     */
+    getMercatorMesh() {
+        if (!this.meshLatLngs) {
+            return null;
+        }
+
+        const { width, height } = this.getImageSize();
+        return {
+            divisions: this.meshDivisions,
+            imageWidth: width,
+            imageHeight: height,
+            points: this.meshLatLngs.map(row => row.map(latLng => ({
+                x: mathUtils.lonToWebMercatorX(latLng.lng),
+                y: mathUtils.latToWebMercatorY(latLng.lat)
+            })))
+        };
+    }
+
+    // 変換後の画像を囲む範囲（歪みがあっても外周の格子点をすべて含む）
+    getBounds() {
+        if (!this.meshLatLngs) {
+            return null;
+        }
+        return L.latLngBounds(this.meshLatLngs.flat());
+    }
+
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        if (this.canvas) {
+            this.canvas.style.opacity = opacity;
+        }
+    }
+
+    addTo() {
+        if (this.isAdded) {
+            return this;
+        }
+
+        this.canvas = L.DomUtil.create('canvas', 'transformed-image-layer leaflet-zoom-hide');
+        this.canvas.style.opacity = this.opacity;
+        this.canvas.style.pointerEvents = 'none';
+        this.map.getPanes().overlayPane.appendChild(this.canvas);
+
+        this.map.on('zoomstart', this.onZoomStart);
+        this.map.on('moveend zoomend viewreset resize', this.onViewChanged);
+        this.isAdded = true;
+
+        this.redraw();
+        return this;
+    }
+
+    remove() {
+        if (!this.isAdded) {
+            return;
+        }
+
+        this.map.off('zoomstart', this.onZoomStart);
+        this.map.off('moveend zoomend viewreset resize', this.onViewChanged);
+        L.DomUtil.remove(this.canvas);
+        this.canvas = null;
+        this.isAdded = false;
+    }
+
+    // ズームアニメーション中は位置が合わないため非表示にし、ズーム完了後に描き直す
+    hideCanvas() {
+        if (this.canvas) {
+            this.canvas.style.visibility = 'hidden';
+        }
+    }
+
+    // 地図の表示範囲に合わせたcanvasに画像を描画
+    redraw() {
+        if (!this.isAdded || !this.meshLatLngs) {
+            return;
+        }
+
+        const size = this.map.getSize();
+        const pixelRatio = window.devicePixelRatio || 1;
+        this.canvas.width = Math.round(size.x * pixelRatio);
+        this.canvas.height = Math.round(size.y * pixelRatio);
+        this.canvas.style.width = `${size.x}px`;
+        this.canvas.style.height = `${size.y}px`;
+        this.canvas.style.visibility = '';
+
+        // canvasの左上を地図表示領域の左上に合わせる（オーバーレイペインはパン中に一緒に移動する）
+        L.DomUtil.setPosition(this.canvas, this.map.containerPointToLayerPoint([0, 0]));
+
+        const context = this.canvas.getContext('2d');
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        const points = this.meshLatLngs.map(row => row.map(latLng => this.map.latLngToContainerPoint(latLng)));
+        this.drawImageMesh(context, points, pixelRatio);
+    }
+
+    /**
+     * Web Mercatorの東西・南北に沿った画像として描画（変換後の画像の出力用）
+     * 画素の大きさは変換後の画像の面積が元画像の画素数と同程度になるように決める
+     * @param {number} maxSize - 出力画像の幅・高さの上限（ピクセル）
+     * @returns {{canvas: HTMLCanvasElement, transform: {a: number, b: number, c: number, d: number, e: number, f: number}}|null}
+     *     描画した画像と、その画像座標→Web Mercatorのアフィン変換
+     */
+    renderToCanvas(maxSize) {
+        if (!this.meshLatLngs) {
+            return null;
+        }
+
+        const mesh = this.getMercatorMesh().points;
+        const allPoints = mesh.flat();
+        const minX = Math.min(...allPoints.map(p => p.x));
+        const maxX = Math.max(...allPoints.map(p => p.x));
+        const minY = Math.min(...allPoints.map(p => p.y));
+        const maxY = Math.max(...allPoints.map(p => p.y));
+
+        // 外周の格子点で囲まれた面積（靴紐公式）から1画素あたりの大きさを求める
+        const last = this.meshDivisions;
+        const outline = [
+            ...mesh[0],
+            ...mesh.slice(1).map(row => row[last]),
+            ...[...mesh[last]].reverse().slice(1),
+            ...mesh.slice(1, last).reverse().map(row => row[0])
+        ];
+        let area = 0;
+        outline.forEach((point, i) => {
+            const next = outline[(i + 1) % outline.length];
+            area += point.x * next.y - next.x * point.y;
+        });
+        const { width, height } = this.getImageSize();
+        let pixelSize = Math.sqrt(Math.abs(area / 2) / (width * height));
+        pixelSize = Math.max(pixelSize, (maxX - minX) / maxSize, (maxY - minY) / maxSize);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.ceil((maxX - minX) / pixelSize));
+        canvas.height = Math.max(1, Math.ceil((maxY - minY) / pixelSize));
+
+        const points = mesh.map(row => row.map(point => ({
+            x: (point.x - minX) / pixelSize,
+            y: (maxY - point.y) / pixelSize
+        })));
+        this.drawImageMesh(canvas.getContext('2d'), points, 1);
+
+        return {
+            canvas,
+            transform: { a: pixelSize, b: 0, c: minX, d: 0, e: -pixelSize, f: maxY }
+        };
+    }
+
+    // 格子点の描画先の座標（pointsは行ごとの配列）に合わせて画像を描画
+    drawImageMesh(context, points, pixelRatio) {
+        const { width, height } = this.getImageSize();
+        const cellWidth = width / this.meshDivisions;
+        const cellHeight = height / this.meshDivisions;
+
+        if (this.meshDivisions === 1) {
+            // アフィン変換: 左上・右上・左下の3点で画像全体の変換が決まる
+            this.setTriangleTransform(context, pixelRatio, points[0][0], points[0][1], points[1][0], 0, 0, width, height);
+            context.drawImage(this.image, 0, 0);
+            return;
+        }
+
+        for (let row = 0; row < this.meshDivisions; row++) {
+            for (let col = 0; col < this.meshDivisions; col++) {
+                const topLeft = points[row][col];
+                const topRight = points[row][col + 1];
+                const bottomLeft = points[row + 1][col];
+                const bottomRight = points[row + 1][col + 1];
+                const x = col * cellWidth;
+                const y = row * cellHeight;
+
+                // 格子を2つの三角形に分け、それぞれをアフィン変換で描画
+                this.drawTriangle(context, pixelRatio, [topLeft, topRight, bottomLeft],
+                    topLeft, topRight, bottomLeft, x, y, cellWidth, cellHeight);
+                this.drawTriangle(context, pixelRatio, [bottomRight, bottomLeft, topRight],
+                    bottomRight, bottomLeft, topRight, x + cellWidth, y + cellHeight, -cellWidth, -cellHeight);
+            }
+        }
+    }
+
+    // 三角形で切り抜いて画像を描画（隣接する三角形との隙間が見えないよう少し広げて切り抜く）
+    drawTriangle(context, pixelRatio, triangle, origin, alongX, alongY, imageX, imageY, dx, dy) {
+        const centerX = (triangle[0].x + triangle[1].x + triangle[2].x) / 3;
+        const centerY = (triangle[0].y + triangle[1].y + triangle[2].y) / 3;
+
+        context.save();
+        context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        context.beginPath();
+        triangle.forEach((point, i) => {
+            const distance = Math.hypot(point.x - centerX, point.y - centerY) || 1;
+            const expand = 1 + 0.5 / distance;
+            const px = centerX + (point.x - centerX) * expand;
+            const py = centerY + (point.y - centerY) * expand;
+            if (i === 0) {
+                context.moveTo(px, py);
+            } else {
+                context.lineTo(px, py);
+            }
+        });
+        context.closePath();
+        context.clip();
+
+        this.setTriangleTransform(context, pixelRatio, origin, alongX, alongY, imageX, imageY, dx, dy);
+        context.drawImage(this.image, 0, 0);
+        context.restore();
+    }
+
+    /**
+     * 画像座標(imageX, imageY)→origin、(imageX + dx, imageY)→alongX、(imageX, imageY + dy)→alongYとなる変換を設定
+     * @param {CanvasRenderingContext2D} context - 描画先
+     * @param {number} pixelRatio - 画面のピクセル比
+     * @param {L.Point} origin - 基準点の画面座標
+     * @param {L.Point} alongX - 画像のx方向に隣接する点の画面座標
+     * @param {L.Point} alongY - 画像のy方向に隣接する点の画面座標
+     */
+    setTriangleTransform(context, pixelRatio, origin, alongX, alongY, imageX, imageY, dx, dy) {
+        const a = (alongX.x - origin.x) / dx;
+        const b = (alongX.y - origin.y) / dx;
+        const c = (alongY.x - origin.x) / dy;
+        const d = (alongY.y - origin.y) / dy;
+        const e = origin.x - a * imageX - c * imageY;
+        const f = origin.y - b * imageX - d * imageY;
+
+        context.setTransform(
+            a * pixelRatio, b * pixelRatio,
+            c * pixelRatio, d * pixelRatio,
+            e * pixelRatio, f * pixelRatio
+        );
+    }
+}
\ No newline at end of file
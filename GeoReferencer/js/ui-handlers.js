@@ -1,5 +1,6 @@
 // UIイベントハンドリング機能を管理するモジュール
 import { Logger, errorHandler } from './utils.js';
+import { RESIDUAL_CLASSES, UNVERIFIED_RESIDUAL_COLOR } from './constants.js';
 
 export class UIHandlers {
     constructor() {
@@ -82,12 +83,23 @@ export class UIHandlers {
                 unmatchedPointsField.value = displayText;
             }
             
+            const rejectedPointsField = document.getElementById('rejectedPointsField');
+            if (rejectedPointsField) {
+                // 外れ値として除外したポイントを「ID(残差m)」形式で表示
+                rejectedPointsField.value = (result.rejectedPoints || [])
+                    .map(point => `${point.pointId}(${point.error.toFixed(1)}m)`)
+                    .join(' ');
+            }
+            
+            this.updateResidualDisplay(result.accuracy);
+            
             if (result.georeferenceCompleted) {
                 this.logger.info('ジオリファレンス詳細結果', {
                     totalGpsPoints: result.totalPoints,
                     totalPointJsons: result.totalPointJsons || 0,
                     matchedPairs: result.matchedCount,
                     unmatchedPointJsonCount: result.unmatchedPoints ? result.unmatchedPoints.length : 0,
+                    rejectedPointCount: result.rejectedPoints ? result.rejectedPoints.length : 0,
                     matchPercentage: result.totalPointJsons > 0 ? 
                         Math.round((result.matchedCount / result.totalPointJsons) * 100) : 0
                 });
@@ -98,4 +110,96 @@ export class UIHandlers {
         }
     }
 
+    // 変換モデルの選択肢を設定
+    populateTransformationModels(models, selectedModel) {
+        try {
+            const select = document.getElementById('transformationModelSelect');
+            if (!select) return;
+
+            select.innerHTML = '';
+            Object.entries(models).forEach(([key, info]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = `${info.label}（${info.minPoints}点以上）`;
+                option.selected = key === selectedModel;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            this.logger.error('変換モデル選択肢設定エラー', error);
+        }
+    }
+
+    // 残差ベクトルの拡大倍率の選択肢を設定
+    populateResidualVectorOptions(scales, selectedScale) {
+        try {
+            const select = document.getElementById('residualVectorScale');
+            if (!select) return;
+
+            select.innerHTML = '';
+            scales.forEach(scale => {
+                const option = document.createElement('option');
+                option.value = scale;
+                option.textContent = `×${scale}`;
+                option.selected = scale === selectedScale;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            this.logger.error('残差ベクトル倍率選択肢設定エラー', error);
+        }
+    }
+
+    // 残差の色分けの凡例を表示
+    renderResidualLegend() {
+        try {
+            const legend = document.getElementById('residualLegend');
+            if (!legend) return;
+
+            legend.innerHTML = '';
+            RESIDUAL_CLASSES.forEach(item => {
+                const span = document.createElement('span');
+                span.textContent = item.label;
+                span.style.setProperty('--legend-color', item.color);
+                legend.appendChild(span);
+            });
+        } catch (error) {
+            this.logger.error('残差凡例表示エラー', error);
+        }
+    }
+
+    // ポイントごとの残差（メートル）を表示
+    updateResidualDisplay(accuracy) {
+        try {
+            const rmseField = document.getElementById('residualRmseField');
+            const residualList = document.getElementById('residualList');
+
+            if (rmseField) {
+                rmseField.value = accuracy && accuracy.rmse !== undefined && accuracy.rmse !== null ? accuracy.rmse.toFixed(2) : '-';
+            }
+
+            if (residualList) {
+                residualList.innerHTML = '';
+                if (!accuracy || !accuracy.residuals) return;
+
+                accuracy.residuals.forEach(residual => {
+                    const item = document.createElement('li');
+                    const idSpan = document.createElement('span');
+                    const errorSpan = document.createElement('span');
+                    idSpan.textContent = residual.pointId;
+                    if (residual.error === null) {
+                        // 残りの制御点で変換を計算できず検証できない点
+                        errorSpan.textContent = '検証不可';
+                        errorSpan.style.color = UNVERIFIED_RESIDUAL_COLOR;
+                    } else {
+                        errorSpan.textContent = `${residual.error.toFixed(2)} m`;
+                        errorSpan.style.color = RESIDUAL_CLASSES.find(item => residual.error < item.max).color;
+                    }
+                    item.appendChild(idSpan);
+                    item.appendChild(errorSpan);
+                    residualList.appendChild(item);
+                });
+            }
+        } catch (error) {
+            this.logger.error('残差表示エラー', error);
+        }
+    }
 }
\ No newline at end of file
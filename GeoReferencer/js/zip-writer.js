@@ -0,0 +1,136 @@
+// ZIPアーカイブ作成モジュール
+// 外部ライブラリを使わず、無圧縮(STORE)方式でZIPファイルを生成する
+// KMZ・画像出力（PNG＋ワールドファイル）・タイル一式の出力で使用する
+
+// CRC32計算用テーブル（初回使用時に生成）
+let crcTable = null;
+
+function getCrcTable() {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    return crcTable;
+}
+
+export class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * ファイルをアーカイブに追加
+     * @param {string} path - アーカイブ内のパス（例: 'files/overlay.png'）
+     * @param {Uint8Array|string} data - ファイル内容（文字列はUTF-8で格納）
+     */
+    addFile(path, data) {
+        const bytes = typeof data === 'string' ? this.encoder.encode(data) : data;
+        this.entries.push({
+            nameBytes: this.encoder.encode(path),
+            data: bytes,
+            crc: ZipWriter.crc32(bytes)
+        });
+    }
+
+    /**
+     * 登録済みファイル数を取得
+     * @returns {number} ファイル数
+     */
+    getFileCount() {
+        return this.entries.length;
+    }
+
+    /**
+     * ZIPアーカイブを生成
+     * @param {string} mimeType - 生成するBlobのMIMEタイプ
+     * @returns {Blob} ZIPデータ
+     */
+    generate(mimeType = 'application/zip') {
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+        const { time, date } = ZipWriter.toDosDateTime(new Date());
+
+        for (const entry of this.entries) {
+            // ローカルファイルヘッダー
+            const localHeader = new DataView(new ArrayBuffer(30));
+            localHeader.setUint32(0, 0x04034b50, true);
+            localHeader.setUint16(4, 20, true);             // 展開に必要なバージョン
+            localHeader.setUint16(6, 0x0800, true);         // ファイル名はUTF-8
+            localHeader.setUint16(8, 0, true);              // 無圧縮
+            localHeader.setUint16(10, time, true);
+            localHeader.setUint16(12, date, true);
+            localHeader.setUint32(14, entry.crc, true);
+            localHeader.setUint32(18, entry.data.length, true);
+            localHeader.setUint32(22, entry.data.length, true);
+            localHeader.setUint16(26, entry.nameBytes.length, true);
+            localHeader.setUint16(28, 0, true);
+
+            parts.push(localHeader, entry.nameBytes, entry.data);
+
+            // セントラルディレクトリのエントリー
+            const centralHeader = new DataView(new ArrayBuffer(46));
+            centralHeader.setUint32(0, 0x02014b50, true);
+            centralHeader.setUint16(4, 20, true);
+            centralHeader.setUint16(6, 20, true);
+            centralHeader.setUint16(8, 0x0800, true);
+            centralHeader.setUint16(10, 0, true);
+            centralHeader.setUint16(12, time, true);
+            centralHeader.setUint16(14, date, true);
+            centralHeader.setUint32(16, entry.crc, true);
+            centralHeader.setUint32(20, entry.data.length, true);
+            centralHeader.setUint32(24, entry.data.length, true);
+            centralHeader.setUint16(28, entry.nameBytes.length, true);
+            centralHeader.setUint32(42, offset, true);
+
+            centralDirectory.push(centralHeader, entry.nameBytes);
+
+            offset += 30 + entry.nameBytes.length + entry.data.length;
+        }
+
+        const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+
+        // セントラルディレクトリ終端レコード
+        const endRecord = new DataView(new ArrayBuffer(22));
+        endRecord.setUint32(0, 0x06054b50, true);
+        endRecord.setUint16(8, this.entries.length, true);
+        endRecord.setUint16(10, this.entries.length, true);
+        endRecord.setUint32(12, centralSize, true);
+        endRecord.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralDirectory, endRecord], { type: mimeType });
+    }
+
+    /**
+     * CRC32を計算
+     * @param {Uint8Array} bytes - 対象データ
+     * @returns {number} CRC32値
+     */
+    static crc32(bytes) {
+        const table = getCrcTable();
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * 日時をMS-DOS形式に変換
+     * @param {Date} dateTime - 日時
+     * @returns {{time: number, date: number}} DOS形式の時刻・日付
+     */
+    static toDosDateTime(dateTime) {
+        return {
+            time: (dateTime.getHours() << 11) | (dateTime.getMinutes() << 5) | Math.floor(dateTime.getSeconds() / 2),
+            date: ((dateTime.getFullYear() - 1980) << 9) | ((dateTime.getMonth() + 1) << 5) | dateTime.getDate()
+        };
+    }
+}
\ No newline at end of file
@@ -1,16 +1,29 @@
 // メインアプリケーションファイル
 
-import { MODES } from './constants.js';
+import { DEFAULTS, MODES } from './constants.js';
 import { showMessage } from './message.js';
-import { updateStats } from './stats.js';
+import { updateStats, getDateString } from './stats.js';
 import { initializeMap } from './mapCore.js';
-import { getLoadedData, setupFileInput, setupFileExport } from './fileIO.js';
+import { getLoadedData, setupFileInput, setupFileExport, renderGeoJsonData, saveFile } from './fileIO.js';
 import * as RouteEditor from './routeEditor.js';
 import * as SpotEditor from './spotEditor.js';
+import { showElevationProfile, clearElevationProfile, fetchRouteClimb } from './elevationProfile.js';
+import * as History from './history.js';
+import { snapState, snapLatLng, setSnapEnabled, setSnapTolerance, setReferenceTracks, clearReferenceTracks } from './snapping.js';
+import { parseTrackFile } from './trackParser.js';
+import { createWaypointsFromTrack } from './trackImport.js';
+import { validateRouteNetwork, ISSUE_LABELS } from './validation.js';
+import { metricsState, setWalkingPace, setUseElevation, calculateRouteMetrics, formatWalkingTime } from './routeMetrics.js';
+import { getSpotCategories, findSpotCategory, saveSpotCategory, deleteSpotCategory, resetSpotCategories, initSpotLegend, updateSpotLegend } from './spotCategories.js';
+import { SPOT_ATTRIBUTE_FIELDS, showSpotAttributes, updateRequiredMarks, getMissingRequiredFields, addPhotoUrl, attachPhotoFile, addCustomAttributeRow, applySpotAttributes } from './spotAttributes.js';
+import { PLANNER_MODES, plannerState, buildRouteGraph, loadEdgeClimbs, findPath, showPlannedPath, clearPlannedPath, createPathFeature } from './routePlanner.js';
 
 // 地図とレイヤーの初期化
 const { map, geoJsonLayer, markerMap, spotMarkerMap } = initializeMap();
 
+// スポット区分の凡例
+initSpotLegend(map);
+
 // グローバルアクセス用（最適化関数で使用）
 window.geoJsonLayer = geoJsonLayer;
 
@@ -41,6 +54,7 @@ document.querySelectorAll('input[name="mode"]').forEach(radio => {
             document.getElementById('spotSelect').value = '';
             document.getElementById('selectedSpotName').value = '';
             document.getElementById('spotCategory').value = '';
+            showSpotAttributes(null);
         }
 
         // パネルの表示切り替え
@@ -71,10 +85,12 @@ document.querySelectorAll('input[name="mode"]').forEach(radio => {
 // 絞り込みドロップダウンの変更イベントリスナー
 document.getElementById('routeStart').addEventListener('change', function() {
     RouteEditor.updateRouteLongDropdown(getLoadedData());
+    updateRouteMetricsDisplay();
 });
 
 document.getElementById('routeEnd').addEventListener('change', function() {
     RouteEditor.updateRoutePathDropdown(getLoadedData());
+    updateRouteMetricsDisplay();
 });
 
 // route-dropdown-fullの変更イベントリスナー（ルートハイライト）
@@ -90,9 +106,23 @@ document.getElementById('routePath').addEventListener('change', function() {
         RouteEditor.exitDeleteMode(markerMap);
         showMessage('ルート選択変更により削除モードを解除しました', 'success');
     }
+    if (RouteEditor.state.isPointPickMode) {
+        RouteEditor.exitPointPickMode(markerMap, map);
+    }
 
     // ルートをハイライト
     RouteEditor.highlightRoute(selectedRouteId, getLoadedData(), markerMap, map);
+
+    // 前のルートの標高断面図を消去
+    clearElevationProfile(map);
+    updateRouteMetricsDisplay();
+
+    // トラック取込の開始・終了ポイントに反映
+    const match = selectedRouteId.match(/^route_(.+)_to_(.+)$/);
+    if (match) {
+        document.getElementById('trackStartPoint').value = match[1];
+        document.getElementById('trackEndPoint').value = match[2];
+    }
 });
 
 // 追加・移動ボタン
@@ -115,6 +145,9 @@ document.getElementById('addMoveRouteBtn').addEventListener('click', function()
     if (RouteEditor.state.isDeleteMode) {
         RouteEditor.exitDeleteMode(markerMap);
     }
+    if (RouteEditor.state.isPointPickMode) {
+        RouteEditor.exitPointPickMode(markerMap, map);
+    }
 
     // 追加・移動モードを開始
     RouteEditor.state.isAddMoveMode = true;
@@ -132,8 +165,9 @@ document.getElementById('addMoveRouteBtn').addEventListener('click', function()
     const handler = function(e) {
         if (!RouteEditor.state.isAddMoveMode) return;
 
-        // クリック位置に中間点を追加
-        RouteEditor.addWaypointToRoute(path, e.latlng, getLoadedData(), markerMap, geoJsonLayer);
+        // クリック位置に中間点を追加（道・トラック・ポイントGPSへスナップ、Altキーで無効）
+        const { latlng } = snapLatLng(e.latlng, e.originalEvent, getLoadedData(), map);
+        RouteEditor.addWaypointToRoute(path, latlng, getLoadedData(), markerMap, geoJsonLayer);
 
         // ルート線を再描画
         RouteEditor.redrawRouteLine(path, getLoadedData(), map);
@@ -168,6 +202,9 @@ document.getElementById('deleteRouteBtn').addEventListener('click', function() {
     if (RouteEditor.state.isAddMoveMode) {
         RouteEditor.exitAddMoveMode(markerMap, map);
     }
+    if (RouteEditor.state.isPointPickMode) {
+        RouteEditor.exitPointPickMode(markerMap, map);
+    }
 
     // 削除モードを開始
     RouteEditor.state.isDeleteMode = true;
@@ -179,8 +216,8 @@ document.getElementById('deleteRouteBtn').addEventListener('click', function() {
     showMessage('中間点をクリックして削除できます。削除ボタンをもう一度クリックで解除', 'success');
 });
 
-// クリアボタン
-document.getElementById('clearRouteBtn').addEventListener('click', async function() {
+// 最適化ボタン
+document.getElementById('optimizeRouteBtn').addEventListener('click', function() {
     const path = document.getElementById('routePath').value;
 
     if (!path) {
@@ -196,91 +233,354 @@ document.getElementById('clearRouteBtn').addEventListener('click', async functio
         RouteEditor.exitDeleteMode(markerMap);
     }
 
-    // ルート名を取得
-    const routePathSelect = document.getElementById('routePath');
-    const selectedOption = routePathSelect.options[routePathSelect.selectedIndex];
-    const routeName = selectedOption ? selectedOption.textContent : path;
+    const result = RouteEditor.optimizeRoute(path, true, getLoadedData(), markerMap);
+    if (result && result.applied) {
+        RouteEditor.redrawRouteLine(path, getLoadedData(), map);
+        clearElevationProfile(map);
+        History.recordChange('ルートの最適化', RouteEditor.getRouteLabel(path));
+    }
+});
+
+// ルート削除ボタン（中間点をすべて削除してルートを消去）
+document.getElementById('clearRouteBtn').addEventListener('click', function() {
+    const path = document.getElementById('routePath').value;
+
+    if (!path) {
+        showMessage('ルートを選択してください', 'warning');
+        return;
+    }
+
+    // 他のモードが有効な場合は解除
+    exitRouteModes();
+
+    const routeLabel = RouteEditor.getRouteLabel(path);
 
     // 確認メッセージを表示
-    const confirmed = confirm(`ルート ${routeName} を削除しますか？`);
+    const confirmed = confirm(`ルート ${routeLabel} を削除しますか？\n中間点はすべて削除されます`);
     if (!confirmed) {
         return;
     }
 
-    // ルートの中間点をすべて削除
+    const removedCount = RouteEditor.deleteRoute(path, getLoadedData(), markerMap, map);
+    clearElevationProfile(map);
+
+    // route-dropdown-fullを更新して選択無し状態にする
+    document.getElementById('routePath').value = '';
+    updateStats(getLoadedData());
+
+    History.recordChange('ルートの削除', routeLabel);
+
+    showMessage(`ルート ${routeLabel} を削除しました（中間点${removedCount}個）`, 'success');
+});
+
+// ルート編集の各モード（追加・移動、削除、ポイント選択）を解除
+function exitRouteModes() {
+    if (RouteEditor.state.isAddMoveMode) {
+        RouteEditor.exitAddMoveMode(markerMap, map);
+    }
+    if (RouteEditor.state.isDeleteMode) {
+        RouteEditor.exitDeleteMode(markerMap);
+    }
+    if (RouteEditor.state.isPointPickMode) {
+        RouteEditor.exitPointPickMode(markerMap, map);
+    }
+}
+
+// 新規ルート: 地図上のポイントGPSをクリックして開始・終了ポイントを選択
+document.getElementById('pickRoutePointsBtn').addEventListener('click', function() {
+    if (RouteEditor.state.isPointPickMode) {
+        RouteEditor.exitPointPickMode(markerMap, map);
+        showMessage('ポイント選択を解除しました', 'success');
+        return;
+    }
+
+    if (!getLoadedData()) {
+        showMessage('先にGeoJSONファイルを読み込んでください', 'warning');
+        return;
+    }
+
+    exitRouteModes();
+    this.classList.add('active');
+
+    const startSelect = document.getElementById('trackStartPoint');
+    const endSelect = document.getElementById('trackEndPoint');
+
+    // 1回目のクリックで開始、2回目で終了ポイントを設定
+    RouteEditor.enterPointPickMode(markerMap, map, function(pointId) {
+        if (!startSelect.value || endSelect.value) {
+            startSelect.value = pointId;
+            endSelect.value = '';
+            showMessage(`開始ポイント: ${pointId}\n終了ポイントをクリックしてください`, 'success');
+        } else {
+            endSelect.value = pointId;
+            RouteEditor.exitPointPickMode(markerMap, map);
+            showMessage(`開始ポイント: ${startSelect.value}、終了ポイント: ${pointId}\n「作成」でルートを作成します`, 'success');
+        }
+    });
+
+    startSelect.value = '';
+    endSelect.value = '';
+    showMessage('地図上で開始ポイントをクリックしてください。\nボタンをもう一度クリックで解除', 'success');
+});
+
+// 新規ルートの作成
+document.getElementById('createRouteBtn').addEventListener('click', function() {
     const data = getLoadedData();
-    if (data && data.features) {
-        for (let i = data.features.length - 1; i >= 0; i--) {
-            const feature = data.features[i];
-            if (feature.properties &&
-                feature.properties.route_id === path &&
-                feature.properties.type === 'route_waypoint') {
-                data.features.splice(i, 1);
+    if (!data) {
+        showMessage('先にGeoJSONファイルを読み込んでください', 'warning');
+        return;
+    }
+
+    const startId = document.getElementById('trackStartPoint').value;
+    const endId = document.getElementById('trackEndPoint').value;
+    if (!startId || !endId || startId === endId) {
+        showMessage('異なる開始ポイントと終了ポイントを選択してください', 'warning');
+        return;
+    }
+
+    exitRouteModes();
+
+    const routeId = `route_${startId}_to_${endId}`;
+    const routeLabel = RouteEditor.getRouteLabel(routeId);
+    if (RouteEditor.state.allRoutes.some(r => r.routeId === routeId)) {
+        showMessage(`ルート ${routeLabel} は既に存在します`, 'warning');
+        selectRoute(routeId);
+        return;
+    }
+
+    RouteEditor.createRoute(startId, endId, data, markerMap, geoJsonLayer);
+    selectRoute(routeId);
+    updateStats(data);
+
+    History.recordChange('ルートの作成', routeLabel);
+
+    showMessage(`ルート ${routeLabel} を作成しました\n中間点を追加・移動してルートを編集してください`, 'success');
+});
+
+// ルートを絞り込みなしで選択してハイライト
+function selectRoute(routeId) {
+    RouteEditor.resetRouteHighlight(markerMap, map);
+    clearElevationProfile(map);
+
+    document.getElementById('routeStart').value = '';
+    document.getElementById('routeEnd').value = '';
+    RouteEditor.updateDropdowns(getLoadedData());
+
+    document.getElementById('routePath').value = routeId;
+    RouteEditor.highlightRoute(routeId, getLoadedData(), markerMap, map);
+    updateRouteMetricsDisplay();
+}
+
+// 選択ルートの距離・歩行時間・区間ごとの距離を表示
+function updateRouteMetricsDisplay() {
+    const routeId = document.getElementById('routePath').value;
+    const summary = document.getElementById('routeMetricsSummary');
+    const segmentList = document.getElementById('routeSegmentList');
+    segmentList.innerHTML = '';
+
+    const metrics = routeId ? calculateRouteMetrics(routeId, getLoadedData()) : null;
+    if (!metrics) {
+        summary.textContent = '－';
+        return;
+    }
+
+    let text = `${RouteEditor.formatDistance(metrics.length)}　歩行 約${formatWalkingTime(metrics.walkingTime)}`;
+    if (metricsState.useElevation && metrics.ascent !== null) {
+        text += `（↑${Math.round(metrics.ascent)}m）`;
+    }
+    summary.textContent = text;
+
+    // 区間は開始ポイント→中間点1→…→終了ポイント
+    const match = routeId.match(/^route_(.+)_to_(.+)$/);
+    const labels = [match[1], ...metrics.segments.slice(1).map((_, i) => `中間点${i + 1}`), match[2]];
+    metrics.segments.forEach((segment, i) => {
+        const item = document.createElement('li');
+        item.textContent = `${labels[i]} → ${labels[i + 1]}: ${RouteEditor.formatDistance(segment)}`;
+        segmentList.appendChild(item);
+    });
+
+    // 標高補正が有効で累積標高が未取得なら、取得後に表示し直す
+    if (metricsState.useElevation && metrics.ascent === null) {
+        const token = ++metricsState.requestToken;
+        fetchRouteClimb(metrics.coordinates).then(climb => {
+            if (climb && token === metricsState.requestToken) {
+                updateRouteMetricsDisplay();
             }
+        });
+    }
+}
+
+// 歩行速度
+const walkingPaceInput = document.getElementById('walkingPace');
+walkingPaceInput.value = metricsState.pace;
+walkingPaceInput.addEventListener('change', function() {
+    const value = parseFloat(this.value);
+    if (isNaN(value) || value <= 0) {
+        this.value = metricsState.pace;
+        showMessage('歩行速度には正の数値を入力してください', 'warning');
+        return;
+    }
+    setWalkingPace(value);
+    updateRouteMetricsDisplay();
+});
+
+// 歩行時間の標高補正
+document.getElementById('walkingTimeElevation').addEventListener('change', function() {
+    setUseElevation(this.checked);
+    updateRouteMetricsDisplay();
+});
+
+// スナップの有効・無効
+const snapEnabledCheckbox = document.getElementById('snapEnabled');
+snapEnabledCheckbox.checked = snapState.enabled;
+snapEnabledCheckbox.addEventListener('change', function() {
+    setSnapEnabled(this.checked);
+});
+
+// スナップの許容距離
+const snapToleranceInput = document.getElementById('snapTolerance');
+snapToleranceInput.value = snapState.tolerance;
+snapToleranceInput.addEventListener('change', function() {
+    const value = parseInt(this.value, 10);
+    if (isNaN(value) || value < 1) {
+        this.value = snapState.tolerance;
+        showMessage('許容距離は1以上の数値を入力してください', 'warning');
+        return;
+    }
+    setSnapTolerance(value);
+});
+
+// 参照トラック（GPX/KML）の読み込み
+document.getElementById('referenceTrackInput').addEventListener('change', async function(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+        const tracks = parseTrackFile(file.name, await file.text());
+        if (tracks.length === 0) {
+            showMessage('ファイルにトラックがありません', 'warning');
+            return;
         }
+        setReferenceTracks(tracks, map);
+        showMessage(`参照トラックを読み込みました（${tracks.length}本）\n中間点は参照トラックにスナップします`, 'success');
+    } catch (error) {
+        showMessage('トラックの読み込みに失敗しました: ' + error.message, 'error');
+    } finally {
+        // 同じファイルを再選択できるようにリセット
+        this.value = '';
     }
+});
 
-    // 地図から中間点マーカーを削除
-    const waypointMarkers = markerMap.get(path);
-    if (Array.isArray(waypointMarkers)) {
-        waypointMarkers.forEach(marker => {
-            map.removeLayer(marker);
-        });
-        markerMap.delete(path);
+document.getElementById('clearReferenceTrackBtn').addEventListener('click', function() {
+    if (snapState.referenceTracks.length === 0) {
+        showMessage('参照トラックは読み込まれていません', 'warning');
+        return;
     }
+    clearReferenceTracks(map);
+    showMessage('参照トラックを解除しました', 'success');
+});
+
+// GPSトラックの取込
+const trackToleranceInput = document.getElementById('trackTolerance');
+trackToleranceInput.value = DEFAULTS.TRACK_IMPORT.SIMPLIFY_TOLERANCE;
+
+document.getElementById('trackFileInput').addEventListener('change', async function(e) {
+    const file = e.target.files[0];
+    if (!file) return;
 
-    // ルート線を削除
-    if (RouteEditor.state.selectedRouteLine) {
-        map.removeLayer(RouteEditor.state.selectedRouteLine);
-        RouteEditor.state.selectedRouteLine = null;
+    // 同じファイルを再選択できるようにリセット
+    this.value = '';
+
+    const data = getLoadedData();
+    if (!data) {
+        showMessage('先にGeoJSONファイルを読み込んでください', 'warning');
+        return;
     }
 
-    // 開始・終了ポイントのマーカー色を元に戻す
-    const match = path.match(/^route_(.+)_to_(.+)$/);
-    if (match) {
-        const startId = match[1];
-        const endId = match[2];
+    const startId = document.getElementById('trackStartPoint').value;
+    const endId = document.getElementById('trackEndPoint').value;
+    if (!startId || !endId || startId === endId) {
+        showMessage('異なる開始ポイントと終了ポイントを選択してください', 'warning');
+        return;
+    }
 
-        const startMarker = markerMap.get(startId);
-        const endMarker = markerMap.get(endId);
+    const tolerance = parseFloat(trackToleranceInput.value);
+    if (isNaN(tolerance) || tolerance < 0) {
+        showMessage('許容誤差は0以上の数値を入力してください', 'warning');
+        return;
+    }
 
-        if (startMarker && startMarker.setStyle) {
-            const { DEFAULTS } = await import('./constants.js');
-            startMarker.setStyle(DEFAULTS.FEATURE_STYLES['ポイントGPS']);
-        }
-        if (endMarker && endMarker.setStyle) {
-            const { DEFAULTS } = await import('./constants.js');
-            endMarker.setStyle(DEFAULTS.FEATURE_STYLES['ポイントGPS']);
+    let result;
+    try {
+        const tracks = parseTrackFile(file.name, await file.text());
+        if (tracks.length === 0) {
+            showMessage('ファイルにトラックがありません', 'warning');
+            return;
         }
+        result = createWaypointsFromTrack(tracks, startId, endId, tolerance, data);
+    } catch (error) {
+        showMessage('トラックの取込に失敗しました: ' + error.message, 'error');
+        return;
     }
 
-    // selectedRouteIdをリセット
-    RouteEditor.setSelectedRouteId(null);
+    const routeId = result.routeId;
+    const routeLabel = RouteEditor.getRouteLabel(routeId);
 
-    // allRoutesから削除したルートを除外
-    const routeIndex = RouteEditor.state.allRoutes.findIndex(r => r.routeId === path);
-    if (routeIndex !== -1) {
-        RouteEditor.state.allRoutes.splice(routeIndex, 1);
+    // 既存の中間点がある場合は置き換えを確認
+    const existingCount = data.features.filter(f =>
+        f.properties && f.properties.route_id === routeId && f.properties.type === 'route_waypoint'
+    ).length;
+    if (existingCount > 0 && !confirm(`ルート ${routeLabel} の既存の中間点${existingCount}個を置き換えますか？`)) {
+        return;
     }
 
-    // route-dropdown-shortとroute-dropdown-longを更新
-    RouteEditor.updateDropdowns(getLoadedData());
+    // 他のモードが有効な場合は解除
+    exitRouteModes();
 
-    // route-dropdown-fullを更新して選択無し状態にする
-    document.getElementById('routePath').value = '';
+    data.features = data.features.filter(f =>
+        !(f.properties && f.properties.route_id === routeId && f.properties.type === 'route_waypoint')
+    );
+    data.features.push(...result.waypoints);
+
+    // ルート一覧・マーカー・統計を更新し、取り込んだルートを選択
+    RouteEditor.extractPointsAndRoutes(data);
+    RouteEditor.redrawWaypointMarkers(routeId, data, markerMap, geoJsonLayer);
+    selectRoute(routeId);
+    updateStats(data);
 
-    showMessage('ルートを削除(=クリア)しました', 'success');
+    History.recordChange('トラックの取込', routeLabel);
+
+    let message = `トラック(${result.originalPointCount}点)から中間点${result.waypoints.length}個を作成しました`;
+    if (result.hasLargeGap) {
+        message += `\nトラックの端がポイントから離れています（開始 ${Math.round(result.startGap)}m、終了 ${Math.round(result.endGap)}m）`;
+    }
+    showMessage(message, result.hasLargeGap ? 'warning' : 'success');
+});
+
+// 標高断面図ボタン
+document.getElementById('elevationProfileBtn').addEventListener('click', function() {
+    const path = document.getElementById('routePath').value;
+
+    if (!path) {
+        showMessage('ルートを選択してください', 'warning');
+        return;
+    }
+
+    const coordinates = RouteEditor.getCoordinatesFromGeoJSON(path, getLoadedData());
+    showElevationProfile(path, coordinates, map);
 });
 
 // リセットボタン
 document.getElementById('resetDropdownBtn').addEventListener('click', function() {
     // ハイライトをリセット
     RouteEditor.resetRouteHighlight(markerMap, map);
+    clearElevationProfile(map);
 
     document.getElementById('routeStart').value = '';
     document.getElementById('routeEnd').value = '';
     document.getElementById('routePath').value = '';
     RouteEditor.updateRouteLongDropdown(getLoadedData());
+    updateRouteMetricsDisplay();
 });
 
 // ========================================
@@ -303,6 +603,9 @@ document.getElementById('selectedSpotName').addEventListener('blur', function()
     if (!SpotEditor.selectedSpotFeature || !newName) return;
 
     // GeoJSONデータの名称を更新
+    const oldName = SpotEditor.selectedSpotFeature.properties && SpotEditor.selectedSpotFeature.properties.name;
+    if (oldName === newName) return;
+
     if (SpotEditor.selectedSpotFeature.properties) {
         SpotEditor.selectedSpotFeature.properties.name = newName;
     }
@@ -322,23 +625,230 @@ document.getElementById('selectedSpotName').addEventListener('blur', function()
     // 選択を維持
     spotSelect.value = currentIndex;
 
+    History.recordChange('スポット名の変更', `${oldName} → ${newName}`);
+
     showMessage('スポット名を更新しました', 'success');
 });
 
 // スポット区分ドロップダウンの変更イベントリスナー
 document.getElementById('spotCategory').addEventListener('change', function() {
     const newCategory = this.value;
-
-    if (!SpotEditor.selectedSpotFeature) return;
+    const feature = SpotEditor.selectedSpotFeature;
+
+    if (!feature) return;
+
+    // 詳細情報の保存と同じく、フォームの内容を新しい区分の必須項目で検証して書き込む
+    // 必須項目が不足する場合は区分を変更しない
+    const oldCategory = (feature.properties && feature.properties.category) || '';
+    try {
+        applySpotAttributes(newCategory);
+    } catch (error) {
+        this.value = oldCategory;
+        showMessage(error.message, 'warning');
+        return;
+    }
 
     // GeoJSONデータのスポット区分を更新
-    if (SpotEditor.selectedSpotFeature.properties) {
-        SpotEditor.selectedSpotFeature.properties.category = newCategory;
-    }
+    feature.properties.category = newCategory;
+
+    // マーカーを区分の色・記号に変更し、区分の必須項目を表示
+    SpotEditor.refreshSpotIcons(spotMarkerMap);
+    updateRequiredMarks(newCategory);
+
+    History.recordChange('スポット区分の変更', SpotEditor.selectedSpotFeature.properties && SpotEditor.selectedSpotFeature.properties.name);
 
     showMessage('スポット区分を更新しました', 'success');
 });
 
+// 写真のURLを追加
+document.getElementById('addSpotPhotoBtn').addEventListener('click', function() {
+    const urlInput = document.getElementById('spotPhotoUrlInput');
+    try {
+        addPhotoUrl(urlInput.value);
+        urlInput.value = '';
+    } catch (error) {
+        showMessage(error.message, 'warning');
+    }
+});
+
+// 画像ファイルを添付
+document.getElementById('spotPhotoFileInput').addEventListener('change', async function(e) {
+    const file = e.target.files[0];
+    // 同じファイルを続けて選択できるようにリセット
+    this.value = '';
+    if (!file) return;
+
+    try {
+        await attachPhotoFile(file);
+    } catch (error) {
+        showMessage(error.message, 'warning');
+    }
+});
+
+document.getElementById('addSpotCustomAttributeBtn').addEventListener('click', function() {
+    addCustomAttributeRow();
+});
+
+// 詳細情報を保存
+document.getElementById('saveSpotAttributesBtn').addEventListener('click', function() {
+    if (!SpotEditor.selectedSpotFeature) {
+        showMessage('スポットを選択してください', 'warning');
+        return;
+    }
+
+    const spotName = SpotEditor.selectedSpotFeature.properties && SpotEditor.selectedSpotFeature.properties.name;
+    try {
+        applySpotAttributes(document.getElementById('spotCategory').value);
+    } catch (error) {
+        showMessage(error.message, 'warning');
+        return;
+    }
+
+    History.recordChange('スポット詳細の変更', spotName);
+    showMessage('スポットの詳細情報を保存しました', 'success');
+});
+
+// スポット区分の設定
+const categoryEditSelect = document.getElementById('categoryEditSelect');
+const categoryNameInput = document.getElementById('categoryNameInput');
+const categoryColorInput = document.getElementById('categoryColorInput');
+const categorySymbolInput = document.getElementById('categorySymbolInput');
+
+// 必須にする詳細情報のチェックボックス
+const categoryRequiredFields = document.getElementById('categoryRequiredFields');
+SPOT_ATTRIBUTE_FIELDS.forEach(field => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = field.key;
+    label.append(checkbox, field.label);
+    categoryRequiredFields.appendChild(label);
+});
+
+// 設定欄の区分一覧を更新
+function updateCategoryEditor() {
+    const previousSelection = categoryEditSelect.value;
+
+    categoryEditSelect.innerHTML = '<option value="">新しい区分</option>';
+    getSpotCategories().forEach(category => {
+        const option = document.createElement('option');
+        option.value = category.name;
+        option.textContent = category.name;
+        categoryEditSelect.appendChild(option);
+    });
+
+    categoryEditSelect.value = findSpotCategory(previousSelection) ? previousSelection : '';
+    fillCategoryInputs();
+}
+
+// 選択した区分の名称・色・記号を入力欄に表示
+function fillCategoryInputs() {
+    const category = findSpotCategory(categoryEditSelect.value);
+    categoryNameInput.value = category ? category.name : '';
+    categoryColorInput.value = category ? category.color : DEFAULTS.FEATURE_STYLES['spot'].fillColor;
+    categorySymbolInput.value = category ? category.symbol : '';
+
+    const required = (category && category.required) || [];
+    categoryRequiredFields.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = required.includes(checkbox.value);
+    });
+}
+
+// 区分の定義の変更をドロップダウン・マーカー・凡例に反映
+function refreshSpotCategories() {
+    SpotEditor.initSpotCategoryDropdown();
+    updateCategoryEditor();
+    SpotEditor.refreshSpotIcons(spotMarkerMap);
+    updateSpotLegend(getLoadedData(), spotMarkerMap);
+    updateRequiredMarks(document.getElementById('spotCategory').value);
+}
+
+// 区分を使用しているスポット
+function getSpotsWithCategory(categoryName) {
+    const data = getLoadedData();
+    if (!data || !data.features) return [];
+    return data.features.filter(f => f.properties && f.properties.type === 'spot' && f.properties.category === categoryName);
+}
+
+categoryEditSelect.addEventListener('change', fillCategoryInputs);
+
+document.getElementById('saveCategoryBtn').addEventListener('click', function() {
+    const originalName = categoryEditSelect.value;
+    const name = categoryNameInput.value.trim();
+
+    if (!name) {
+        showMessage('区分名を入力してください', 'warning');
+        return;
+    }
+    if (name !== originalName && findSpotCategory(name)) {
+        showMessage(`区分「${name}」は既にあります`, 'warning');
+        return;
+    }
+
+    saveSpotCategory(originalName, {
+        name,
+        color: categoryColorInput.value,
+        symbol: categorySymbolInput.value.trim(),
+        required: Array.from(categoryRequiredFields.querySelectorAll('input:checked')).map(checkbox => checkbox.value)
+    });
+
+    // 名称を変更した場合は、その区分のスポットも新しい名称にする
+    if (originalName && originalName !== name) {
+        const spots = getSpotsWithCategory(originalName);
+        spots.forEach(feature => {
+            feature.properties.category = name;
+        });
+        if (spots.length > 0) {
+            History.recordChange('スポット区分の名称変更', `${originalName} → ${name}`);
+        }
+    }
+
+    categoryEditSelect.value = name;
+    refreshSpotCategories();
+
+    // 必須項目を追加した場合、既存のスポットで未入力のものを知らせる
+    const incompleteCount = getSpotsWithCategory(name)
+        .filter(feature => getMissingRequiredFields(feature.properties, name).length > 0).length;
+    if (incompleteCount > 0) {
+        showMessage(`スポット区分「${name}」を保存しました\n必須項目が未入力のスポットが${incompleteCount}個あります`, 'warning');
+        return;
+    }
+    showMessage(`スポット区分「${name}」を保存しました`, 'success');
+});
+
+document.getElementById('deleteCategoryBtn').addEventListener('click', function() {
+    const name = categoryEditSelect.value;
+    if (!name) {
+        showMessage('削除する区分を選択してください', 'warning');
+        return;
+    }
+
+    const spotCount = getSpotsWithCategory(name).length;
+    let message = `スポット区分「${name}」を削除しますか？`;
+    if (spotCount > 0) {
+        message += `\nこの区分のスポット${spotCount}個は未登録の区分として表示されます`;
+    }
+    if (!confirm(message)) {
+        return;
+    }
+
+    deleteSpotCategory(name);
+    refreshSpotCategories();
+    showMessage(`スポット区分「${name}」を削除しました`, 'success');
+});
+
+document.getElementById('resetCategoriesBtn').addEventListener('click', function() {
+    if (!confirm('スポット区分を初期値に戻しますか？\n追加・変更した区分は削除されます')) {
+        return;
+    }
+
+    resetSpotCategories();
+    refreshSpotCategories();
+    showMessage('スポット区分を初期値に戻しました', 'success');
+});
+
+updateCategoryEditor();
+
 // 追加・移動ボタン
 document.getElementById('addMoveSpotBtn').addEventListener('click', function() {
     // 既に追加・移動モードの場合は解除
@@ -444,9 +954,358 @@ document.getElementById('deleteSpotBtn').addEventListener('click', function() {
     document.getElementById('spotSelect').value = '';
     document.getElementById('selectedSpotName').value = '';
     document.getElementById('spotCategory').value = '';
+    showSpotAttributes(null);
+
+    History.recordChange('スポットの削除', spotName);
 
     showMessage('スポットを削除しました', 'success');
 });
 
+// ========================================
+// 元に戻す・やり直しと変更記録
+// ========================================
+
+// 変更記録の種別ラベル
+const JOURNAL_KIND_LABELS = {
+    load: '読込',
+    edit: '編集',
+    undo: '元に戻す',
+    redo: 'やり直し'
+};
+
+// 履歴の状態を復元した後に地図と各パネルを再描画
+History.setRestoreHandler(async function(data) {
+    // 編集モードを解除（マーカーが作り直されるため）
+    exitRouteModes();
+    if (SpotEditor.isAddMoveSpotMode) {
+        SpotEditor.exitAddMoveSpotMode(map);
+    }
+
+    const routePathSelect = document.getElementById('routePath');
+    const selectedRouteId = routePathSelect.value;
+    RouteEditor.resetRouteHighlight(markerMap, map);
+    clearElevationProfile(map);
+    SpotEditor.setSelectedSpotFeature(null);
+    SpotEditor.setSelectedSpotMarker(null);
+
+    await renderGeoJsonData(data, geoJsonLayer, markerMap, spotMarkerMap);
+
+    // 選択中のルートが残っていれば再度ハイライト
+    if (selectedRouteId && RouteEditor.state.allRoutes.some(r => r.routeId === selectedRouteId)) {
+        routePathSelect.value = selectedRouteId;
+        RouteEditor.highlightRoute(selectedRouteId, data, markerMap, map);
+    } else {
+        routePathSelect.value = '';
+    }
+
+    document.getElementById('spotSelect').value = '';
+    document.getElementById('selectedSpotName').value = '';
+    document.getElementById('spotCategory').value = '';
+    showSpotAttributes(null);
+    updateRouteMetricsDisplay();
+});
+
+// ボタンの有効・無効と変更記録の表示を更新
+History.setHistoryChangeListener(function(status) {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+
+    undoBtn.disabled = !status.canUndo;
+    redoBtn.disabled = !status.canRedo;
+    undoBtn.title = status.canUndo ? `元に戻す: ${status.undoAction} (Ctrl+Z)` : '元に戻す (Ctrl+Z)';
+    redoBtn.title = status.canRedo ? `やり直し: ${status.redoAction} (Ctrl+Y)` : 'やり直し (Ctrl+Y)';
+
+    if (document.getElementById('journalPanel').style.display !== 'none') {
+        renderJournal();
+    }
+
+    // 距離・歩行時間、スポット区分の凡例を更新
+    updateStats(getLoadedData());
+    updateSpotLegend(getLoadedData(), spotMarkerMap);
+    updateRouteMetricsDisplay();
+
+    // 編集前のデータで検索した経路は消去（標高の取得中の検索も中止）
+    plannerState.searchToken++;
+    if (plannerState.result) {
+        clearPlannerResult();
+    }
+
+    // 編集・読み込みのたびに検証結果を更新
+    if (document.getElementById('validationPanel').style.display !== 'none') {
+        renderValidationReport();
+    }
+});
+
+// 変更記録の一覧を表示
+function renderJournal() {
+    const journalList = document.getElementById('journalList');
+    journalList.innerHTML = '';
+
+    History.getJournal().forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `journal-item journal-${entry.kind}`;
+        const time = new Date(entry.time).toLocaleTimeString('ja-JP');
+        item.textContent = `${time} [${JOURNAL_KIND_LABELS[entry.kind]}] ${entry.action}${entry.detail ? ` (${entry.detail})` : ''}`;
+        journalList.appendChild(item);
+    });
+
+    journalList.scrollTop = journalList.scrollHeight;
+}
+
+async function undoChange() {
+    // 前の復元が終わるまでは受け付けない
+    if (History.getHistoryStatus().isRestoring) return;
+
+    try {
+        const action = await History.undo();
+        if (action) {
+            showMessage(`元に戻しました: ${action}`, 'success');
+        } else {
+            showMessage('元に戻す操作がありません', 'warning');
+        }
+    } catch (error) {
+        showMessage('元に戻せませんでした: ' + error.message, 'error');
+    }
+}
+
+async function redoChange() {
+    if (History.getHistoryStatus().isRestoring) return;
+
+    try {
+        const action = await History.redo();
+        if (action) {
+            showMessage(`やり直しました: ${action}`, 'success');
+        } else {
+            showMessage('やり直す操作がありません', 'warning');
+        }
+    } catch (error) {
+        showMessage('やり直せませんでした: ' + error.message, 'error');
+    }
+}
+
+document.getElementById('undoBtn').addEventListener('click', undoChange);
+document.getElementById('redoBtn').addEventListener('click', redoChange);
+
+// 変更記録の表示切り替え
+document.getElementById('journalBtn').addEventListener('click', function() {
+    const journalPanel = document.getElementById('journalPanel');
+    const isVisible = journalPanel.style.display !== 'none';
+
+    journalPanel.style.display = isVisible ? 'none' : 'block';
+    this.classList.toggle('active', !isVisible);
+    if (!isVisible) {
+        renderJournal();
+    }
+});
+
+// ========================================
+// 経路の検索
+// ========================================
+
+// 経路を検索して地図に表示
+document.getElementById('plannerSearchBtn').addEventListener('click', async function() {
+    const data = getLoadedData();
+    if (!data) {
+        showMessage('先にGeoJSONファイルを読み込んでください', 'warning');
+        return;
+    }
+
+    const startId = document.getElementById('plannerStartPoint').value;
+    const endId = document.getElementById('plannerEndPoint').value;
+    if (!startId || !endId || startId === endId) {
+        showMessage('異なる開始ポイントと終了ポイントを選択してください', 'warning');
+        return;
+    }
+
+    const mode = document.getElementById('plannerMode').value;
+    const graph = buildRouteGraph(data);
+    const resultElement = document.getElementById('plannerResult');
+    const token = ++plannerState.searchToken;
+    clearPlannerResult();
+
+    if (mode === PLANNER_MODES.LEAST_CLIMB) {
+        this.disabled = true;
+        try {
+            const failed = await loadEdgeClimbs(graph, function(completed, total) {
+                resultElement.textContent = `標高を取得しています... (${completed}/${total})`;
+            });
+            if (failed > 0) {
+                showMessage(`${failed}本のルートの標高を取得できませんでした\n登りのないルートとして検索します`, 'warning');
+            }
+        } finally {
+            this.disabled = false;
+        }
+
+        // 標高の取得中にデータが変更された場合は検索し直してもらう
+        if (token !== plannerState.searchToken) {
+            resultElement.textContent = '';
+            return;
+        }
+    }
+
+    const result = findPath(graph, startId, endId, mode);
+    if (!result) {
+        resultElement.textContent = '';
+        showMessage(`${startId} から ${endId} へつながる経路がありません`, 'warning');
+        return;
+    }
+
+    showPlannedPath(result, map);
+    renderPlannerResult(result);
+    showMessage(`経路を検索しました（ルート${result.routes.length}本）`, 'success');
+});
+
+// 検索結果（距離・累積標高と通過するルートの一覧）を表示
+function renderPlannerResult(result) {
+    const resultElement = document.getElementById('plannerResult');
+    const routeList = document.getElementById('plannerRouteList');
+
+    let summary = `距離 ${RouteEditor.formatDistance(result.length)}`;
+    if (result.hasClimb) {
+        summary += `　累積標高 ↑${Math.round(result.ascent)}m ↓${Math.round(result.descent)}m`;
+    }
+    resultElement.textContent = summary;
+
+    routeList.innerHTML = '';
+    result.routes.forEach(({ routeId }, index) => {
+        const item = document.createElement('li');
+        item.textContent = `${result.nodeIds[index]} → ${result.nodeIds[index + 1]}`;
+        item.title = 'クリックでルートを選択';
+        item.addEventListener('click', function() {
+            exitRouteModes();
+            selectRoute(routeId);
+        });
+        routeList.appendChild(item);
+    });
+}
+
+function clearPlannerResult() {
+    clearPlannedPath(map);
+    document.getElementById('plannerResult').textContent = '';
+    document.getElementById('plannerRouteList').innerHTML = '';
+}
+
+// 検索した経路を1本のLineStringとして出力
+document.getElementById('plannerExportBtn').addEventListener('click', async function() {
+    const result = plannerState.result;
+    if (!result) {
+        showMessage('出力する経路がありません。先に経路を検索してください。', 'warning');
+        return;
+    }
+
+    const geoJson = {
+        type: 'FeatureCollection',
+        features: [createPathFeature(result)]
+    };
+    const blob = new Blob([JSON.stringify(geoJson, null, 2)], {type: 'application/json'});
+    const filename = `MapGPS-${getDateString()}_${result.startId}-${result.goalId}.geojson`;
+
+    const saved = await saveFile(blob, filename, 'GeoJSON Files', {'application/json': ['.geojson', '.json']});
+    if (saved) {
+        showMessage('経路をGeoJSONファイルに出力しました');
+    }
+});
+
+document.getElementById('plannerClearBtn').addEventListener('click', function() {
+    clearPlannerResult();
+});
+
+// ========================================
+// ルートネットワークの検証
+// ========================================
+
+// 中間点の不足として報告する中間点数の下限
+const validationMinWaypointsInput = document.getElementById('validationMinWaypoints');
+validationMinWaypointsInput.value = DEFAULTS.VALIDATION.MIN_WAYPOINTS;
+validationMinWaypointsInput.addEventListener('change', function() {
+    const value = parseInt(this.value, 10);
+    if (isNaN(value) || value < 1) {
+        this.value = DEFAULTS.VALIDATION.MIN_WAYPOINTS;
+        showMessage('中間点の数は1以上の数値を入力してください', 'warning');
+    }
+    renderValidationReport();
+});
+
+// 検証結果の一覧を表示（項目のクリックで該当箇所にズーム）
+function renderValidationReport() {
+    const minWaypoints = parseInt(validationMinWaypointsInput.value, 10) || DEFAULTS.VALIDATION.MIN_WAYPOINTS;
+    const issues = validateRouteNetwork(getLoadedData(), minWaypoints);
+    const summary = document.getElementById('validationSummary');
+    const validationList = document.getElementById('validationList');
+    validationList.innerHTML = '';
+
+    summary.textContent = issues.length === 0
+        ? '問題は見つかりませんでした'
+        : `${issues.length}件の問題が見つかりました`;
+
+    issues.forEach(issue => {
+        const item = document.createElement('li');
+        item.className = `validation-item validation-${issue.kind}`;
+
+        const kind = document.createElement('span');
+        kind.className = 'validation-kind';
+        kind.textContent = `[${ISSUE_LABELS[issue.kind]}]`;
+        item.appendChild(kind);
+        item.appendChild(document.createTextNode(issue.message));
+
+        item.addEventListener('click', function() {
+            zoomToCoordinates(issue.coordinates);
+        });
+        validationList.appendChild(item);
+    });
+}
+
+function zoomToCoordinates(coordinates) {
+    if (!coordinates || coordinates.length === 0) return;
+
+    const bounds = L.latLngBounds(coordinates);
+    if (coordinates.length === 1 || bounds.getNorthEast().equals(bounds.getSouthWest())) {
+        map.setView(bounds.getCenter(), Math.max(map.getZoom(), DEFAULTS.VALIDATION.ZOOM));
+    } else {
+        map.fitBounds(bounds, { padding: [30, 30] });
+    }
+}
+
+// 検証結果の表示切り替え
+document.getElementById('validateBtn').addEventListener('click', function() {
+    const validationPanel = document.getElementById('validationPanel');
+    const isVisible = validationPanel.style.display !== 'none';
+
+    if (isVisible) {
+        validationPanel.style.display = 'none';
+        this.classList.remove('active');
+        return;
+    }
+
+    if (!getLoadedData()) {
+        showMessage('検証するデータがありません。先にGeoJSONファイルを読み込んでください。', 'warning');
+        return;
+    }
+
+    validationPanel.style.display = 'block';
+    this.classList.add('active');
+    renderValidationReport();
+});
+
+// キーボードショートカット（Ctrl+Z: 元に戻す、Ctrl+Y / Ctrl+Shift+Z: やり直し）
+document.addEventListener('keydown', function(e) {
+    if (!(e.ctrlKey || e.metaKey)) return;
+
+    // テキスト入力中はブラウザ標準の動作を優先
+    const target = e.target;
+    if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+        return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoChange();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redoChange();
+    }
+});
+
 // 初期統計表示
 updateStats(null);
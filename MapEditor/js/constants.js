@@ -65,6 +65,85 @@ export const DEFAULTS = {
         }
     },
 
+    // スポット区分のマーカー（区分なしはFEATURE_STYLES.spotで表示）
+    SPOT_CATEGORY_ICON_SIZE: 16,
+    SPOT_UNREGISTERED_CATEGORY: { color: '#888888', symbol: '?' },  // 定義にない区分
+    SPOT_CATEGORY_STORAGE_KEY: 'mapEditor.spotCategories',
+
+    // スポットの詳細情報
+    SPOT_ATTRIBUTES: {
+        MAX_ATTACHMENT_SIZE: 200 * 1024     // GeoJSONに埋め込む添付画像の上限（バイト）
+    },
+
+    // スナップの許容距離（ピクセル）
+    SNAP_TOLERANCE_PX: 12,
+
+    // 参照トラック（スナップ用GPX）の表示スタイル
+    REFERENCE_TRACK_STYLE: {
+        color: '#8e44ad',
+        weight: 3,
+        opacity: 0.6,
+        dashArray: '6 4'
+    },
+
+    // GPSトラック取込の設定
+    TRACK_IMPORT: {
+        SIMPLIFY_TOLERANCE: 5,      // Douglas–Peucker法の許容誤差（m）
+        END_WARNING_DISTANCE: 100   // トラック端とポイントGPSの距離がこれを超えると警告（m）
+    },
+
+    // ルートの累積標高（経路の検索・歩行時間の標高補正で使用）
+    ROUTE_CLIMB: {
+        SAMPLE_INTERVAL: 50,    // 標本点の間隔（m）
+        MAX_SAMPLES: 30         // ルート1本あたりの標本点の最大数
+    },
+
+    // 歩行時間の見積もり
+    WALKING_TIME: {
+        PACE: 4,                // 平地の歩行速度（km/h）
+        ASCENT_PER_HOUR: 600    // ネイスミスの法則: 登り600mごとに1時間を加算
+    },
+
+    // 経路の検索
+    ROUTE_PLANNER: {
+        CLIMB_DISTANCE_WEIGHT: 0.01,    // 最小登り検索で距離1mを登り何mとみなすか
+        PATH_STYLE: {
+            color: '#e83e8c',
+            weight: 6,
+            opacity: 0.6,
+            interactive: false
+        }
+    },
+
+    // ルートネットワークの検証
+    VALIDATION: {
+        MIN_WAYPOINTS: 2,       // これ未満の中間点しかないルートを報告（検証パネルで変更可能）
+        ZOOM: 17                // 問題箇所が1点の場合のズームレベル
+    },
+
+    // 元に戻す・やり直しの保持件数
+    HISTORY_MAX_DEPTH: 50,
+
+    // 国土地理院 標高API
+    ELEVATION_API_URL: 'https://cyberjapandata2.gsi.go.jp/general/dem/scripts/getelevation.php',
+
+    // 標高断面図の設定
+    ELEVATION_PROFILE: {
+        SAMPLE_INTERVAL: 20,    // 標本点の間隔（m）
+        MAX_SAMPLES: 100,       // 標本点の最大数（APIへの問い合わせ数の上限）
+        CONCURRENCY: 4,         // 標高APIへの同時リクエスト数
+        CHART_WIDTH: 260,
+        CHART_HEIGHT: 120,
+        CHART_PADDING: { top: 14, right: 8, bottom: 18, left: 36 },
+        HOVER_MARKER_STYLE: {
+            radius: 6,
+            fillColor: '#ffffff',
+            color: '#ef454a',
+            weight: 3,
+            opacity: 1,
+            fillOpacity: 1
+        }
+    }
 };
 
 // モード定数
@@ -74,14 +153,15 @@ export const MODES = {
     SPOT: 'spot'
 };
 
-// スポット区分のリスト
+// スポット区分の初期値（名称・マーカーの色・記号・必須の詳細情報）
+// 利用者が追加・変更した区分はブラウザに保存され、こちらより優先される
 export const SPOT_CATEGORIES = [
-    '旧跡',
-    '神社・仏閣',
-    '石碑・記念碑',
-    '展望台',
-    '休憩所',
-    'トイレ',
-    'バス停',
-    '交差点'
+    { name: '旧跡', color: '#8b4513', symbol: '跡', required: ['notes'] },
+    { name: '神社・仏閣', color: '#c0392b', symbol: '社', required: ['notes'] },
+    { name: '石碑・記念碑', color: '#5d6d7e', symbol: '碑', required: ['notes'] },
+    { name: '展望台', color: '#16a085', symbol: '望', required: ['photos'] },
+    { name: '休憩所', color: '#27ae60', symbol: '休', required: ['opening_hours'] },
+    { name: 'トイレ', color: '#2471a3', symbol: 'WC', required: ['accessibility'] },
+    { name: 'バス停', color: '#d35400', symbol: 'B', required: [] },
+    { name: '交差点', color: '#7d3c98', symbol: '＋', required: [] }
 ];
\ No newline at end of file
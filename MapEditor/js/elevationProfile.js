@@ -0,0 +1,319 @@
+// ルートの標高断面図
+
+import { DEFAULTS } from './constants.js';
+import { showMessage } from './message.js';
+import { calculateDistance } from './routeEditor.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// 標高断面図の状態管理
+export const profileState = {
+    routeId: null,
+    samples: [],
+    hoverMarker: null,
+    requestToken: 0
+};
+
+// 取得済み標高のキャッシュ（同じ地点への再問い合わせを防ぐ）
+const elevationCache = new Map();
+
+// ルートの折れ線に沿って一定間隔で標本点を作成
+export function sampleRoute(coordinates, interval = DEFAULTS.ELEVATION_PROFILE.SAMPLE_INTERVAL, maxSamples = DEFAULTS.ELEVATION_PROFILE.MAX_SAMPLES) {
+    if (!coordinates || coordinates.length < 2) return [];
+
+    // 区間ごとの距離（m）と累積距離
+    const segmentLengths = [];
+    let totalDistance = 0;
+    for (let i = 1; i < coordinates.length; i++) {
+        const [lat1, lng1] = coordinates[i - 1];
+        const [lat2, lng2] = coordinates[i];
+        const length = calculateDistance(lat1, lng1, lat2, lng2) * 1000;
+        segmentLengths.push(length);
+        totalDistance += length;
+    }
+
+    // 標本点数が上限を超えないように間隔を広げる
+    const step = Math.max(interval, totalDistance / (maxSamples - 1));
+
+    const samples = [{ lat: coordinates[0][0], lng: coordinates[0][1], distance: 0 }];
+    let segmentStart = 0;
+    let nextDistance = step;
+
+    for (let i = 0; i < segmentLengths.length; i++) {
+        const length = segmentLengths[i];
+        const segmentEnd = segmentStart + length;
+        const [lat1, lng1] = coordinates[i];
+        const [lat2, lng2] = coordinates[i + 1];
+
+        while (nextDistance < segmentEnd && length > 0) {
+            const ratio = (nextDistance - segmentStart) / length;
+            samples.push({
+                lat: lat1 + (lat2 - lat1) * ratio,
+                lng: lng1 + (lng2 - lng1) * ratio,
+                distance: nextDistance
+            });
+            nextDistance += step;
+        }
+        segmentStart = segmentEnd;
+    }
+
+    // 終点の直前に近すぎる標本点があると勾配が過大になるため除く
+    if (samples.length > 1 && totalDistance - samples[samples.length - 1].distance < step / 2) {
+        samples.pop();
+    }
+
+    const [lastLat, lastLng] = coordinates[coordinates.length - 1];
+    samples.push({ lat: lastLat, lng: lastLng, distance: totalDistance });
+
+    return samples;
+}
+
+// 国土地理院の標高APIから標高を取得（取得できない場合はnull）
+async function fetchElevation(lat, lng) {
+    const key = `${lat.toFixed(6)},${lng.toFixed(6)}`;
+    if (elevationCache.has(key)) {
+        return elevationCache.get(key);
+    }
+
+    try {
+        const url = `${DEFAULTS.ELEVATION_API_URL}?lon=${lng}&lat=${lat}&outtype=JSON`;
+        const response = await fetch(url);
+        if (!response.ok) return null;
+
+        const data = await response.json();
+        const elevation = parseFloat(data.elevation);
+        const result = isNaN(elevation) ? null : elevation;
+        elevationCache.set(key, result);
+        return result;
+    } catch (error) {
+        console.warn('標高取得エラー:', error);
+        return null;
+    }
+}
+
+// 標本点の標高を同時リクエスト数を制限して取得
+async function fetchSampleElevations(samples, isCancelled) {
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < samples.length && !isCancelled()) {
+            const sample = samples[nextIndex++];
+            sample.elevation = await fetchElevation(sample.lat, sample.lng);
+        }
+    };
+
+    const workerCount = Math.min(DEFAULTS.ELEVATION_PROFILE.CONCURRENCY, samples.length);
+    await Promise.all(Array.from({ length: workerCount }, () => worker()));
+}
+
+// ルートの累積標高（登り・下り）のキャッシュ（座標列ごと）
+const climbCache = new Map();
+
+// ルートの登り・下りの累積標高（m）を取得（標高が取得できない場合はnull）
+export async function fetchRouteClimb(coordinates) {
+    const key = JSON.stringify(coordinates);
+    if (climbCache.has(key)) {
+        return climbCache.get(key);
+    }
+
+    const samples = sampleRoute(coordinates, DEFAULTS.ROUTE_CLIMB.SAMPLE_INTERVAL, DEFAULTS.ROUTE_CLIMB.MAX_SAMPLES);
+    await fetchSampleElevations(samples, () => false);
+    if (!samples.some(s => s.elevation !== null)) return null;
+
+    const stats = calculateProfileStats(samples);
+    const climb = { ascent: stats.ascent, descent: stats.descent };
+    climbCache.set(key, climb);
+    return climb;
+}
+
+// 取得済みの累積標高（未取得の場合はnull）
+export function getCachedRouteClimb(coordinates) {
+    return climbCache.get(JSON.stringify(coordinates)) || null;
+}
+
+// 累積標高（登り・下り）と最大勾配を計算
+export function calculateProfileStats(samples) {
+    const valid = samples.filter(s => s.elevation !== null && s.elevation !== undefined);
+    const stats = {
+        distance: samples.length > 0 ? samples[samples.length - 1].distance : 0,
+        ascent: 0,
+        descent: 0,
+        maxGradient: 0,
+        minElevation: null,
+        maxElevation: null
+    };
+
+    if (valid.length === 0) return stats;
+
+    stats.minElevation = Math.min(...valid.map(s => s.elevation));
+    stats.maxElevation = Math.max(...valid.map(s => s.elevation));
+
+    for (let i = 1; i < valid.length; i++) {
+        const diff = valid[i].elevation - valid[i - 1].elevation;
+        const run = valid[i].distance - valid[i - 1].distance;
+
+        if (diff > 0) {
+            stats.ascent += diff;
+        } else {
+            stats.descent -= diff;
+        }
+
+        // 最大勾配（%）は登り・下りの絶対値で評価
+        if (run > 0) {
+            stats.maxGradient = Math.max(stats.maxGradient, Math.abs(diff) / run * 100);
+        }
+    }
+
+    return stats;
+}
+
+// 選択ルートの標高断面図を表示
+export async function showElevationProfile(routeId, coordinates, map) {
+    clearElevationProfile(map);
+
+    if (!coordinates) {
+        showMessage('ルートの座標を取得できません', 'warning');
+        return;
+    }
+
+    const token = ++profileState.requestToken;
+    const isCancelled = () => token !== profileState.requestToken;
+
+    const panel = document.getElementById('elevationProfile');
+    const statsElement = document.getElementById('elevationProfileStats');
+    panel.style.display = 'block';
+    statsElement.textContent = '標高を取得しています...';
+
+    const samples = sampleRoute(coordinates);
+    await fetchSampleElevations(samples, isCancelled);
+
+    // 取得中にルートが変更・解除された場合は破棄
+    if (isCancelled()) return;
+
+    if (!samples.some(s => s.elevation !== null)) {
+        statsElement.textContent = '';
+        panel.style.display = 'none';
+        showMessage('標高を取得できませんでした', 'error');
+        return;
+    }
+
+    profileState.routeId = routeId;
+    profileState.samples = samples;
+
+    drawProfileChart(samples, map);
+    renderProfileStats(calculateProfileStats(samples));
+}
+
+// 標高断面図を消去
+export function clearElevationProfile(map) {
+    profileState.requestToken++;
+    profileState.routeId = null;
+    profileState.samples = [];
+    removeHoverMarker(map);
+
+    const panel = document.getElementById('elevationProfile');
+    if (panel) {
+        panel.style.display = 'none';
+        document.getElementById('elevationProfileChart').innerHTML = '';
+        document.getElementById('elevationProfileStats').textContent = '';
+    }
+}
+
+// 距離と標高のグラフを描画
+function drawProfileChart(samples, map) {
+    const svg = document.getElementById('elevationProfileChart');
+    svg.innerHTML = '';
+
+    const { CHART_WIDTH: width, CHART_HEIGHT: height, CHART_PADDING: padding } = DEFAULTS.ELEVATION_PROFILE;
+    const valid = samples.filter(s => s.elevation !== null);
+    const totalDistance = samples[samples.length - 1].distance || 1;
+    const minElevation = Math.min(...valid.map(s => s.elevation));
+    const maxElevation = Math.max(...valid.map(s => s.elevation));
+    // 平坦なルートでもグラフが潰れないように最低10mの幅を確保
+    const range = Math.max(maxElevation - minElevation, 10);
+
+    const toX = distance => padding.left + distance / totalDistance * (width - padding.left - padding.right);
+    const toY = elevation => height - padding.bottom - (elevation - minElevation) / range * (height - padding.top - padding.bottom);
+
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+    const createElement = (tag, attributes) => {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        svg.appendChild(element);
+        return element;
+    };
+
+    // 軸
+    createElement('line', { x1: padding.left, y1: height - padding.bottom, x2: width - padding.right, y2: height - padding.bottom, class: 'profile-axis' });
+    createElement('line', { x1: padding.left, y1: padding.top, x2: padding.left, y2: height - padding.bottom, class: 'profile-axis' });
+
+    // 軸ラベル（標高の最小・最大、総距離）
+    createElement('text', { x: padding.left - 4, y: toY(minElevation + range) + 4, class: 'profile-label', 'text-anchor': 'end' }).textContent = Math.round(minElevation + range);
+    createElement('text', { x: padding.left - 4, y: toY(minElevation) + 4, class: 'profile-label', 'text-anchor': 'end' }).textContent = Math.round(minElevation);
+    createElement('text', { x: width - padding.right, y: height - 4, class: 'profile-label', 'text-anchor': 'end' }).textContent = `${(totalDistance / 1000).toFixed(2)}km`;
+
+    // 標高の折れ線と塗りつぶし
+    const points = valid.map(s => `${toX(s.distance)},${toY(s.elevation)}`).join(' ');
+    const baseline = height - padding.bottom;
+    createElement('polygon', {
+        points: `${toX(valid[0].distance)},${baseline} ${points} ${toX(valid[valid.length - 1].distance)},${baseline}`,
+        class: 'profile-area'
+    });
+    createElement('polyline', { points, class: 'profile-line' });
+
+    // ホバー位置の表示
+    const cursorLine = createElement('line', { x1: 0, y1: padding.top, x2: 0, y2: baseline, class: 'profile-cursor', visibility: 'hidden' });
+    const cursorText = createElement('text', { x: 0, y: padding.top - 2, class: 'profile-label', visibility: 'hidden' });
+
+    svg.onmousemove = function(e) {
+        const rect = svg.getBoundingClientRect();
+        const x = (e.clientX - rect.left) / rect.width * width;
+        const distance = (x - padding.left) / (width - padding.left - padding.right) * totalDistance;
+
+        // マウス位置に最も近い標本点
+        const nearest = valid.reduce((best, s) =>
+            Math.abs(s.distance - distance) < Math.abs(best.distance - distance) ? s : best
+        );
+        const sampleX = toX(nearest.distance);
+
+        cursorLine.setAttribute('x1', sampleX);
+        cursorLine.setAttribute('x2', sampleX);
+        cursorLine.setAttribute('visibility', 'visible');
+        cursorText.setAttribute('x', sampleX);
+        cursorText.setAttribute('text-anchor', sampleX > width / 2 ? 'end' : 'start');
+        cursorText.setAttribute('visibility', 'visible');
+        cursorText.textContent = `${(nearest.distance / 1000).toFixed(2)}km ${nearest.elevation.toFixed(1)}m`;
+
+        showHoverMarker(nearest, map);
+    };
+
+    svg.onmouseleave = function() {
+        cursorLine.setAttribute('visibility', 'hidden');
+        cursorText.setAttribute('visibility', 'hidden');
+        removeHoverMarker(map);
+    };
+}
+
+// 統計値を表示
+function renderProfileStats(stats) {
+    document.getElementById('elevationProfileStats').innerHTML =
+        `距離 ${(stats.distance / 1000).toFixed(2)}km　最大勾配 ${stats.maxGradient.toFixed(1)}%<br>` +
+        `累積標高 ↑${Math.round(stats.ascent)}m ↓${Math.round(stats.descent)}m`;
+}
+
+// グラフのホバー位置に対応する地図上のマーカーを表示
+function showHoverMarker(sample, map) {
+    if (!profileState.hoverMarker) {
+        profileState.hoverMarker = L.circleMarker([sample.lat, sample.lng], DEFAULTS.ELEVATION_PROFILE.HOVER_MARKER_STYLE).addTo(map);
+    } else {
+        profileState.hoverMarker.setLatLng([sample.lat, sample.lng]);
+    }
+}
+
+function removeHoverMarker(map) {
+    if (profileState.hoverMarker) {
+        map.removeLayer(profileState.hoverMarker);
+        profileState.hoverMarker = null;
+    }
+}
@@ -5,10 +5,14 @@ import { showMessage } from './message.js';
 import { updateStats, getDateString } from './stats.js';
 import { extractPointsAndRoutes, updateDropdowns } from './routeEditor.js';
 import { extractSpots, updateSpotDropdown } from './spotEditor.js';
+import { createSpotIcon, applySpotVisibility } from './spotCategories.js';
+import { initHistory, getJournal } from './history.js';
+import { addRouteMetricsToGeoJson } from './routeMetrics.js';
 
 // ファイル入出力の状態管理
 let loadedDataInternal = null;
 let lastLoadedFileHandle = null;
+let loadedFileName = '';
 
 // loadedDataへのアクセサー
 export function getLoadedData() {
@@ -35,99 +39,10 @@ export function setupFileInput(map, geoJsonLayer, markerMap, spotMarkerMap) {
                 try {
                     const geoJsonData = JSON.parse(e.target.result);
 
-                    geoJsonLayer.clearLayers();
-                    markerMap.clear();
-                    spotMarkerMap.clear();
-
-                    L.geoJSON(geoJsonData, {
-                        filter: function(feature) {
-                            // route_waypointは後で個別に描画するため、ここではフィルタリング
-                            const featureType = feature.properties && feature.properties.type;
-                            return featureType !== 'route_waypoint';
-                        },
-                        style: function(feature) {
-                            const type = feature && feature.geometry && feature.geometry.type;
-                            if (type === 'LineString' || type === 'MultiLineString' || type === 'Polygon' || type === 'MultiPolygon') {
-                                return DEFAULTS.LINE_STYLE;
-                            }
-                            return undefined;
-                        },
-                        pointToLayer: function(feature, latlng) {
-                            const featureType = feature.properties && feature.properties.type;
-
-                            const style = DEFAULTS.FEATURE_STYLES[featureType] || DEFAULTS.POINT_STYLE;
-
-                            let marker;
-                            if (style.shape === 'diamond') {
-                                marker = L.marker(latlng, {
-                                    icon: L.divIcon({
-                                        className: 'diamond-marker',
-                                        html: `<div style="width: ${style.radius * 2}px; height: ${style.radius * 2}px; background-color: ${style.fillColor}; transform: rotate(45deg); opacity: ${style.fillOpacity};"></div>`,
-                                        iconSize: [style.radius * 2, style.radius * 2],
-                                        iconAnchor: [style.radius, style.radius]
-                                    })
-                                });
-                            } else if (style.shape === 'square') {
-                                marker = L.marker(latlng, {
-                                    icon: L.divIcon({
-                                        className: 'square-marker',
-                                        html: `<div style="width: ${style.radius}px; height: ${style.radius}px; background-color: ${style.fillColor}; opacity: ${style.fillOpacity};"></div>`,
-                                        iconSize: [style.radius, style.radius],
-                                        iconAnchor: [style.radius / 2, style.radius / 2]
-                                    })
-                                });
-                            } else {
-                                marker = L.circleMarker(latlng, style);
-                            }
-
-                            if (featureType === 'ポイントGPS' && feature.properties && feature.properties.id) {
-                                markerMap.set(feature.properties.id, marker);
-                            }
-
-                            return marker;
-                        },
-                        onEachFeature: function(feature, layer) {
-                            const featureType = feature.properties && feature.properties.type;
-                            const geometryType = feature.geometry && feature.geometry.type;
-
-                            if (featureType === 'ポイントGPS' && feature.properties && feature.properties.id) {
-                                layer.bindPopup(feature.properties.id);
-                            } else if (feature.properties && feature.properties.name) {
-                                layer.bindPopup(feature.properties.name);
-                            }
-
-                            if ((geometryType === 'Polygon' || geometryType === 'MultiPolygon') ||
-                                (geometryType === 'Point' && featureType === 'spot')) {
-
-                                spotMarkerMap.set(feature, layer);
-
-                                layer.on('click', async function(e) {
-                                    const currentMode = document.querySelector('input[name="mode"]:checked').value;
-                                    if (currentMode === MODES.SPOT) {
-                                        const { allSpots, highlightSpot } = await import('./spotEditor.js');
-                                        const spotIndex = allSpots.findIndex(spot => spot.feature === feature);
-                                        if (spotIndex !== -1) {
-                                            document.getElementById('spotSelect').value = spotIndex;
-                                            highlightSpot(spotIndex, spotMarkerMap);
-                                        }
-                                    }
-                                });
-                            }
-                        }
-                    }).addTo(geoJsonLayer);
-
                     loadedDataInternal = geoJsonData;
-                    updateStats(geoJsonData);
-                    extractPointsAndRoutes(geoJsonData);
-                    updateDropdowns(geoJsonData);
-                    extractSpots(geoJsonData);
-                    updateSpotDropdown();
-
-                    // 全ルートの中間点マーカーを作成
-                    const { state, redrawWaypointMarkers } = await import('./routeEditor.js');
-                    state.allRoutes.forEach(route => {
-                        redrawWaypointMarkers(route.routeId, geoJsonData, markerMap, geoJsonLayer);
-                    });
+                    loadedFileName = file.name;
+                    await renderGeoJsonData(geoJsonData, geoJsonLayer, markerMap, spotMarkerMap);
+                    initHistory(geoJsonData, file.name);
 
                     const group = new L.featureGroup();
                     geoJsonLayer.eachLayer(layer => group.addLayer(layer));
@@ -152,6 +67,152 @@ export function setupFileInput(map, geoJsonLayer, markerMap, spotMarkerMap) {
     });
 }
 
+// GeoJSONデータを地図に描画し、ルート・スポットの一覧を更新
+export async function renderGeoJsonData(geoJsonData, geoJsonLayer, markerMap, spotMarkerMap) {
+    geoJsonLayer.clearLayers();
+    markerMap.clear();
+    spotMarkerMap.clear();
+
+    L.geoJSON(geoJsonData, {
+        filter: function(feature) {
+            // route_waypointは後で個別に描画するため、ここではフィルタリング
+            const featureType = feature.properties && feature.properties.type;
+            return featureType !== 'route_waypoint';
+        },
+        style: function(feature) {
+            const type = feature && feature.geometry && feature.geometry.type;
+            if (type === 'LineString' || type === 'MultiLineString' || type === 'Polygon' || type === 'MultiPolygon') {
+                return DEFAULTS.LINE_STYLE;
+            }
+            return undefined;
+        },
+        pointToLayer: function(feature, latlng) {
+            const featureType = feature.properties && feature.properties.type;
+
+            const style = DEFAULTS.FEATURE_STYLES[featureType] || DEFAULTS.POINT_STYLE;
+
+            let marker;
+            if (featureType === 'spot') {
+                // スポットは区分ごとの色・記号で表示
+                marker = L.marker(latlng, { icon: createSpotIcon(feature) });
+            } else if (style.shape === 'diamond') {
+                marker = L.marker(latlng, {
+                    icon: L.divIcon({
+                        className: 'diamond-marker',
+                        html: `<div style="width: ${style.radius * 2}px; height: ${style.radius * 2}px; background-color: ${style.fillColor}; transform: rotate(45deg); opacity: ${style.fillOpacity};"></div>`,
+                        iconSize: [style.radius * 2, style.radius * 2],
+                        iconAnchor: [style.radius, style.radius]
+                    })
+                });
+            } else if (style.shape === 'square') {
+                marker = L.marker(latlng, {
+                    icon: L.divIcon({
+                        className: 'square-marker',
+                        html: `<div style="width: ${style.radius}px; height: ${style.radius}px; background-color: ${style.fillColor}; opacity: ${style.fillOpacity};"></div>`,
+                        iconSize: [style.radius, style.radius],
+                        iconAnchor: [style.radius / 2, style.radius / 2]
+                    })
+                });
+            } else {
+                marker = L.circleMarker(latlng, style);
+            }
+
+            if (featureType === 'ポイントGPS' && feature.properties && feature.properties.id) {
+                markerMap.set(feature.properties.id, marker);
+            }
+
+            return marker;
+        },
+        onEachFeature: function(feature, layer) {
+            const featureType = feature.properties && feature.properties.type;
+            const geometryType = feature.geometry && feature.geometry.type;
+
+            if (featureType === 'ポイントGPS' && feature.properties && feature.properties.id) {
+                layer.bindPopup(feature.properties.id);
+            } else if (feature.properties && feature.properties.name) {
+                layer.bindPopup(feature.properties.name);
+            }
+
+            if ((geometryType === 'Polygon' || geometryType === 'MultiPolygon') ||
+                (geometryType === 'Point' && featureType === 'spot')) {
+
+                spotMarkerMap.set(feature, layer);
+
+                layer.on('click', async function(e) {
+                    const currentMode = document.querySelector('input[name="mode"]:checked').value;
+                    if (currentMode === MODES.SPOT) {
+                        const { allSpots, highlightSpot } = await import('./spotEditor.js');
+                        const spotIndex = allSpots.findIndex(spot => spot.feature === feature);
+                        if (spotIndex !== -1) {
+                            document.getElementById('spotSelect').value = spotIndex;
+                            highlightSpot(spotIndex, spotMarkerMap);
+                        }
+                    }
+                });
+            }
+        }
+    }).addTo(geoJsonLayer);
+
+    updateStats(geoJsonData);
+    extractPointsAndRoutes(geoJsonData);
+    updateDropdowns(geoJsonData);
+    extractSpots(geoJsonData);
+    updateSpotDropdown();
+    applySpotVisibility(spotMarkerMap);
+
+    // 全ルートの中間点マーカーを作成
+    const { state, redrawWaypointMarkers } = await import('./routeEditor.js');
+    state.allRoutes.forEach(route => {
+        redrawWaypointMarkers(route.routeId, geoJsonData, markerMap, geoJsonLayer);
+    });
+}
+
+// ファイルを保存（File System Access APIが使えない場合はダウンロード）
+// 保存した場合はtrue、キャンセルされた場合はfalseを返す
+export async function saveFile(blob, filename, description, accept) {
+    if ('showSaveFilePicker' in window) {
+        try {
+            const options = {
+                suggestedName: filename,
+                types: [{
+                    description: description,
+                    accept: accept
+                }]
+            };
+
+            const handle = await window.showSaveFilePicker(options);
+            const writable = await handle.createWritable();
+            await writable.write(blob);
+            await writable.close();
+            return true;
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                return false;
+            }
+            console.warn('File System Access API使用失敗、フォールバック:', err);
+        }
+    }
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    return true;
+}
+
+// 出力ファイル名の共通部分（MapGPS-yyyymmdd_P点数_R本数_S個数）
+function getExportBaseName() {
+    const pointCount = parseInt(document.getElementById('pointCount').value) || 0;
+    const routeCount = parseInt(document.getElementById('routeCount').value) || 0;
+    const spotCount = parseInt(document.getElementById('spotCount').value) || 0;
+
+    return `MapGPS-${getDateString()}_P${pointCount}_R${routeCount}_S${spotCount}`;
+}
+
 // GeoJSONファイルの出力
 export function setupFileExport() {
     document.getElementById('exportBtn').addEventListener('click', async function() {
@@ -160,48 +221,36 @@ export function setupFileExport() {
             return;
         }
 
-        const pointCount = parseInt(document.getElementById('pointCount').value) || 0;
-        const routeCount = parseInt(document.getElementById('routeCount').value) || 0;
-        const spotCount = parseInt(document.getElementById('spotCount').value) || 0;
-
-        const dataStr = JSON.stringify(loadedDataInternal, null, 2);
+        // 中間点にルートの距離・歩行時間を書き込んで出力
+        const dataStr = JSON.stringify(addRouteMetricsToGeoJson(loadedDataInternal), null, 2);
         const blob = new Blob([dataStr], {type: 'application/json'});
-        const filename = `MapGPS-${getDateString()}_P${pointCount}_R${routeCount}_S${spotCount}.geojson`;
+        const filename = `${getExportBaseName()}.geojson`;
 
-        if ('showSaveFilePicker' in window) {
-            try {
-                const options = {
-                    suggestedName: filename,
-                    types: [{
-                        description: 'GeoJSON Files',
-                        accept: {'application/json': ['.geojson', '.json']}
-                    }]
-                };
-
-                const handle = await window.showSaveFilePicker(options);
-                const writable = await handle.createWritable();
-                await writable.write(blob);
-                await writable.close();
-
-                showMessage('GeoJSONファイルを出力しました');
-                return;
-            } catch (err) {
-                if (err.name === 'AbortError') {
-                    return;
-                }
-                console.warn('File System Access API使用失敗、フォールバック:', err);
-            }
+        const saved = await saveFile(blob, filename, 'GeoJSON Files', {'application/json': ['.geojson', '.json']});
+        if (saved) {
+            showMessage('GeoJSONファイルを出力しました');
         }
+    });
 
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    // 変更記録の出力（GeoJSONと同じファイル名に_journalを付ける）
+    document.getElementById('exportJournalBtn').addEventListener('click', async function() {
+        if (!loadedDataInternal) {
+            showMessage('出力する変更記録がありません。先にGeoJSONファイルを読み込んでください。', 'warning');
+            return;
+        }
 
-        showMessage('GeoJSONファイルを出力しました');
+        const journalData = {
+            type: 'MapEditorJournal',
+            source: loadedFileName,
+            exportedAt: new Date().toISOString(),
+            entries: getJournal()
+        };
+        const blob = new Blob([JSON.stringify(journalData, null, 2)], {type: 'application/json'});
+        const filename = `${getExportBaseName()}_journal.json`;
+
+        const saved = await saveFile(blob, filename, 'JSON Files', {'application/json': ['.json']});
+        if (saved) {
+            showMessage('変更記録を出力しました');
+        }
     });
 }
@@ -0,0 +1,155 @@
+// 編集履歴（元に戻す・やり直し）と変更記録
+
+import { DEFAULTS } from './constants.js';
+
+// 履歴の状態管理
+// 状態はfeaturesのJSON文字列で保持する（文字列は変更されないため、前後の操作で同じ状態を共有でき複製が不要）
+const historyState = {
+    data: null,
+    baseline: null,     // 前回記録時のfeatures（JSON文字列）
+    undoStack: [],
+    redoStack: [],
+    journal: [],
+    restoreHandler: null,
+    changeListener: null,
+    isRestoring: false
+};
+
+// featuresをJSON文字列に変換（履歴と編集中データを切り離す）
+function serializeFeatures(features) {
+    return JSON.stringify(features || []);
+}
+
+// 変更記録に追加
+function addJournalEntry(kind, action, detail) {
+    historyState.journal.push({
+        time: new Date().toISOString(),
+        kind: kind,
+        action: action,
+        detail: detail || ''
+    });
+}
+
+// 状態変化を通知（ボタン表示の更新用）
+function notifyChange() {
+    if (historyState.changeListener) {
+        historyState.changeListener(getHistoryStatus());
+    }
+}
+
+// 復元処理を登録（featuresを受け取り地図を再描画する関数）
+export function setRestoreHandler(handler) {
+    historyState.restoreHandler = handler;
+}
+
+// 状態変化の通知先を登録
+export function setHistoryChangeListener(listener) {
+    historyState.changeListener = listener;
+}
+
+// ファイル読み込み時に履歴を初期化
+export function initHistory(data, fileName) {
+    historyState.data = data;
+    historyState.baseline = serializeFeatures(data.features);
+    historyState.undoStack = [];
+    historyState.redoStack = [];
+    historyState.journal = [];
+    addJournalEntry('load', 'ファイル読み込み', fileName);
+    notifyChange();
+}
+
+// 編集後に呼び出し、前回記録時から変更があれば1件の操作として記録
+export function recordChange(action, detail = '') {
+    if (!historyState.data) return false;
+
+    const snapshot = serializeFeatures(historyState.data.features);
+    if (snapshot === historyState.baseline) {
+        return false;
+    }
+
+    historyState.undoStack.push({
+        action: action,
+        detail: detail,
+        before: historyState.baseline,
+        after: snapshot
+    });
+    historyState.baseline = snapshot;
+
+    // 保持件数を超えた古い履歴を破棄
+    while (historyState.undoStack.length > DEFAULTS.HISTORY_MAX_DEPTH) {
+        historyState.undoStack.shift();
+    }
+    historyState.redoStack = [];
+
+    addJournalEntry('edit', action, detail);
+    notifyChange();
+    return true;
+}
+
+// 記録済みの状態（JSON文字列）を編集中データに復元
+// 復元処理に失敗した場合は編集中データを元に戻して例外を投げる
+async function restore(snapshot) {
+    const previousFeatures = historyState.data.features;
+    const previousBaseline = historyState.baseline;
+    historyState.data.features = JSON.parse(snapshot);
+    historyState.baseline = snapshot;
+
+    if (!historyState.restoreHandler) return;
+
+    historyState.isRestoring = true;
+    try {
+        await historyState.restoreHandler(historyState.data);
+    } catch (error) {
+        historyState.data.features = previousFeatures;
+        historyState.baseline = previousBaseline;
+        throw error;
+    } finally {
+        historyState.isRestoring = false;
+    }
+}
+
+// 直前の操作を元に戻す（戻した操作名、履歴がない場合・復元中はnull）
+// 復元に失敗した場合は履歴の位置を変えずに例外を投げる
+export async function undo() {
+    if (historyState.isRestoring) return null;
+    const command = historyState.undoStack[historyState.undoStack.length - 1];
+    if (!command) return null;
+
+    await restore(command.before);
+    historyState.undoStack.pop();
+    historyState.redoStack.push(command);
+    addJournalEntry('undo', command.action, command.detail);
+    notifyChange();
+    return command.action;
+}
+
+// 元に戻した操作をやり直す（やり直した操作名、履歴がない場合・復元中はnull）
+// 復元に失敗した場合は履歴の位置を変えずに例外を投げる
+export async function redo() {
+    if (historyState.isRestoring) return null;
+    const command = historyState.redoStack[historyState.redoStack.length - 1];
+    if (!command) return null;
+
+    await restore(command.after);
+    historyState.redoStack.pop();
+    historyState.undoStack.push(command);
+    addJournalEntry('redo', command.action, command.detail);
+    notifyChange();
+    return command.action;
+}
+
+// 元に戻す・やり直しの可否
+export function getHistoryStatus() {
+    return {
+        isRestoring: historyState.isRestoring,
+        canUndo: historyState.undoStack.length > 0,
+        canRedo: historyState.redoStack.length > 0,
+        undoAction: historyState.undoStack.length > 0 ? historyState.undoStack[historyState.undoStack.length - 1].action : null,
+        redoAction: historyState.redoStack.length > 0 ? historyState.redoStack[historyState.redoStack.length - 1].action : null
+    };
+}
+
+// 変更記録を取得
+export function getJournal() {
+    return [...historyState.journal];
+}
@@ -2,6 +2,8 @@
 
 import { DEFAULTS } from './constants.js';
 import { showMessage } from './message.js';
+import { recordChange } from './history.js';
+import { snapLatLng } from './snapping.js';
 
 // ルート編集の状態管理
 export const state = {
@@ -11,6 +13,8 @@ export const state = {
     selectedRouteLine: null,
     isAddMoveMode: false,
     isDeleteMode: false,
+    isPointPickMode: false,
+    pointPickHandler: null,
     mapClickHandler: null,
     draggableMarkers: []
 };
@@ -60,6 +64,12 @@ export function extractPointsAndRoutes(geoJsonData) {
     });
 }
 
+// ルートIDから表示名（開始 ～ 終了）を取得
+export function getRouteLabel(routeId) {
+    const match = routeId && routeId.match(/^route_(.+)_to_(.+)$/);
+    return match ? `${match[1]} ～ ${match[2]}` : routeId;
+}
+
 // ドロップダウンの更新
 export function updateDropdowns(loadedData) {
     const routeStartSelect = document.getElementById('routeStart');
@@ -86,6 +96,27 @@ export function updateDropdowns(loadedData) {
     }
 
     updateRouteLongDropdown(loadedData);
+    updateTrackPointDropdowns();
+}
+
+// ルートの作成・経路の検索の開始・終了ポイントのドロップダウンを更新
+export function updateTrackPointDropdowns() {
+    ['trackStartPoint', 'trackEndPoint', 'plannerStartPoint', 'plannerEndPoint'].forEach(selectId => {
+        const select = document.getElementById(selectId);
+        const previousSelection = select.value;
+
+        select.innerHTML = '<option value="">選択</option>';
+        [...state.allPoints].sort().forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = id;
+            select.appendChild(option);
+        });
+
+        if (previousSelection) {
+            select.value = previousSelection;
+        }
+    });
 }
 
 export function updateRouteLongDropdown(loadedData) {
@@ -224,6 +255,122 @@ export function getCoordinatesFromGeoJSON(routeId, loadedData) {
     return coordinates.length >= 2 ? coordinates : null;
 }
 
+// 新規ルートを作成（開始・終了ポイントの中間に最初の中間点を1つ置く）
+// ルートは中間点のroute_idとして保存されるため、中間点のないルートは作成しない
+export function createRoute(startId, endId, loadedData, markerMap, geoJsonLayer) {
+    const findPoint = id => loadedData.features.find(f =>
+        f.properties && f.properties.type === 'ポイントGPS' && f.properties.id === id
+    );
+    const startFeature = findPoint(startId);
+    const endFeature = findPoint(endId);
+    if (!startFeature || !endFeature) return null;
+
+    const routeId = `route_${startId}_to_${endId}`;
+    const [startLng, startLat] = startFeature.geometry.coordinates;
+    const [endLng, endLat] = endFeature.geometry.coordinates;
+
+    loadedData.features.push({
+        type: 'Feature',
+        properties: {
+            type: 'route_waypoint',
+            route_id: routeId,
+            waypoint_number: '1'
+        },
+        geometry: {
+            type: 'Point',
+            coordinates: [(startLng + endLng) / 2, (startLat + endLat) / 2]
+        }
+    });
+
+    extractPointsAndRoutes(loadedData);
+    redrawWaypointMarkers(routeId, loadedData, markerMap, geoJsonLayer);
+
+    return routeId;
+}
+
+// ルートを削除（中間点をすべて削除）し、削除した中間点の数を返す
+export function deleteRoute(routeId, loadedData, markerMap, map) {
+    if (state.selectedRouteId === routeId) {
+        resetRouteHighlight(markerMap, map);
+    }
+
+    let removedCount = 0;
+    if (loadedData && loadedData.features) {
+        for (let i = loadedData.features.length - 1; i >= 0; i--) {
+            const feature = loadedData.features[i];
+            if (feature.properties &&
+                feature.properties.route_id === routeId &&
+                feature.properties.type === 'route_waypoint') {
+                loadedData.features.splice(i, 1);
+                removedCount++;
+            }
+        }
+    }
+
+    // 地図から中間点マーカーを削除
+    const waypointMarkers = markerMap.get(routeId);
+    if (Array.isArray(waypointMarkers)) {
+        waypointMarkers.forEach(marker => {
+            map.removeLayer(marker);
+        });
+        markerMap.delete(routeId);
+    }
+
+    // allRoutesから削除したルートを除外
+    const routeIndex = state.allRoutes.findIndex(r => r.routeId === routeId);
+    if (routeIndex !== -1) {
+        state.allRoutes.splice(routeIndex, 1);
+    }
+
+    updateDropdowns(loadedData);
+
+    return removedCount;
+}
+
+// ポイントGPSをクリックで選択するモードを開始
+export function enterPointPickMode(markerMap, map, onPick) {
+    state.isPointPickMode = true;
+    state.pointPickHandler = function(e) {
+        if (!state.isPointPickMode) return;
+
+        L.DomEvent.stopPropagation(e);
+        const pointId = e.target.feature && e.target.feature.properties && e.target.feature.properties.id;
+        if (pointId) {
+            onPick(pointId);
+        }
+    };
+
+    markerMap.forEach((marker, key) => {
+        // 中間点（配列）は対象外
+        if (Array.isArray(marker)) return;
+        marker.on('click', state.pointPickHandler);
+    });
+
+    map.getContainer().style.cursor = 'pointer';
+}
+
+// ポイント選択モードを解除
+export function exitPointPickMode(markerMap, map) {
+    if (!state.isPointPickMode) return;
+
+    state.isPointPickMode = false;
+
+    const pickBtn = document.getElementById('pickRoutePointsBtn');
+    if (pickBtn) {
+        pickBtn.classList.remove('active');
+    }
+
+    if (state.pointPickHandler) {
+        markerMap.forEach(marker => {
+            if (Array.isArray(marker)) return;
+            marker.off('click', state.pointPickHandler);
+        });
+        state.pointPickHandler = null;
+    }
+
+    map.getContainer().style.cursor = '';
+}
+
 // ルートハイライト
 export function highlightRoute(routeId, loadedData, markerMap, map) {
     resetRouteHighlight(markerMap, map);
@@ -361,6 +508,7 @@ export function addWaypointToRoute(routeId, latlng, loadedData, markerMap, geoJs
 
     updateRoutePathDropdown(loadedData);
     optimizeRoute(routeId, false, loadedData, markerMap);
+    recordChange('中間点の追加', getRouteLabel(routeId));
 }
 
 // ルート線を再描画
@@ -477,6 +625,7 @@ export function deleteWaypoint(routeId, marker, loadedData, markerMap, map) {
         optimizeRoute(routeId, false, loadedData, markerMap);
         redrawRouteLine(routeId, loadedData, map);
         updateRoutePathDropdown(loadedData);
+        recordChange('中間点の削除', getRouteLabel(routeId));
 
         // 削除モードが有効な場合、再描画されたマーカーに削除イベントを再設定
         if (state.isDeleteMode) {
@@ -485,8 +634,8 @@ export function deleteWaypoint(routeId, marker, loadedData, markerMap, map) {
     }
 }
 
-// 2点間の距離を計算（ハバーサイン公式）
-function calculateDistance(lat1, lng1, lat2, lng2) {
+// 2点間の距離を計算（ハバーサイン公式、km）
+export function calculateDistance(lat1, lng1, lat2, lng2) {
     const R = 6371;
     const dLat = (lat2 - lat1) * Math.PI / 180;
     const dLng = (lng2 - lng1) * Math.PI / 180;
@@ -497,12 +646,119 @@ function calculateDistance(lat1, lng1, lat2, lng2) {
     return R * c;
 }
 
-// ルートを最適化（貪欲法）
+// 座標列（[lat, lng]の配列）の経路長を計算（km）
+export function calculatePathLength(coordinates) {
+    let length = 0;
+    for (let i = 1; i < coordinates.length; i++) {
+        length += calculateDistance(coordinates[i - 1][0], coordinates[i - 1][1], coordinates[i][0], coordinates[i][1]);
+    }
+    return length;
+}
+
+// 距離を表示用に整形（1km未満はm単位）
+export function formatDistance(km) {
+    return km >= 1 ? `${km.toFixed(2)}km` : `${Math.round(km * 1000)}m`;
+}
+
+// 開始・終了を固定した経路で中間点の巡回順を求める
+// 貪欲法（最近傍）で初期順序を作り、2-opt と Or-opt で改善する
+// 戻り値は waypointCoords のインデックスの並び
+export function findOptimalWaypointOrder(startCoord, waypointCoords, endCoord) {
+    const n = waypointCoords.length;
+    if (n <= 1) return waypointCoords.map((_, i) => i);
+
+    const distance = (a, b) => calculateDistance(a[0], a[1], b[0], b[1]);
+
+    // 貪欲法による初期順序
+    const order = [];
+    const remaining = waypointCoords.map((_, i) => i);
+    let current = startCoord;
+    while (remaining.length > 0) {
+        let nearest = 0;
+        for (let i = 1; i < remaining.length; i++) {
+            if (distance(current, waypointCoords[remaining[i]]) < distance(current, waypointCoords[remaining[nearest]])) {
+                nearest = i;
+            }
+        }
+        current = waypointCoords[remaining[nearest]];
+        order.push(remaining.splice(nearest, 1)[0]);
+    }
+
+    // 経路上の位置の座標（0: 開始ポイント、n + 1: 終了ポイント）
+    const coordAt = (path, position) => {
+        if (position === 0) return startCoord;
+        if (position === path.length + 1) return endCoord;
+        return waypointCoords[path[position - 1]];
+    };
+    const EPSILON = 1e-9;
+
+    let path = order;
+    let improved = true;
+    let iterations = 0;
+
+    while (improved && iterations < 100) {
+        improved = false;
+        iterations++;
+
+        // 2-opt: 区間 [i, k] を反転して交差を解消
+        for (let i = 1; i < n; i++) {
+            for (let k = i + 1; k <= n; k++) {
+                const delta = distance(coordAt(path, i - 1), coordAt(path, k)) +
+                              distance(coordAt(path, i), coordAt(path, k + 1)) -
+                              distance(coordAt(path, i - 1), coordAt(path, i)) -
+                              distance(coordAt(path, k), coordAt(path, k + 1));
+                if (delta < -EPSILON) {
+                    path = [...path.slice(0, i - 1), ...path.slice(i - 1, k).reverse(), ...path.slice(k)];
+                    improved = true;
+                }
+            }
+        }
+
+        // Or-opt: 連続する1～3点を別の位置へ移動（向きの反転も含む）
+        for (let segmentLength = 1; segmentLength <= Math.min(3, n - 1); segmentLength++) {
+            for (let i = 1; i + segmentLength - 1 <= n; i++) {
+                const first = coordAt(path, i);
+                const last = coordAt(path, i + segmentLength - 1);
+                const prev = coordAt(path, i - 1);
+                const next = coordAt(path, i + segmentLength);
+                const removeGain = distance(prev, first) + distance(last, next) - distance(prev, next);
+
+                const segment = path.slice(i - 1, i - 1 + segmentLength);
+                const rest = [...path.slice(0, i - 1), ...path.slice(i - 1 + segmentLength)];
+
+                let best = null;
+                for (let j = 0; j <= rest.length; j++) {
+                    if (j === i - 1) continue; // 元の位置
+                    const a = coordAt(rest, j);
+                    const b = coordAt(rest, j + 1);
+                    const forward = distance(a, first) + distance(last, b) - distance(a, b);
+                    const reversed = distance(a, last) + distance(first, b) - distance(a, b);
+                    const cost = Math.min(forward, reversed);
+                    if (cost - removeGain < -EPSILON && (!best || cost < best.cost)) {
+                        best = { position: j, cost, reverse: reversed < forward };
+                    }
+                }
+
+                if (best) {
+                    const inserted = best.reverse ? [...segment].reverse() : segment;
+                    path = [...rest.slice(0, best.position), ...inserted, ...rest.slice(best.position)];
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    return path;
+}
+
+// ルートを最適化（開始・終了ポイントを固定し、2-opt/Or-opt で中間点の順序を改善）
+// showMessages が true の場合は最適化前後の経路長を表示し、適用するか確認する
+// false の場合（中間点の編集時）は経路が短くなるときのみ自動で適用する
 export function optimizeRoute(routeId, showMessages = true, loadedData, markerMap) {
-    if (!loadedData || !loadedData.features) return;
+    if (!loadedData || !loadedData.features) return null;
 
     const match = routeId.match(/^route_(.+)_to_(.+)$/);
-    if (!match) return;
+    if (!match) return null;
 
     const startId = match[1];
     const endId = match[2];
@@ -518,52 +774,63 @@ export function optimizeRoute(routeId, showMessages = true, loadedData, markerMa
         if (showMessages) {
             showMessage('開始ポイントまたは終了ポイントが見つかりません', 'error');
         }
-        return;
+        return null;
     }
 
     const [startLng, startLat] = startFeature.geometry.coordinates;
     const [endLng, endLat] = endFeature.geometry.coordinates;
+    const startCoord = [startLat, startLng];
+    const endCoord = [endLat, endLng];
 
-    const waypoints = loadedData.features.filter(f =>
-        f.properties && f.properties.route_id === routeId && f.properties.type === 'route_waypoint'
-    );
+    // 現在の順序（waypoint_number順）
+    const waypoints = loadedData.features
+        .filter(f => f.properties && f.properties.route_id === routeId && f.properties.type === 'route_waypoint')
+        .sort((a, b) => {
+            const numA = parseInt(a.properties.waypoint_number) || 0;
+            const numB = parseInt(b.properties.waypoint_number) || 0;
+            return numA - numB;
+        });
 
     if (waypoints.length === 0) {
-        return;
+        return null;
     }
 
-    const optimizedWaypoints = [];
-    const remainingWaypoints = [...waypoints];
-    let currentLat = startLat;
-    let currentLng = startLng;
+    const waypointCoords = waypoints.map(wp => [wp.geometry.coordinates[1], wp.geometry.coordinates[0]]);
+    const order = findOptimalWaypointOrder(startCoord, waypointCoords, endCoord);
 
-    while (remainingWaypoints.length > 0) {
-        let nearestIndex = 0;
-        let minDistance = Infinity;
+    const beforeLength = calculatePathLength([startCoord, ...waypointCoords, endCoord]);
+    const afterLength = calculatePathLength([startCoord, ...order.map(i => waypointCoords[i]), endCoord]);
+    const isShorter = afterLength < beforeLength - 1e-9;
 
-        remainingWaypoints.forEach((wp, index) => {
-            const [wpLng, wpLat] = wp.geometry.coordinates;
-            const distance = calculateDistance(currentLat, currentLng, wpLat, wpLng);
-            if (distance < minDistance) {
-                minDistance = distance;
-                nearestIndex = index;
-            }
-        });
-
-        const nearestWaypoint = remainingWaypoints.splice(nearestIndex, 1)[0];
-        optimizedWaypoints.push(nearestWaypoint);
-        [currentLng, currentLat] = nearestWaypoint.geometry.coordinates;
+    let applied = false;
+    if (showMessages) {
+        if (!isShorter) {
+            showMessage(`現在の順序が最短です（経路長 ${formatDistance(beforeLength)}）`, 'success');
+            return { beforeLength, afterLength, applied };
+        }
+        applied = confirm(
+            `中間点の順序を最適化します。\n` +
+            `最適化前: ${formatDistance(beforeLength)}\n` +
+            `最適化後: ${formatDistance(afterLength)}（${formatDistance(beforeLength - afterLength)}短縮）\n\n` +
+            `適用しますか？`
+        );
+    } else {
+        applied = isShorter;
     }
 
-    optimizedWaypoints.forEach((wp, index) => {
+    // 適用しない場合も番号の欠番は詰める
+    const orderedWaypoints = applied ? order.map(i => waypoints[i]) : waypoints;
+    orderedWaypoints.forEach((wp, index) => {
         wp.properties.waypoint_number = (index + 1).toString();
     });
 
     redrawWaypointMarkers(routeId, loadedData, markerMap, window.geoJsonLayer);
 
-    if (showMessages) {
-        showMessage(`ルートを最適化しました（${optimizedWaypoints.length}個の中間点）`, 'success');
+    if (showMessages && applied) {
+        showMessage(`ルートを最適化しました（${orderedWaypoints.length}個の中間点、${formatDistance(beforeLength)} → ${formatDistance(afterLength)}）`, 'success');
     }
+
+    return { beforeLength, afterLength, applied };
 }
 
 // 中間点をクリック可能にする（追加・移動モード用）
@@ -606,7 +873,9 @@ export function makeWaypointsClickableForAddMove(routeId, loadedData, markerMap,
 
                     marker.off('drag');
                     marker.on('drag', function(e) {
-                        const newLatLng = marker.getLatLng();
+                        // 道・トラック・ポイントGPSへスナップ（Altキーで無効）
+                        const { latlng: newLatLng } = snapLatLng(marker.getLatLng(), e.originalEvent, loadedData, map);
+                        marker.setLatLng(newLatLng);
                         updateWaypointCoordinates(routeId, index, newLatLng, loadedData);
                         redrawRouteLine(routeId, loadedData, map);
                     });
@@ -636,6 +905,7 @@ export function makeWaypointsClickableForAddMove(routeId, loadedData, markerMap,
                         // ルートを最適化（この中でマーカーが再作成される）
                         optimizeRoute(routeId, false, loadedData, markerMap);
                         redrawRouteLine(routeId, loadedData, map);
+                        recordChange('中間点の移動', getRouteLabel(routeId));
 
                         // マーカーが再描画された後、再度クリック可能にする
                         if (state.isAddMoveMode) {
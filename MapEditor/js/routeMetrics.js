@@ -0,0 +1,135 @@
+// ルートの距離と歩行時間
+
+import { DEFAULTS } from './constants.js';
+import { calculateDistance, getCoordinatesFromGeoJSON } from './routeEditor.js';
+import { getCachedRouteClimb } from './elevationProfile.js';
+
+// 歩行時間の設定
+export const metricsState = {
+    pace: DEFAULTS.WALKING_TIME.PACE,
+    useElevation: false,
+    requestToken: 0
+};
+
+export function setWalkingPace(value) {
+    metricsState.pace = value;
+}
+
+export function setUseElevation(value) {
+    metricsState.useElevation = value;
+}
+
+// 歩行時間（分）を計算
+// 登りの累積標高を渡した場合はネイスミスの法則で加算する
+function calculateWalkingTime(lengthKm, ascent = null) {
+    let hours = lengthKm / metricsState.pace;
+    if (ascent !== null) {
+        hours += ascent / DEFAULTS.WALKING_TIME.ASCENT_PER_HOUR;
+    }
+    return hours * 60;
+}
+
+// 歩行時間（分）を見積もる
+// 標高補正が有効で登りの累積標高が分かる場合のみ加算する
+export function estimateWalkingTime(lengthKm, ascent = null) {
+    return calculateWalkingTime(lengthKm, metricsState.useElevation ? ascent : null);
+}
+
+// 歩行時間を「1時間05分」「25分」の形式にする
+export function formatWalkingTime(minutes) {
+    const total = Math.round(minutes);
+    if (total < 60) return `${total}分`;
+    return `${Math.floor(total / 60)}時間${String(total % 60).padStart(2, '0')}分`;
+}
+
+// ルートの全長（km）・区間ごとの長さ（km）・歩行時間（分）を計算
+// 区間は開始ポイント→中間点1→…→終了ポイントの順
+// 登りの累積標高は取得済みの場合のみ使用する（climbを渡せばそれを優先）
+export function calculateRouteMetrics(routeId, loadedData, climb = null) {
+    const coordinates = getCoordinatesFromGeoJSON(routeId, loadedData);
+    if (!coordinates) return null;
+
+    const segments = [];
+    for (let i = 1; i < coordinates.length; i++) {
+        const [lat1, lng1] = coordinates[i - 1];
+        const [lat2, lng2] = coordinates[i];
+        segments.push(calculateDistance(lat1, lng1, lat2, lng2));
+    }
+    const length = segments.reduce((sum, segment) => sum + segment, 0);
+
+    const routeClimb = climb || getCachedRouteClimb(coordinates);
+    const ascent = routeClimb ? routeClimb.ascent : null;
+
+    return {
+        coordinates,
+        length,
+        segments,
+        ascent,
+        walkingTime: estimateWalkingTime(length, ascent)
+    };
+}
+
+// 全ルートの合計距離（km）
+export function calculateTotalRouteLength(loadedData) {
+    if (!loadedData || !loadedData.features) return 0;
+
+    const routeIds = new Set();
+    loadedData.features.forEach(feature => {
+        if (feature.properties && feature.properties.type === 'route_waypoint' && feature.properties.route_id) {
+            routeIds.add(feature.properties.route_id);
+        }
+    });
+
+    let total = 0;
+    routeIds.forEach(routeId => {
+        const metrics = calculateRouteMetrics(routeId, loadedData);
+        if (metrics) total += metrics.length;
+    });
+    return total;
+}
+
+// 出力用に、中間点のプロパティへルートの距離と歩行時間を書き込んだGeoJSONを作成（元データは変更しない）
+// segment_length_mは直前の点（開始ポイントまたは1つ前の中間点）からの距離
+// walking_time_minは常に平地の歩行時間とし、標高補正が有効で累積標高を取得済みのルートのみ
+// 登りの累積標高と標高補正後の歩行時間を別に書き込む（出力時には標高を取得しない）
+export function addRouteMetricsToGeoJson(loadedData) {
+    const exportData = JSON.parse(JSON.stringify(loadedData));
+
+    // 中間点番号の順に並べて、直前の点からの距離を対応付ける
+    const waypointsByRoute = new Map();
+    exportData.features.forEach(feature => {
+        const properties = feature.properties;
+        if (!properties || properties.type !== 'route_waypoint' || !properties.route_id) return;
+
+        if (!waypointsByRoute.has(properties.route_id)) {
+            waypointsByRoute.set(properties.route_id, []);
+        }
+        waypointsByRoute.get(properties.route_id).push(feature);
+    });
+
+    waypointsByRoute.forEach((waypoints, routeId) => {
+        const metrics = calculateRouteMetrics(routeId, loadedData);
+        if (!metrics) return;
+
+        const climb = metricsState.useElevation ? getCachedRouteClimb(metrics.coordinates) : null;
+
+        // 開始ポイントが見つからない場合は区間と中間点が対応しないため区間長は書き込まない
+        const hasAllSegments = metrics.segments.length === waypoints.length + 1;
+
+        waypoints
+            .sort((a, b) => (parseInt(a.properties.waypoint_number) || 0) - (parseInt(b.properties.waypoint_number) || 0))
+            .forEach((feature, index) => {
+                if (hasAllSegments) {
+                    feature.properties.segment_length_m = Math.round(metrics.segments[index] * 1000);
+                }
+                feature.properties.route_length_m = Math.round(metrics.length * 1000);
+                feature.properties.walking_time_min = Math.round(calculateWalkingTime(metrics.length));
+                if (climb) {
+                    feature.properties.route_ascent_m = Math.round(climb.ascent);
+                    feature.properties.walking_time_ascent_min = Math.round(calculateWalkingTime(metrics.length, climb.ascent));
+                }
+            });
+    });
+
+    return exportData;
+}
@@ -0,0 +1,218 @@
+// ルートをつないだ経路の検索（最短距離・最小登り）
+
+import { DEFAULTS } from './constants.js';
+import { calculateDistance, calculatePathLength, getCoordinatesFromGeoJSON } from './routeEditor.js';
+import { fetchRouteClimb } from './elevationProfile.js';
+
+// 検索方法
+export const PLANNER_MODES = {
+    SHORTEST: 'shortest',
+    LEAST_CLIMB: 'leastClimb'
+};
+
+// 経路検索の状態管理
+export const plannerState = {
+    result: null,
+    pathLayer: null,
+    searchToken: 0
+};
+
+// ポイントGPSをノード、ルートを辺とするグラフを作成
+// ルートはどちら向きにも通れるものとし、辺の長さは中間点をつないだ折れ線の長さ（km）
+export function buildRouteGraph(loadedData) {
+    const nodes = new Map();
+    const edges = [];
+    const adjacency = new Map();
+    if (!loadedData || !loadedData.features) return { nodes, edges, adjacency };
+
+    const routeIds = new Set();
+    loadedData.features.forEach(feature => {
+        const properties = feature.properties;
+        if (!properties || !feature.geometry || feature.geometry.type !== 'Point') return;
+
+        if (properties.type === 'ポイントGPS' && properties.id) {
+            const [lng, lat] = feature.geometry.coordinates;
+            nodes.set(properties.id, [lat, lng]);
+            adjacency.set(properties.id, []);
+        } else if (properties.type === 'route_waypoint' && properties.route_id) {
+            routeIds.add(properties.route_id);
+        }
+    });
+
+    routeIds.forEach(routeId => {
+        const match = routeId.match(/^route_(.+)_to_(.+)$/);
+        if (!match) return;
+
+        const [, startId, endId] = match;
+        // 端点のポイントGPSがないルートは経路に使えない
+        if (!nodes.has(startId) || !nodes.has(endId) || startId === endId) return;
+
+        const coordinates = getCoordinatesFromGeoJSON(routeId, loadedData);
+        if (!coordinates) return;
+
+        const edge = { routeId, startId, endId, coordinates, length: calculatePathLength(coordinates) };
+        edges.push(edge);
+        adjacency.get(startId).push({ edge, to: endId, reversed: false });
+        adjacency.get(endId).push({ edge, to: startId, reversed: true });
+    });
+
+    return { nodes, edges, adjacency };
+}
+
+// 各ルートの登り・下りの累積標高（m）を取得
+// 取得できなかったルートの数を返す
+export async function loadEdgeClimbs(graph, onProgress) {
+    let completed = 0;
+    let failed = 0;
+
+    for (const edge of graph.edges) {
+        const climb = await fetchRouteClimb(edge.coordinates);
+        if (climb) {
+            edge.ascent = climb.ascent;
+            edge.descent = climb.descent;
+        } else {
+            failed++;
+        }
+
+        completed++;
+        if (onProgress) onProgress(completed, graph.edges.length);
+    }
+
+    return failed;
+}
+
+// 辺を通るコスト
+// 最小登りは登りの累積標高（逆向きなら下り）に距離を少し加えて、登りが同じなら短い方を選ぶ
+function getEdgeCost(edge, reversed, mode) {
+    const meters = edge.length * 1000;
+    if (mode === PLANNER_MODES.LEAST_CLIMB) {
+        const climb = reversed ? edge.descent : edge.ascent;
+        return (climb || 0) + meters * DEFAULTS.ROUTE_PLANNER.CLIMB_DISTANCE_WEIGHT;
+    }
+    return meters;
+}
+
+// 残りのコストの推定値（直線距離は実際の経路長を超えないためA*の推定値として使える）
+function getHeuristic(graph, nodeId, goalId, mode) {
+    const [lat1, lng1] = graph.nodes.get(nodeId);
+    const [lat2, lng2] = graph.nodes.get(goalId);
+    const meters = calculateDistance(lat1, lng1, lat2, lng2) * 1000;
+    return mode === PLANNER_MODES.LEAST_CLIMB ? meters * DEFAULTS.ROUTE_PLANNER.CLIMB_DISTANCE_WEIGHT : meters;
+}
+
+// A*で開始から終了ポイントまでの経路を検索（見つからない場合はnull）
+// ノード数は多くても数百程度のため、未確定ノードは配列から最小値を探す
+export function findPath(graph, startId, goalId, mode = PLANNER_MODES.SHORTEST) {
+    if (!graph.nodes.has(startId) || !graph.nodes.has(goalId)) return null;
+
+    const costs = new Map([[startId, 0]]);
+    const previous = new Map();
+    const closed = new Set();
+    const open = [{ nodeId: startId, estimate: getHeuristic(graph, startId, goalId, mode) }];
+
+    while (open.length > 0) {
+        let bestIndex = 0;
+        for (let i = 1; i < open.length; i++) {
+            if (open[i].estimate < open[bestIndex].estimate) bestIndex = i;
+        }
+        const { nodeId } = open.splice(bestIndex, 1)[0];
+
+        if (closed.has(nodeId)) continue;
+        if (nodeId === goalId) break;
+        closed.add(nodeId);
+
+        graph.adjacency.get(nodeId).forEach(({ edge, to, reversed }) => {
+            if (closed.has(to)) return;
+
+            const cost = costs.get(nodeId) + getEdgeCost(edge, reversed, mode);
+            if (!costs.has(to) || cost < costs.get(to)) {
+                costs.set(to, cost);
+                previous.set(to, { from: nodeId, edge, reversed });
+                open.push({ nodeId: to, estimate: cost + getHeuristic(graph, to, goalId, mode) });
+            }
+        });
+    }
+
+    if (startId !== goalId && !previous.has(goalId)) return null;
+
+    // 終了ポイントからたどって経路を組み立てる
+    const steps = [];
+    let nodeId = goalId;
+    while (nodeId !== startId) {
+        const step = previous.get(nodeId);
+        steps.unshift(step);
+        nodeId = step.from;
+    }
+
+    const nodeIds = [startId];
+    const coordinates = [graph.nodes.get(startId)];
+    let length = 0;
+    let ascent = 0;
+    let descent = 0;
+
+    steps.forEach(({ edge, reversed }) => {
+        const edgeCoordinates = reversed ? [...edge.coordinates].reverse() : edge.coordinates;
+        // つなぎ目のポイントGPSは重複させない
+        coordinates.push(...edgeCoordinates.slice(1));
+        nodeIds.push(reversed ? edge.startId : edge.endId);
+        length += edge.length;
+        ascent += (reversed ? edge.descent : edge.ascent) || 0;
+        descent += (reversed ? edge.ascent : edge.descent) || 0;
+    });
+
+    return {
+        mode,
+        startId,
+        goalId,
+        nodeIds,
+        routes: steps.map(({ edge, reversed }) => ({ routeId: edge.routeId, reversed })),
+        coordinates,
+        length,
+        ascent,
+        descent,
+        hasClimb: steps.every(({ edge }) => edge.ascent !== undefined)
+    };
+}
+
+// 検索結果の経路を地図に表示
+export function showPlannedPath(result, map) {
+    clearPlannedPath(map);
+
+    plannerState.result = result;
+    plannerState.pathLayer = L.polyline(result.coordinates, DEFAULTS.ROUTE_PLANNER.PATH_STYLE).addTo(map);
+    map.fitBounds(plannerState.pathLayer.getBounds(), { padding: [30, 30] });
+}
+
+// 経路の表示を消去
+export function clearPlannedPath(map) {
+    if (plannerState.pathLayer) {
+        map.removeLayer(plannerState.pathLayer);
+        plannerState.pathLayer = null;
+    }
+    plannerState.result = null;
+}
+
+// 検索結果を1本のLineStringとして出力するためのフィーチャーを作成
+export function createPathFeature(result) {
+    const properties = {
+        type: 'planned_route',
+        name: `${result.startId} ～ ${result.goalId}`,
+        mode: result.mode,
+        points: result.nodeIds,
+        route_ids: result.routes.map(r => r.routeId),
+        distance_km: Math.round(result.length * 1000) / 1000
+    };
+    if (result.hasClimb) {
+        properties.ascent_m = Math.round(result.ascent);
+        properties.descent_m = Math.round(result.descent);
+    }
+
+    return {
+        type: 'Feature',
+        properties,
+        geometry: {
+            type: 'LineString',
+            coordinates: result.coordinates.map(([lat, lng]) => [lng, lat])
+        }
+    };
+}
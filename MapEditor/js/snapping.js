@@ -0,0 +1,125 @@
+// 中間点のスナップ（既存の道・GPSトラック・ポイントGPSへの吸着）
+
+import { DEFAULTS } from './constants.js';
+
+// スナップの状態管理
+export const snapState = {
+    enabled: true,
+    tolerance: DEFAULTS.SNAP_TOLERANCE_PX,
+    referenceTracks: [],
+    referenceLayer: null
+};
+
+export function setSnapEnabled(value) {
+    snapState.enabled = value;
+}
+
+export function setSnapTolerance(value) {
+    snapState.tolerance = value;
+}
+
+// 参照トラック（GPX等）を設定して地図に表示
+export function setReferenceTracks(tracks, map) {
+    clearReferenceTracks(map);
+
+    snapState.referenceTracks = tracks;
+    snapState.referenceLayer = L.layerGroup(
+        tracks.map(coordinates => L.polyline(coordinates, DEFAULTS.REFERENCE_TRACK_STYLE))
+    ).addTo(map);
+}
+
+// 参照トラックを解除
+export function clearReferenceTracks(map) {
+    if (snapState.referenceLayer) {
+        map.removeLayer(snapState.referenceLayer);
+        snapState.referenceLayer = null;
+    }
+    snapState.referenceTracks = [];
+}
+
+// GeoJSON内の線（LineString/MultiLineString）の座標列を取得
+function getGeoJsonLines(loadedData) {
+    const lines = [];
+    if (!loadedData || !loadedData.features) return lines;
+
+    loadedData.features.forEach(feature => {
+        const geometry = feature.geometry;
+        if (!geometry) return;
+
+        if (geometry.type === 'LineString') {
+            lines.push(geometry.coordinates.map(([lng, lat]) => [lat, lng]));
+        } else if (geometry.type === 'MultiLineString') {
+            geometry.coordinates.forEach(line => {
+                lines.push(line.map(([lng, lat]) => [lat, lng]));
+            });
+        }
+    });
+
+    return lines;
+}
+
+// 線分ab上でpに最も近い点（画面座標）
+function closestPointOnSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    if (lengthSq === 0) return a;
+
+    const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+    return L.point(a.x + dx * t, a.y + dy * t);
+}
+
+// クリック・ドラッグ位置をスナップ先に補正
+// ポイントGPSを優先し、なければ参照トラック・GeoJSONの線上の最寄り点に吸着する
+// 許容距離（ピクセル）内に候補がない場合、スナップ無効時、Altキー押下時はそのまま返す
+export function snapLatLng(latlng, originalEvent, loadedData, map) {
+    if (!snapState.enabled || (originalEvent && originalEvent.altKey)) {
+        return { latlng, snapped: null };
+    }
+
+    const tolerance = snapState.tolerance;
+    const point = map.latLngToLayerPoint(latlng);
+
+    // ポイントGPSへのスナップ
+    let nearestPoint = null;
+    let nearestPointDistance = tolerance;
+    if (loadedData && loadedData.features) {
+        loadedData.features.forEach(feature => {
+            if (!feature.properties || feature.properties.type !== 'ポイントGPS') return;
+            if (!feature.geometry || feature.geometry.type !== 'Point') return;
+
+            const [lng, lat] = feature.geometry.coordinates;
+            const distance = point.distanceTo(map.latLngToLayerPoint([lat, lng]));
+            if (distance <= nearestPointDistance) {
+                nearestPointDistance = distance;
+                nearestPoint = L.latLng(lat, lng);
+            }
+        });
+    }
+    if (nearestPoint) {
+        return { latlng: nearestPoint, snapped: 'point' };
+    }
+
+    // 線へのスナップ
+    let nearestLinePoint = null;
+    let nearestLineDistance = tolerance;
+    const lines = [...snapState.referenceTracks, ...getGeoJsonLines(loadedData)];
+    lines.forEach(coordinates => {
+        let previous = map.latLngToLayerPoint(coordinates[0]);
+        for (let i = 1; i < coordinates.length; i++) {
+            const current = map.latLngToLayerPoint(coordinates[i]);
+            const candidate = closestPointOnSegment(point, previous, current);
+            const distance = point.distanceTo(candidate);
+            if (distance <= nearestLineDistance) {
+                nearestLineDistance = distance;
+                nearestLinePoint = candidate;
+            }
+            previous = current;
+        }
+    });
+    if (nearestLinePoint) {
+        return { latlng: map.layerPointToLatLng(nearestLinePoint), snapped: 'line' };
+    }
+
+    return { latlng, snapped: null };
+}
@@ -0,0 +1,262 @@
+// スポットの詳細情報（概要・説明・営業時間・バリアフリー情報・写真・任意の属性）の編集
+
+import { DEFAULTS } from './constants.js';
+import { findSpotCategory } from './spotCategories.js';
+
+// 詳細情報の項目（プロパティ名・表示名・入力欄）
+export const SPOT_ATTRIBUTE_FIELDS = [
+    { key: 'description', label: '概要', inputId: 'spotDescriptionInput' },
+    { key: 'notes', label: '説明', inputId: 'spotNotesInput' },
+    { key: 'opening_hours', label: '営業時間', inputId: 'spotOpeningHoursInput' },
+    { key: 'accessibility', label: 'バリアフリー情報', inputId: 'spotAccessibilityInput' },
+    { key: 'photos', label: '写真', inputId: null }
+];
+
+// 任意の属性として編集しないプロパティ
+const RESERVED_KEYS = ['id', 'name', 'type', 'category', 'source', ...SPOT_ATTRIBUTE_FIELDS.map(f => f.key)];
+
+// 編集中のスポットの状態管理
+const attributeState = {
+    feature: null,
+    photos: []
+};
+
+// 任意の属性の値を文字列で表示（文字列以外はJSONで表示）
+function formatValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// 表示・保持する写真か（http/httpsのURLまたは画像のデータURLの文字列のみ）
+// 読み込んだGeoJSONの値をそのままリンクにするとjavascript:などのURLが実行されるため制限する
+function isValidPhoto(photo) {
+    return typeof photo === 'string' && (/^https?:\/\/\S+$/i.test(photo) || photo.startsWith('data:image/'));
+}
+
+// 選択スポットの詳細情報をフォームに表示（nullでフォームを閉じる）
+export function showSpotAttributes(feature) {
+    attributeState.feature = feature;
+
+    const form = document.getElementById('spotAttributeForm');
+    form.style.display = feature ? 'block' : 'none';
+
+    const properties = (feature && feature.properties) || {};
+    SPOT_ATTRIBUTE_FIELDS.forEach(field => {
+        if (field.inputId) {
+            document.getElementById(field.inputId).value = properties[field.key] || '';
+        }
+    });
+
+    attributeState.photos = Array.isArray(properties.photos) ? properties.photos.filter(isValidPhoto) : [];
+    renderPhotoList();
+
+    const customList = document.getElementById('spotCustomAttributeList');
+    customList.innerHTML = '';
+    Object.keys(properties)
+        .filter(key => !RESERVED_KEYS.includes(key))
+        .forEach(key => addCustomAttributeRow(key, formatValue(properties[key])));
+
+    updateRequiredMarks(properties.category);
+}
+
+// スポット区分の必須項目に印を付ける
+export function updateRequiredMarks(categoryName) {
+    const required = getRequiredFields(categoryName);
+    document.querySelectorAll('#spotAttributeForm [data-field]').forEach(label => {
+        label.classList.toggle('required', required.includes(label.dataset.field));
+    });
+}
+
+// スポット区分の必須項目（プロパティ名の配列）
+export function getRequiredFields(categoryName) {
+    const category = categoryName && findSpotCategory(categoryName);
+    return (category && Array.isArray(category.required)) ? category.required : [];
+}
+
+// スポット区分の必須項目のうち未入力の項目（valuesはプロパティ名と値の組）
+export function getMissingRequiredFields(values, categoryName) {
+    const required = getRequiredFields(categoryName);
+    return SPOT_ATTRIBUTE_FIELDS.filter(field => {
+        const value = values[field.key];
+        return required.includes(field.key) && (value === undefined || value === null || value.length === 0);
+    });
+}
+
+// 写真の一覧（URLはリンク、添付した画像は縮小表示）
+function renderPhotoList() {
+    const photoList = document.getElementById('spotPhotoList');
+    photoList.innerHTML = '';
+
+    attributeState.photos.forEach((photo, index) => {
+        if (!isValidPhoto(photo)) return;
+
+        const item = document.createElement('li');
+        item.className = 'spot-photo-item';
+
+        if (photo.startsWith('data:image/')) {
+            const image = document.createElement('img');
+            image.src = photo;
+            image.className = 'spot-photo-thumbnail';
+            image.alt = `添付画像${index + 1}`;
+            item.appendChild(image);
+        } else {
+            const link = document.createElement('a');
+            link.href = photo;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = photo;
+            item.appendChild(link);
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = '×';
+        removeBtn.title = '写真を削除';
+        removeBtn.addEventListener('click', function() {
+            attributeState.photos.splice(index, 1);
+            renderPhotoList();
+        });
+        item.appendChild(removeBtn);
+
+        photoList.appendChild(item);
+    });
+}
+
+// 写真のURLを追加（http/httpsのみ）
+export function addPhotoUrl(url) {
+    const trimmed = url.trim();
+    if (!/^https?:\/\/\S+$/i.test(trimmed)) {
+        throw new Error('写真のURLはhttp://またはhttps://で始まる形式で入力してください');
+    }
+    attributeState.photos.push(trimmed);
+    renderPhotoList();
+}
+
+// 画像ファイルをデータURLとして添付（GeoJSONに埋め込むためサイズを制限）
+export function attachPhotoFile(file) {
+    return new Promise((resolve, reject) => {
+        if (!file.type.startsWith('image/')) {
+            reject(new Error('画像ファイルを選択してください'));
+            return;
+        }
+        if (file.size > DEFAULTS.SPOT_ATTRIBUTES.MAX_ATTACHMENT_SIZE) {
+            reject(new Error(`添付できる画像は${Math.round(DEFAULTS.SPOT_ATTRIBUTES.MAX_ATTACHMENT_SIZE / 1024)}KBまでです`));
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            attributeState.photos.push(e.target.result);
+            renderPhotoList();
+            resolve();
+        };
+        reader.onerror = function() {
+            reject(new Error('画像ファイルの読み込みに失敗しました'));
+        };
+        reader.readAsDataURL(file);
+    });
+}
+
+// 任意の属性の入力行を追加
+export function addCustomAttributeRow(key = '', value = '') {
+    const row = document.createElement('div');
+    row.className = 'spot-custom-attribute-row';
+
+    const keyInput = document.createElement('input');
+    keyInput.type = 'text';
+    keyInput.className = 'spot-custom-key';
+    keyInput.placeholder = '属性名';
+    keyInput.value = key;
+    // 読み込み時の属性名（値が変わっていなければ元の型のまま書き戻す）
+    keyInput.dataset.originalKey = key;
+
+    const valueInput = document.createElement('input');
+    valueInput.type = 'text';
+    valueInput.className = 'spot-custom-value';
+    valueInput.placeholder = '値';
+    valueInput.value = value;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = '×';
+    removeBtn.title = '属性を削除';
+    removeBtn.addEventListener('click', function() {
+        row.remove();
+    });
+
+    row.append(keyInput, valueInput, removeBtn);
+    document.getElementById('spotCustomAttributeList').appendChild(row);
+}
+
+// フォームの内容を検証して選択スポットのpropertiesに書き込む
+// 詳細情報の保存・スポット区分の変更のどちらからも呼び出し、categoryNameの必須項目を検証する
+// 問題がある場合は書き込まずにErrorを投げる
+export function applySpotAttributes(categoryName) {
+    const feature = attributeState.feature;
+    if (!feature) {
+        throw new Error('スポットを選択してください');
+    }
+
+    const values = {};
+    SPOT_ATTRIBUTE_FIELDS.forEach(field => {
+        if (field.inputId) {
+            values[field.key] = document.getElementById(field.inputId).value.trim();
+        }
+    });
+    values.photos = [...attributeState.photos];
+
+    // スポット区分の必須項目
+    const missing = getMissingRequiredFields(values, categoryName);
+    if (missing.length > 0) {
+        throw new Error(`スポット区分「${categoryName}」では次の項目が必須です: ${missing.map(f => f.label).join('、')}`);
+    }
+
+    // 任意の属性
+    const original = feature.properties || {};
+    const custom = {};
+    document.querySelectorAll('#spotCustomAttributeList .spot-custom-attribute-row').forEach(row => {
+        const keyInput = row.querySelector('.spot-custom-key');
+        const key = keyInput.value.trim();
+        const value = row.querySelector('.spot-custom-value').value;
+
+        if (!key) {
+            if (value.trim()) {
+                throw new Error('属性名が空の属性があります');
+            }
+            return;
+        }
+        if (RESERVED_KEYS.includes(key)) {
+            throw new Error(`属性名「${key}」は使用できません`);
+        }
+        if (Object.prototype.hasOwnProperty.call(custom, key)) {
+            throw new Error(`属性名「${key}」が重複しています`);
+        }
+
+        // 値を変更していない属性は元の値（数値・配列など）をそのまま残す
+        const originalKey = keyInput.dataset.originalKey;
+        if (originalKey === key && Object.prototype.hasOwnProperty.call(original, key) && formatValue(original[key]) === value) {
+            custom[key] = original[key];
+        } else {
+            custom[key] = value;
+        }
+    });
+
+    if (!feature.properties) {
+        feature.properties = {};
+    }
+    const properties = feature.properties;
+
+    // 空の項目はプロパティごと削除
+    Object.entries(values).forEach(([key, value]) => {
+        if (value.length > 0) {
+            properties[key] = value;
+        } else {
+            delete properties[key];
+        }
+    });
+
+    Object.keys(properties)
+        .filter(key => !RESERVED_KEYS.includes(key) && !Object.prototype.hasOwnProperty.call(custom, key))
+        .forEach(key => delete properties[key]);
+    Object.assign(properties, custom);
+
+    // 書き込んだ内容で表示し直す（元の属性名の記録を更新するため）
+    showSpotAttributes(feature);
+}
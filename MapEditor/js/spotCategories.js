@@ -0,0 +1,214 @@
+// スポット区分の定義（色・記号）と区分ごとの表示切り替え
+
+import { DEFAULTS, SPOT_CATEGORIES } from './constants.js';
+
+// 区分なしのスポットを表すキー
+export const NO_CATEGORY = '';
+
+// スポット区分の状態管理
+export const categoryState = {
+    categories: loadSpotCategories(),
+    hiddenCategories: new Set(),
+    legendContainer: null
+};
+
+// 保存済みの区分を読み込む（なければ初期値）
+function loadSpotCategories() {
+    try {
+        const saved = localStorage.getItem(DEFAULTS.SPOT_CATEGORY_STORAGE_KEY);
+        if (saved) {
+            const categories = JSON.parse(saved);
+            if (Array.isArray(categories)) {
+                return categories.filter(c => c && c.name);
+            }
+        }
+    } catch (error) {
+        console.warn('スポット区分の読み込みに失敗しました:', error);
+    }
+    return SPOT_CATEGORIES.map(c => ({ ...c }));
+}
+
+function saveSpotCategories() {
+    try {
+        localStorage.setItem(DEFAULTS.SPOT_CATEGORY_STORAGE_KEY, JSON.stringify(categoryState.categories));
+    } catch (error) {
+        console.warn('スポット区分の保存に失敗しました:', error);
+    }
+}
+
+export function getSpotCategories() {
+    return categoryState.categories;
+}
+
+export function findSpotCategory(name) {
+    return categoryState.categories.find(c => c.name === name) || null;
+}
+
+// 区分を追加・更新（originalNameと異なる名称を指定すると名称を変更）
+export function saveSpotCategory(originalName, category) {
+    const index = categoryState.categories.findIndex(c => c.name === originalName);
+    if (index !== -1) {
+        categoryState.categories[index] = category;
+    } else {
+        categoryState.categories.push(category);
+    }
+
+    // 非表示の設定は名称変更後も引き継ぐ
+    if (originalName && originalName !== category.name && categoryState.hiddenCategories.delete(originalName)) {
+        categoryState.hiddenCategories.add(category.name);
+    }
+
+    saveSpotCategories();
+}
+
+export function deleteSpotCategory(name) {
+    categoryState.categories = categoryState.categories.filter(c => c.name !== name);
+    saveSpotCategories();
+}
+
+// 区分を初期値に戻す
+export function resetSpotCategories() {
+    categoryState.categories = SPOT_CATEGORIES.map(c => ({ ...c }));
+    try {
+        localStorage.removeItem(DEFAULTS.SPOT_CATEGORY_STORAGE_KEY);
+    } catch (error) {
+        console.warn('スポット区分の初期化に失敗しました:', error);
+    }
+}
+
+// スポットのマーカーアイコンを作成
+// 区分なしは従来の青い正方形、区分ありは区分の色に記号を重ねる
+export function createSpotIcon(feature) {
+    const categoryName = feature && feature.properties && feature.properties.category;
+
+    if (!categoryName) {
+        const style = DEFAULTS.FEATURE_STYLES['spot'];
+        return L.divIcon({
+            className: 'square-marker',
+            html: `<div style="width: ${style.radius}px; height: ${style.radius}px; background-color: ${style.fillColor}; opacity: ${style.fillOpacity};"></div>`,
+            iconSize: [style.radius, style.radius],
+            iconAnchor: [style.radius / 2, style.radius / 2]
+        });
+    }
+
+    const { color, symbol } = getCategoryStyle(categoryName);
+    const size = DEFAULTS.SPOT_CATEGORY_ICON_SIZE;
+    const div = document.createElement('div');
+    div.className = 'spot-category-icon';
+    div.style.cssText = `width: ${size}px; height: ${size}px; line-height: ${size}px; background-color: ${color};`;
+    div.textContent = symbol || '';
+
+    return L.divIcon({
+        className: 'square-marker',
+        html: div,
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2]
+    });
+}
+
+// 区分の色・記号（区分なしは既定のスポットの色、定義にない区分は灰色）
+export function getCategoryStyle(categoryName) {
+    if (!categoryName) {
+        return { color: DEFAULTS.FEATURE_STYLES['spot'].fillColor, symbol: '' };
+    }
+    return findSpotCategory(categoryName) || DEFAULTS.SPOT_UNREGISTERED_CATEGORY;
+}
+
+export function isCategoryVisible(categoryName) {
+    return !categoryState.hiddenCategories.has(categoryName || NO_CATEGORY);
+}
+
+export function setCategoryVisible(categoryName, visible) {
+    if (visible) {
+        categoryState.hiddenCategories.delete(categoryName);
+    } else {
+        categoryState.hiddenCategories.add(categoryName);
+    }
+}
+
+// 非表示の区分のスポットを地図から隠す
+export function applySpotVisibility(spotMarkerMap) {
+    spotMarkerMap.forEach((layer, feature) => {
+        const element = layer.getElement && layer.getElement();
+        if (element) {
+            const categoryName = feature.properties && feature.properties.category;
+            element.style.display = isCategoryVisible(categoryName) ? '' : 'none';
+        }
+    });
+}
+
+// 凡例（区分ごとの色・記号・件数と表示切り替え）を地図に追加
+export function initSpotLegend(map) {
+    const LegendControl = L.Control.extend({
+        onAdd: function() {
+            const container = L.DomUtil.create('div', 'leaflet-control spot-legend');
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            return container;
+        }
+    });
+
+    const control = new LegendControl({ position: 'topright' }).addTo(map);
+    categoryState.legendContainer = control.getContainer();
+}
+
+// 凡例を更新（データ中のスポットがない場合は非表示）
+export function updateSpotLegend(loadedData, spotMarkerMap) {
+    const container = categoryState.legendContainer;
+    if (!container) return;
+
+    // 区分ごとのスポット数
+    const counts = new Map();
+    spotMarkerMap.forEach((layer, feature) => {
+        const categoryName = (feature.properties && feature.properties.category) || NO_CATEGORY;
+        counts.set(categoryName, (counts.get(categoryName) || 0) + 1);
+    });
+
+    container.innerHTML = '';
+    if (!loadedData || counts.size === 0) {
+        container.style.display = 'none';
+        return;
+    }
+    container.style.display = '';
+
+    const title = document.createElement('div');
+    title.className = 'spot-legend-title';
+    title.textContent = 'スポット区分';
+    container.appendChild(title);
+
+    // 定義済みの区分、データ中の未登録の区分、区分なしの順
+    const entries = categoryState.categories.map(c => ({ name: c.name, label: c.name }));
+    counts.forEach((_, name) => {
+        if (name !== NO_CATEGORY && !findSpotCategory(name)) {
+            entries.push({ name, label: `${name}（未登録）` });
+        }
+    });
+    if (counts.has(NO_CATEGORY)) {
+        entries.push({ name: NO_CATEGORY, label: '区分なし' });
+    }
+
+    entries.forEach(entry => {
+        const row = document.createElement('label');
+        row.className = 'spot-legend-row';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = isCategoryVisible(entry.name);
+        checkbox.addEventListener('change', function() {
+            setCategoryVisible(entry.name, this.checked);
+            applySpotVisibility(spotMarkerMap);
+        });
+
+        const { color, symbol } = getCategoryStyle(entry.name);
+        const swatch = document.createElement('span');
+        swatch.className = 'spot-legend-swatch';
+        swatch.style.backgroundColor = color;
+        swatch.textContent = symbol || '';
+
+        const label = document.createElement('span');
+        label.textContent = `${entry.label} (${counts.get(entry.name) || 0})`;
+
+        row.append(checkbox, swatch, label);
+        container.appendChild(row);
+    });
+}
@@ -1,8 +1,11 @@
 // スポット編集機能
 
-import { DEFAULTS, MODES, SPOT_CATEGORIES } from './constants.js';
+import { DEFAULTS, MODES } from './constants.js';
 import { showMessage } from './message.js';
 import { updateStats } from './stats.js';
+import { recordChange } from './history.js';
+import { getSpotCategories, findSpotCategory, getCategoryStyle, createSpotIcon, applySpotVisibility } from './spotCategories.js';
+import { showSpotAttributes } from './spotAttributes.js';
 
 // スポット編集の状態管理
 export let allSpots = [];
@@ -61,14 +64,32 @@ export function extractSpots(geoJsonData) {
 // スポット区分ドロップダウンの初期化
 export function initSpotCategoryDropdown() {
     const spotCategorySelect = document.getElementById('spotCategory');
+    const previousSelection = spotCategorySelect.value;
 
     spotCategorySelect.innerHTML = '<option value="">選択してください</option>';
-    SPOT_CATEGORIES.forEach(category => {
+    getSpotCategories().forEach(category => {
         const option = document.createElement('option');
-        option.value = category;
-        option.textContent = category;
+        option.value = category.name;
+        option.textContent = category.name;
         spotCategorySelect.appendChild(option);
     });
+
+    if (previousSelection) {
+        setSpotCategoryValue(previousSelection);
+    }
+}
+
+// スポット区分ドロップダウンの値を設定（定義にない区分は選択肢を追加して表示）
+function setSpotCategoryValue(category) {
+    const spotCategorySelect = document.getElementById('spotCategory');
+    if (category && !findSpotCategory(category) &&
+        !Array.from(spotCategorySelect.options).some(option => option.value === category)) {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = `${category}（未登録）`;
+        spotCategorySelect.appendChild(option);
+    }
+    spotCategorySelect.value = category || '';
 }
 
 // スポットドロップダウンの更新
@@ -106,6 +127,7 @@ export function highlightSpot(spotIndex, spotMarkerMap) {
         setSelectedSpotMarker(null);
         document.getElementById('selectedSpotName').value = '';
         document.getElementById('spotCategory').value = '';
+        showSpotAttributes(null);
         return;
     }
 
@@ -132,7 +154,10 @@ export function highlightSpot(spotIndex, spotMarkerMap) {
 
     // スポット区分を表示
     const category = spot.feature.properties && spot.feature.properties.category;
-    document.getElementById('spotCategory').value = category || '';
+    setSpotCategoryValue(category);
+
+    // 詳細情報を表示
+    showSpotAttributes(spot.feature);
 
 
     const featureType = spot.feature.properties && spot.feature.properties.type;
@@ -187,7 +212,7 @@ export function resetSpotHighlightWithParams(marker, feature) {
             if (element) {
                 const div = element.querySelector('div');
                 if (div) {
-                    const defaultColor = (DEFAULTS && DEFAULTS.FEATURE_STYLES && DEFAULTS.FEATURE_STYLES['spot'] && DEFAULTS.FEATURE_STYLES['spot'].fillColor) || '#0000ff';
+                    const defaultColor = getCategoryStyle(feature.properties && feature.properties.category).color;
                     div.style.setProperty('background-color', defaultColor, 'important');
                 }
             }
@@ -244,14 +269,8 @@ export function addSpotToMap(latlng, loadedData, spotMarkerMap, geoJsonLayer) {
     }
     loadedData.features.push(newSpotFeature);
 
-    const style = DEFAULTS.FEATURE_STYLES['spot'];
     const marker = L.marker(latlng, {
-        icon: L.divIcon({
-            className: 'square-marker',
-            html: `<div style="width: ${style.radius}px; height: ${style.radius}px; background-color: ${style.fillColor}; opacity: ${style.fillOpacity};"></div>`,
-            iconSize: [style.radius, style.radius],
-            iconAnchor: [style.radius / 2, style.radius / 2]
-        })
+        icon: createSpotIcon(newSpotFeature)
     }).addTo(geoJsonLayer);
 
     marker.bindPopup(newSpotName);
@@ -284,6 +303,32 @@ export function addSpotToMap(latlng, loadedData, spotMarkerMap, geoJsonLayer) {
     }
 
     updateStats(loadedData);
+    recordChange('スポットの追加', newSpotName);
+}
+
+// スポット区分の変更・区分の定義の変更をマーカーのアイコンに反映
+export function refreshSpotIcons(spotMarkerMap) {
+    spotMarkerMap.forEach((layer, feature) => {
+        const geometryType = feature.geometry && feature.geometry.type;
+        if (geometryType !== 'Point' || !layer.setIcon) return;
+
+        layer.setIcon(createSpotIcon(feature));
+
+        // アイコンの作り直しで消えるハイライト・移動カーソルを戻す
+        const element = layer.getElement && layer.getElement();
+        if (!element) return;
+        if (layer === selectedSpotMarker) {
+            const div = element.querySelector('div');
+            if (div) {
+                div.style.setProperty('background-color', '#00ffff', 'important');
+            }
+        }
+        if (layer === draggableSpotMarker) {
+            element.style.cursor = 'move';
+        }
+    });
+
+    applySpotVisibility(spotMarkerMap);
 }
 
 // スポットマーカーをドラッグ可能にする
@@ -314,6 +359,7 @@ export function makeSpotDraggable(marker, feature) {
         if (feature.geometry && feature.geometry.coordinates) {
             feature.geometry.coordinates = [newLatLng.lng, newLatLng.lat];
         }
+        recordChange('スポットの移動', feature.properties && feature.properties.name);
         showMessage('スポットの位置を更新しました', 'success');
     });
 }
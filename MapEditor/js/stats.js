@@ -1,5 +1,7 @@
 // 統計情報管理
 
+import { calculateTotalRouteLength } from './routeMetrics.js';
+
 // 統計情報の更新
 export function updateStats(geoJsonData) {
     let pointCount = 0;      // ポイントGPS
@@ -63,6 +65,8 @@ export function updateStats(geoJsonData) {
     document.getElementById('routeCount').value = routeCount;
     // スポットカウントはスポットポイントとポリゴンの合計
     document.getElementById('spotCount').value = spotCount + polygonCount;
+    // 総距離は中間点をつないだルートの長さの合計
+    document.getElementById('totalRouteLength').value = calculateTotalRouteLength(geoJsonData).toFixed(1);
 }
 
 // 日付文字列生成関数（yyyymmdd形式）
@@ -0,0 +1,137 @@
+// GPSトラックからルート中間点を作成
+
+import { DEFAULTS } from './constants.js';
+import { calculateDistance } from './routeEditor.js';
+
+// 緯度経度を基準点からの平面座標（m）に変換する関数を作成（正距円筒図法の近似）
+function createLocalProjection(originLat) {
+    const metersPerDegreeLat = 111320;
+    const metersPerDegreeLng = 111320 * Math.cos(originLat * Math.PI / 180);
+    return ([lat, lng]) => ({ x: lng * metersPerDegreeLng, y: lat * metersPerDegreeLat });
+}
+
+// 点pから線分abまでの距離（平面座標）
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    if (lengthSq === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+
+    const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+    return Math.hypot(p.x - (a.x + dx * t), p.y - (a.y + dy * t));
+}
+
+// Douglas–Peucker法で座標列を間引く（許容誤差はm単位）
+export function simplifyTrack(coordinates, tolerance) {
+    if (coordinates.length <= 2) return [...coordinates];
+
+    const project = createLocalProjection(coordinates[0][0]);
+    const points = coordinates.map(project);
+    const keep = new Array(coordinates.length).fill(false);
+    keep[0] = true;
+    keep[coordinates.length - 1] = true;
+
+    // 再帰の代わりに区間のスタックで処理（長いトラックでの再帰の深さを避ける）
+    const stack = [[0, coordinates.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistance = 0;
+        let maxIndex = -1;
+
+        for (let i = first + 1; i < last; i++) {
+            const distance = distanceToSegment(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                maxIndex = i;
+            }
+        }
+
+        if (maxIndex !== -1 && maxDistance > tolerance) {
+            keep[maxIndex] = true;
+            stack.push([first, maxIndex], [maxIndex, last]);
+        }
+    }
+
+    return coordinates.filter((_, i) => keep[i]);
+}
+
+// 座標列の中で指定位置に最も近い点のインデックスと距離（m）
+function findNearestIndex(coordinates, [lat, lng]) {
+    let nearestIndex = 0;
+    let nearestDistance = Infinity;
+    coordinates.forEach(([cLat, cLng], index) => {
+        const distance = calculateDistance(lat, lng, cLat, cLng) * 1000;
+        if (distance < nearestDistance) {
+            nearestDistance = distance;
+            nearestIndex = index;
+        }
+    });
+    return { index: nearestIndex, distance: nearestDistance };
+}
+
+// ポイントGPSの座標（[lat, lng]）を取得
+function getPointCoordinate(pointId, loadedData) {
+    const feature = loadedData.features.find(f =>
+        f.properties && f.properties.type === 'ポイントGPS' && f.properties.id === pointId
+    );
+    if (!feature || !feature.geometry || !feature.geometry.coordinates) return null;
+
+    const [lng, lat] = feature.geometry.coordinates;
+    return [lat, lng];
+}
+
+// トラックを開始・終了ポイント間のルート中間点に変換
+// トラックは開始・終了ポイントに最も近い点で切り出し（逆向きに記録されていれば反転）、
+// 両端をポイントGPSの位置にスナップしてから間引く
+export function createWaypointsFromTrack(tracks, startId, endId, tolerance, loadedData) {
+    const startCoord = getPointCoordinate(startId, loadedData);
+    const endCoord = getPointCoordinate(endId, loadedData);
+    if (!startCoord || !endCoord) {
+        throw new Error('開始ポイントまたは終了ポイントが見つかりません');
+    }
+
+    // 複数のトラック（セグメント）は記録順につなげる
+    const track = tracks.flat();
+    if (track.length < 2) {
+        throw new Error('トラックの点が不足しています');
+    }
+
+    const start = findNearestIndex(track, startCoord);
+    const end = findNearestIndex(track, endCoord);
+    if (start.index === end.index) {
+        throw new Error('開始ポイントと終了ポイントがトラック上の同じ位置になります');
+    }
+
+    let section = start.index < end.index
+        ? track.slice(start.index, end.index + 1)
+        : track.slice(end.index, start.index + 1).reverse();
+
+    // 両端をポイントGPSにスナップ
+    section = [startCoord, ...section.slice(1, -1), endCoord];
+
+    const simplified = simplifyTrack(section, tolerance);
+
+    // 両端はポイントGPS自身のため中間点には含めない
+    const routeId = `route_${startId}_to_${endId}`;
+    const waypoints = simplified.slice(1, -1).map(([lat, lng], index) => ({
+        type: 'Feature',
+        properties: {
+            type: 'route_waypoint',
+            route_id: routeId,
+            waypoint_number: (index + 1).toString()
+        },
+        geometry: {
+            type: 'Point',
+            coordinates: [lng, lat]
+        }
+    }));
+
+    return {
+        routeId,
+        waypoints,
+        originalPointCount: section.length,
+        startGap: start.distance,
+        endGap: end.distance,
+        hasLargeGap: Math.max(start.distance, end.distance) > DEFAULTS.TRACK_IMPORT.END_WARNING_DISTANCE
+    };
+}
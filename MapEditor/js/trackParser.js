@@ -0,0 +1,95 @@
+// GPSトラックファイルの解析
+
+// GPXのトラック(trk)・ルート(rte)を座標列（[lat, lng]の配列）の配列として取得
+export function parseGpxTracks(text) {
+    const xmlDoc = new DOMParser().parseFromString(text, 'application/xml');
+    if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('GPXファイルの形式が正しくありません');
+    }
+
+    const tracks = [];
+
+    // トラックはセグメント(trkseg)ごとに1本の線とする
+    Array.from(xmlDoc.getElementsByTagName('trkseg')).forEach(segment => {
+        const coordinates = parseGpxPoints(segment.getElementsByTagName('trkpt'));
+        if (coordinates.length >= 2) {
+            tracks.push(coordinates);
+        }
+    });
+
+    Array.from(xmlDoc.getElementsByTagName('rte')).forEach(route => {
+        const coordinates = parseGpxPoints(route.getElementsByTagName('rtept'));
+        if (coordinates.length >= 2) {
+            tracks.push(coordinates);
+        }
+    });
+
+    return tracks;
+}
+
+// GPXの点要素(trkpt/rtept)の緯度経度を取得
+function parseGpxPoints(elements) {
+    const coordinates = [];
+    Array.from(elements).forEach(element => {
+        const lat = parseFloat(element.getAttribute('lat'));
+        const lng = parseFloat(element.getAttribute('lon'));
+        if (!isNaN(lat) && !isNaN(lng)) {
+            coordinates.push([lat, lng]);
+        }
+    });
+    return coordinates;
+}
+
+// KMLの線（LineString・gx:Track）を座標列（[lat, lng]の配列）の配列として取得
+export function parseKmlTracks(text) {
+    const xmlDoc = new DOMParser().parseFromString(text, 'application/xml');
+    if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('KMLファイルの形式が正しくありません');
+    }
+
+    const tracks = [];
+
+    // LineStringの座標は「経度,緯度[,高度]」を空白区切りで並べたもの
+    Array.from(xmlDoc.getElementsByTagName('LineString')).forEach(lineString => {
+        const coordinatesElement = lineString.getElementsByTagName('coordinates')[0];
+        if (!coordinatesElement) return;
+
+        const coordinates = [];
+        coordinatesElement.textContent.trim().split(/\s+/).forEach(tuple => {
+            const [lng, lat] = tuple.split(',').map(parseFloat);
+            if (!isNaN(lat) && !isNaN(lng)) {
+                coordinates.push([lat, lng]);
+            }
+        });
+        if (coordinates.length >= 2) {
+            tracks.push(coordinates);
+        }
+    });
+
+    // gx:Trackの座標は「経度 緯度 高度」の空白区切り
+    Array.from(xmlDoc.getElementsByTagName('gx:Track')).forEach(track => {
+        const coordinates = [];
+        Array.from(track.getElementsByTagName('gx:coord')).forEach(coord => {
+            const [lng, lat] = coord.textContent.trim().split(/\s+/).map(parseFloat);
+            if (!isNaN(lat) && !isNaN(lng)) {
+                coordinates.push([lat, lng]);
+            }
+        });
+        if (coordinates.length >= 2) {
+            tracks.push(coordinates);
+        }
+    });
+
+    return tracks;
+}
+
+// ファイル名の拡張子に応じてGPX・KMLを解析
+export function parseTrackFile(fileName, text) {
+    if (/\.kml$/i.test(fileName)) {
+        return parseKmlTracks(text);
+    }
+    if (/\.gpx$/i.test(fileName)) {
+        return parseGpxTracks(text);
+    }
+    throw new Error('GPXまたはKMLファイルを選択してください');
+}
@@ -0,0 +1,168 @@
+// ルートネットワークの検証
+
+import { DEFAULTS } from './constants.js';
+
+// 検証項目の表示名
+export const ISSUE_LABELS = {
+    orphan: '孤立したルート',
+    missingEndpoint: '存在しない端点',
+    duplicate: '重複したルート',
+    duplicateWaypointNumber: '中間点番号の重複',
+    fewWaypoints: '中間点の不足',
+    disconnected: '分断されたネットワーク'
+};
+
+// GeoJSONのルート（route_waypointのroute_id）とポイントGPSの整合性を検証
+// 中間点がminWaypoints個未満のルートは中間点の不足として報告する
+// 問題ごとに { kind, message, coordinates: [[lat, lng], ...] } を返す（coordinatesは地図のズーム用）
+export function validateRouteNetwork(geoJsonData, minWaypoints = DEFAULTS.VALIDATION.MIN_WAYPOINTS) {
+    const issues = [];
+    if (!geoJsonData || !geoJsonData.features) return issues;
+
+    // ポイントGPSの位置とルートごとの中間点を収集
+    const points = new Map();
+    const routes = new Map();
+    const unassignedWaypoints = [];
+
+    geoJsonData.features.forEach(feature => {
+        const properties = feature.properties;
+        const geometry = feature.geometry;
+        if (!properties || !geometry || geometry.type !== 'Point') return;
+
+        const [lng, lat] = geometry.coordinates;
+        if (properties.type === 'ポイントGPS' && properties.id) {
+            points.set(properties.id, [lat, lng]);
+        } else if (properties.type === 'route_waypoint') {
+            if (!properties.route_id) {
+                unassignedWaypoints.push([lat, lng]);
+                return;
+            }
+            if (!routes.has(properties.route_id)) {
+                routes.set(properties.route_id, []);
+            }
+            routes.get(properties.route_id).push({
+                number: properties.waypoint_number,
+                coordinate: [lat, lng]
+            });
+        }
+    });
+
+    // route_idのない中間点や、形式が不正なroute_idはどのルートにも属さない
+    if (unassignedWaypoints.length > 0) {
+        issues.push({
+            kind: 'orphan',
+            message: `route_idのない中間点 ${unassignedWaypoints.length}個`,
+            coordinates: unassignedWaypoints
+        });
+    }
+
+    const validRoutes = [];
+    routes.forEach((waypoints, routeId) => {
+        const waypointCoordinates = waypoints.map(w => w.coordinate);
+        const match = routeId.match(/^route_(.+)_to_(.+)$/);
+        if (!match) {
+            issues.push({
+                kind: 'orphan',
+                message: `${routeId}: ルートIDの形式が不正です（中間点${waypoints.length}個）`,
+                coordinates: waypointCoordinates
+            });
+            return;
+        }
+
+        const [, startId, endId] = match;
+        const label = `${startId} ～ ${endId}`;
+        const missingIds = [startId, endId].filter(id => !points.has(id));
+        const endpointCoordinates = [startId, endId].filter(id => points.has(id)).map(id => points.get(id));
+        const routeCoordinates = [...endpointCoordinates, ...waypointCoordinates];
+
+        if (missingIds.length > 0) {
+            issues.push({
+                kind: 'missingEndpoint',
+                message: `${label}: ポイントGPS ${missingIds.join('、')} がありません`,
+                coordinates: routeCoordinates
+            });
+        }
+
+        // 同じ中間点番号が複数ある場合は並び順が定まらない
+        const numbers = waypoints.map(w => w.number);
+        const duplicatedNumbers = [...new Set(numbers.filter((n, i) => numbers.indexOf(n) !== i))];
+        if (duplicatedNumbers.length > 0) {
+            issues.push({
+                kind: 'duplicateWaypointNumber',
+                message: `${label}: 中間点番号 ${duplicatedNumbers.join('、')} が重複しています`,
+                coordinates: routeCoordinates
+            });
+        }
+
+        if (waypoints.length < minWaypoints) {
+            issues.push({
+                kind: 'fewWaypoints',
+                message: `${label}: 中間点が${waypoints.length}個しかありません`,
+                coordinates: routeCoordinates
+            });
+        }
+
+        validRoutes.push({ routeId, startId, endId, coordinates: routeCoordinates });
+    });
+
+    // 逆向きに重複したルート（A→BとB→A）
+    const routeIds = new Set(validRoutes.map(r => r.routeId));
+    validRoutes.forEach(route => {
+        const reverseId = `route_${route.endId}_to_${route.startId}`;
+        // 組ごとに1件だけ報告する
+        if (route.startId < route.endId && routeIds.has(reverseId)) {
+            const reverse = validRoutes.find(r => r.routeId === reverseId);
+            issues.push({
+                kind: 'duplicate',
+                message: `${route.startId} ～ ${route.endId}: 逆向きのルート ${route.endId} ～ ${route.startId} と重複しています`,
+                coordinates: [...route.coordinates, ...reverse.coordinates]
+            });
+        }
+    });
+
+    issues.push(...findDisconnectedComponents(points, validRoutes));
+
+    // 検証項目の順に並べる
+    const kindOrder = Object.keys(ISSUE_LABELS);
+    return issues.sort((a, b) => kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind));
+}
+
+// ルートでつながったポイントGPSのまとまりを求め、最大のもの以外を分断として報告
+function findDisconnectedComponents(points, routes) {
+    const parent = new Map();
+    points.forEach((_, id) => parent.set(id, id));
+
+    const find = id => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+
+    routes.forEach(route => {
+        if (!points.has(route.startId) || !points.has(route.endId)) return;
+        parent.set(find(route.startId), find(route.endId));
+    });
+
+    const components = new Map();
+    points.forEach((_, id) => {
+        const root = find(id);
+        if (!components.has(root)) {
+            components.set(root, []);
+        }
+        components.get(root).push(id);
+    });
+
+    // ルートが1本もない場合はネットワークとして扱わない
+    if (routes.length === 0 || components.size <= 1) return [];
+
+    const sorted = [...components.values()].sort((a, b) => b.length - a.length);
+    return sorted.slice(1).map(ids => ({
+        kind: 'disconnected',
+        message: ids.length === 1
+            ? `${ids[0]}: どのルートにもつながっていません`
+            : `${ids.join('、')}: 他のポイント（${sorted[0].length}点）とつながっていません`,
+        coordinates: ids.map(id => points.get(id))
+    }));
+}
@@ -4,6 +4,8 @@ import { GPSDataManager } from './gps-data-manager.js';
 import { PointManager } from './point-manager.js';
 import { FileHandler } from './file-handler.js';
 import { DataUtils } from './data-utils.js';
+import { ElevationAPI } from './elevation-api.js';
+import { DemTileStore, DemElevationProvider } from './dem-elevation-provider.js';
 import { CONFIG } from './config.js';
 
 class PointGPSApp {
@@ -11,6 +13,9 @@ class PointGPSApp {
         this.mapManager = null;
         this.gpsDataManager = null;
         this.pointManager = null;
+        this.demProvider = null;
+        this.useElevationWebFallback = CONFIG.ELEVATION_WEB_API_FALLBACK;
+        this.elevationBatchController = null;
         
         this.init();
     }
@@ -29,6 +34,10 @@ class PointGPSApp {
             // ポイント管理初期化
             this.pointManager = new PointManager(this.mapManager, this.gpsDataManager);
             this.pointManager.setAppInstance(this);
+
+            // 標高プロバイダー初期化（DEMタイル → 標高API）
+            this.demProvider = new DemElevationProvider(new DemTileStore());
+            this.configureElevationProviders();
             
             // イベントハンドラー設定
             this.setupEventHandlers();
@@ -63,6 +72,93 @@ class PointGPSApp {
             }
         });
 
+        // GPX読み込みボタン
+        const loadGpxBtn = document.getElementById('loadGpxBtn');
+        const gpxInput = document.getElementById('gpxInput');
+
+        loadGpxBtn.addEventListener('click', () => {
+            gpxInput.click();
+        });
+
+        gpxInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                try {
+                    const pointCount = await this.gpsDataManager.loadGpxFile(
+                        file,
+                        (latlng1, latlng2) => this.pointManager.isNearLocation(latlng1, latlng2)
+                    );
+                    this.pointManager.displayAllPoints();
+                    this.showMessage(`${pointCount}個のポイントを読み込みました`);
+                } catch (error) {
+                    console.error('GPX読み込みエラー:', error);
+                    this.showError(CONFIG.MESSAGES.GPX_LOAD_ERROR);
+                }
+                // 同じファイルを再選択できるようにリセット
+                e.target.value = '';
+            }
+        });
+
+        // DEMタイル取り込みボタン
+        const loadDemBtn = document.getElementById('loadDemBtn');
+        const demTileInput = document.getElementById('demTileInput');
+
+        loadDemBtn.addEventListener('click', () => {
+            demTileInput.click();
+        });
+
+        demTileInput.addEventListener('change', async (e) => {
+            const files = e.target.files;
+            if (files.length > 0) {
+                try {
+                    const result = await this.demProvider.importTileFiles(files);
+                    let message = DataUtils.formatMessage(CONFIG.MESSAGES.DEM_IMPORT_SUCCESS, {count: result.imported});
+                    if (result.skipped.length > 0) {
+                        message += DataUtils.formatMessage(CONFIG.MESSAGES.DEM_IMPORT_SKIPPED, {skipped: result.skipped.length});
+                    }
+                    this.showMessage(message, result.imported > 0 ? 'info' : 'warning');
+                } catch (error) {
+                    console.error('DEMタイル取り込みエラー:', error);
+                    this.showError(CONFIG.MESSAGES.DEM_IMPORT_ERROR);
+                }
+                await this.updateDemTileCount();
+                // 同じフォルダを再選択できるようにリセット
+                e.target.value = '';
+            }
+        });
+
+        document.getElementById('clearDemBtn').addEventListener('click', async () => {
+            if (!confirm('取り込んだDEMタイルを全て削除しますか？')) return;
+            try {
+                await this.demProvider.clearTiles();
+                this.showMessage(CONFIG.MESSAGES.DEM_CLEARED);
+            } catch (error) {
+                console.error('DEMタイル削除エラー:', error);
+                this.showError('DEMタイルの削除に失敗しました');
+            }
+            await this.updateDemTileCount();
+        });
+
+        // 標高APIによる補完の切り替え
+        const elevationWebFallback = document.getElementById('elevationWebFallback');
+        elevationWebFallback.checked = this.useElevationWebFallback;
+        elevationWebFallback.addEventListener('change', (e) => {
+            this.useElevationWebFallback = e.target.checked;
+            this.configureElevationProviders();
+        });
+        this.updateDemTileCount();
+
+        // 標高一括取得ボタン
+        document.getElementById('fillElevationBtn').addEventListener('click', () => {
+            this.fillMissingElevations();
+        });
+
+        document.getElementById('cancelElevationBatchBtn').addEventListener('click', () => {
+            if (this.elevationBatchController) {
+                this.elevationBatchController.abort();
+            }
+        });
+
         // ポイント操作ボタン
         document.getElementById('addPointBtn').addEventListener('click', () => {
             // 移動モードが有効な場合は解除
@@ -119,6 +215,25 @@ class PointGPSApp {
             }
         });
 
+        // GPX出力ボタン
+        const exportGpxBtn = document.getElementById('exportGpxBtn');
+
+        exportGpxBtn.addEventListener('click', async () => {
+            try {
+                const defaultFileName = this.fileHandler.getDefaultFileName();
+                const result = await this.gpsDataManager.exportToGpx(defaultFileName);
+
+                if (result.success) {
+                    this.showMessage(`GPXファイルを保存しました:\n${result.filename}`);
+                } else if (result.error !== 'キャンセル') {
+                    this.showError(`保存エラー: ${result.error}`);
+                }
+            } catch (error) {
+                console.error('ファイル出力エラー:', error);
+                this.showError(CONFIG.MESSAGES.EXPORT_ERROR);
+            }
+        });
+
         // チュートリアルボタン
         const helpBtn = document.getElementById('helpBtn');
 
@@ -202,6 +317,89 @@ class PointGPSApp {
         this.showMessage(message, 'error');
     }
 
+    // 標高が未設定の全ポイントの標高を取得し、進捗と失敗したポイントを表示
+    async fillMissingElevations() {
+        if (this.elevationBatchController) return;
+
+        const fillBtn = document.getElementById('fillElevationBtn');
+        const progressArea = document.getElementById('elevationBatchProgress');
+        const progressBar = document.getElementById('elevationBatchProgressBar');
+        const progressText = document.getElementById('elevationBatchProgressText');
+
+        this.elevationBatchController = new AbortController();
+        fillBtn.disabled = true;
+        progressBar.value = 0;
+        progressText.textContent = '';
+        progressArea.style.display = 'flex';
+
+        try {
+            const result = await this.gpsDataManager.fillMissingElevations({
+                signal: this.elevationBatchController.signal,
+                onProgress: ({ done, total, point }) => {
+                    progressBar.max = total;
+                    progressBar.value = done;
+                    progressText.textContent = `${done} / ${total}`;
+
+                    // 選択中のポイントは表示も更新
+                    if (this.pointManager.selectedPointId === point.id) {
+                        document.getElementById('elevationField').value = point.elevation;
+                    }
+                }
+            });
+
+            this.showElevationBatchResult(result);
+        } catch (error) {
+            console.error('標高一括取得エラー:', error);
+            this.showError('標高の一括取得中にエラーが発生しました');
+        } finally {
+            this.elevationBatchController = null;
+            fillBtn.disabled = false;
+            progressArea.style.display = 'none';
+        }
+    }
+
+    // 標高一括取得の結果を表示
+    showElevationBatchResult(result) {
+        if (result.total === 0) {
+            this.showMessage(CONFIG.MESSAGES.ELEVATION_BATCH_NONE);
+            return;
+        }
+
+        const template = result.cancelled ? CONFIG.MESSAGES.ELEVATION_BATCH_CANCELLED : CONFIG.MESSAGES.ELEVATION_BATCH_COMPLETE;
+        let message = DataUtils.formatMessage(template, {updated: result.updated});
+
+        if (result.failed.length > 0) {
+            const limit = CONFIG.ELEVATION_BATCH_FAILED_DISPLAY_LIMIT;
+            let ids = result.failed.slice(0, limit).join(', ');
+            if (result.failed.length > limit) {
+                ids += ` 他${result.failed.length - limit}個`;
+            }
+            message += '\n' + DataUtils.formatMessage(CONFIG.MESSAGES.ELEVATION_BATCH_FAILED, {count: result.failed.length, ids});
+            console.warn('標高を取得できなかったポイント:', result.failed);
+        }
+
+        this.showMessage(message, result.failed.length > 0 || result.cancelled ? 'warning' : 'info');
+    }
+
+    // 標高プロバイダーの問い合わせ順を設定（DEMタイルを優先し、必要に応じて標高APIで補完）
+    configureElevationProviders() {
+        const providers = [this.demProvider];
+        if (this.useElevationWebFallback) {
+            providers.push(ElevationAPI.createWebProvider());
+        }
+        ElevationAPI.setProviders(providers);
+    }
+
+    // 取り込み済みDEMタイル数を表示
+    async updateDemTileCount() {
+        try {
+            const count = await this.demProvider.countTiles();
+            document.getElementById('demTileCountField').textContent = count;
+        } catch (error) {
+            console.warn('DEMタイル数取得エラー:', error);
+        }
+    }
+
     // 移動ボタンの背景色をリセット
     resetMoveButtonColor() {
         const moveBtn = document.getElementById('movePointBtn');
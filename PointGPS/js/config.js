@@ -18,6 +18,10 @@ export const CONFIG = {
     
     // ファイルタイプ
     ACCEPTED_EXCEL_EXTENSIONS: ['.xlsx'],
+    ACCEPTED_GPX_EXTENSIONS: ['.gpx'],
+
+    // GPX出力設定
+    GPX_CREATOR: 'PointGPS',
 
     // Excel読み込み制限
     MAX_EXCEL_ROWS: 1000,
@@ -28,10 +32,24 @@ export const CONFIG = {
     // 重複チェック距離（ピクセル単位）
     DUPLICATE_CHECK_DISTANCE: 10,
 
+    // DEMタイル（オフライン標高）設定
+    DEM_DB_NAME: 'PointGPS-DEM',
+    DEM_TILE_ZOOMS: [15, 14],           // 参照するズームレベル（優先順）
+    DEM_TILE_URL: '',                   // 例: 'dem/{z}/{x}/{y}.txt'（空文字列でURL取得なし）
+    DEM_CACHE_SIZE: 64,                 // メモリに保持するタイル数
+    ELEVATION_WEB_API_FALLBACK: false,  // DEMで取得できない場合に国土地理院標高APIを使用
+
+    // 標高一括取得設定
+    ELEVATION_BATCH_CONCURRENCY: 3,     // 同時リクエスト数
+    ELEVATION_BATCH_INTERVAL: 200,      // 各リクエストの間隔（ms）
+    ELEVATION_BATCH_FAILED_DISPLAY_LIMIT: 10, // 失敗ポイントIDの表示件数
+
     // エラーメッセージ
     MESSAGES: {
         EXCEL_LOAD_SUCCESS: 'Excelファイルを正常に読み込みました',
         EXCEL_LOAD_ERROR: 'Excelファイルの読み込みに失敗しました',
+        GPX_LOAD_ERROR: 'GPXファイルの読み込みに失敗しました',
+        GPX_NO_WAYPOINTS: 'GPXファイルに有効なウェイポイント(wpt)がありません',
         POINT_ADDED: 'ポイント {id} を追加しました',
         POINT_MOVED: 'ポイント {id} を移動しました',
         POINT_DELETED: 'ポイント {id} を削除しました',
@@ -39,6 +57,14 @@ export const CONFIG = {
         EXPORT_SUCCESS: 'ファイルを出力しました',
         EXPORT_ERROR: 'ファイル出力に失敗しました',
         EXCEL_ROWS_LIMITED: '読み込み行数が上限に達しました。最初の{rows}行のみ処理されました。',
-        DUPLICATE_POINT_WARNING: '既存のポイント {id} と同じ場所には追加できません'
+        DUPLICATE_POINT_WARNING: '既存のポイント {id} と同じ場所には追加できません',
+        DEM_IMPORT_SUCCESS: 'DEMタイルを{count}枚取り込みました',
+        DEM_IMPORT_SKIPPED: '（{skipped}件のファイルは対象外のためスキップしました）',
+        DEM_IMPORT_ERROR: 'DEMタイルの取り込みに失敗しました',
+        DEM_CLEARED: 'DEMタイルを削除しました',
+        ELEVATION_BATCH_NONE: '標高が未設定のポイントはありません',
+        ELEVATION_BATCH_COMPLETE: '{updated}個のポイントの標高を取得しました',
+        ELEVATION_BATCH_CANCELLED: '標高の一括取得を中止しました（{updated}個取得済み）',
+        ELEVATION_BATCH_FAILED: '標高を取得できなかったポイント({count}個): {ids}'
     }
 };
\ No newline at end of file
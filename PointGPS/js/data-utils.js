@@ -191,4 +191,18 @@ export class DataUtils {
             return params[key] !== undefined ? params[key] : match;
         });
     }
+
+    /**
+     * XML特殊文字をエスケープ
+     * @param {string} value - エスケープする値
+     * @returns {string} エスケープ後の文字列
+     */
+    static escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
 }
\ No newline at end of file
@@ -0,0 +1,378 @@
+import { CONFIG } from './config.js';
+
+// DEMタイル1辺の画素数
+const TILE_SIZE = 256;
+
+// IndexedDBのオブジェクトストア名
+const TILE_STORE_NAME = 'tiles';
+
+/**
+ * DEMタイルをIndexedDBに保存・取得するクラス
+ * タイルは「z/x/y」をキーとして、標高値の配列（Float32Array、データなしはNaN）で保存する
+ */
+export class DemTileStore {
+    constructor(dbName = CONFIG.DEM_DB_NAME) {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * データベースを開く（初回のみ作成）
+     * @returns {Promise<IDBDatabase>} データベース
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(TILE_STORE_NAME);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(new Error('DEMタイル保存領域を開けませんでした'));
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * オブジェクトストアに対する1回の要求を実行
+     * @param {string} mode - トランザクションモード
+     * @param {Function} operation - ストアを受け取りIDBRequestを返す関数
+     * @returns {Promise<any>} 要求の結果
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(TILE_STORE_NAME, mode);
+            const request = operation(transaction.objectStore(TILE_STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * タイルを取得
+     * @param {string} key - 「z/x/y」形式のキー
+     * @returns {Promise<Float32Array|null>} 標高値の配列
+     */
+    async getTile(key) {
+        const grid = await this.request('readonly', store => store.get(key));
+        return grid || null;
+    }
+
+    /**
+     * タイルを保存（同じキーは上書き）
+     * @param {string} key - 「z/x/y」形式のキー
+     * @param {Float32Array} grid - 標高値の配列
+     */
+    async putTile(key, grid) {
+        await this.request('readwrite', store => store.put(grid, key));
+    }
+
+    /**
+     * 保存済みタイル数を取得
+     * @returns {Promise<number>} タイル数
+     */
+    async countTiles() {
+        return await this.request('readonly', store => store.count());
+    }
+
+    /**
+     * 保存済みタイルを全て削除
+     */
+    async clear() {
+        await this.request('readwrite', store => store.clear());
+    }
+}
+
+/**
+ * 国土地理院のDEMタイル（標高タイル TXT/PNG形式）から標高を求めるプロバイダー
+ * タイルはIndexedDBに取り込んだもの、または設定したURL（ローカルサーバー等）から取得し、
+ * 周囲4画素の標高をバイリニア補間する
+ */
+export class DemElevationProvider {
+    /**
+     * @param {DemTileStore} store - タイル保存先
+     * @param {Object} options - 設定
+     * @param {Array<number>} options.zooms - 参照するズームレベル（優先順）
+     * @param {string} options.tileUrl - タイルURLテンプレート（空文字列でURL取得なし）
+     */
+    constructor(store, { zooms = CONFIG.DEM_TILE_ZOOMS, tileUrl = CONFIG.DEM_TILE_URL } = {}) {
+        this.name = 'DEMタイル';
+        this.store = store;
+        this.zooms = zooms;
+        this.tileUrl = tileUrl;
+        // 読み込み済みタイルのキャッシュ（見つからなかったタイルはnullを保持）
+        this.cache = new Map();
+    }
+
+    /**
+     * 緯度経度の標高を取得
+     * 細かいズームレベルから順に参照し、データのあるタイルで補間する
+     * @param {number} lat - 緯度
+     * @param {number} lng - 経度
+     * @returns {Promise<number|null>} 標高値（メートル、データなしはnull）
+     */
+    async getElevation(lat, lng) {
+        for (const zoom of this.zooms) {
+            const elevation = await this.interpolate(lat, lng, zoom);
+            if (elevation !== null) {
+                return elevation;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 指定ズームレベルのタイルでバイリニア補間
+     * @param {number} lat - 緯度
+     * @param {number} lng - 経度
+     * @param {number} zoom - ズームレベル
+     * @returns {Promise<number|null>} 標高値
+     */
+    async interpolate(lat, lng, zoom) {
+        const pixel = DemElevationProvider.latLngToPixel(lat, lng, zoom);
+
+        // 画素中心を基準にするため0.5画素ずらす
+        const px = pixel.x - 0.5;
+        const py = pixel.y - 0.5;
+        const x0 = Math.floor(px);
+        const y0 = Math.floor(py);
+        const fx = px - x0;
+        const fy = py - y0;
+
+        const samples = [
+            { x: x0, y: y0, weight: (1 - fx) * (1 - fy) },
+            { x: x0 + 1, y: y0, weight: fx * (1 - fy) },
+            { x: x0, y: y0 + 1, weight: (1 - fx) * fy },
+            { x: x0 + 1, y: y0 + 1, weight: fx * fy }
+        ];
+
+        let weightedSum = 0;
+        let totalWeight = 0;
+        for (const sample of samples) {
+            const value = await this.getPixelValue(zoom, sample.x, sample.y);
+            if (value !== null && sample.weight > 0) {
+                weightedSum += value * sample.weight;
+                totalWeight += sample.weight;
+            }
+        }
+
+        // 欠測画素は除外し、残りの重みで正規化する
+        return totalWeight > 0 ? weightedSum / totalWeight : null;
+    }
+
+    /**
+     * 全体画素座標の標高値を取得
+     * @param {number} zoom - ズームレベル
+     * @param {number} globalX - 全体画素X座標
+     * @param {number} globalY - 全体画素Y座標
+     * @returns {Promise<number|null>} 標高値（タイルなし・欠測はnull）
+     */
+    async getPixelValue(zoom, globalX, globalY) {
+        const tileX = Math.floor(globalX / TILE_SIZE);
+        const tileY = Math.floor(globalY / TILE_SIZE);
+        const grid = await this.getTile(zoom, tileX, tileY);
+        if (!grid) return null;
+
+        const value = grid[(globalY - tileY * TILE_SIZE) * TILE_SIZE + (globalX - tileX * TILE_SIZE)];
+        return Number.isNaN(value) ? null : value;
+    }
+
+    /**
+     * タイルを取得（キャッシュ → IndexedDB → URL の順）
+     * @param {number} z - ズームレベル
+     * @param {number} x - タイルX
+     * @param {number} y - タイルY
+     * @returns {Promise<Float32Array|null>} 標高値の配列
+     */
+    async getTile(z, x, y) {
+        const key = `${z}/${x}/${y}`;
+        if (this.cache.has(key)) {
+            const cached = this.cache.get(key);
+            // 最近使ったタイルを末尾に移動
+            this.cache.delete(key);
+            this.cache.set(key, cached);
+            return cached;
+        }
+
+        let grid = null;
+        try {
+            grid = await this.store.getTile(key);
+        } catch (error) {
+            console.warn('DEMタイル読み込みエラー:', error);
+        }
+
+        if (!grid && this.tileUrl) {
+            grid = await this.fetchTile(z, x, y);
+        }
+
+        // 取得できなかったタイルはキャッシュせず、次回も取得を試みる
+        if (!grid) return null;
+
+        this.cache.set(key, grid);
+        if (this.cache.size > CONFIG.DEM_CACHE_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        return grid;
+    }
+
+    /**
+     * URLテンプレートからタイルを取得
+     * @param {number} z - ズームレベル
+     * @param {number} x - タイルX
+     * @param {number} y - タイルY
+     * @returns {Promise<Float32Array|null>} 標高値の配列
+     */
+    async fetchTile(z, x, y) {
+        const url = this.tileUrl.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+        try {
+            const response = await fetch(url);
+            if (!response.ok) return null;
+
+            return /\.png$/i.test(url)
+                ? await DemElevationProvider.parseDemPng(await response.blob())
+                : DemElevationProvider.parseDemText(await response.text());
+        } catch (error) {
+            console.warn('DEMタイル取得エラー:', error);
+            return null;
+        }
+    }
+
+    /**
+     * ローカルのDEMタイルファイルをIndexedDBに取り込む
+     * ファイルのパスは「…/{z}/{x}/{y}.txt」または「{z}_{x}_{y}.png」形式
+     * @param {FileList|Array<File>} files - タイルファイル
+     * @returns {Promise<{imported: number, skipped: Array<string>}>} 取り込み結果
+     */
+    async importTileFiles(files) {
+        let imported = 0;
+        const skipped = [];
+
+        for (const file of Array.from(files)) {
+            const path = file.webkitRelativePath || file.name;
+            const tile = DemElevationProvider.parseTilePath(path);
+            if (!tile) {
+                skipped.push(file.name);
+                continue;
+            }
+
+            try {
+                const grid = tile.format === 'png'
+                    ? await DemElevationProvider.parseDemPng(file)
+                    : DemElevationProvider.parseDemText(await file.text());
+                const key = `${tile.z}/${tile.x}/${tile.y}`;
+                await this.store.putTile(key, grid);
+                this.cache.delete(key);
+                imported++;
+            } catch (error) {
+                console.warn(`DEMタイル取り込みエラー: ${path}`, error);
+                skipped.push(file.name);
+            }
+        }
+
+        return { imported, skipped };
+    }
+
+    /**
+     * 取り込み済みタイル数を取得
+     * @returns {Promise<number>} タイル数
+     */
+    async countTiles() {
+        return await this.store.countTiles();
+    }
+
+    /**
+     * 取り込み済みタイルを全て削除
+     */
+    async clearTiles() {
+        await this.store.clear();
+        this.cache.clear();
+    }
+
+    /**
+     * ファイルパスからタイル座標と形式を取得
+     * @param {string} path - ファイルパス
+     * @returns {{z: number, x: number, y: number, format: string}|null} タイル情報
+     */
+    static parseTilePath(path) {
+        const match = path.match(/(\d+)[\/_-](\d+)[\/_-](\d+)\.(txt|png)$/i);
+        if (!match) return null;
+
+        return {
+            z: parseInt(match[1], 10),
+            x: parseInt(match[2], 10),
+            y: parseInt(match[3], 10),
+            format: match[4].toLowerCase()
+        };
+    }
+
+    /**
+     * TXT形式のDEMタイルを解析
+     * 256行×256列のカンマ区切りで、データなしは「e」
+     * @param {string} text - タイルの内容
+     * @returns {Float32Array} 標高値の配列
+     */
+    static parseDemText(text) {
+        const grid = new Float32Array(TILE_SIZE * TILE_SIZE).fill(NaN);
+        const rows = text.trim().split(/\r?\n/);
+        if (rows.length !== TILE_SIZE) {
+            throw new Error('DEMタイル(TXT)の行数が正しくありません');
+        }
+
+        rows.forEach((row, y) => {
+            row.split(',').forEach((cell, x) => {
+                if (x >= TILE_SIZE) return;
+                const value = parseFloat(cell);
+                if (!isNaN(value)) {
+                    grid[y * TILE_SIZE + x] = value;
+                }
+            });
+        });
+        return grid;
+    }
+
+    /**
+     * PNG形式のDEMタイルを解析
+     * 標高 = (R×2^16 + G×2^8 + B) × 0.01m（2^23以上は負値、2^23ちょうどはデータなし）
+     * @param {Blob} blob - PNG画像
+     * @returns {Promise<Float32Array>} 標高値の配列
+     */
+    static async parseDemPng(blob) {
+        // 色空間の変換や乗算済みアルファで標高を表すRGB値が変わらないようにする
+        const bitmap = await createImageBitmap(blob, { colorSpaceConversion: 'none', premultiplyAlpha: 'none' });
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(TILE_SIZE, TILE_SIZE)
+            : Object.assign(document.createElement('canvas'), { width: TILE_SIZE, height: TILE_SIZE });
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+        const pixels = context.getImageData(0, 0, TILE_SIZE, TILE_SIZE).data;
+
+        const grid = new Float32Array(TILE_SIZE * TILE_SIZE);
+        for (let i = 0; i < grid.length; i++) {
+            const value = pixels[i * 4] * 65536 + pixels[i * 4 + 1] * 256 + pixels[i * 4 + 2];
+            if (value === 8388608) {
+                grid[i] = NaN;
+            } else {
+                grid[i] = (value < 8388608 ? value : value - 16777216) * 0.01;
+            }
+        }
+        return grid;
+    }
+
+    /**
+     * 緯度経度をWebメルカトルの全体画素座標に変換
+     * @param {number} lat - 緯度
+     * @param {number} lng - 経度
+     * @param {number} zoom - ズームレベル
+     * @returns {{x: number, y: number}} 全体画素座標
+     */
+    static latLngToPixel(lat, lng, zoom) {
+        const worldSize = TILE_SIZE * Math.pow(2, zoom);
+        const latRad = lat * Math.PI / 180;
+        return {
+            x: (lng + 180) / 360 * worldSize,
+            y: (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * worldSize
+        };
+    }
+}
\ No newline at end of file
@@ -1,14 +1,54 @@
 /**
- * 国土地理院標高API連携クラス
+ * 標高取得クラス
+ * 登録した標高プロバイダー（DEMタイル・国土地理院標高API等）を順に問い合わせ、最初に得られた値を返す
  */
 export class ElevationAPI {
+    // 既定では国土地理院の標高APIのみを使用
+    static providers = [ElevationAPI.createWebProvider()];
+
     /**
-     * 国土地理院の標高APIから標高データを取得
+     * 標高プロバイダーを設定
+     * @param {Array<{name: string, getElevation: Function}>} providers - 問い合わせ順のプロバイダー
+     */
+    static setProviders(providers) {
+        ElevationAPI.providers = providers;
+    }
+
+    /**
+     * 国土地理院標高APIのプロバイダーを作成
+     * @returns {{name: string, getElevation: Function}} プロバイダー
+     */
+    static createWebProvider() {
+        return { name: '国土地理院標高API', getElevation: (lat, lng) => ElevationAPI.fetchElevationFromWeb(lat, lng) };
+    }
+
+    /**
+     * 登録済みプロバイダーから標高データを取得
      * @param {number} lat - 緯度
      * @param {number} lng - 経度
      * @returns {Promise<number|null>} 標高値（メートル、取得失敗時はnull）
      */
     static async fetchElevation(lat, lng) {
+        for (const provider of ElevationAPI.providers) {
+            try {
+                const elevation = await provider.getElevation(lat, lng);
+                if (elevation !== null && elevation !== undefined && !isNaN(elevation)) {
+                    return ElevationAPI.formatElevation(elevation);
+                }
+            } catch (error) {
+                console.warn(`標高取得エラー(${provider.name}):`, error);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 国土地理院の標高APIから標高データを取得
+     * @param {number} lat - 緯度
+     * @param {number} lng - 経度
+     * @returns {Promise<number|null>} 標高値（メートル、取得失敗時はnull）
+     */
+    static async fetchElevationFromWeb(lat, lng) {
         try {
             const url = `https://cyberjapandata2.gsi.go.jp/general/dem/scripts/getelevation.php?lon=${lng}&lat=${lat}&outtype=JSON`;
             const response = await fetch(url);
@@ -19,20 +59,25 @@ export class ElevationAPI {
 
             const data = await response.json();
 
-            if (data.elevation !== null && data.elevation !== undefined) {
-                // 標高データを小数点1位まで、123.0は123にする
-                const elevation = parseFloat(data.elevation);
-                const formatted = elevation.toFixed(1);
-                return formatted.endsWith('.0') ? Math.round(elevation) : parseFloat(formatted);
-            }
-
-            return null;
+            // 範囲外では「-----」が返るため数値のみ採用
+            const elevation = parseFloat(data.elevation);
+            return isNaN(elevation) ? null : elevation;
         } catch (error) {
             console.warn('標高取得エラー:', error);
             return null;
         }
     }
 
+    /**
+     * 標高データを小数点1位まで、123.0は123にする
+     * @param {number} elevation - 標高値
+     * @returns {number} 整形した標高値
+     */
+    static formatElevation(elevation) {
+        const formatted = elevation.toFixed(1);
+        return formatted.endsWith('.0') ? Math.round(elevation) : parseFloat(formatted);
+    }
+
     /**
      * 標高がblankまたは0かチェックする（APIから取得が必要かどうか）
      * @param {string} elevation - 標高値
@@ -58,6 +58,41 @@ export class FileHandler {
         });
     }
 
+    /**
+     * GPXファイルを読み込み・解析
+     * @param {File} file - GPXファイル
+     * @returns {Promise<Document>} GPXのXMLドキュメント
+     */
+    async loadGpxFile(file) {
+        if (!this.isGpxFile(file)) {
+            throw new Error('GPXファイル(.gpx)を選択してください');
+        }
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = (e) => {
+                try {
+                    const xmlDoc = new DOMParser().parseFromString(e.target.result, 'application/xml');
+
+                    if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+                        throw new Error('XMLの解析に失敗しました');
+                    }
+                    if (xmlDoc.documentElement.localName !== 'gpx') {
+                        throw new Error('gpx要素が見つかりません');
+                    }
+
+                    resolve(xmlDoc);
+                } catch (error) {
+                    reject(new Error('GPXファイルの読み込みに失敗しました: ' + error.message));
+                }
+            };
+
+            reader.onerror = () => reject(new Error('ファイル読み込みエラー'));
+            reader.readAsText(file, 'UTF-8');
+        });
+    }
+
     /**
      * 現在のファイル名を取得
      * @returns {string} ファイル名
@@ -96,6 +131,16 @@ export class FileHandler {
                file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
     }
 
+    /**
+     * GPXファイルかどうかを判定
+     * @param {File} file - ファイル
+     * @returns {boolean} GPXファイルかどうか
+     */
+    isGpxFile(file) {
+        const fileName = file.name.toLowerCase();
+        return CONFIG.ACCEPTED_GPX_EXTENSIONS.some(ext => fileName.endsWith(ext));
+    }
+
     /**
      * ワークシートの列幅を自動調整
      * @param {Object} worksheet - SheetJSワークシート
@@ -215,4 +260,67 @@ export class FileHandler {
             }
         }
     }
+
+    /**
+     * GPXデータをファイルとしてダウンロード
+     * @param {string} gpxText - GPX文字列
+     * @param {string} filename - ファイル名
+     */
+    downloadGpx(gpxText, filename) {
+        const blob = new Blob([gpxText], { type: 'application/gpx+xml' });
+        const finalFilename = filename.endsWith('.gpx') ? filename : filename + '.gpx';
+
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = finalFilename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * ユーザーが場所を指定してGPXファイルを保存
+     * @param {string} gpxText - GPX文字列
+     * @param {string} defaultFilename - デフォルトファイル名
+     * @returns {Promise<{success: boolean, filename?: string, error?: string}>} 保存結果
+     */
+    async saveGpxWithUserChoice(gpxText, defaultFilename) {
+        const suggestedName = defaultFilename.endsWith('.gpx') ? defaultFilename : defaultFilename + '.gpx';
+        const blob = new Blob([gpxText], { type: 'application/gpx+xml' });
+
+        try {
+            if ('showSaveFilePicker' in window) {
+                const fileHandle = await window.showSaveFilePicker({
+                    suggestedName: suggestedName,
+                    types: [{
+                        description: 'GPX Files',
+                        accept: {
+                            'application/gpx+xml': ['.gpx']
+                        }
+                    }]
+                });
+                const writable = await fileHandle.createWritable();
+                await writable.write(blob);
+                await writable.close();
+
+                return { success: true, filename: fileHandle.name };
+            } else {
+                this.downloadGpx(gpxText, suggestedName);
+                return { success: true, filename: suggestedName };
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return { success: false, error: 'キャンセル' };
+            }
+
+            try {
+                this.downloadGpx(gpxText, suggestedName);
+                return { success: true, filename: suggestedName };
+            } catch (downloadError) {
+                return { success: false, error: error.message };
+            }
+        }
+    }
 }
\ No newline at end of file
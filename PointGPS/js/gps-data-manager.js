@@ -99,6 +99,73 @@ export class GPSDataManager {
         }
     }
 
+    // GPXファイルを読み込む
+    // isNearLocation: 2つの位置が重複とみなす距離内かを判定する関数（地図上のポイント追加と同じ判定）
+    async loadGpxFile(file, isNearLocation = null) {
+        if (!this.fileHandler) {
+            throw new Error('FileHandlerが設定されていません');
+        }
+
+        const xmlDoc = await this.fileHandler.loadGpxFile(file);
+        this.parseGpxData(xmlDoc, isNearLocation);
+
+        return this.gpsPoints.length;
+    }
+
+    // GPXデータ(wpt要素)を解析
+    // name→ポイントID, ele→標高, desc→名称, cmt→備考
+    // 有効なウェイポイントがない場合は、読み込み済みのポイントを残したままエラーとする
+    parseGpxData(xmlDoc, isNearLocation = null) {
+        const waypoints = [];
+
+        for (const wpt of xmlDoc.getElementsByTagName('wpt')) {
+            const lat = DataUtils.parseLatLng(wpt.getAttribute('lat'));
+            const lng = DataUtils.parseLatLng(wpt.getAttribute('lon'));
+
+            // 緯度・経度が有効な数値かチェック
+            if (isNaN(lat) || isNaN(lng)) {
+                continue;
+            }
+
+            // 近くにあるポイントは重複として読み込まない
+            const duplicate = isNearLocation && waypoints.find(w => isNearLocation(w, { lat, lng }));
+            if (duplicate) {
+                console.warn(DataUtils.formatMessage(CONFIG.MESSAGES.DUPLICATE_POINT_WARNING, {id: duplicate.name || `${duplicate.lat.toFixed(5)}, ${duplicate.lng.toFixed(5)}`}));
+                continue;
+            }
+
+            waypoints.push({
+                lat,
+                lng,
+                name: this.getGpxChildText(wpt, 'name'),
+                elevation: this.getGpxChildText(wpt, 'ele'),
+                location: this.getGpxChildText(wpt, 'desc'),
+                remarks: this.getGpxChildText(wpt, 'cmt')
+            });
+        }
+
+        if (waypoints.length === 0) {
+            throw new Error(CONFIG.MESSAGES.GPX_NO_WAYPOINTS);
+        }
+
+        this.gpsPoints = [];
+        for (const waypoint of waypoints) {
+            // IDが空または既存IDと重複する場合は仮IDを採番
+            const id = waypoint.name && !this.getPointById(waypoint.name) ? waypoint.name : null;
+            this.addPoint(waypoint.lat, waypoint.lng, id, waypoint.elevation, waypoint.location, waypoint.remarks);
+        }
+    }
+
+    // GPX要素の直下の子要素のテキストを取得
+    getGpxChildText(element, tagName) {
+        for (const child of element.children) {
+            if (child.localName === tagName) {
+                return child.textContent.trim();
+            }
+        }
+        return '';
+    }
+
     // ヘッダー行から各列のインデックスを特定（完全一致）
     identifyColumns(headerRow) {
         const indexes = {};
@@ -173,6 +240,55 @@ export class GPSDataManager {
         return point.elevation;
     }
     
+    // 標高が未設定(blankまたは0)のポイントを一括で取得
+    // 同時リクエスト数を制限し、各リクエストの間隔を空けて順次取得する
+    // onProgress({done, total, point, success}) で進捗を通知し、signal で中止できる
+    async fillMissingElevations({ concurrency = CONFIG.ELEVATION_BATCH_CONCURRENCY, interval = CONFIG.ELEVATION_BATCH_INTERVAL, onProgress = null, signal = null } = {}) {
+        const targets = this.gpsPoints.filter(point => ElevationAPI.needsElevationFromAPI(point.elevation));
+        const result = { total: targets.length, updated: 0, failed: [], cancelled: false };
+        let nextIndex = 0;
+        let done = 0;
+
+        const worker = async () => {
+            while (nextIndex < targets.length) {
+                if (signal && signal.aborted) return;
+
+                const point = targets[nextIndex++];
+                let success = false;
+                try {
+                    const elevation = await ElevationAPI.fetchElevation(point.lat, point.lng);
+                    // 取得中にポイントが削除された場合は更新しない
+                    if (elevation !== null && elevation > 0 && this.gpsPoints.includes(point)) {
+                        this.updatePoint(point.id, { elevation: String(elevation) });
+                        success = true;
+                    }
+                } catch (error) {
+                    console.warn(`標高取得に失敗しました: ${point.id}`, error);
+                }
+
+                if (success) {
+                    result.updated++;
+                } else {
+                    result.failed.push(point.id);
+                }
+                done++;
+                if (onProgress) {
+                    onProgress({ done, total: targets.length, point, success });
+                }
+
+                if (interval > 0 && nextIndex < targets.length) {
+                    await new Promise(resolve => setTimeout(resolve, interval));
+                }
+            }
+        };
+
+        const workerCount = Math.max(1, Math.min(concurrency, targets.length));
+        await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+        result.cancelled = !!(signal && signal.aborted) && done < targets.length;
+        return result;
+    }
+
     // 仮IDを生成（仮01から始まる連番）
     generateTemporaryId() {
         const existingTempIds = this.gpsPoints
@@ -268,4 +384,41 @@ export class GPSDataManager {
         return await this.fileHandler.saveExcelWithUserChoice(data, filename);
     }
 
+    // GPXファイルとして出力
+    async exportToGpx(filename = 'gps_points') {
+        if (!this.fileHandler) {
+            throw new Error('FileHandlerが設定されていません');
+        }
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<gpx version="1.1" creator="${DataUtils.escapeXml(CONFIG.GPX_CREATOR)}" xmlns="http://www.topografix.com/GPX/1/1">`,
+            '  <metadata>',
+            `    <time>${new Date().toISOString()}</time>`,
+            '  </metadata>'
+        ];
+
+        // GPX 1.1のスキーマ順（ele, name, cmt, desc）で出力
+        this.gpsPoints.forEach(point => {
+            lines.push(`  <wpt lat="${point.lat.toFixed(5)}" lon="${point.lng.toFixed(5)}">`);
+
+            const elevation = parseFloat(point.elevation);
+            if (!isNaN(elevation)) {
+                lines.push(`    <ele>${elevation}</ele>`);
+            }
+            lines.push(`    <name>${DataUtils.escapeXml(point.id)}</name>`);
+            if (point.remarks) {
+                lines.push(`    <cmt>${DataUtils.escapeXml(point.remarks)}</cmt>`);
+            }
+            if (point.location) {
+                lines.push(`    <desc>${DataUtils.escapeXml(point.location)}</desc>`);
+            }
+
+            lines.push('  </wpt>');
+        });
+
+        lines.push('</gpx>');
+
+        return await this.fileHandler.saveGpxWithUserChoice(lines.join('\n') + '\n', filename);
+    }
 }
\ No newline at end of file
@@ -73,16 +73,10 @@ export class PointManager {
 
     // 指定位置の近くに既存ポイントがあるかチェック
     findNearbyPoint(latlng) {
-        const map = this.mapManager.getMap();
-        const clickPoint = map.latLngToLayerPoint(latlng);
-
         // すべてのマーカーをチェック
         for (const [pointId, marker] of this.markers) {
-            const markerPoint = map.latLngToLayerPoint(marker.getLatLng());
-            const distance = clickPoint.distanceTo(markerPoint);
-
             // 設定距離内に既存ポイントがある場合
-            if (distance <= CONFIG.DUPLICATE_CHECK_DISTANCE) {
+            if (this.isNearLocation(latlng, marker.getLatLng())) {
                 const point = this.gpsDataManager.getPointById(pointId);
                 return point;
             }
@@ -91,6 +85,13 @@ export class PointManager {
         return null;
     }
 
+    // 2つの位置が地図上で重複チェック距離（ピクセル）以内かどうか
+    isNearLocation(latlng1, latlng2) {
+        const map = this.mapManager.getMap();
+        const distance = map.latLngToLayerPoint(latlng1).distanceTo(map.latLngToLayerPoint(latlng2));
+        return distance <= CONFIG.DUPLICATE_CHECK_DISTANCE;
+    }
+
     // 指定ポイントのマーカーを追加
     addMarkerForPoint(point) {
         const marker = L.circleMarker([point.lat, point.lng], {
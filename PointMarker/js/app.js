@@ -3,8 +3,10 @@ import { PointManager } from './data/PointManager.js';
 import { RouteManager } from './data/RouteManager.js';
 import { SpotManager } from './data/SpotManager.js';
 import { FileHandler } from './data/FileHandler.js';
+import { HistoryManager, DEFAULT_HISTORY_DEPTH } from './data/HistoryManager.js';
 import { InputManager } from './ui/InputManager.js';
 import { LayoutManager } from './ui/LayoutManager.js';
+import { RouteListManager } from './ui/RouteListManager.js';
 import { UIHelper } from './ui/UIHelper.js';
 import { ValidationManager } from './ui/ValidationManager.js';
 import { CoordinateUtils } from './utils/Coordinates.js';
@@ -16,7 +18,11 @@ import { ResizeHandler } from './utils/ResizeHandler.js';
  * PointMarkerアプリケーションのメインクラス
  */
 export class PointMarkerApp {
-    constructor() {
+    /**
+     * @param {Object} options - アプリケーション設定
+     * @param {number} options.historyDepth - 元に戻す操作の最大履歴件数
+     */
+    constructor({ historyDepth = DEFAULT_HISTORY_DEPTH } = {}) {
         // DOM要素の初期化
         this.canvas = document.getElementById('mapCanvas');
         
@@ -28,8 +34,10 @@ export class PointMarkerApp {
         this.fileHandler = new FileHandler();
         this.inputManager = new InputManager(this.canvas);
         this.layoutManager = new LayoutManager();
+        this.routeListManager = new RouteListManager();
         this.dragDropHandler = new DragDropHandler();
         this.resizeHandler = new ResizeHandler();
+        this.historyManager = new HistoryManager(historyDepth);
 
         // 現在の画像情報
         this.currentImage = null;
@@ -42,10 +50,21 @@ export class PointMarkerApp {
         this.previousEndPoint = '';
 
         this.initializeCallbacks();
+        this.initializeHistory();
+        this.updateRouteList();
         this.initializeEventListeners();
         this.enableBasicControls();
     }
 
+    /**
+     * 編集履歴の記録対象を登録
+     */
+    initializeHistory() {
+        this.historyManager.register('point', this.pointManager, 'ポイント');
+        this.historyManager.register('route', this.routeManager, 'ルート');
+        this.historyManager.register('spot', this.spotManager, 'スポット');
+    }
+
     /**
      * コンポーネント間のコールバックを設定
      */
@@ -56,6 +75,7 @@ export class PointMarkerApp {
             if (!skipRedrawInput) {
                 this.inputManager.redrawInputBoxes(points);
             }
+            this.recordHistory('point');
         });
         
         this.pointManager.setCallback('onCountChange', (count) => {
@@ -65,6 +85,13 @@ export class PointMarkerApp {
         // ルート管理のコールバック
         this.routeManager.setCallback('onChange', () => {
             this.redrawCanvas();
+            this.updateRouteList();
+            this.recordHistory('route');
+        });
+
+        this.routeManager.setCallback('onRouteListChange', () => {
+            this.updateRouteList();
+            this.recordHistory('route');
         });
         
         this.routeManager.setCallback('onCountChange', (count) => {
@@ -104,6 +131,26 @@ export class PointMarkerApp {
             this.inputManager.setHighlightedSpotNames(highlightSpotNames);
 
             this.redrawCanvas();
+            this.updateRouteList();
+            this.recordHistory('route');
+        });
+
+        // ルート一覧のコールバック
+        this.routeListManager.setCallback('onSelect', (index) => {
+            this.routeManager.setActiveRoute(index);
+        });
+
+        this.routeListManager.setCallback('onAdd', () => {
+            const route = this.routeManager.addRoute();
+            UIHelper.showMessage(`「${route.name}」を追加しました`);
+        });
+
+        this.routeListManager.setCallback('onRemove', () => {
+            this.removeActiveRoute();
+        });
+
+        this.routeListManager.setCallback('onRename', (data) => {
+            this.routeManager.renameRoute(data.index, data.name);
         });
 
         // スポット管理のコールバック
@@ -112,6 +159,7 @@ export class PointMarkerApp {
             if (!skipRedrawInput) {
                 this.inputManager.redrawSpotInputBoxes(spots || this.spotManager.getSpots());
             }
+            this.recordHistory('spot');
         });
         
         this.spotManager.setCallback('onCountChange', (count) => {
@@ -134,6 +182,11 @@ export class PointMarkerApp {
             // まずフォーマット処理を実行（blur時もinput時も）
             this.pointManager.updatePointId(data.index, data.id, data.skipFormatting, true);
 
+            // ID入力は確定（blur）時に1回の変更として履歴に記録
+            if (!data.skipFormatting) {
+                this.recordHistory('point');
+            }
+
             // blur時のみ、フォーマット後のIDで重複チェックを実行
             if (!data.skipFormatting && data.id.trim() !== '') {
                 // フォーマット後のIDを取得
@@ -266,6 +319,14 @@ export class PointMarkerApp {
      * イベントリスナーを設定
      */
     initializeEventListeners() {
+        // プロジェクト保存・読込
+        document.getElementById('saveProjectBtn').addEventListener('click', async (e) => {
+            e.preventDefault();
+            await this.saveProject();
+        });
+
+        document.getElementById('projectInput').addEventListener('change', (e) => this.handleProjectLoad(e));
+
         // 画像選択
         const imageInputLabel = document.querySelector('label[for="imageInput"]');
         imageInputLabel.addEventListener('click', async (e) => {
@@ -306,6 +367,11 @@ export class PointMarkerApp {
             await this.exportRoute();
         });
         
+        document.getElementById('exportAllRoutesBtn').addEventListener('click', async (e) => {
+            e.preventDefault();
+            await this.exportAllRoutes();
+        });
+
         document.getElementById('routeJsonInput').addEventListener('change', (e) => this.handleRouteJSONLoad(e));
 
         // スポット編集コントロール
@@ -393,6 +459,9 @@ export class PointMarkerApp {
             this.handleSpotNameVisibilityChange(e.target.checked);
         });
 
+        // 元に戻す（Ctrl+Z）・やり直し（Ctrl+Y / Ctrl+Shift+Z）
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+
         // ウィンドウリサイズ
         window.addEventListener('resize', () => {
             if (this.currentImage) {
@@ -416,6 +485,7 @@ export class PointMarkerApp {
     enableImageControls() {
         document.getElementById('clearBtn').disabled = false;
         document.getElementById('exportBtn').disabled = false;
+        document.getElementById('saveProjectBtn').disabled = false;
 
         // ズーム・パンボタンを有効化
         document.getElementById('zoomInBtn').disabled = false;
@@ -592,7 +662,7 @@ export class PointMarkerApp {
      * @param {MouseEvent} event - マウスイベント
      */
     handleCanvasMouseUp(event) {
-        this.dragDropHandler.endDrag(this.inputManager, this.pointManager);
+        this.dragDropHandler.endDrag(this.inputManager, this.pointManager, this.spotManager, this.routeManager);
     }
 
     /**
@@ -690,10 +760,16 @@ export class PointMarkerApp {
     redrawCanvas() {
         const mode = this.layoutManager.getCurrentEditingMode();
         const routePoints = this.routeManager.getStartEndPoints();
+        const activeRouteIndex = this.routeManager.getActiveRouteIndex();
+        const routes = this.routeManager.getRoutes().map((route, index) => ({
+            routePoints: route.routePoints,
+            color: route.color,
+            isActive: index === activeRouteIndex
+        }));
         
         this.canvasRenderer.redraw(
             this.pointManager.getPoints(),
-            this.routeManager.getRoutePoints(),
+            routes,
             this.spotManager.getSpots(),
             {
                 showRouteMode: mode === 'route',
@@ -762,6 +838,75 @@ export class PointMarkerApp {
         return newValue;
     }
 
+    /**
+     * 編集履歴に変更を記録
+     * ドラッグ中の連続した移動は記録せず、ドラッグ終了時にまとめて記録する
+     * @param {string} key - 対象の識別子（'point' | 'route' | 'spot'）
+     */
+    recordHistory(key) {
+        if (this.dragDropHandler.isDraggingObject()) return;
+        this.historyManager.record(key);
+    }
+
+    /**
+     * 元に戻す・やり直しのキーボードショートカット処理
+     * @param {KeyboardEvent} event - キーボードイベント
+     */
+    handleHistoryShortcut(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+        // テキスト入力中はブラウザ標準の入力取り消しを優先
+        const target = event.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+            return;
+        }
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+
+    /**
+     * 直前の編集操作を元に戻す
+     */
+    undo() {
+        if (this.dragDropHandler.isDraggingObject()) return;
+
+        const label = this.historyManager.undo();
+        if (label) {
+            UIHelper.showMessage(`${label}の変更を元に戻しました`);
+        } else {
+            UIHelper.showWarning('元に戻せる操作がありません');
+        }
+    }
+
+    /**
+     * 元に戻した編集操作をやり直す
+     */
+    redo() {
+        if (this.dragDropHandler.isDraggingObject()) return;
+
+        const label = this.historyManager.redo();
+        if (label) {
+            UIHelper.showMessage(`${label}の変更をやり直しました`);
+        } else {
+            UIHelper.showWarning('やり直せる操作がありません');
+        }
+    }
+
+    /**
+     * 元に戻す操作の最大履歴件数を設定
+     * @param {number} depth - 最大履歴件数
+     */
+    setHistoryDepth(depth) {
+        this.historyManager.setMaxDepth(depth);
+    }
+
     /**
      * ポイントをクリア
      */
@@ -781,6 +926,27 @@ export class PointMarkerApp {
         UIHelper.showMessage(`${waypointCount}個の中間点をクリアしました`);
     }
 
+    /**
+     * ルート一覧の表示を更新
+     */
+    updateRouteList() {
+        this.routeListManager.render(this.routeManager.getRoutes(), this.routeManager.getActiveRouteIndex());
+    }
+
+    /**
+     * 選択中のルートを削除
+     */
+    removeActiveRoute() {
+        const route = this.routeManager.getActiveRoute();
+        if (!this.routeManager.isActiveRouteEmpty() &&
+            !confirm(`「${route.name}」（中間点${route.routePoints.length}個）を削除しますか？`)) {
+            return;
+        }
+
+        this.routeManager.removeRoute(this.routeManager.getActiveRouteIndex());
+        UIHelper.showMessage(`「${route.name}」を削除しました`);
+    }
+
     /**
      * ルートポイント変更チェック
      * @param {string} previousValue - 編集前の値
@@ -904,6 +1070,45 @@ export class PointMarkerApp {
         }
     }
 
+    /**
+     * 中間点のある全ルートをルートごとのJSONファイルとして一括出力
+     */
+    async exportAllRoutes() {
+        const routes = this.routeManager.getRoutes().filter(route => route.routePoints.length > 0);
+        if (routes.length === 0) {
+            alert('ルート中間点が設定されていません');
+            return;
+        }
+
+        // 全ルートを検証し、問題のあるルートをまとめて表示
+        const registeredIds = this.pointManager.getRegisteredIds();
+        const errors = routes
+            .map(route => ({ route, validation: this.routeManager.validateStartEndPoints(registeredIds, this.spotManager, route) }))
+            .filter(result => !result.validation.isValid)
+            .map(result => `「${result.route.name}」: ${result.validation.message}`);
+
+        if (errors.length > 0) {
+            alert(errors.join('\n\n'));
+            return;
+        }
+
+        try {
+            const saved = await this.fileHandler.exportAllRouteData(
+                routes,
+                this.routeManager,
+                this.fileHandler.getCurrentImageFileName() + '.png',
+                this.canvas.width, this.canvas.height,
+                this.currentImage.width, this.currentImage.height
+            );
+            if (saved) {
+                UIHelper.showMessage(`${routes.length}本のルートデータを出力しました`);
+            }
+        } catch (error) {
+            console.error('エクスポートエラー:', error);
+            UIHelper.showError('エクスポート中にエラーが発生しました');
+        }
+    }
+
     /**
      * ポイントJSONファイル読み込み処理
      * @param {Event} event - ファイル選択イベント
@@ -1034,6 +1239,151 @@ export class PointMarkerApp {
         }
     }
 
+    /**
+     * プロジェクト（画像参照・ポイント・ルート・スポット・表示状態）を1ファイルに保存
+     */
+    async saveProject() {
+        if (!this.currentImage) {
+            alert('先に画像を読み込んでください');
+            return;
+        }
+
+        try {
+            const imageFileName = this.fileHandler.getCurrentImageFileName();
+            const projectData = this.fileHandler.createProjectData(
+                {
+                    pointManager: this.pointManager,
+                    routeManager: this.routeManager,
+                    spotManager: this.spotManager
+                },
+                imageFileName + '.png',
+                this.canvas.width, this.canvas.height,
+                this.currentImage.width, this.currentImage.height,
+                this.getViewState()
+            );
+            const filename = `${imageFileName}_project.json`;
+
+            const saved = await this.fileHandler.exportProjectData(projectData, filename);
+            if (saved) {
+                UIHelper.showMessage(`プロジェクトを「${filename}」に保存しました`);
+            }
+        } catch (error) {
+            console.error('プロジェクト保存エラー:', error);
+            UIHelper.showError('プロジェクト保存中にエラーが発生しました');
+        }
+    }
+
+    /**
+     * プロジェクトファイル読み込み処理
+     * 旧形式の個別JSON（ポイント・ルート・スポット）も複数選択でまとめて読み込める
+     * @param {Event} event - ファイル選択イベント
+     */
+    async handleProjectLoad(event) {
+        const files = event.target.files;
+        if (!files || files.length === 0) return;
+
+        try {
+            const projectData = await this.fileHandler.loadProjectFiles(files);
+
+            if (!this.currentImage) {
+                const imageName = projectData.imageReference ? `「${projectData.imageReference}」` : '';
+                alert(`先に画像${imageName}を読み込んでください`);
+                return;
+            }
+
+            const currentImageName = this.fileHandler.getCurrentImageFileName() + '.png';
+            if (projectData.imageReference && projectData.imageReference !== currentImageName) {
+                const message = `プロジェクトの画像「${projectData.imageReference}」と読み込み済みの画像「${currentImageName}」が異なります。\n\n` +
+                    '読み込みを続けますか？';
+                if (!confirm(message)) return;
+            }
+
+            this.fileHandler.applyProjectData(
+                projectData,
+                {
+                    pointManager: this.pointManager,
+                    routeManager: this.routeManager,
+                    spotManager: this.spotManager
+                },
+                this.canvas.width, this.canvas.height,
+                this.currentImage.width, this.currentImage.height
+            );
+
+            if (projectData.viewState) {
+                this.applyViewState(projectData.viewState);
+            }
+
+            // 開始・終了ポイントの検証フィードバックを更新
+            const matchingSpots = ValidationManager.updateBothRoutePointsValidation(this.routeManager, this.pointManager, this.spotManager);
+            this.inputManager.setErrorSpotNames([...matchingSpots.start, ...matchingSpots.end]);
+
+            // 読み込んだ状態を編集履歴の起点とする
+            this.historyManager.clear();
+
+            UIHelper.showMessage(
+                `プロジェクトを読み込みました（ポイント${this.pointManager.getPoints().length}個・` +
+                `中間点${this.routeManager.getRoutePoints().length}個・スポット${this.spotManager.getSpots().length}個）`
+            );
+        } catch (error) {
+            console.error('プロジェクト読み込みエラー:', error);
+            UIHelper.showError('プロジェクト読み込み中にエラーが発生しました: ' + error.message);
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    /**
+     * プロジェクト保存用の表示状態を取得
+     * パン量はキャンバスサイズに対する比率で保存し、ウィンドウサイズが変わっても復元できるようにする
+     * @returns {Object} 表示状態
+     */
+    getViewState() {
+        const offset = this.canvasRenderer.getOffset();
+        return {
+            editingMode: this.layoutManager.getCurrentEditingMode(),
+            scale: this.canvasRenderer.getScale(),
+            offsetXRatio: this.canvas.width > 0 ? offset.x / this.canvas.width : 0,
+            offsetYRatio: this.canvas.height > 0 ? offset.y / this.canvas.height : 0,
+            showPointIds: document.getElementById('showPointIdsCheckbox').checked,
+            showSpotNames: document.getElementById('showSpotNamesCheckbox').checked
+        };
+    }
+
+    /**
+     * プロジェクトの表示状態を復元
+     * @param {Object} viewState - getViewStateで取得した表示状態
+     */
+    applyViewState(viewState) {
+        if (['point', 'route', 'spot'].includes(viewState.editingMode)) {
+            this.layoutManager.setEditingMode(viewState.editingMode);
+        }
+
+        // 編集モード切り替え時の自動設定の後に表示切り替えを反映
+        const pointIdCheckbox = document.getElementById('showPointIdsCheckbox');
+        if (typeof viewState.showPointIds === 'boolean') {
+            pointIdCheckbox.checked = viewState.showPointIds;
+            this.handlePointIdVisibilityChange(viewState.showPointIds);
+        }
+
+        const spotNameCheckbox = document.getElementById('showSpotNamesCheckbox');
+        if (typeof viewState.showSpotNames === 'boolean') {
+            spotNameCheckbox.checked = viewState.showSpotNames;
+            this.handleSpotNameVisibilityChange(viewState.showSpotNames);
+        }
+
+        if (typeof viewState.scale === 'number') {
+            this.canvasRenderer.setTransform(
+                viewState.scale,
+                (viewState.offsetXRatio || 0) * this.canvas.width,
+                (viewState.offsetYRatio || 0) * this.canvas.height
+            );
+            this.updateZoomButtonStates();
+            this.updatePopupPositions();
+        }
+
+        this.redrawCanvas();
+    }
+
     /**
      * ウィンドウリサイズ処理
      */
@@ -1046,6 +1396,7 @@ export class PointMarkerApp {
             this.pointManager,
             this.routeManager,
             this.spotManager,
+            this.historyManager,
             () => this.redrawCanvas()
         );
     }
@@ -131,13 +131,33 @@ export class CanvasRenderer {
      * ルートポイント（中間点）を描画
      * @param {Array} routePoints - ルートポイント配列
      * @param {number} canvasScale - キャンバスのスケール値 (デフォルト: 1.0)
+     * @param {string} color - ルートの表示色 (デフォルト: '#ff9500')
      */
-    drawRoutePoints(routePoints, canvasScale = 1.0) {
+    drawRoutePoints(routePoints, canvasScale = 1.0, color = '#ff9500') {
         routePoints.forEach(point => {
-            this.drawDiamond(point.x, point.y, 5, '#ff9500', '#ffffff', 1, canvasScale);
+            this.drawDiamond(point.x, point.y, 5, color, '#ffffff', 1, canvasScale);
         });
     }
 
+    /**
+     * 複数ルートの中間点を描画
+     * 選択中以外のルートは半透明で描画し、選択中のルートを最前面に描画する
+     * @param {Array} routes - ルート配列 [{routePoints, color, isActive}]
+     * @param {number} canvasScale - キャンバスのスケール値 (デフォルト: 1.0)
+     */
+    drawRoutes(routes, canvasScale = 1.0) {
+        const orderedRoutes = [
+            ...routes.filter(route => !route.isActive),
+            ...routes.filter(route => route.isActive)
+        ];
+
+        orderedRoutes.forEach(route => {
+            this.ctx.globalAlpha = route.isActive ? 1.0 : 0.5;
+            this.drawRoutePoints(route.routePoints, canvasScale, route.color);
+        });
+        this.ctx.globalAlpha = 1.0;
+    }
+
 
     /**
      * 正四角形を描画
@@ -186,11 +206,11 @@ export class CanvasRenderer {
     /**
      * 画像とすべてのポイントを再描画
      * @param {Array} points - 通常ポイント配列
-     * @param {Array} routePoints - ルートポイント配列
+     * @param {Array} routes - ルート配列 [{routePoints, color, isActive}]
      * @param {Array} spots - スポット配列
      * @param {Object} options - 描画オプション
      */
-    redraw(points = [], routePoints = [], spots = [], options = {}) {
+    redraw(points = [], routes = [], spots = [], options = {}) {
         this.drawImage();
 
         // マーカー描画時にズーム・パン変換を適用
@@ -200,7 +220,7 @@ export class CanvasRenderer {
 
         // 現在のスケール値をマーカー描画メソッドに渡す
         this.drawPoints(points, options, this.scale);
-        this.drawRoutePoints(routePoints, this.scale);
+        this.drawRoutes(routes, this.scale);
         this.drawSpots(spots, options, this.scale);
 
         this.ctx.restore();
@@ -298,6 +318,18 @@ export class CanvasRenderer {
         this.offsetY = 0;
     }
 
+    /**
+     * ズーム・パン状態を設定（プロジェクト読み込み時の表示復元用）
+     * @param {number} scale - 表示倍率
+     * @param {number} offsetX - X方向オフセット
+     * @param {number} offsetY - Y方向オフセット
+     */
+    setTransform(scale, offsetX, offsetY) {
+        this.scale = Math.min(Math.max(scale, this.minScale), this.maxScale);
+        this.offsetX = offsetX;
+        this.offsetY = offsetY;
+    }
+
     /**
      * 現在のスケールを取得
      */
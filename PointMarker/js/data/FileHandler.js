@@ -1,6 +1,17 @@
 import { Validators } from '../utils/Validators.js';
 import { CoordinateUtils } from '../utils/Coordinates.js';
 
+/**
+ * プロジェクトファイルの形式識別子
+ */
+export const PROJECT_FORMAT = 'PointMarkerProject';
+
+/**
+ * プロジェクトファイルの現在のバージョン
+ * バージョン0は個別に出力したポイント・ルート・スポットJSONを表す
+ */
+export const PROJECT_VERSION = 1;
+
 /**
  * ファイル操作を管理するクラス
  */
@@ -183,6 +194,61 @@ export class FileHandler {
         }
     }
 
+    /**
+     * 複数のJSONファイルをユーザーが選択したフォルダにまとめて保存
+     * フォルダ選択に対応していないブラウザでは1ファイルずつダウンロードする
+     * 同じ名前のファイルがある場合は上書きの確認を行う
+     * @param {Array<{data: Object, filename: string}>} files - 保存するJSONデータとファイル名
+     * @returns {Promise<boolean>} 保存されたかどうか（キャンセル時はfalse）
+     */
+    async saveJSONFilesToDirectory(files) {
+        if (!('showDirectoryPicker' in window)) {
+            files.forEach(file => this.downloadJSON(file.data, file.filename));
+            return true;
+        }
+
+        try {
+            const pickerOptions = { mode: 'readwrite' };
+            if (this.currentImageFileHandle) {
+                pickerOptions.startIn = this.currentImageFileHandle;
+            }
+
+            const directoryHandle = await window.showDirectoryPicker(pickerOptions);
+
+            // 同じ名前のファイルがある場合は上書きしてよいか確認
+            const existingNames = [];
+            for (const file of files) {
+                try {
+                    await directoryHandle.getFileHandle(file.filename);
+                    existingNames.push(file.filename);
+                } catch (error) {
+                    if (error.name !== 'NotFoundError') throw error;
+                }
+            }
+            if (existingNames.length > 0 &&
+                !confirm(`次のファイルは既に存在します。上書きしますか？\n${existingNames.join('\n')}`)) {
+                return false;
+            }
+
+            for (const file of files) {
+                const fileHandle = await directoryHandle.getFileHandle(file.filename, { create: true });
+                const writable = await fileHandle.createWritable();
+                await writable.write(new Blob([JSON.stringify(file.data, null, 2)], { type: 'application/json' }));
+                await writable.close();
+            }
+
+            return true;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return false;
+            }
+
+            console.error('ファイル保存エラー:', error);
+            files.forEach(file => this.downloadJSON(file.data, file.filename));
+            return true;
+        }
+    }
+
     /**
      * 現在の画像ファイル名を取得
      * @returns {string} ファイル名
@@ -235,32 +301,29 @@ export class FileHandler {
     }
 
     /**
-     * ルートデータをJSONエクスポート
-     * @param {Object} routeManager - RouteManagerインスタンス
+     * ルートデータのJSONオブジェクトを作成
+     * @param {Object} route - ルートオブジェクト
      * @param {string} imageFileName - 画像ファイル名
      * @param {number} canvasWidth - キャンバス幅
      * @param {number} canvasHeight - キャンバス高さ
      * @param {number} imageWidth - 元画像幅
      * @param {number} imageHeight - 元画像高さ
-     * @param {string} filename - 出力ファイル名
-     * @returns {Promise<void>}
+     * @returns {Object} ルートJSONデータ
      */
-    async exportRouteData(routeManager, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight, filename) {
-        const routePoints = routeManager.getRoutePoints();
-        const startEndPoints = routeManager.getStartEndPoints();
-        
-        const jsonData = {
+    createRouteData(route, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight) {
+        return {
             routeInfo: {
-                startPoint: startEndPoints.start || '',
-                endPoint: startEndPoints.end || '',
-                waypointCount: routePoints.length
+                name: route.name,
+                startPoint: route.startPointId || '',
+                endPoint: route.endPointId || '',
+                waypointCount: route.routePoints.length
             },
             imageReference: imageFileName,
             imageInfo: {
                 width: imageWidth,
                 height: imageHeight
             },
-            points: routePoints.map((point, index) => {
+            points: route.routePoints.map((point, index) => {
                 const imageCoords = CoordinateUtils.canvasToImage(
                     point.x, point.y,
                     canvasWidth, canvasHeight,
@@ -276,9 +339,60 @@ export class FileHandler {
             }),
             exportedAt: new Date().toISOString()
         };
+    }
+
+    /**
+     * 選択中のルートデータをJSONエクスポート
+     * @param {Object} routeManager - RouteManagerインスタンス
+     * @param {string} imageFileName - 画像ファイル名
+     * @param {number} canvasWidth - キャンバス幅
+     * @param {number} canvasHeight - キャンバス高さ
+     * @param {number} imageWidth - 元画像幅
+     * @param {number} imageHeight - 元画像高さ
+     * @param {string} filename - 出力ファイル名
+     * @returns {Promise<boolean>} 保存されたかどうか
+     */
+    async exportRouteData(routeManager, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight, filename) {
+        const jsonData = this.createRouteData(
+            routeManager.getActiveRoute(), imageFileName,
+            canvasWidth, canvasHeight, imageWidth, imageHeight
+        );
         return await this.saveJSONWithUserChoice(jsonData, filename);
     }
 
+    /**
+     * 全ルートをルートごとのJSONファイルとして一括エクスポート
+     * 各ファイルは従来の単一ルートJSONと同じ形式で出力する
+     * @param {Array} routes - 出力するルートオブジェクトの配列
+     * @param {Object} routeManager - RouteManagerインスタンス（ファイル名生成用）
+     * @param {string} imageFileName - 画像ファイル名
+     * @param {number} canvasWidth - キャンバス幅
+     * @param {number} canvasHeight - キャンバス高さ
+     * @param {number} imageWidth - 元画像幅
+     * @param {number} imageHeight - 元画像高さ
+     * @returns {Promise<boolean>} 保存されたかどうか
+     */
+    async exportAllRouteData(routes, routeManager, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight) {
+        const baseFileName = imageFileName.replace(/\.png$/i, '');
+        const usedFilenames = new Set();
+
+        const files = routes.map(route => {
+            // 開始・終了ポイントが同じルートはファイル名に連番を付けて区別
+            let filename = routeManager.generateRouteFilename(baseFileName, route);
+            for (let i = 2; usedFilenames.has(filename); i++) {
+                filename = routeManager.generateRouteFilename(baseFileName, route).replace(/\.json$/, `_${i}.json`);
+            }
+            usedFilenames.add(filename);
+
+            return {
+                data: this.createRouteData(route, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight),
+                filename
+            };
+        });
+
+        return await this.saveJSONFilesToDirectory(files);
+    }
+
     /**
      * スポットデータをJSONエクスポート
      * @param {Object} spotManager - SpotManagerインスタンス
@@ -357,6 +471,7 @@ export class FileHandler {
 
     /**
      * ルートデータをJSONインポート
+     * 選択中のルートが編集済みの場合は新しいルートを追加して読み込む
      * @param {Object} routeManager - RouteManagerインスタンス
      * @param {File} file - JSONファイル
      * @param {number} canvasWidth - キャンバス幅
@@ -372,6 +487,13 @@ export class FileHandler {
             throw new Error('ルートJSONファイルの形式が正しくありません');
         }
 
+        // 編集中のルートを上書きしないよう、新しいルートとして読み込む
+        if (!routeManager.isActiveRouteEmpty()) {
+            routeManager.addRoute(jsonData.routeInfo.name || '');
+        } else if (jsonData.routeInfo.name) {
+            routeManager.renameRoute(routeManager.getActiveRouteIndex(), jsonData.routeInfo.name);
+        }
+
         routeManager.clearRoute();
         routeManager.setStartPoint(jsonData.routeInfo.startPoint || '');
         routeManager.setEndPoint(jsonData.routeInfo.endPoint || '');
@@ -423,4 +545,212 @@ export class FileHandler {
             spotManager.addSpot(canvasCoords.x, canvasCoords.y, spotData.name);
         });
     }
+
+    /**
+     * プロジェクトデータ（画像参照・ポイント・ルート・スポット・表示状態）を作成
+     * 座標は画像座標で保存し、読み込み時のキャンバスサイズに依存しないようにする
+     * @param {Object} managers - {pointManager, routeManager, spotManager}
+     * @param {string} imageFileName - 画像ファイル名
+     * @param {number} canvasWidth - キャンバス幅
+     * @param {number} canvasHeight - キャンバス高さ
+     * @param {number} imageWidth - 元画像幅
+     * @param {number} imageHeight - 元画像高さ
+     * @param {Object} viewState - 表示状態（編集モード・ズーム・パン・表示切り替え）
+     * @returns {Object} プロジェクトデータ
+     */
+    createProjectData(managers, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight, viewState) {
+        const toImage = (item) => {
+            const imageCoords = CoordinateUtils.canvasToImage(
+                item.x, item.y,
+                canvasWidth, canvasHeight,
+                imageWidth, imageHeight
+            );
+            return { imageX: Math.round(imageCoords.x), imageY: Math.round(imageCoords.y) };
+        };
+        return {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            imageReference: imageFileName,
+            imageInfo: {
+                width: imageWidth,
+                height: imageHeight
+            },
+            viewState,
+            points: managers.pointManager.getPoints()
+                .filter(point => point.id && point.id.trim() !== '')
+                .map(point => ({ id: point.id, ...toImage(point) })),
+            routes: managers.routeManager.getRoutes().map(route => ({
+                name: route.name,
+                color: route.color,
+                startPoint: route.startPointId || '',
+                endPoint: route.endPointId || '',
+                waypoints: route.routePoints.map(toImage)
+            })),
+            activeRouteIndex: managers.routeManager.getActiveRouteIndex(),
+            spots: managers.spotManager.getSpots()
+                .filter(spot => spot.name && spot.name.trim() !== '')
+                .map(spot => ({ name: spot.name.trim(), ...toImage(spot) })),
+            savedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * プロジェクトファイルを保存
+     * @param {Object} projectData - createProjectDataで作成したデータ
+     * @param {string} filename - 出力ファイル名
+     * @returns {Promise<boolean>} 保存されたかどうか
+     */
+    async exportProjectData(projectData, filename) {
+        return await this.saveJSONWithUserChoice(projectData, filename);
+    }
+
+    /**
+     * プロジェクトファイルまたは個別JSONファイル群を読み込み、最新バージョンのプロジェクトデータに変換
+     * 個別JSONはポイント・ルート・スポットの種類を判別してまとめる
+     * @param {FileList|Array<File>} files - JSONファイル
+     * @returns {Promise<Object>} プロジェクトデータ（含まれない項目はnull）
+     */
+    async loadProjectFiles(files) {
+        const legacyData = {
+            version: 0,
+            imageReference: '',
+            imageInfo: null,
+            points: null,
+            routes: null,
+            spots: null
+        };
+        let projectData = null;
+
+        for (const file of Array.from(files)) {
+            const jsonData = await this.loadJsonFile(file);
+
+            if (jsonData && jsonData.format === PROJECT_FORMAT) {
+                if (projectData) {
+                    throw new Error('プロジェクトファイルは1つだけ選択してください');
+                }
+                projectData = jsonData;
+            } else if (Validators.isValidRouteData(jsonData)) {
+                legacyData.routes = [...(legacyData.routes || []), jsonData];
+            } else if (Validators.isValidSpotData(jsonData)) {
+                legacyData.spots = jsonData;
+            } else if (Validators.isValidPointData(jsonData)) {
+                legacyData.points = jsonData;
+            } else {
+                throw new Error(`「${file.name}」はプロジェクトファイルまたはポイント・ルート・スポットのJSONではありません`);
+            }
+
+            if (jsonData && !legacyData.imageReference && jsonData.imageReference) {
+                legacyData.imageReference = jsonData.imageReference;
+                legacyData.imageInfo = jsonData.imageInfo || null;
+            }
+        }
+
+        if (projectData && (legacyData.points || legacyData.routes || legacyData.spots)) {
+            throw new Error('プロジェクトファイルと個別のJSONファイルは同時に読み込めません');
+        }
+
+        return this.migrateProjectData(projectData || legacyData);
+    }
+
+    /**
+     * 古いバージョンのプロジェクトデータを最新バージョンに変換
+     * @param {Object} data - プロジェクトデータ
+     * @returns {Object} 最新バージョンのプロジェクトデータ
+     */
+    migrateProjectData(data) {
+        const version = typeof data.version === 'number' ? data.version : 0;
+        if (version > PROJECT_VERSION) {
+            throw new Error(`このプロジェクトファイルは新しいバージョン（v${version}）で作成されています。アプリケーションを更新してください`);
+        }
+
+        let migrated = data;
+
+        // v0（個別JSON）→ v1: 各ファイルの形式をプロジェクトの項目に変換
+        if (version < 1) {
+            const spotsData = data.spots ? (data.spots.spots || data.spots.points || []) : null;
+            migrated = {
+                format: PROJECT_FORMAT,
+                version: 1,
+                imageReference: data.imageReference,
+                imageInfo: data.imageInfo,
+                viewState: null,
+                points: data.points
+                    ? data.points.points
+                        .filter(point => point.id && point.id.trim() !== '')
+                        .map(point => ({ id: point.id, imageX: point.imageX, imageY: point.imageY }))
+                    : null,
+                routes: data.routes
+                    ? data.routes.map(route => ({
+                        name: route.routeInfo.name || '',
+                        startPoint: route.routeInfo.startPoint || '',
+                        endPoint: route.routeInfo.endPoint || '',
+                        waypoints: route.points
+                            .filter(point => point.type === 'waypoint' &&
+                                typeof point.imageX === 'number' &&
+                                typeof point.imageY === 'number')
+                            .map(point => ({ imageX: point.imageX, imageY: point.imageY }))
+                    }))
+                    : null,
+                spots: spotsData
+                    ? spotsData.map(spot => ({ name: spot.name, imageX: spot.imageX, imageY: spot.imageY }))
+                    : null
+            };
+        }
+
+        return migrated;
+    }
+
+    /**
+     * プロジェクトデータを各マネージャーに反映
+     * プロジェクトに含まれない項目（個別JSON読み込み時など）は現在の状態を維持する
+     * @param {Object} projectData - 最新バージョンのプロジェクトデータ
+     * @param {Object} managers - {pointManager, routeManager, spotManager}
+     * @param {number} canvasWidth - キャンバス幅
+     * @param {number} canvasHeight - キャンバス高さ
+     * @param {number} imageWidth - 元画像幅
+     * @param {number} imageHeight - 元画像高さ
+     */
+    applyProjectData(projectData, managers, canvasWidth, canvasHeight, imageWidth, imageHeight) {
+        // 保存時の画像サイズを基準に変換し、解像度の異なる同一画像にも対応
+        const sourceWidth = (projectData.imageInfo && projectData.imageInfo.width) || imageWidth;
+        const sourceHeight = (projectData.imageInfo && projectData.imageInfo.height) || imageHeight;
+        const toCanvas = (item) => {
+            const canvasCoords = CoordinateUtils.imageToCanvas(
+                item.imageX, item.imageY,
+                canvasWidth, canvasHeight,
+                sourceWidth, sourceHeight
+            );
+            return { x: Math.round(canvasCoords.x), y: Math.round(canvasCoords.y) };
+        };
+
+        if (projectData.points) {
+            managers.pointManager.restoreSnapshot(
+                projectData.points.map(point => ({ ...toCanvas(point), id: point.id }))
+            );
+        }
+
+        if (projectData.routes && projectData.routes.length > 0) {
+            const routeManager = managers.routeManager;
+            routeManager.restoreSnapshot({
+                routes: projectData.routes.map(route => {
+                    // 名前・色のない旧形式のルートには新規ルートと同じ連番の名前・色を割り当てる
+                    const defaults = routeManager.createRoute();
+                    return {
+                        name: route.name || defaults.name,
+                        color: route.color || defaults.color,
+                        routePoints: route.waypoints.map(toCanvas),
+                        startPointId: Validators.formatPointId(route.startPoint || ''),
+                        endPointId: Validators.formatPointId(route.endPoint || '')
+                    };
+                }),
+                activeRouteIndex: projectData.activeRouteIndex || 0
+            });
+        }
+
+        if (projectData.spots) {
+            managers.spotManager.restoreSnapshot(
+                projectData.spots.map(spot => ({ ...toCanvas(spot), name: spot.name }))
+            );
+        }
+    }
 }
\ No newline at end of file
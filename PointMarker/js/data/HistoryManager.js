@@ -0,0 +1,149 @@
+/**
+ * 編集履歴の既定の保持件数
+ */
+export const DEFAULT_HISTORY_DEPTH = 50;
+
+/**
+ * 編集操作の元に戻す／やり直しを管理するクラス
+ * 各マネージャーのonChange通知を受けてスナップショットを比較し、
+ * 変更前後の状態を1つのコマンドとして履歴に記録する
+ */
+export class HistoryManager {
+    /**
+     * @param {number} maxDepth - 保持する履歴の最大件数
+     */
+    constructor(maxDepth = DEFAULT_HISTORY_DEPTH) {
+        this.maxDepth = maxDepth;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.targets = {};
+        this.isRestoring = false;
+    }
+
+    /**
+     * 履歴の記録対象を登録
+     * @param {string} key - 対象の識別子（'point' | 'route' | 'spot'）
+     * @param {Object} manager - getSnapshot/restoreSnapshotを持つマネージャー
+     * @param {string} label - メッセージ表示用の名称
+     */
+    register(key, manager, label) {
+        this.targets[key] = {
+            manager,
+            label,
+            snapshot: manager.getSnapshot()
+        };
+    }
+
+    /**
+     * 対象の現在状態を前回記録時と比較し、変更があればコマンドとして記録
+     * @param {string} key - 対象の識別子
+     * @returns {boolean} 記録されたかどうか
+     */
+    record(key) {
+        const target = this.targets[key];
+        if (!target || this.isRestoring) return false;
+
+        const snapshot = target.manager.getSnapshot();
+        if (JSON.stringify(snapshot) === JSON.stringify(target.snapshot)) {
+            return false;
+        }
+
+        this.undoStack.push({
+            key,
+            before: target.snapshot,
+            after: snapshot
+        });
+        target.snapshot = snapshot;
+
+        // 保持件数を超えた古い履歴を破棄
+        while (this.undoStack.length > this.maxDepth) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        return true;
+    }
+
+    /**
+     * 直前の操作を元に戻す
+     * @returns {string|null} 元に戻した対象の名称、履歴がない場合はnull
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        this.restore(command.key, command.before);
+        this.redoStack.push(command);
+        return this.targets[command.key].label;
+    }
+
+    /**
+     * 元に戻した操作をやり直す
+     * @returns {string|null} やり直した対象の名称、履歴がない場合はnull
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        this.restore(command.key, command.after);
+        this.undoStack.push(command);
+        return this.targets[command.key].label;
+    }
+
+    /**
+     * スナップショットをマネージャーに復元
+     * 復元時のonChange通知を履歴に記録しないようにフラグを立てる
+     * @param {string} key - 対象の識別子
+     * @param {Object} snapshot - 復元するスナップショット
+     */
+    restore(key, snapshot) {
+        const target = this.targets[key];
+        this.isRestoring = true;
+        try {
+            target.manager.restoreSnapshot(snapshot);
+        } finally {
+            this.isRestoring = false;
+        }
+        target.snapshot = snapshot;
+    }
+
+    /**
+     * 記録済みの全スナップショットの座標を拡大縮小（キャンバスサイズ変更時）
+     * 各マネージャーのscaleSnapshotで現在の座標と同じ丸め方で変換し、以降の比較と復元を一致させる
+     * @param {number} scaleX - X方向の倍率
+     * @param {number} scaleY - Y方向の倍率
+     */
+    scaleSnapshots(scaleX, scaleY) {
+        const scale = (key, snapshot) => this.targets[key].manager.scaleSnapshot(snapshot, scaleX, scaleY);
+
+        [...this.undoStack, ...this.redoStack].forEach(command => {
+            command.before = scale(command.key, command.before);
+            command.after = scale(command.key, command.after);
+        });
+        Object.entries(this.targets).forEach(([key, target]) => {
+            target.snapshot = scale(key, target.snapshot);
+        });
+    }
+
+    /**
+     * 履歴の最大件数を設定
+     * @param {number} maxDepth - 保持する履歴の最大件数（1以上）
+     */
+    setMaxDepth(maxDepth) {
+        this.maxDepth = Math.max(1, Math.floor(maxDepth));
+        while (this.undoStack.length > this.maxDepth) {
+            this.undoStack.shift();
+        }
+    }
+
+    /**
+     * 履歴を全て破棄し、現在の状態を基準とする
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        Object.values(this.targets).forEach(target => {
+            target.snapshot = target.manager.getSnapshot();
+        });
+    }
+
+}
\ No newline at end of file
@@ -157,4 +157,37 @@ export class PointManager {
         }
     }
 
+    /**
+     * 履歴記録用に現在のポイント状態を複製して取得
+     * @returns {Array} ポイント配列の複製
+     */
+    getSnapshot() {
+        return this.points.map(point => ({ ...point }));
+    }
+
+    /**
+     * スナップショットの座標を拡大縮小（キャンバスサイズ変更時の履歴の変換用）
+     * @param {Array} snapshot - getSnapshotで取得したポイント配列
+     * @param {number} scaleX - X方向の倍率
+     * @param {number} scaleY - Y方向の倍率
+     * @returns {Array} 変換後のスナップショット
+     */
+    scaleSnapshot(snapshot, scaleX, scaleY) {
+        return snapshot.map(point => ({
+            ...point,
+            x: Math.round(point.x * scaleX),
+            y: Math.round(point.y * scaleY)
+        }));
+    }
+
+    /**
+     * 履歴のスナップショットからポイント状態を復元
+     * @param {Array} snapshot - getSnapshotで取得したポイント配列
+     */
+    restoreSnapshot(snapshot) {
+        this.points = snapshot.map(point => ({ ...point }));
+        this.notify('onChange', this.points);
+        this.notify('onCountChange', this.getUserPointCount());
+    }
+
 }
\ No newline at end of file
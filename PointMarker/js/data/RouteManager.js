@@ -1,19 +1,36 @@
 import { CoordinateUtils } from '../utils/Coordinates.js';
 import { Validators } from '../utils/Validators.js';
 
+/**
+ * ルートごとの表示色（追加順に割り当て、超えた場合は先頭から再利用）
+ */
+export const ROUTE_COLORS = [
+    '#ff9500',  // オレンジ（従来のルート色）
+    '#e91e63',  // ピンク
+    '#8e44ad',  // 紫
+    '#16a085',  // 青緑
+    '#2c3e50',  // 紺
+    '#d35400',  // 茶
+    '#c0392b',  // 赤
+    '#7f8c8d'   // 灰
+];
+
 /**
  * ルートデータの管理を行うクラス
+ * 同一画像上の複数ルートを保持し、編集操作は選択中（アクティブ）のルートに対して行う
  */
 export class RouteManager {
     constructor() {
-        this.routePoints = [];
-        this.startPointId = '';
-        this.endPointId = '';
+        this.routes = [];
+        this.activeRouteIndex = 0;
+        this.routeSequence = 0;
         this.callbacks = {
             onChange: null,
             onCountChange: null,
-            onStartEndChange: null
+            onStartEndChange: null,
+            onRouteListChange: null
         };
+        this.routes.push(this.createRoute());
     }
 
     /**
@@ -36,6 +53,124 @@ export class RouteManager {
         }
     }
 
+    /**
+     * 新しいルートオブジェクトを作成
+     * @param {string} name - ルート名（省略時は連番）
+     * @returns {Object} ルートオブジェクト
+     */
+    createRoute(name = '') {
+        // 削除後も色と名前が重複しにくいよう、これまでに作成した数から連番を決める
+        this.routeSequence++;
+        return {
+            name: name || `ルート${this.routeSequence}`,
+            color: ROUTE_COLORS[(this.routeSequence - 1) % ROUTE_COLORS.length],
+            routePoints: [],
+            startPointId: '',
+            endPointId: ''
+        };
+    }
+
+    /**
+     * 選択中ルートの変更を全て通知
+     */
+    notifyActiveRouteChange() {
+        const route = this.getActiveRoute();
+        this.notify('onChange', route.routePoints);
+        this.notify('onCountChange', route.routePoints.length);
+        this.notify('onStartEndChange', {
+            start: route.startPointId,
+            end: route.endPointId
+        });
+        this.notify('onRouteListChange', this.routes);
+    }
+
+    /**
+     * ルートを追加して選択中にする
+     * @param {string} name - ルート名（省略時は連番）
+     * @returns {Object} 追加されたルート
+     */
+    addRoute(name = '') {
+        const route = this.createRoute(name);
+        this.routes.push(route);
+        this.activeRouteIndex = this.routes.length - 1;
+        this.notifyActiveRouteChange();
+        return route;
+    }
+
+    /**
+     * ルートを削除
+     * 最後の1本を削除した場合は空のルートを新たに用意する
+     * @param {number} index - 削除するルートのインデックス
+     */
+    removeRoute(index) {
+        if (index < 0 || index >= this.routes.length) return;
+
+        this.routes.splice(index, 1);
+        if (this.routes.length === 0) {
+            this.routes.push(this.createRoute());
+        }
+        if (this.activeRouteIndex >= index && this.activeRouteIndex > 0) {
+            this.activeRouteIndex--;
+        }
+        this.notifyActiveRouteChange();
+    }
+
+    /**
+     * 選択中のルートを切り替え
+     * @param {number} index - 選択するルートのインデックス
+     */
+    setActiveRoute(index) {
+        if (index < 0 || index >= this.routes.length || index === this.activeRouteIndex) return;
+
+        this.activeRouteIndex = index;
+        this.notifyActiveRouteChange();
+    }
+
+    /**
+     * ルート名を変更
+     * @param {number} index - ルートのインデックス
+     * @param {string} name - 新しいルート名
+     */
+    renameRoute(index, name) {
+        if (index < 0 || index >= this.routes.length || !name || name.trim() === '') return;
+
+        this.routes[index].name = name.trim();
+        this.notify('onRouteListChange', this.routes);
+    }
+
+    /**
+     * 全ルートを取得
+     * @returns {Array} ルートオブジェクトの配列
+     */
+    getRoutes() {
+        return this.routes;
+    }
+
+    /**
+     * 選択中のルートを取得
+     * @returns {Object} ルートオブジェクト
+     */
+    getActiveRoute() {
+        return this.routes[this.activeRouteIndex];
+    }
+
+    /**
+     * 選択中のルートが未編集（中間点・開始・終了ポイントなし）かどうか
+     * @returns {boolean} 未編集かどうか
+     */
+    isActiveRouteEmpty() {
+        const route = this.getActiveRoute();
+        return route.routePoints.length === 0 && !route.startPointId && !route.endPointId;
+    }
+
+    /**
+     * 選択中ルートのインデックスを取得
+     * @returns {number} ルートのインデックス
+     */
+    getActiveRouteIndex() {
+        return this.activeRouteIndex;
+    }
+
     /**
      * ルート中間点を追加
      * @param {number} x - X座標
@@ -43,14 +178,15 @@ export class RouteManager {
      * @returns {Object} 追加されたポイント
      */
     addRoutePoint(x, y) {
+        const route = this.getActiveRoute();
         const point = {
             x: Math.round(x),
             y: Math.round(y)
         };
 
-        this.routePoints.push(point);
-        this.notify('onChange', this.routePoints);
-        this.notify('onCountChange', this.routePoints.length);
+        route.routePoints.push(point);
+        this.notify('onChange', route.routePoints);
+        this.notify('onCountChange', route.routePoints.length);
         return point;
     }
 
@@ -62,8 +198,9 @@ export class RouteManager {
      * @returns {{index: number, point: Object} | null} 見つかった中間点と配列インデックス、見つからない場合はnull
      */
     findRoutePointAt(x, y, threshold = 10) {
-        for (let i = 0; i < this.routePoints.length; i++) {
-            const point = this.routePoints[i];
+        const route = this.getActiveRoute();
+        for (let i = 0; i < route.routePoints.length; i++) {
+            const point = route.routePoints[i];
             const dx = point.x - x;
             const dy = point.y - y;
             const distance = Math.sqrt(dx * dx + dy * dy);
@@ -82,10 +219,11 @@ export class RouteManager {
      * @param {number} y - 新しいY座標
      */
     updateRoutePoint(index, x, y) {
-        if (index >= 0 && index < this.routePoints.length) {
-            this.routePoints[index].x = Math.round(x);
-            this.routePoints[index].y = Math.round(y);
-            this.notify('onChange', this.routePoints);
+        const route = this.getActiveRoute();
+        if (index >= 0 && index < route.routePoints.length) {
+            route.routePoints[index].x = Math.round(x);
+            route.routePoints[index].y = Math.round(y);
+            this.notify('onChange', route.routePoints);
         }
     }
 
@@ -93,19 +231,21 @@ export class RouteManager {
      * ルート中間点のみをクリア（開始・終了ポイントは保持）
      */
     clearRoutePoints() {
-        this.routePoints = [];
-        this.notify('onChange', this.routePoints);
+        const route = this.getActiveRoute();
+        route.routePoints = [];
+        this.notify('onChange', route.routePoints);
         this.notify('onCountChange', 0);
     }
 
     /**
-     * ルート情報を全てクリア（開始・終了ポイント含む）
+     * 選択中ルートの情報を全てクリア（開始・終了ポイント含む）
      */
     clearRoute() {
-        this.routePoints = [];
-        this.startPointId = '';
-        this.endPointId = '';
-        this.notify('onChange', this.routePoints);
+        const route = this.getActiveRoute();
+        route.routePoints = [];
+        route.startPointId = '';
+        route.endPointId = '';
+        this.notify('onChange', route.routePoints);
         this.notify('onCountChange', 0);
         this.notify('onStartEndChange', { start: '', end: '' });
     }
@@ -122,10 +262,11 @@ export class RouteManager {
      * routeManager.setStartPoint('J-1');  // → 'J-01'
      */
     setStartPoint(id, skipFormatting = false) {
-        this.startPointId = skipFormatting ? id : Validators.formatPointId(id);
+        const route = this.getActiveRoute();
+        route.startPointId = skipFormatting ? id : Validators.formatPointId(id);
         this.notify('onStartEndChange', { 
-            start: this.startPointId, 
-            end: this.endPointId 
+            start: route.startPointId, 
+            end: route.endPointId 
         });
     }
 
@@ -141,29 +282,31 @@ export class RouteManager {
      * routeManager.setEndPoint('A-2');  // → 'A-02'
      */
     setEndPoint(id, skipFormatting = false) {
-        this.endPointId = skipFormatting ? id : Validators.formatPointId(id);
+        const route = this.getActiveRoute();
+        route.endPointId = skipFormatting ? id : Validators.formatPointId(id);
         this.notify('onStartEndChange', { 
-            start: this.startPointId, 
-            end: this.endPointId 
+            start: route.startPointId, 
+            end: route.endPointId 
         });
     }
 
     /**
-     * ルートポイント配列を取得
+     * 選択中ルートのルートポイント配列を取得
      * @returns {Array} ルートポイント配列
      */
     getRoutePoints() {
-        return this.routePoints;
+        return this.getActiveRoute().routePoints;
     }
 
     /**
-     * 開始・終了ポイントIDを取得
+     * 選択中ルートの開始・終了ポイントIDを取得
      * @returns {{start: string, end: string}} 開始・終了ポイントID
      */
     getStartEndPoints() {
+        const route = this.getActiveRoute();
         return {
-            start: this.startPointId,
-            end: this.endPointId
+            start: route.startPointId,
+            end: route.endPointId
         };
     }
 
@@ -171,48 +314,51 @@ export class RouteManager {
      * 開始・終了ポイントの検証
      * @param {Array} registeredIds - 登録済みポイントID配列
      * @param {Object} spotManager - スポットマネージャー（オプション）
+     * @param {Object} route - 検証するルート（省略時は選択中のルート）
      * @returns {{isValid: boolean, message?: string}} 検証結果
      */
-    validateStartEndPoints(registeredIds, spotManager = null) {
+    validateStartEndPoints(registeredIds, spotManager = null, route = this.getActiveRoute()) {
+        const { startPointId, endPointId, routePoints } = route;
+
         // 開始ポイントのチェック
-        if (this.startPointId) {
-            const isRegisteredAsPoint = registeredIds.includes(this.startPointId);
+        if (startPointId) {
+            const isRegisteredAsPoint = registeredIds.includes(startPointId);
             let isRegisteredAsSpot = false;
 
             // スポット名として登録されているかチェック
             if (spotManager) {
                 const allSpots = spotManager.getSpots();
-                isRegisteredAsSpot = allSpots.some(spot => spot.name === this.startPointId);
+                isRegisteredAsSpot = allSpots.some(spot => spot.name === startPointId);
             }
 
             if (!isRegisteredAsPoint && !isRegisteredAsSpot) {
                 return {
                     isValid: false,
-                    message: `開始ポイント "${this.startPointId}" がポイントまたはスポットとして登録されていません。先にポイント編集モードまたはスポット編集モードで登録してください。`
+                    message: `開始ポイント "${startPointId}" がポイントまたはスポットとして登録されていません。先にポイント編集モードまたはスポット編集モードで登録してください。`
                 };
             }
         }
 
         // 終了ポイントのチェック
-        if (this.endPointId) {
-            const isRegisteredAsPoint = registeredIds.includes(this.endPointId);
+        if (endPointId) {
+            const isRegisteredAsPoint = registeredIds.includes(endPointId);
             let isRegisteredAsSpot = false;
 
             // スポット名として登録されているかチェック
             if (spotManager) {
                 const allSpots = spotManager.getSpots();
-                isRegisteredAsSpot = allSpots.some(spot => spot.name === this.endPointId);
+                isRegisteredAsSpot = allSpots.some(spot => spot.name === endPointId);
             }
 
             if (!isRegisteredAsPoint && !isRegisteredAsSpot) {
                 return {
                     isValid: false,
-                    message: `終了ポイント "${this.endPointId}" がポイントまたはスポットとして登録されていません。先にポイント編集モードまたはスポット編集モードで登録してください。`
+                    message: `終了ポイント "${endPointId}" がポイントまたはスポットとして登録されていません。先にポイント編集モードまたはスポット編集モードで登録してください。`
                 };
             }
         }
 
-        if (!this.startPointId || !this.endPointId) {
+        if (!startPointId || !endPointId) {
             return {
                 isValid: false,
                 message: '開始ポイントと終了ポイントの両方を設定してください。'
@@ -220,7 +366,7 @@ export class RouteManager {
         }
 
         // 中間点が1つ以上あることをチェック
-        if (this.routePoints.length < 1) {
+        if (routePoints.length < 1) {
             return {
                 isValid: false,
                 message: 'ルートを作成するには中間点が1つ以上必要です。地図上をクリックして中間点を追加してください。'
@@ -233,13 +379,67 @@ export class RouteManager {
     /**
      * ルート用のデフォルトファイル名を生成
      * @param {string} imageFileName - 画像ファイル名
+     * @param {Object} route - 対象のルート（省略時は選択中のルート）
      * @returns {string} ルートファイル名
      */
-    generateRouteFilename(imageFileName) {
+    generateRouteFilename(imageFileName, route = this.getActiveRoute()) {
         const baseFileName = imageFileName || 'route';
-        const startPoint = this.startPointId || 'start';
-        const endPoint = this.endPointId || 'end';
+        const startPoint = route.startPointId || 'start';
+        const endPoint = route.endPointId || 'end';
         return `${baseFileName}_route_${startPoint}_to_${endPoint}.json`;
     }
 
+    /**
+     * 履歴記録用に現在の全ルート状態を複製して取得
+     * ルートの選択だけを履歴に記録しないよう、選択中のルートは含めない
+     * @returns {{routes: Array}} ルート状態の複製
+     */
+    getSnapshot() {
+        return {
+            routes: this.routes.map(route => ({
+                ...route,
+                routePoints: route.routePoints.map(point => ({ ...point }))
+            }))
+        };
+    }
+
+    /**
+     * スナップショットの座標を拡大縮小（キャンバスサイズ変更時の履歴の変換用）
+     * @param {Object} snapshot - getSnapshotで取得したルート状態
+     * @param {number} scaleX - X方向の倍率
+     * @param {number} scaleY - Y方向の倍率
+     * @returns {Object} 変換後のスナップショット
+     */
+    scaleSnapshot(snapshot, scaleX, scaleY) {
+        return {
+            ...snapshot,
+            routes: snapshot.routes.map(route => ({
+                ...route,
+                routePoints: route.routePoints.map(point => ({
+                    ...point,
+                    x: Math.round(point.x * scaleX),
+                    y: Math.round(point.y * scaleY)
+                }))
+            }))
+        };
+    }
+
+    /**
+     * 履歴のスナップショットからルート状態を復元
+     * activeRouteIndexがない場合（履歴の復元時）は選択中のルートを維持する
+     * @param {{routes: Array, activeRouteIndex: (number|undefined)}} snapshot - getSnapshotで取得したルート状態
+     */
+    restoreSnapshot(snapshot) {
+        this.routes = snapshot.routes.map(route => ({
+            ...route,
+            routePoints: route.routePoints.map(point => ({ ...point }))
+        }));
+        if (this.routes.length === 0) {
+            this.routes.push(this.createRoute());
+        }
+        const activeRouteIndex = snapshot.activeRouteIndex !== undefined ? snapshot.activeRouteIndex : this.activeRouteIndex;
+        this.activeRouteIndex = Math.min(Math.max(activeRouteIndex || 0, 0), this.routes.length - 1);
+        this.notifyActiveRouteChange();
+    }
+
 }
\ No newline at end of file
@@ -230,4 +230,37 @@ export class SpotManager {
             return spotName.includes(searchLower);
         });
     }
+
+    /**
+     * 履歴記録用に現在のスポット状態を複製して取得
+     * @returns {Array} スポット配列の複製
+     */
+    getSnapshot() {
+        return this.spots.map(spot => ({ ...spot }));
+    }
+
+    /**
+     * スナップショットの座標を拡大縮小（キャンバスサイズ変更時の履歴の変換用）
+     * @param {Array} snapshot - getSnapshotで取得したスポット配列
+     * @param {number} scaleX - X方向の倍率
+     * @param {number} scaleY - Y方向の倍率
+     * @returns {Array} 変換後のスナップショット
+     */
+    scaleSnapshot(snapshot, scaleX, scaleY) {
+        return snapshot.map(spot => ({
+            ...spot,
+            x: Math.round(spot.x * scaleX),
+            y: Math.round(spot.y * scaleY)
+        }));
+    }
+
+    /**
+     * 履歴のスナップショットからスポット状態を復元
+     * @param {Array} snapshot - getSnapshotで取得したスポット配列
+     */
+    restoreSnapshot(snapshot) {
+        this.spots = snapshot.map((spot, i) => ({ ...spot, index: i }));
+        this.notify('onChange');
+        this.notify('onCountChange', this.spots.length);
+    }
 }
\ No newline at end of file
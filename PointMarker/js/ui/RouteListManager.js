@@ -0,0 +1,98 @@
+/**
+ * ルート一覧の表示と操作（選択・追加・削除・名前変更）を管理するクラス
+ */
+export class RouteListManager {
+    constructor() {
+        this.listElement = document.getElementById('routeList');
+        this.callbacks = {
+            onSelect: null,
+            onAdd: null,
+            onRemove: null,
+            onRename: null
+        };
+
+        this.initializeEventListeners();
+    }
+
+    /**
+     * コールバック関数を設定
+     * @param {string} event - イベント名
+     * @param {Function} callback - コールバック関数
+     */
+    setCallback(event, callback) {
+        this.callbacks[event] = callback;
+    }
+
+    /**
+     * 変更通知を発行
+     * @param {string} event - イベント名
+     * @param {any} data - イベントデータ
+     */
+    notify(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event](data);
+        }
+    }
+
+    /**
+     * イベントリスナーを初期化
+     */
+    initializeEventListeners() {
+        document.getElementById('addRouteBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.notify('onAdd');
+        });
+
+        document.getElementById('removeRouteBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.notify('onRemove');
+        });
+    }
+
+    /**
+     * ルート一覧を再描画
+     * @param {Array} routes - ルートオブジェクトの配列
+     * @param {number} activeIndex - 選択中ルートのインデックス
+     */
+    render(routes, activeIndex) {
+        this.listElement.innerHTML = '';
+
+        routes.forEach((route, index) => {
+            const item = document.createElement('li');
+            item.className = 'route-list-item';
+            if (index === activeIndex) {
+                item.classList.add('is-active');
+            }
+            item.title = `${route.startPointId || '(未設定)'} → ${route.endPointId || '(未設定)'}（ダブルクリックで名前を変更）`;
+
+            const swatch = document.createElement('span');
+            swatch.className = 'route-color-swatch';
+            swatch.style.backgroundColor = route.color;
+
+            const name = document.createElement('span');
+            name.className = 'route-name';
+            name.textContent = route.name;
+
+            const count = document.createElement('span');
+            count.className = 'route-waypoint-count';
+            count.textContent = `${route.routePoints.length}点`;
+
+            item.appendChild(swatch);
+            item.appendChild(name);
+            item.appendChild(count);
+
+            item.addEventListener('click', () => {
+                this.notify('onSelect', index);
+            });
+
+            item.addEventListener('dblclick', () => {
+                const newName = prompt('ルート名を入力してください', route.name);
+                if (newName !== null && newName.trim() !== '') {
+                    this.notify('onRename', { index, name: newName });
+                }
+            });
+
+            this.listElement.appendChild(item);
+        });
+    }
+}
\ No newline at end of file
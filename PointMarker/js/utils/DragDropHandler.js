@@ -63,24 +63,31 @@ export class DragDropHandler {
 
     /**
      * ドラッグ終了処理
+     * ドラッグ状態を解除してから変更を通知し、ドラッグ全体を1回の変更として扱えるようにする
      * @param {Object} inputManager - InputManagerインスタンス
      * @param {Object} pointManager - PointManagerインスタンス
+     * @param {Object} spotManager - SpotManagerインスタンス
+     * @param {Object} routeManager - RouteManagerインスタンス
      * @returns {boolean} ドラッグが終了されたかどうか
      */
-    endDrag(inputManager, pointManager) {
+    endDrag(inputManager, pointManager, spotManager, routeManager) {
         if (!this.isDragging) return false;
 
-        const wasDragging = true;
+        const draggedObjectType = this.draggedObjectType;
+        this.reset();
 
-        // ポイント移動後に入力ボックスを再描画
-        if (this.draggedObjectType === 'point') {
+        if (draggedObjectType === 'point') {
+            // ポイント移動後に入力ボックスを再描画
             inputManager.redrawInputBoxes(pointManager.getPoints());
             // ポイントデータ変更を通知
             pointManager.notify('onChange', pointManager.getPoints());
+        } else if (draggedObjectType === 'spot' && spotManager) {
+            spotManager.notify('onChange');
+        } else if (draggedObjectType === 'routePoint' && routeManager) {
+            routeManager.notify('onChange', routeManager.getRoutePoints());
         }
 
-        this.reset();
-        return wasDragging;
+        return true;
     }
 
     /**
@@ -15,10 +15,11 @@ export class ResizeHandler {
      * @param {Object} pointManager - PointManagerインスタンス
      * @param {Object} routeManager - RouteManagerインスタンス
      * @param {Object} spotManager - SpotManagerインスタンス
+     * @param {Object} historyManager - HistoryManagerインスタンス
      * @param {Function} redrawCallback - 再描画コールバック
      */
     handleResize(currentImage, canvas, canvasRenderer, layoutManager,
-                 pointManager, routeManager, spotManager, redrawCallback) {
+                 pointManager, routeManager, spotManager, historyManager, redrawCallback) {
         if (!currentImage) return;
 
         const oldWidth = canvas.width;
@@ -32,6 +33,8 @@ export class ResizeHandler {
         if (oldWidth !== newWidth || oldHeight !== newHeight) {
             this.scaleCoordinates(oldWidth, oldHeight, newWidth, newHeight,
                                 pointManager, routeManager, spotManager);
+            // 履歴のスナップショットもキャンバス座標のため同じ倍率で変換する
+            historyManager.scaleSnapshots(newWidth / oldWidth, newHeight / oldHeight);
         }
 
         redrawCallback();
@@ -58,10 +61,12 @@ export class ResizeHandler {
             point.y = Math.round(point.y * scaleY);
         });
 
-        // ルートポイント座標のスケーリング
-        routeManager.getRoutePoints().forEach(point => {
-            point.x = Math.round(point.x * scaleX);
-            point.y = Math.round(point.y * scaleY);
+        // 全ルートのルートポイント座標のスケーリング
+        routeManager.getRoutes().forEach(route => {
+            route.routePoints.forEach(point => {
+                point.x = Math.round(point.x * scaleX);
+                point.y = Math.round(point.y * scaleY);
+            });
         });
 
         // スポット座標のスケーリング